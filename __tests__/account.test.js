@@ -0,0 +1,131 @@
+// Tests for the personal data export and account deletion
+import express from 'express';
+import { initDatabase, queries, closeDatabase, getDatabase } from '../db/database.js';
+import { issueSession } from '../middleware/auth.js';
+import accountRoutes from '../routes/account.js';
+
+// Tables holding the data of an account, with their owner column
+const ACCOUNT_TABLES = ['coffees', 'brews', 'inventory_events', 'grinders', 'grind_conversions', 'api_keys', 'recovery_codes', 'devices', 'sessions'];
+
+describe('Account endpoints', () => {
+    let server;
+    let baseUrl;
+    const suffix = Date.now();
+
+    /**
+     * Create an account with data in every table, and a session to call the API with
+     */
+    async function createAccount(name) {
+        const username = name + '_' + suffix;
+        const deviceId = name + '-device-' + suffix;
+        const userId = await queries.createUser(username, name + '-token-' + suffix, deviceId, '{}');
+        const device = await queries.getUserDevice(userId, deviceId);
+        const session = await issueSession(userId, device.id);
+
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Export Bag', bagWeight: 250, remainingGrams: 250 });
+        const brewId = await queries.createBrew(userId, coffeeId, { brewedAt: '2026-02-01T08:00:00.000Z', method: 'V60', dose: 15 });
+        await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -15, type: 'brew', brewId });
+        await queries.createGrinder(userId, {
+            key: name + '-grinder-' + suffix, name: 'My Flat Burr', scale: 'clicks', min: 0, max: 60, step: 1,
+            subdivisions: null, micronsAtMin: 100, micronsPerStep: 15
+        });
+        await queries.createGrindConversion(userId, 'comandante', 'fellow', [{ coffeeId, before: {}, after: {}, revision: 1 }]);
+        await queries.createApiKey(userId, 'Dashboard', 'bb_' + name + suffix, 'bb_' + name, ['coffees:read']);
+        await queries.updateWaterSettings(userId, { active: 'tap', profiles: { tap: { name: 'Tap', gh: 100 } } }, 5.6);
+        await queries.updateBrewMethodSettings(userId, { defaultMethod: 'aeropress', methods: { aeropress: { ratio: 12 } } });
+        await queries.replaceRecoveryCodes(userId, ['code-hash-' + name + suffix]);
+
+        return { userId, username, coffeeId, brewId, deviceId, headers: { 'Authorization': 'Bearer ' + session.accessToken, 'X-Device-ID': deviceId } };
+    }
+
+    async function countRows(userId) {
+        const counts = {};
+        for (const table of ACCOUNT_TABLES) {
+            counts[table] = (await getDatabase().get(`SELECT COUNT(*) as count FROM ${table} WHERE user_id = ?`, [userId])).count;
+        }
+        return counts;
+    }
+
+    function deleteAccount(account, confirm) {
+        return fetch(baseUrl, {
+            method: 'DELETE',
+            headers: { ...account.headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ confirm })
+        });
+    }
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/account', accountRoutes);
+        await new Promise(resolve => { server = app.listen(0, resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/account`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await closeDatabase();
+    });
+
+    test('should export the profile, devices, coffees, brews, inventory log, settings and API keys', async () => {
+        const account = await createAccount('exporter');
+
+        const response = await fetch(baseUrl + '/export', { headers: account.headers });
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-disposition')).toMatch(/^attachment; filename="brewbuddy-export-exporter_/);
+
+        const document = await response.json();
+        expect(document.profile.username).toBe(account.username);
+        expect(document.devices).toEqual([expect.objectContaining({ deviceId: account.deviceId })]);
+        expect(document.coffees).toEqual([expect.objectContaining({ id: account.coffeeId, name: 'Export Bag' })]);
+        expect(document.brews).toEqual([expect.objectContaining({ id: account.brewId, method: 'V60', dose: 15 })]);
+        expect(document.inventoryEvents.map(e => [e.type, e.grams, e.remainingGrams, e.brewId])).toEqual([
+            ['adjust', 250, 250, null],
+            ['brew', -15, 235, account.brewId]
+        ]);
+        expect(document.settings.customGrinders).toEqual([expect.objectContaining({ key: 'exporter-grinder-' + suffix })]);
+        expect(document.settings.water).toMatchObject({ active: 'tap' });
+        expect(document.settings.brewMethods).toEqual({ defaultMethod: 'aeropress', methods: { aeropress: { ratio: 12 } } });
+        expect(document.apiKeys).toEqual([expect.objectContaining({ name: 'Dashboard', scopes: ['coffees:read'] })]);
+    });
+
+    test('should require the username as confirmation', async () => {
+        const account = await createAccount('keeper');
+
+        for (const confirm of [undefined, 'someone-else', account.username.toUpperCase()]) {
+            const response = await deleteAccount(account, confirm);
+            expect(response.status).toBe(400);
+            expect((await response.json()).success).toBe(false);
+        }
+        expect(await queries.getUserById(account.userId)).toBeTruthy();
+    });
+
+    test('should delete the account with all its data', async () => {
+        const account = await createAccount('leaver');
+        expect(Object.values(await countRows(account.userId)).every(count => count > 0)).toBe(true);
+
+        const response = await deleteAccount(account, account.username);
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({ success: true, deleted: true });
+
+        expect(await queries.getUserById(account.userId)).toBeFalsy();
+        expect(Object.values(await countRows(account.userId)).every(count => count === 0)).toBe(true);
+    });
+
+    test('should keep a record of the deletion in the audit log', async () => {
+        const account = await createAccount('recorded');
+        const [{ maxId }] = await getDatabase().all('SELECT MAX(id) as maxId FROM audit_events');
+
+        await deleteAccount(account, account.username);
+
+        const events = await getDatabase().all(
+            'SELECT event_type, user_id FROM audit_events WHERE id > ? AND event_type = ?', [maxId ?? 0, 'account.deleted']
+        );
+        expect(events).toEqual([{ event_type: 'account.deleted', user_id: null }]);
+    });
+});
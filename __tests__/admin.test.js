@@ -0,0 +1,170 @@
+// Tests for admin support queries and admin authentication
+import { initDatabase, queries, closeDatabase, getDatabase } from '../db/database.js';
+import { authenticateAdmin } from '../middleware/admin.js';
+import { authenticateRequest, AUTH_ERROR_CODES } from '../middleware/auth.js';
+
+function mockNext() {
+    const next = () => { next.called = true; };
+    next.called = false;
+    return next;
+}
+
+function mockRes() {
+    const res = {};
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+}
+
+describe('Admin', () => {
+    let userId;
+    const suffix = Date.now();
+    const username = 'adminsearch_' + suffix;
+    const token = 'admin-test-token-' + suffix;
+    const deviceId = 'admin-device-' + suffix;
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        // Requests below authenticate with the account token
+        process.env.LEGACY_TOKEN_AUTH = 'true';
+        await initDatabase();
+
+        userId = await queries.createUser(username, token, deviceId, '{}');
+        await queries.saveCoffee(userId, JSON.stringify({ name: 'Admin Coffee' }));
+    });
+
+    afterAll(async () => {
+        delete process.env.ADMIN_API_KEY;
+        delete process.env.LEGACY_TOKEN_AUTH;
+        await closeDatabase();
+    });
+
+    describe('User Queries', () => {
+        test('should search users with counts', async () => {
+            const users = await queries.listUsers({ search: 'ADMINSEARCH_' + suffix });
+            expect(users.length).toBe(1);
+            expect(users[0].username).toBe(username);
+            expect(Number(users[0].coffee_count)).toBe(1);
+            expect(Number(users[0].device_count)).toBe(1);
+            expect(await queries.countUsers('adminsearch_' + suffix)).toBe(1);
+        });
+
+        test('should paginate users', async () => {
+            const firstPage = await queries.listUsers({ limit: 1, offset: 0 });
+            const secondPage = await queries.listUsers({ limit: 1, offset: 1 });
+            expect(firstPage.length).toBe(1);
+            expect(secondPage.length).toBe(1);
+            expect(firstPage[0].id).not.toBe(secondPage[0].id);
+        });
+
+        test('should return user detail without the token', async () => {
+            const user = await queries.getUserDetail(userId);
+            expect(user.username).toBe(username);
+            expect(user.role).toBe('user');
+            expect(user.token).toBeUndefined();
+            expect(await queries.countUserCoffees(userId)).toBe(1);
+        });
+
+        test('should unbind all devices', async () => {
+            const removed = await queries.deleteUserDevices(userId);
+            expect(removed).toBe(1);
+            expect(await queries.countActiveDevices(userId)).toBe(0);
+            expect(await queries.getUserDevice(userId, deviceId)).toBeUndefined();
+        });
+
+        test('should compute aggregate stats', async () => {
+            const stats = await queries.getAdminStats();
+            expect(stats.users).toBeGreaterThan(0);
+            expect(stats.coffees).toBeGreaterThan(0);
+            expect(typeof stats.activeUsers7d).toBe('number');
+        });
+    });
+
+    describe('Account Disabling', () => {
+        const request = () => ({
+            headers: { authorization: `Bearer ${token}`, 'x-device-id': deviceId },
+            body: {},
+            query: {}
+        });
+
+        test('should reject requests on a disabled account', async () => {
+            await queries.setUserDisabled(userId, true);
+            const auth = await authenticateRequest(request());
+            expect(auth.status).toBe(403);
+            expect(auth.code).toBe(AUTH_ERROR_CODES.ACCOUNT_DISABLED);
+        });
+
+        test('should accept requests again after re-enabling', async () => {
+            await queries.setUserDisabled(userId, false);
+            const auth = await authenticateRequest(request());
+            expect(auth.error).toBeUndefined();
+        });
+    });
+
+    describe('Action Log', () => {
+        test('should record and list admin actions', async () => {
+            await queries.recordAdminAction('admin-api-key', 'token.reset', userId, { revokedSessions: 0 }, '127.0.0.1');
+            const actions = await queries.getAdminActions({ targetUserId: userId });
+            expect(actions.length).toBe(1);
+            expect(actions[0].action).toBe('token.reset');
+            expect(JSON.parse(actions[0].details)).toEqual({ revokedSessions: 0 });
+        });
+    });
+
+    describe('authenticateAdmin', () => {
+        test('should accept the configured admin key', async () => {
+            process.env.ADMIN_API_KEY = 'super-secret-admin-key';
+            const req = { headers: { 'x-admin-key': 'super-secret-admin-key' }, body: {}, query: {} };
+            const next = mockNext();
+
+            await authenticateAdmin(req, mockRes(), next);
+
+            expect(next.called).toBe(true);
+            expect(req.admin.type).toBe('key');
+        });
+
+        test('should reject a wrong admin key', async () => {
+            process.env.ADMIN_API_KEY = 'super-secret-admin-key';
+            const req = { headers: { 'x-admin-key': 'wrong' }, body: {}, query: {} };
+            const res = mockRes();
+            const next = mockNext();
+
+            await authenticateAdmin(req, res, next);
+
+            expect(next.called).toBe(false);
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('should reject regular users', async () => {
+            const req = {
+                headers: { authorization: `Bearer ${token}`, 'x-device-id': deviceId },
+                body: {},
+                query: {}
+            };
+            const res = mockRes();
+            const next = mockNext();
+
+            await authenticateAdmin(req, res, next);
+
+            expect(next.called).toBe(false);
+            expect(res.statusCode).toBe(403);
+        });
+
+        test('should accept users with the admin role', async () => {
+            await getDatabase().run("UPDATE users SET role = 'admin' WHERE id = ?", [userId]);
+            const req = {
+                headers: { authorization: `Bearer ${token}`, 'x-device-id': deviceId },
+                body: {},
+                query: {}
+            };
+            const next = mockNext();
+
+            await authenticateAdmin(req, mockRes(), next);
+
+            expect(next.called).toBe(true);
+            expect(req.admin.userId).toBe(userId);
+        });
+    });
+});
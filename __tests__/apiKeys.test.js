@@ -0,0 +1,112 @@
+// Tests for read-only scoped API keys
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import { authenticateRequest, AUTH_ERROR_CODES } from '../middleware/auth.js';
+import { 
+    API_KEY_SCOPES, 
+    generateApiKey, 
+    isApiKey, 
+    parseScopes, 
+    validateScopes 
+} from '../utils/apiKeys.js';
+
+describe('API key utilities', () => {
+    test('should generate prefixed keys with a display prefix', () => {
+        const { apiKey, keyPrefix } = generateApiKey();
+        expect(isApiKey(apiKey)).toBe(true);
+        expect(apiKey.startsWith(keyPrefix)).toBe(true);
+        expect(keyPrefix.length).toBeLessThan(apiKey.length);
+        expect(generateApiKey().apiKey).not.toBe(apiKey);
+    });
+
+    test('should not treat account tokens as API keys', () => {
+        expect(isApiKey('abc123')).toBe(false);
+        expect(isApiKey(undefined)).toBe(false);
+    });
+
+    test('should validate and deduplicate scopes', () => {
+        expect(validateScopes(['coffees:read', 'coffees:read'])).toEqual({ valid: true, scopes: ['coffees:read'] });
+        expect(validateScopes([]).valid).toBe(false);
+        expect(validateScopes('coffees:read').valid).toBe(false);
+        expect(validateScopes(['coffees:write']).error).toContain('coffees:write');
+    });
+
+    test('should parse stored scope lists', () => {
+        expect(parseScopes('coffees:read analyze')).toEqual(['coffees:read', 'analyze']);
+        expect(parseScopes(null)).toEqual([]);
+    });
+});
+
+describe('API key authentication', () => {
+    let userId;
+    let apiKey;
+    let apiKeyId;
+    const suffix = Date.now();
+
+    const requestWith = (token, headers = {}) => ({
+        headers: { authorization: `Bearer ${token}`, ...headers },
+        body: {},
+        query: {}
+    });
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('apikeyuser_' + suffix, 'apikey-account-' + suffix, 'apikey-device-' + suffix, '{}');
+
+        const generated = generateApiKey();
+        apiKey = generated.apiKey;
+        apiKeyId = await queries.createApiKey(userId, 'Dashboard', apiKey, generated.keyPrefix, [API_KEY_SCOPES.COFFEES_READ]);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should store only the hash of the key', async () => {
+        const [stored] = await queries.getUserApiKeys(userId);
+        expect(stored.key_hash).toBeUndefined();
+        expect(stored.key_prefix).toBe(apiKey.substring(0, stored.key_prefix.length));
+
+        const row = await queries.getApiKey(apiKey);
+        expect(row.key_hash).not.toBe(apiKey);
+    });
+
+    test('should accept a key with the required scope without a device ID', async () => {
+        const auth = await authenticateRequest(requestWith(apiKey), { scope: API_KEY_SCOPES.COFFEES_READ });
+        expect(auth.error).toBeUndefined();
+        expect(auth.user.id).toBe(userId);
+        expect(auth.device).toBeNull();
+        expect(auth.apiKey.id).toBe(apiKeyId);
+
+        const [stored] = await queries.getUserApiKeys(userId);
+        expect(stored.last_used_at).not.toBeNull();
+    });
+
+    test('should reject a key without the required scope', async () => {
+        const auth = await authenticateRequest(requestWith(apiKey), { scope: API_KEY_SCOPES.ANALYZE });
+        expect(auth.status).toBe(403);
+        expect(auth.code).toBe(AUTH_ERROR_CODES.INSUFFICIENT_SCOPE);
+    });
+
+    test('should reject keys on full-access routes', async () => {
+        const auth = await authenticateRequest(requestWith(apiKey, { 'x-device-id': 'apikey-device-' + suffix }));
+        expect(auth.status).toBe(403);
+        expect(auth.code).toBe(AUTH_ERROR_CODES.INSUFFICIENT_SCOPE);
+    });
+
+    test('should reject unknown and revoked keys', async () => {
+        const unknown = await authenticateRequest(requestWith(generateApiKey().apiKey), { scope: API_KEY_SCOPES.COFFEES_READ });
+        expect(unknown.code).toBe(AUTH_ERROR_CODES.INVALID_TOKEN);
+
+        expect(await queries.countActiveApiKeys(userId)).toBe(1);
+        expect(await queries.revokeApiKey(userId, apiKeyId)).toBe(true);
+        expect(await queries.revokeApiKey(userId, apiKeyId)).toBe(false);
+        expect(await queries.countActiveApiKeys(userId)).toBe(0);
+
+        const revoked = await authenticateRequest(requestWith(apiKey), { scope: API_KEY_SCOPES.COFFEES_READ });
+        expect(revoked.code).toBe(AUTH_ERROR_CODES.TOKEN_REVOKED);
+    });
+});
@@ -0,0 +1,111 @@
+// Tests for the security audit log
+import { initDatabase, queries, closeDatabase, getDatabase } from '../db/database.js';
+import { authenticateRequest, AUTH_ERROR_CODES } from '../middleware/auth.js';
+import { recordAuditEvent, pruneAuditLog } from '../middleware/audit.js';
+import { AUDIT_EVENTS, hashDeviceId, getAuditCutoff } from '../utils/audit.js';
+
+describe('Audit utilities', () => {
+    test('should hash device IDs deterministically without exposing them', () => {
+        const hash = hashDeviceId('device-xyz-123');
+        expect(hash).toBe(hashDeviceId('device-xyz-123'));
+        expect(hash).not.toBe(hashDeviceId('device-xyz-124'));
+        expect(hash).not.toContain('device-xyz');
+        expect(hashDeviceId(null)).toBeNull();
+    });
+
+    test('should compute the retention cutoff from AUDIT_RETENTION_DAYS', () => {
+        const now = new Date('2026-03-31T12:00:00.000Z');
+        expect(getAuditCutoff(now).toISOString()).toBe('2025-12-31T12:00:00.000Z');
+
+        process.env.AUDIT_RETENTION_DAYS = '7';
+        expect(getAuditCutoff(now).toISOString()).toBe('2026-03-24T12:00:00.000Z');
+        delete process.env.AUDIT_RETENTION_DAYS;
+    });
+});
+
+describe('Audit log', () => {
+    let userId;
+    const suffix = Date.now();
+    const token = 'audit-test-token-' + suffix;
+    const deviceId = 'audit-device-' + suffix;
+
+    const request = (headers) => ({
+        headers: { 'user-agent': 'AuditTest/1.0', ...headers },
+        body: {},
+        query: {},
+        ip: '203.0.113.7',
+        originalUrl: '/api/coffees?token=secret'
+    });
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        // Requests below authenticate with the account token
+        process.env.LEGACY_TOKEN_AUTH = 'true';
+        await initDatabase();
+
+        userId = await queries.createUser('audituser_' + suffix, token, deviceId, '{}');
+    });
+
+    afterAll(async () => {
+        delete process.env.LEGACY_TOKEN_AUTH;
+        await closeDatabase();
+    });
+
+    test('should record invalid tokens without a user', async () => {
+        const auth = await authenticateRequest(request({ 
+            authorization: 'Bearer not-a-real-token-' + suffix, 
+            'x-device-id': deviceId 
+        }));
+        expect(auth.code).toBe(AUTH_ERROR_CODES.INVALID_TOKEN);
+
+        const [event] = await queries.getAuditEvents({ eventType: AUDIT_EVENTS.TOKEN_INVALID, limit: 1 });
+        expect(event.user_id).toBeNull();
+        expect(event.device_hash).toBe(hashDeviceId(deviceId));
+        expect(event.ip).toBe('203.0.113.7');
+        expect(event.user_agent).toBe('AuditTest/1.0');
+        expect(JSON.parse(event.details)).toEqual({ path: '/api/coffees' });
+    });
+
+    test('should record device bindings and mismatches for the user', async () => {
+        const otherDevice = 'audit-other-device-' + suffix;
+        const auth = await authenticateRequest(request({ authorization: `Bearer ${token}`, 'x-device-id': otherDevice }));
+        expect(auth.user.id).toBe(userId);
+
+        const device = await queries.getUserDevice(userId, otherDevice);
+        await queries.revokeDevice(userId, device.id);
+
+        const denied = await authenticateRequest(request({ authorization: `Bearer ${token}`, 'x-device-id': otherDevice }));
+        expect(denied.code).toBe(AUTH_ERROR_CODES.DEVICE_REVOKED);
+
+        const events = await queries.getAuditEvents({ userId });
+        expect(events.map(e => e.event_type)).toEqual([AUDIT_EVENTS.DEVICE_REVOKED, AUDIT_EVENTS.DEVICE_BOUND]);
+        expect(events[0].device_hash).toBe(hashDeviceId(otherDevice));
+    });
+
+    test('should prune events older than the retention window', async () => {
+        await recordAuditEvent(request({}), AUDIT_EVENTS.SETTING_CHANGED, { userId, details: { setting: 'old' } });
+        await getDatabase().run(
+            "UPDATE audit_events SET created_at = datetime('now', '-200 days') WHERE user_id = ? AND event_type = ?",
+            [userId, AUDIT_EVENTS.SETTING_CHANGED]
+        );
+
+        const removed = await pruneAuditLog();
+        expect(removed).toBeGreaterThanOrEqual(1);
+
+        const remaining = await queries.getAuditEvents({ userId, eventType: AUDIT_EVENTS.SETTING_CHANGED });
+        expect(remaining).toHaveLength(0);
+        expect(await queries.getAuditEvents({ userId })).toHaveLength(2);
+    });
+
+    test('should keep the events of a deleted account', async () => {
+        const goneId = await queries.createUser('auditgone_' + suffix, 'audit-gone-token-' + suffix);
+        await recordAuditEvent(request({}), AUDIT_EVENTS.SETTING_CHANGED, { userId: goneId, details: { setting: 'gone-' + suffix } });
+
+        await queries.deleteUser(goneId);
+
+        const events = await getDatabase().all('SELECT user_id FROM audit_events WHERE details LIKE ?', ['%gone-' + suffix + '%']);
+        expect(events).toEqual([{ user_id: null }]);
+    });
+});
@@ -1,5 +1,5 @@
 // Tests for authentication middleware and transaction support
-import { initDatabase, queries, closeDatabase, beginTransaction, commit, rollback } from '../db/database.js';
+import { initDatabase, queries, closeDatabase, beginTransaction, commit, rollback, withTransaction } from '../db/database.js';
 
 describe('Authentication and Transactions', () => {
     beforeAll(async () => {
@@ -110,6 +110,45 @@ describe('Authentication and Transactions', () => {
             expect(parsedCoffees.some(c => c.name === 'Coffee 1')).toBe(true);
             expect(parsedCoffees.some(c => c.name === 'Coffee 2')).toBe(true);
         });
+
+        test('should commit or roll back the work of withTransaction', async () => {
+            const coffeeNames = async () => (await queries.getUserCoffees(testUserId)).map(c => JSON.parse(c.data).name);
+
+            await withTransaction(() => queries.saveCoffee(testUserId, JSON.stringify({ name: 'Committed' })));
+            expect(await coffeeNames()).toContain('Committed');
+
+            await expect(withTransaction(async () => {
+                await queries.saveCoffee(testUserId, JSON.stringify({ name: 'Rolled back' }));
+                throw new Error('Simulated error');
+            })).rejects.toThrow('Simulated error');
+            expect(await coffeeNames()).not.toContain('Rolled back');
+        });
+
+        test('should keep overlapping transactions apart', async () => {
+            const delay = () => new Promise(resolve => setTimeout(resolve, 20));
+
+            const [committed, failed, outside] = await Promise.allSettled([
+                withTransaction(async () => {
+                    await queries.saveCoffee(testUserId, JSON.stringify({ name: 'First' }));
+                    await delay();
+                }),
+                withTransaction(async () => {
+                    await queries.saveCoffee(testUserId, JSON.stringify({ name: 'Rolled back second' }));
+                    await delay();
+                    throw new Error('Simulated error');
+                }),
+                // A statement outside waits instead of landing in a running transaction
+                queries.saveCoffee(testUserId, JSON.stringify({ name: 'Outside' }))
+            ]);
+
+            expect(committed.status).toBe('fulfilled');
+            expect(failed.status).toBe('rejected');
+            expect(outside.status).toBe('fulfilled');
+
+            const names = (await queries.getUserCoffees(testUserId)).map(c => JSON.parse(c.data).name);
+            expect(names).toEqual(expect.arrayContaining(['First', 'Outside']));
+            expect(names).not.toContain('Rolled back second');
+        });
     });
 
     describe('Auth Credential Extraction', () => {
@@ -0,0 +1,136 @@
+// Tests for the brew method catalog
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import { 
+    BREW_METHODS, getCoffeeMethodValues, parseBrewMethod, parseFreshnessMethod, resolveBrewMethods, 
+    sanitizeCoffeeMethods, validateBrewMethodSettings 
+} from '../utils/brewMethods.js';
+import { sanitizeCoffeeData } from '../utils/sanitize.js';
+
+describe('Brew method catalog', () => {
+    test('should keep every default inside its range', () => {
+        for (const method of Object.values(BREW_METHODS)) {
+            for (const field of ['dose', 'ratio', 'temperature', 'grind']) {
+                const { min, max, default: value } = method[field];
+                expect(value).toBeGreaterThanOrEqual(min);
+                expect(value).toBeLessThanOrEqual(max);
+            }
+        }
+    });
+
+    test('should recognize method names from brew logs', () => {
+        expect(parseBrewMethod('V60')).toBe('v60');
+        expect(parseBrewMethod('Hario V60')).toBe('v60');
+        expect(parseBrewMethod('French Press')).toBe('french-press');
+        expect(parseBrewMethod('cold-brew')).toBe('cold-brew');
+        expect(parseBrewMethod('Siphon')).toBeNull();
+        expect(parseBrewMethod(null)).toBeNull();
+    });
+});
+
+describe('Brew method preferences', () => {
+    test('should accept values inside the method ranges', () => {
+        const { settings } = validateBrewMethodSettings({ 
+            defaultMethod: 'espresso', 
+            methods: { espresso: { dose: 18, ratio: 2.5 }, chemex: null } 
+        });
+
+        expect(settings).toEqual({ defaultMethod: 'espresso', methods: { espresso: { dose: 18, ratio: 2.5 } } });
+    });
+
+    test('should reject unknown methods and values out of range', () => {
+        expect(validateBrewMethodSettings({ defaultMethod: 'siphon' }).error).toMatch(/defaultMethod/);
+        expect(validateBrewMethodSettings({ methods: { siphon: {} } }).error).toMatch(/Unknown method 'siphon'/);
+        expect(validateBrewMethodSettings({ methods: { espresso: { ratio: 16 } } }).error)
+            .toBe('methods.espresso.ratio must be a number between 1 and 4');
+        expect(validateBrewMethodSettings([]).error).toBeDefined();
+    });
+
+    test('should merge preferences into the catalog', () => {
+        const resolved = resolveBrewMethods({ methods: { aeropress: { temperature: 85 } } });
+        const aeropress = resolved.methods.find(method => method.key === 'aeropress');
+
+        expect(resolved.defaultMethod).toBe('v60');
+        expect(resolved.methods).toHaveLength(7);
+        expect(aeropress.preferences).toEqual({ temperature: 85 });
+        expect(aeropress.effective).toEqual({ dose: 15, ratio: 15, temperature: 85 });
+    });
+});
+
+describe('Per-method coffee values', () => {
+    const coffee = { 
+        customAmount: 16, 
+        customTemp: '93', 
+        grindOffset: 1, 
+        methods: { espresso: { customAmount: 18 }, chemex: { grindOffset: 2 } } 
+    };
+
+    test('should prefer the method values and fall back for pour-over methods', () => {
+        expect(getCoffeeMethodValues(coffee, 'chemex')).toEqual({ customAmount: 16, customTemp: '93', grindOffset: 2 });
+        expect(getCoffeeMethodValues(coffee, 'v60')).toEqual({ customAmount: 16, customTemp: '93', grindOffset: 1 });
+        expect(getCoffeeMethodValues(coffee, 'espresso')).toEqual({ customAmount: 18 });
+        expect(getCoffeeMethodValues(coffee, 'french-press')).toEqual({});
+    });
+
+    test('should drop unknown methods and fields when sanitizing', () => {
+        const methods = sanitizeCoffeeMethods({ 
+            espresso: { customAmount: 18, customTemp: ' 92 °C ', grindOffset: 'x', extra: 1 }, 
+            siphon: { customAmount: 20 }, 
+            chemex: {} 
+        });
+
+        expect(methods).toEqual({ espresso: { customAmount: 18, customTemp: '92 °C' } });
+        expect(sanitizeCoffeeMethods('v60')).toEqual({});
+        expect(sanitizeCoffeeData({ name: 'Test', methods: { v60: { grindOffset: -1 } } }).methods)
+            .toEqual({ v60: { grindOffset: -1 } });
+    });
+
+    test('should strip HTML from per-method temperatures of a coffee', () => {
+        const methods = { v60: { customTemp: '<img src=x onerror=alert(1)>93' }, espresso: { customTemp: '<b></b>' } };
+        expect(sanitizeCoffeeData({ name: 'Test', methods }).methods).toEqual({ v60: { customTemp: '93' } });
+    });
+
+    test('should map catalog methods to their freshness window', () => {
+        expect(parseFreshnessMethod('filter')).toBe('filter');
+        expect(parseFreshnessMethod('espresso')).toBe('espresso');
+        expect(parseFreshnessMethod('v60')).toBe('filter');
+        expect(parseFreshnessMethod('Hario V60')).toBe('filter');
+        expect(parseFreshnessMethod('moka')).toBeNull();
+        expect(parseFreshnessMethod(undefined)).toBeNull();
+    });
+});
+
+describe('Brew method settings storage', () => {
+    let userId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('methoduser_' + suffix, 'method-token-' + suffix);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should store and reset the preferences', async () => {
+        expect(await queries.getBrewMethodSettings(userId)).toBeNull();
+
+        const settings = { defaultMethod: 'aeropress', methods: { aeropress: { ratio: 12 } } };
+        await queries.updateBrewMethodSettings(userId, settings);
+        expect(await queries.getBrewMethodSettings(userId)).toEqual(settings);
+
+        await queries.updateBrewMethodSettings(userId, null);
+        expect(await queries.getBrewMethodSettings(userId)).toBeNull();
+    });
+
+    test('should keep per-method values in the coffee data', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Method Test', methods: { espresso: { customAmount: 18 } } });
+        const row = await queries.getUserCoffee(userId, coffeeId);
+
+        expect(JSON.parse(row.data).methods).toEqual({ espresso: { customAmount: 18 } });
+    });
+});
@@ -0,0 +1,167 @@
+// Tests for the brew log
+import express from 'express';
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import { issueSession } from '../middleware/auth.js';
+import coffeeRoutes from '../routes/coffees.js';
+import { sanitizeBrew } from '../utils/brews.js';
+
+describe('Brew validation', () => {
+    test('should clean text, numbers and taste descriptors', () => {
+        const { brew, error } = sanitizeBrew({
+            brewedAt: '2026-02-10T08:30:00+01:00',
+            method: '<b>V60</b>',
+            dose: '15',
+            water: 250,
+            grindSetting: ' 4.2 ',
+            rating: 4,
+            taste: ['Juicy', 'juicy', '<i>Floral</i>', ''],
+            unknown: 'dropped'
+        });
+
+        expect(error).toBeUndefined();
+        expect(brew).toEqual({
+            brewedAt: '2026-02-10T07:30:00.000Z',
+            method: 'V60',
+            dose: 15,
+            water: 250,
+            grindSetting: '4.2',
+            rating: 4,
+            taste: ['juicy', 'floral']
+        });
+    });
+
+    test('should reject values out of range', () => {
+        expect(sanitizeBrew({ rating: 4.5 }).error).toBe('rating must be a whole number between 1 and 5');
+        expect(sanitizeBrew({ temperature: 120 }).error).toBe('temperature must be a number between 0 and 100');
+        expect(sanitizeBrew({ dose: 'lots' }).error).toMatch(/^dose must be a number/);
+        expect(sanitizeBrew({ brewedAt: 'someday' }).error).toBe('brewedAt must be a date');
+        expect(sanitizeBrew({ taste: 'fruity' }).error).toBe('taste must be a list of descriptors');
+        expect(sanitizeBrew(null).error).toBe('Brew data required');
+    });
+
+    test('should turn null into a cleared field', () => {
+        expect(sanitizeBrew({ rating: null, notes: null, taste: null }).brew).toEqual({ rating: null, notes: null, taste: [] });
+    });
+});
+
+describe('Brew log storage', () => {
+    let userId;
+    let otherId;
+    let coffeeId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('brewuser_' + suffix, 'brew-token-' + suffix);
+        otherId = await queries.createUser('brewother_' + suffix, 'brew-other-token-' + suffix);
+        coffeeId = await queries.saveCoffee(userId, { name: 'Brewed Coffee' });
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should keep every brew of a coffee, newest first', async () => {
+        await queries.createBrew(userId, coffeeId, { brewedAt: '2026-02-01T08:00:00.000Z', method: 'V60', dose: 15, grindSetting: '4.5', rating: 3, taste: ['sour'] });
+        await queries.createBrew(userId, coffeeId, { brewedAt: '2026-02-02T08:00:00.000Z', method: 'V60', dose: 15, grindSetting: '4.2', rating: 4, taste: ['sweet', 'juicy'] });
+
+        const brews = await queries.getCoffeeBrews(userId, coffeeId);
+        expect(brews.map(b => b.grindSetting)).toEqual(['4.2', '4.5']);
+        expect(brews[0]).toMatchObject({ coffeeId, method: 'V60', dose: 15, rating: 4, taste: ['sweet', 'juicy'], notes: null });
+        expect(await queries.countCoffeeBrews(userId, coffeeId)).toBe(2);
+    });
+
+    test('should only expose brews to the coffee owner', async () => {
+        const brewId = await queries.createBrew(userId, coffeeId, { brewedAt: '2026-02-03T08:00:00.000Z' });
+
+        expect(await queries.getBrew(otherId, coffeeId, brewId)).toBeUndefined();
+        expect(await queries.getCoffeeBrews(otherId, coffeeId)).toEqual([]);
+        expect(await queries.updateBrew(otherId, coffeeId, brewId, { brewedAt: '2026-02-03T08:00:00.000Z', rating: 1 })).toBe(false);
+        expect(await queries.deleteBrew(otherId, coffeeId, brewId)).toBe(false);
+    });
+
+    test('should update and delete a brew', async () => {
+        const brewId = await queries.createBrew(userId, coffeeId, { brewedAt: '2026-02-04T08:00:00.000Z', rating: 2 });
+
+        expect(await queries.updateBrew(userId, coffeeId, brewId, { brewedAt: '2026-02-04T08:00:00.000Z', rating: 5, taste: ['balanced'] })).toBe(true);
+        expect(await queries.getBrew(userId, coffeeId, brewId)).toMatchObject({ rating: 5, taste: ['balanced'] });
+
+        expect(await queries.deleteBrew(userId, coffeeId, brewId)).toBe(true);
+        expect(await queries.getBrew(userId, coffeeId, brewId)).toBeUndefined();
+    });
+
+    test('should remove brews with a permanently deleted coffee', async () => {
+        const doomed = await queries.saveCoffee(userId, { name: 'Doomed' });
+        await queries.createBrew(userId, doomed, { brewedAt: '2026-02-05T08:00:00.000Z' });
+
+        await queries.deleteCoffee(userId, doomed);
+        expect(await queries.countCoffeeBrews(userId, doomed)).toBe(0);
+        expect((await queries.getUserBrews(userId)).every(b => b.coffeeId !== doomed)).toBe(true);
+    });
+});
+
+describe('Brew log and legacy bulk sync', () => {
+    let server;
+    let baseUrl;
+    let userId;
+    let headers;
+    const suffix = Date.now();
+
+    const sync = (coffees) => fetch(baseUrl, { method: 'POST', headers, body: JSON.stringify({ coffees }) });
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        const deviceId = 'legacy-sync-device-' + suffix;
+        userId = await queries.createUser('legacysync_' + suffix, 'legacy-sync-token-' + suffix, deviceId, '{}');
+        const session = await issueSession(userId, (await queries.getUserDevice(userId, deviceId)).id);
+        headers = { 'Authorization': 'Bearer ' + session.accessToken, 'X-Device-ID': deviceId, 'Content-Type': 'application/json' };
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/coffees', coffeeRoutes);
+        await new Promise(resolve => { server = app.listen(0, resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/coffees`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await closeDatabase();
+    });
+
+    test('should keep the brews of coffees a legacy sync sends back', async () => {
+        const keptId = await queries.saveCoffee(userId, { name: 'Kept', remainingGrams: 200 });
+        const droppedId = await queries.saveCoffee(userId, { name: 'Dropped' });
+        const brewId = await queries.createBrew(userId, keptId, { brewedAt: '2026-02-01T08:00:00.000Z', dose: 15 });
+        await queries.adjustCoffeeInventory(userId, keptId, { delta: -15, type: 'brew', brewId });
+
+        const response = await sync([{ id: keptId, name: 'Kept, renamed' }, { name: 'Added' }]);
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({ success: true, saved: 2 });
+
+        const names = (await queries.getUserCoffees(userId)).map(row => JSON.parse(row.data).name);
+        expect(names.sort()).toEqual(['Added', 'Kept, renamed']);
+        expect(await queries.getUserCoffee(userId, droppedId)).toBeFalsy();
+
+        expect(await queries.getBrew(userId, keptId, brewId)).toMatchObject({ id: brewId, dose: 15 });
+        expect(await queries.getInventoryEvents(userId, keptId)).toHaveLength(2);
+        expect(JSON.parse((await queries.getUserCoffee(userId, keptId)).data).remainingGrams).toBe(185);
+    });
+
+    test('should not take over coffees of other users by ID', async () => {
+        const otherId = await queries.createUser('legacyother_' + suffix, 'legacy-other-token-' + suffix);
+        const foreignId = await queries.saveCoffee(otherId, { name: 'Foreign' });
+
+        expect((await sync([{ id: foreignId, name: 'Mine now' }])).status).toBe(200);
+
+        expect(JSON.parse((await queries.getUserCoffee(otherId, foreignId)).data).name).toBe('Foreign');
+        expect((await queries.getUserCoffees(userId)).map(row => JSON.parse(row.data).name)).toEqual(['Mine now']);
+    });
+});
@@ -0,0 +1,150 @@
+// Tests for coffee library import and export
+import { parseCSV, toCSV, escapeCSVValue, unescapeCSVValue } from '../utils/csv.js';
+import { 
+    coffeesToCSV, 
+    readImportRecords, 
+    resolveImportMapping, 
+    planImport, 
+    coffeeDuplicateKey 
+} from '../utils/coffeeTransfer.js';
+
+describe('CSV', () => {
+    test('should round-trip quoted fields, quotes and newlines', () => {
+        const rows = [['Finca "La" Milán', 'cherry, lime', 'line one\nline two'], ['Plain', '', '4']];
+        const csv = toCSV(['name', 'notes', 'other'], rows);
+
+        expect(parseCSV(csv)).toEqual([['name', 'notes', 'other'], ...rows]);
+    });
+
+    test('should read semicolon files with a BOM and CRLF line endings', () => {
+        const csv = '\uFEFFName;Röster;Notes\r\nKiambu;Friedhats;"blackcurrant; tomato"\r\n\r\n';
+        expect(parseCSV(csv)).toEqual([['Name', 'Röster', 'Notes'], ['Kiambu', 'Friedhats', 'blackcurrant; tomato']]);
+    });
+
+    test('should neutralize formulas but keep negative numbers', () => {
+        expect(escapeCSVValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+        expect(escapeCSVValue('@SUM(A1)')).toBe("'@SUM(A1)");
+        expect(escapeCSVValue(-2)).toBe('-2');
+        expect(escapeCSVValue('-cmd')).toBe("'-cmd");
+        expect(escapeCSVValue(null)).toBe('');
+    });
+
+    test('should only unescape what escapeCSVValue prefixed', () => {
+        for (const value of ['=Blend', '+1 shot', '@home', '-Gesha']) {
+            expect(unescapeCSVValue(parseCSV(escapeCSVValue(value))[0][0])).toBe(value);
+        }
+        expect(unescapeCSVValue("'90s Blend")).toBe("'90s Blend");
+        expect(unescapeCSVValue("'-2")).toBe("'-2");
+    });
+
+    test('should export coffees in column order', () => {
+        const csv = coffeesToCSV([{ id: 1, name: 'Kiambu', favorite: true, feedback: { ignored: true } }]);
+        const [headers, row] = parseCSV(csv);
+        expect(headers[0]).toBe('id');
+        expect(row[headers.indexOf('name')]).toBe('Kiambu');
+        expect(row[headers.indexOf('favorite')]).toBe('true');
+        expect(headers).not.toContain('feedback');
+    });
+});
+
+describe('Coffee import', () => {
+    const now = new Date('2026-02-10T10:00:00.000Z');
+    const csv = [
+        'Coffee,Roastery,Country,Process,Roasted,Notes,Fav,Price',
+        'Kiambu,Friedhats,Kenya,Washed,14.02.2026,blackcurrant,yes,18',
+        'Gesha,Coffee Collective,Panama,Honey Process,2026-01-30,jasmine,,32',
+        ',Nobody,Nowhere,washed,2026-01-01,,,',
+        'Bad Date,Friedhats,Peru,washed,31.02.2026,,maybe,',
+        'kiambu,FRIEDHATS,Kenya,washed,2026-02-14,again,,'
+    ].join('\n');
+
+    const plan = (options = {}, mapping = {}) => {
+        const { headers, records } = readImportRecords('csv', csv);
+        return planImport(records, resolveImportMapping(headers, mapping).mapping, { now, ...options });
+    };
+
+    test('should map spreadsheet headings by name and alias', () => {
+        const { headers } = readImportRecords('csv', csv);
+        expect(resolveImportMapping(headers).mapping).toEqual({
+            Coffee: 'name',
+            Roastery: 'roaster',
+            Country: 'origin',
+            Process: 'process',
+            Roasted: 'roastDate',
+            Notes: 'tastingNotes',
+            Fav: 'favorite',
+            Price: null
+        });
+    });
+
+    test('should apply an explicit mapping and reject unknown fields', () => {
+        const { headers } = readImportRecords('csv', csv);
+        const { mapping } = resolveImportMapping(headers, { Notes: null, Price: 'customAmount' });
+        expect(mapping.Notes).toBeNull();
+        expect(mapping.Price).toBe('customAmount');
+
+        expect(resolveImportMapping(headers, { Price: 'price' }).error).toBe("Unknown coffee field 'price' for column 'Price'");
+    });
+
+    test('should report every row with its spreadsheet row number', () => {
+        const rows = plan();
+
+        expect(rows.map(r => [r.row, r.status])).toEqual([
+            [2, 'ready'], [3, 'ready'], [4, 'error'], [5, 'error'], [6, 'duplicate']
+        ]);
+        expect(rows[0].coffee).toEqual({
+            name: 'Kiambu',
+            roaster: 'Friedhats',
+            origin: 'Kenya',
+            process: 'washed',
+            roastDate: '2026-02-14',
+            tastingNotes: 'blackcurrant',
+            favorite: true,
+            addedDate: now.toISOString()
+        });
+        expect(rows[1].warnings).toEqual(["process 'Honey Process' imported as 'honey'"]);
+        expect(rows[2].errors).toEqual(['name is required']);
+        expect(rows[3].errors).toEqual([
+            'roastDate must be a date (YYYY-MM-DD or DD.MM.YYYY)',
+            'favorite must be yes or no'
+        ]);
+    });
+
+    test('should detect duplicates against the library, or import them on request', () => {
+        const existingKeys = new Set([coffeeDuplicateKey({ name: 'GESHA', roaster: 'coffee collective', roastDate: '2026-01-30' })]);
+
+        expect(plan({ existingKeys }).map(r => r.status)).toEqual(['ready', 'duplicate', 'error', 'error', 'duplicate']);
+
+        const imported = plan({ existingKeys, onDuplicate: 'import' });
+        expect(imported.map(r => r.status)).toEqual(['ready', 'ready', 'error', 'error', 'ready']);
+        expect(imported[4].warnings).toContain('duplicate imported as a new coffee');
+    });
+
+    test('should sanitize imported values', () => {
+        const { headers, records } = readImportRecords('csv', 'name,roaster\n<script>x</script>Kenya,<b>Roaster</b>');
+        const [row] = planImport(records, resolveImportMapping(headers).mapping, { now });
+        expect(row.coffee.name).toBe('xKenya');
+        expect(row.coffee.roaster).toBe('Roaster');
+    });
+
+    test('should import formula-like names exported as text unchanged', () => {
+        const csv = coffeesToCSV([{ name: '-Gesha', roaster: '=Blend', origin: "'90s Farm" }]);
+        const { headers, records } = readImportRecords('csv', csv);
+        const [row] = planImport(records, resolveImportMapping(headers).mapping, { now });
+        expect(row.coffee).toMatchObject({ name: '-Gesha', roaster: '=Blend', origin: "'90s Farm" });
+    });
+
+    test('should read JSON lists and export documents', () => {
+        const exported = { format: 'brewbuddy-coffees', coffees: [{ id: 7, name: 'Kiambu', feedback: { sour: 1 }, savedAt: 'x' }] };
+        const { headers, records } = readImportRecords('json', JSON.stringify(exported));
+        const [row] = planImport(records, resolveImportMapping(headers).mapping, { now });
+
+        expect(row.status).toBe('ready');
+        expect(row.coffee).toEqual({ name: 'Kiambu', feedback: { sour: 1 }, addedDate: now.toISOString() });
+
+        expect(readImportRecords('json', [{ name: 'A' }]).records).toHaveLength(1);
+        expect(readImportRecords('json', '{ nope').error).toBe('JSON data could not be parsed');
+        expect(readImportRecords('json', { coffee: [] }).error).toMatch(/coffees list/);
+        expect(readImportRecords('xml', '').error).toBe('format must be csv or json');
+    });
+});
@@ -0,0 +1,364 @@
+// Tests for per-coffee storage operations
+import { initDatabase, queries, closeDatabase, getDatabase } from '../db/database.js';
+import { parseCoffeeQuery, encodeCursor } from '../utils/coffeeQuery.js';
+
+describe('Single coffee operations', () => {
+    let ownerId;
+    let otherId;
+    let coffeeId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        ownerId = await queries.createUser('coffeeowner_' + suffix, 'coffee-owner-token-' + suffix);
+        otherId = await queries.createUser('coffeeother_' + suffix, 'coffee-other-token-' + suffix);
+        coffeeId = await queries.saveCoffee(ownerId, JSON.stringify({ name: 'Kenya AA', favorite: false }));
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should get a coffee only for its owner', async () => {
+        const row = await queries.getUserCoffee(ownerId, coffeeId);
+        expect(row.id).toBe(coffeeId);
+        expect(JSON.parse(row.data).name).toBe('Kenya AA');
+
+        expect(await queries.getUserCoffee(otherId, coffeeId)).toBeUndefined();
+    });
+
+    test('should update a coffee in place', async () => {
+        const updated = await queries.updateCoffee(ownerId, coffeeId, JSON.stringify({ name: 'Kenya AA', favorite: true }));
+        expect(updated).toBe(true);
+
+        const coffees = await queries.getUserCoffees(ownerId);
+        expect(coffees).toHaveLength(1);
+        expect(coffees[0].id).toBe(coffeeId);
+        expect(JSON.parse(coffees[0].data).favorite).toBe(true);
+    });
+
+    test('should not update or delete another user\'s coffee', async () => {
+        expect(await queries.updateCoffee(otherId, coffeeId, JSON.stringify({ name: 'Hijacked' }))).toBe(false);
+        expect(await queries.deleteCoffee(otherId, coffeeId)).toBe(false);
+
+        const row = await queries.getUserCoffee(ownerId, coffeeId);
+        expect(JSON.parse(row.data).name).toBe('Kenya AA');
+    });
+
+    test('should delete a single coffee', async () => {
+        const keepId = await queries.saveCoffee(ownerId, JSON.stringify({ name: 'Keeper' }));
+
+        expect(await queries.deleteCoffee(ownerId, coffeeId)).toBe(true);
+        expect(await queries.deleteCoffee(ownerId, coffeeId)).toBe(false);
+
+        const coffees = await queries.getUserCoffees(ownerId);
+        expect(coffees.map(c => c.id)).toEqual([keepId]);
+    });
+});
+
+describe('Coffee revisions and delta sync', () => {
+    let userId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('syncuser_' + suffix, 'sync-token-' + suffix);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should start new coffees at revision 1 and bump it on every update', async () => {
+        const id = await queries.saveCoffee(userId, JSON.stringify({ name: 'Rev Coffee' }));
+        const created = await queries.getUserCoffee(userId, id);
+        expect(created.revision).toBe(1);
+        expect(created.updated_at).toBeTruthy();
+
+        await queries.updateCoffee(userId, id, JSON.stringify({ name: 'Rev Coffee 2' }));
+        expect((await queries.getUserCoffee(userId, id)).revision).toBe(2);
+    });
+
+    test('should only apply conditional writes against the current revision', async () => {
+        const id = await queries.saveCoffee(userId, JSON.stringify({ name: 'Contested' }));
+
+        expect(await queries.updateCoffee(userId, id, JSON.stringify({ name: 'Device A' }), 1)).toBe(true);
+        expect(await queries.updateCoffee(userId, id, JSON.stringify({ name: 'Device B' }), 1)).toBe(false);
+        expect(await queries.deleteCoffee(userId, id, 1)).toBe(false);
+
+        const row = await queries.getUserCoffee(userId, id);
+        expect(JSON.parse(row.data).name).toBe('Device A');
+        expect(row.revision).toBe(2);
+
+        expect(await queries.deleteCoffee(userId, id, 2)).toBe(true);
+    });
+
+    test('should feed each changed coffee once, with tombstones for deletions', async () => {
+        const cursor = await queries.getCoffeeSyncCursor(userId);
+
+        const keptId = await queries.saveCoffee(userId, JSON.stringify({ name: 'Kept' }));
+        const goneId = await queries.saveCoffee(userId, JSON.stringify({ name: 'Gone' }));
+        await queries.updateCoffee(userId, keptId, JSON.stringify({ name: 'Kept, edited' }));
+        await queries.deleteCoffee(userId, goneId);
+
+        const changes = await queries.getCoffeeChanges(userId, cursor);
+        expect(changes.map(c => c.coffee_id)).toEqual([keptId, goneId]);
+
+        expect(changes[0].deleted).toBe(0);
+        expect(JSON.parse(changes[0].data).name).toBe('Kept, edited');
+        expect(changes[0].revision).toBe(2);
+
+        expect(changes[1].deleted).toBe(1);
+        expect(changes[1].data).toBeNull();
+
+        const latest = await queries.getCoffeeSyncCursor(userId);
+        expect(latest).toBe(changes[1].seq);
+        expect(await queries.getCoffeeChanges(userId, latest)).toHaveLength(0);
+    });
+
+    test('should leave tombstones when the whole library is replaced', async () => {
+        const oldId = await queries.saveCoffee(userId, JSON.stringify({ name: 'Old' }));
+        const cursor = await queries.getCoffeeSyncCursor(userId);
+
+        await queries.deleteUserCoffees(userId);
+
+        const changes = await queries.getCoffeeChanges(userId, cursor);
+        expect(changes.find(c => c.coffee_id === oldId).deleted).toBe(1);
+    });
+});
+
+describe('Coffee field columns', () => {
+    let userId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('columnuser_' + suffix, 'column-token-' + suffix);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should store known fields in columns and the rest in extras', async () => {
+        const id = await queries.saveCoffee(userId, {
+            name: 'Columned',
+            origin: 'Peru',
+            favorite: true,
+            grindOffset: '2',
+            feedback: { bitter: 1 },
+            id: 999,
+            savedAt: 'client-value'
+        });
+
+        const raw = await getDatabase().get('SELECT name, origin, favorite, grind_offset, extras, data FROM coffees WHERE id = ?', [id]);
+        expect(raw.name).toBe('Columned');
+        expect(raw.origin).toBe('Peru');
+        expect(raw.favorite).toBe(1);
+        expect(raw.grind_offset).toBe(2);
+        expect(JSON.parse(raw.extras)).toEqual({ feedback: { bitter: 1 } });
+        expect(raw.data).toBe('{}');
+    });
+
+    test('should return coffees in the original shape without unset fields', async () => {
+        const id = await queries.saveCoffee(userId, JSON.stringify({ name: 'Shape', feedback: { sour: 2 } }));
+
+        const row = await queries.getUserCoffee(userId, id);
+        expect(JSON.parse(row.data)).toEqual({ name: 'Shape', feedback: { sour: 2 } });
+        expect(row.revision).toBe(1);
+    });
+
+    test('should migrate coffees stored as a JSON blob', async () => {
+        const legacy = { name: 'Legacy Blob', process: 'natural', favorite: false, roastDate: '2026-01-15', feedback: { body: 3 } };
+        const result = await getDatabase().run(
+            'INSERT INTO coffees (user_id, data) VALUES (?, ?)',
+            [userId, JSON.stringify(legacy)]
+        );
+
+        // Re-initialize to run the migration
+        await closeDatabase();
+        await initDatabase();
+
+        const raw = await getDatabase().get('SELECT name, process, roast_date, data FROM coffees WHERE id = ?', [result.lastID]);
+        expect(raw.name).toBe('Legacy Blob');
+        expect(raw.process).toBe('natural');
+        expect(raw.roast_date).toBe('2026-01-15');
+        // The original blob stays as a backup
+        expect(JSON.parse(raw.data)).toEqual(legacy);
+
+        const row = await queries.getUserCoffee(userId, result.lastID);
+        expect(JSON.parse(row.data)).toEqual(legacy);
+    });
+
+    test('should keep non-text values of text fields unchanged through the migration', async () => {
+        const legacy = { name: 'Numeric Temp', customTemp: 93, initialTemp: true };
+        const result = await getDatabase().run(
+            'INSERT INTO coffees (user_id, data) VALUES (?, ?)',
+            [userId, JSON.stringify(legacy)]
+        );
+
+        await closeDatabase();
+        await initDatabase();
+
+        const raw = await getDatabase().get('SELECT custom_temp, initial_temp, extras FROM coffees WHERE id = ?', [result.lastID]);
+        expect(raw.custom_temp).toBeNull();
+        expect(raw.initial_temp).toBeNull();
+        expect(JSON.parse(raw.extras)).toEqual({ customTemp: 93, initialTemp: true });
+
+        const row = await queries.getUserCoffee(userId, result.lastID);
+        expect(JSON.parse(row.data)).toEqual(legacy);
+    });
+
+    test('should parse boolean strings and keep values that do not convert', async () => {
+        const id = await queries.saveCoffee(userId, {
+            name: 'Odd Values',
+            favorite: 'false',
+            deleted: 'maybe',
+            grindOffset: 'fine',
+            customAmount: '',
+            roaster: { name: 'Nested' }
+        });
+
+        const raw = await getDatabase().get('SELECT favorite, deleted, grind_offset, custom_amount, roaster FROM coffees WHERE id = ?', [id]);
+        expect(raw).toEqual({ favorite: 0, deleted: null, grind_offset: null, custom_amount: null, roaster: null });
+
+        const row = await queries.getUserCoffee(userId, id);
+        expect(JSON.parse(row.data)).toEqual({
+            name: 'Odd Values',
+            favorite: false,
+            deleted: 'maybe',
+            grindOffset: 'fine',
+            customAmount: '',
+            roaster: { name: 'Nested' }
+        });
+    });
+});
+
+describe('Coffee search and pagination', () => {
+    let userId;
+    const suffix = Date.now();
+    const search = async (query) => {
+        const { options, error } = parseCoffeeQuery(query);
+        expect(error).toBeUndefined();
+        return queries.searchUserCoffees(userId, options);
+    };
+    const names = (result) => result.coffees.map(c => JSON.parse(c.data).name);
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('searchuser_' + suffix, 'search-token-' + suffix);
+        await queries.saveCoffee(userId, { name: 'Gesha Village', roaster: 'Coffee Collective', origin: 'Ethiopia, Bench Maji', process: 'natural', roastDate: '2026-03-01', tastingNotes: 'jasmine, bergamot', favorite: true });
+        await queries.saveCoffee(userId, { name: 'El Paraiso', roaster: 'Friedhats', origin: 'Colombia, Cauca', process: 'anaerobic', roastDate: '2026-03-10', tastingNotes: 'strawberry, 100%_fruit' });
+        await queries.saveCoffee(userId, { name: 'Kiambu', roaster: 'coffee collective', origin: 'Kenya', process: 'washed', roastDate: '2026-02-20', tastingNotes: 'blackcurrant' });
+        await queries.saveCoffee(userId, { name: 'Old Bag', roaster: 'Friedhats', origin: 'Ethiopia', process: 'washed', deleted: true });
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should return all coffees newest first, composted ones only on request', async () => {
+        const result = await search({ deleted: 'all' });
+        expect(names(result)).toEqual(['Old Bag', 'Kiambu', 'El Paraiso', 'Gesha Village']);
+        expect(result.total).toBe(4);
+        expect(result.hasMore).toBe(false);
+
+        expect(names(await search({}))).toEqual(['Kiambu', 'El Paraiso', 'Gesha Village']);
+    });
+
+    test('should search name, roaster and tasting notes case-insensitively', async () => {
+        expect(names(await search({ q: 'gesha' }))).toEqual(['Gesha Village']);
+        expect(names(await search({ q: 'COLLECTIVE' }))).toEqual(['Kiambu', 'Gesha Village']);
+        expect(names(await search({ q: 'friedhats', deleted: 'all' }))).toEqual(['Old Bag', 'El Paraiso']);
+        expect(names(await search({ q: 'bergamot' }))).toEqual(['Gesha Village']);
+        expect(names(await search({ q: '100%_' }))).toEqual(['El Paraiso']);
+        expect(names(await search({ q: '%' }))).toEqual(['El Paraiso']);
+    });
+
+    test('should combine filters', async () => {
+        expect(names(await search({ origin: 'ethiopia', deleted: 'all' }))).toEqual(['Old Bag', 'Gesha Village']);
+        expect(names(await search({ origin: 'ethiopia', deleted: 'false' }))).toEqual(['Gesha Village']);
+        expect(names(await search({ deleted: 'true' }))).toEqual(['Old Bag']);
+        expect(names(await search({ roaster: 'Coffee Collective', process: 'Washed' }))).toEqual(['Kiambu']);
+        expect(names(await search({ favorite: 'true' }))).toEqual(['Gesha Village']);
+        expect((await search({ favorite: 'false', deleted: 'all' })).total).toBe(3);
+        expect(names(await search({ roastDateFrom: '2026-02-25', roastDateTo: '2026-03-05' }))).toEqual(['Gesha Village']);
+    });
+
+    test('should sort by a field in both directions', async () => {
+        expect(names(await search({ sort: 'name', deleted: 'false' }))).toEqual(['El Paraiso', 'Gesha Village', 'Kiambu']);
+        expect(names(await search({ sort: 'roastDate', order: 'desc', deleted: 'false' }))).toEqual(['El Paraiso', 'Gesha Village', 'Kiambu']);
+    });
+
+    test('should page through results with a cursor and a total count', async () => {
+        const seen = [];
+        let after;
+        let pages = 0;
+
+        do {
+            const { options } = parseCoffeeQuery({ sort: 'roaster', limit: '3', deleted: 'all', ...(after && { after }) });
+            const result = await queries.searchUserCoffees(userId, options);
+            expect(result.total).toBe(4);
+            seen.push(...names(result));
+            after = result.hasMore ? encodeCursor(result.last.value, result.last.id) : null;
+            pages++;
+        } while (after);
+
+        expect(pages).toBe(2);
+        expect(seen).toHaveLength(4);
+        expect(new Set(seen).size).toBe(4);
+        expect(seen.slice(0, 2).sort()).toEqual(['Gesha Village', 'Kiambu']);
+    });
+
+    test('should page by update time when updates are less than a millisecond apart', async () => {
+        const pagerId = await queries.createUser('pageruser_' + suffix, 'pager-token-' + suffix);
+        for (const [name, updatedAt] of [['First', '2026-03-01 08:00:00.000100'], ['Second', '2026-03-01 08:00:00.000200'], ['Third', '2026-03-01 08:00:00.000300']]) {
+            const id = await queries.saveCoffee(pagerId, { name });
+            await getDatabase().run('UPDATE coffees SET updated_at = ? WHERE id = ?', [updatedAt, id]);
+        }
+
+        const seen = [];
+        let after;
+        do {
+            const { options } = parseCoffeeQuery({ sort: 'updatedAt', order: 'desc', limit: '1', ...(after && { after }) });
+            const result = await queries.searchUserCoffees(pagerId, options);
+            seen.push(...names(result));
+            after = result.hasMore ? encodeCursor(result.last.value, result.last.id) : null;
+        } while (after && seen.length < 5);
+
+        expect(seen).toEqual(['Third', 'Second', 'First']);
+    });
+
+    test('should reject invalid parameters', () => {
+        expect(parseCoffeeQuery({ sort: 'data' }).error).toMatch(/sort must be one of/);
+        expect(parseCoffeeQuery({ order: 'sideways' }).error).toBe('order must be asc or desc');
+        expect(parseCoffeeQuery({ favorite: 'maybe' }).error).toBe('favorite must be true or false');
+        expect(parseCoffeeQuery({ roastDateFrom: '03/01/2026' }).error).toMatch(/YYYY-MM-DD/);
+        expect(parseCoffeeQuery({ limit: '0' }).error).toBe('limit must be a positive integer');
+        expect(parseCoffeeQuery({ after: 'not-a-cursor' }).error).toBe('Invalid page cursor');
+        expect(parseCoffeeQuery({ limit: '5000' }).options.limit).toBe(200);
+    });
+
+    test('should reject repeated and nested parameters', () => {
+        expect(parseCoffeeQuery({ order: ['asc', 'desc'] }).error).toBe('order must be a single value');
+        expect(parseCoffeeQuery({ sort: ['name'] }).error).toBe('sort must be a single value');
+        expect(parseCoffeeQuery({ q: { $gt: '' } }).error).toBe('q must be a single value');
+        expect(parseCoffeeQuery({ q: 'kenya', limit: undefined }).error).toBeUndefined();
+    });
+});
@@ -0,0 +1,121 @@
+// Tests for the compost bin (soft delete, restore, retention purge)
+import { initDatabase, queries, closeDatabase, getDatabase } from '../db/database.js';
+import { purgeCompost } from '../middleware/compost.js';
+import { getPurgeDate, parseTimestamp, resolveCompostRetention } from '../utils/compost.js';
+
+describe('Compost retention helpers', () => {
+    const originalDays = process.env.COMPOST_RETENTION_DAYS;
+
+    afterEach(() => {
+        if (originalDays === undefined) {
+            delete process.env.COMPOST_RETENTION_DAYS;
+        } else {
+            process.env.COMPOST_RETENTION_DAYS = originalDays;
+        }
+    });
+
+    test('should fall back to the server default retention', () => {
+        delete process.env.COMPOST_RETENTION_DAYS;
+        expect(resolveCompostRetention(null)).toBe(30);
+        expect(resolveCompostRetention(7)).toBe(7);
+
+        process.env.COMPOST_RETENTION_DAYS = '14';
+        expect(resolveCompostRetention(null)).toBe(14);
+    });
+
+    test('should read SQLite timestamps as UTC', () => {
+        expect(parseTimestamp('2026-02-06 10:00:00').toISOString()).toBe('2026-02-06T10:00:00.000Z');
+        expect(parseTimestamp('2026-02-06T10:00:00.000Z').toISOString()).toBe('2026-02-06T10:00:00.000Z');
+        expect(parseTimestamp('yesterday')).toBeNull();
+        expect(parseTimestamp(null)).toBeNull();
+    });
+
+    test('should count from deletedAt, or the last update without one', () => {
+        expect(getPurgeDate({ deletedAt: '2026-02-01T00:00:00.000Z' }, 10).toISOString()).toBe('2026-02-11T00:00:00.000Z');
+        expect(getPurgeDate({ deleted_at: 'garbage', updated_at: '2026-02-01 00:00:00' }, 1).toISOString()).toBe('2026-02-02T00:00:00.000Z');
+        expect(getPurgeDate({}, 10)).toBeNull();
+    });
+});
+
+describe('Compost bin', () => {
+    let userId;
+    let shortRetentionUserId;
+    const suffix = Date.now();
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const setDeletedAt = (id, value) => getDatabase().run('UPDATE coffees SET deleted_at = ? WHERE id = ?', [value, id]);
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        delete process.env.COMPOST_RETENTION_DAYS;
+        await initDatabase();
+
+        userId = await queries.createUser('compostuser_' + suffix, 'compost-token-' + suffix);
+        shortRetentionUserId = await queries.createUser('compostshort_' + suffix, 'compost-short-token-' + suffix);
+        await queries.updateCompostRetention(shortRetentionUserId, 3);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should compost and restore a coffee as new revisions', async () => {
+        const id = await queries.saveCoffee(userId, { name: 'Sidamo' });
+
+        expect(await queries.setCoffeeComposted(userId, id, true)).toBe(true);
+        let coffee = JSON.parse((await queries.getUserCoffee(userId, id)).data);
+        expect(coffee.deleted).toBe(true);
+        expect(parseTimestamp(coffee.deletedAt)).not.toBeNull();
+
+        expect(await queries.setCoffeeComposted(userId, id, false, 1)).toBe(false);
+        expect(await queries.setCoffeeComposted(userId, id, false, 2)).toBe(true);
+
+        const row = await queries.getUserCoffee(userId, id);
+        coffee = JSON.parse(row.data);
+        expect(coffee.deleted).toBe(false);
+        expect(coffee.deletedAt).toBeUndefined();
+        expect(row.revision).toBe(3);
+    });
+
+    test('should store the retention per account', async () => {
+        expect(await queries.getCompostRetention(userId)).toBeNull();
+        expect(await queries.getCompostRetention(shortRetentionUserId)).toBe(3);
+    });
+
+    test('should purge only coffees past their owner\'s retention', async () => {
+        const expired = await queries.saveCoffee(userId, { name: 'Expired' });
+        const recent = await queries.saveCoffee(userId, { name: 'Recent' });
+        const shortExpired = await queries.saveCoffee(shortRetentionUserId, { name: 'Short Expired' });
+        const active = await queries.saveCoffee(userId, { name: 'Active' });
+
+        for (const [owner, id] of [[userId, expired], [userId, recent], [shortRetentionUserId, shortExpired]]) {
+            await queries.setCoffeeComposted(owner, id, true);
+        }
+        await setDeletedAt(expired, daysAgo(31));
+        await setDeletedAt(recent, daysAgo(5));
+        await setDeletedAt(shortExpired, daysAgo(5));
+
+        expect(await purgeCompost()).toBeGreaterThanOrEqual(2);
+
+        expect(await queries.getUserCoffee(userId, expired)).toBeUndefined();
+        expect(await queries.getUserCoffee(shortRetentionUserId, shortExpired)).toBeUndefined();
+        expect(await queries.getUserCoffee(userId, recent)).toBeDefined();
+        expect(await queries.getUserCoffee(userId, active)).toBeDefined();
+
+        const changes = await queries.getCoffeeChanges(userId, 0, 1000);
+        expect(changes.find(c => c.coffee_id === expired).deleted).toBe(1);
+    });
+
+    test('should keep a coffee restored after it was read for purging', async () => {
+        const id = await queries.saveCoffee(userId, { name: 'Rescued' });
+        await queries.setCoffeeComposted(userId, id, true);
+        await setDeletedAt(id, daysAgo(40));
+
+        const [stale] = (await queries.getCompostedCoffees()).filter(c => c.id === id);
+        await queries.setCoffeeComposted(userId, id, false);
+
+        expect(await queries.deleteCoffee(userId, id, stale.revision)).toBe(false);
+        expect(await queries.getUserCoffee(userId, id)).toBeDefined();
+    });
+});
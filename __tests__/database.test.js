@@ -1,7 +1,8 @@
 // Unit Tests for BrewBuddy Database Module
 // Run with: npm test
 
-import { initDatabase, queries, closeDatabase, getDatabaseType } from '../db/database.js';
+import { initDatabase, queries, closeDatabase, getDatabase, getDatabaseType } from '../db/database.js';
+import { hashToken } from '../utils/tokens.js';
 
 describe('Database Module', () => {
     beforeAll(async () => {
@@ -41,6 +42,33 @@ describe('Database Module', () => {
             expect(user.username).toBe(testUser.username);
         });
 
+        test('should store tokens as hashes', async () => {
+            const row = await getDatabase().get(
+                'SELECT token FROM users WHERE username = ?',
+                [testUser.username]
+            );
+            expect(row.token).toBe(hashToken(testUser.token));
+        });
+
+        test('should migrate legacy plaintext tokens on first use', async () => {
+            const legacyToken = 'legacy-plaintext-' + Date.now();
+            const userId = await queries.createUser('plaintextuser_' + Date.now(), 'placeholder-' + Date.now());
+            await getDatabase().run('UPDATE users SET token = ? WHERE id = ?', [legacyToken, userId]);
+
+            const user = await queries.getUserByToken(legacyToken);
+            expect(user.id).toBe(userId);
+            expect(user.token).toBeUndefined();
+
+            const row = await getDatabase().get('SELECT token FROM users WHERE id = ?', [userId]);
+            expect(row.token).toBe(hashToken(legacyToken));
+            expect((await queries.getUserByToken(legacyToken)).id).toBe(userId);
+        });
+
+        test('should not accept the stored hash as a token', async () => {
+            const user = await queries.getUserByToken(hashToken(testUser.token));
+            expect(user).toBeNull();
+        });
+
         test('should check if username exists', async () => {
             const exists = await queries.usernameExists(testUser.username);
             expect(exists).toBe(true);
@@ -60,6 +88,12 @@ describe('Database Module', () => {
             expect(existsLower).toBe(true);
             expect(existsUpper).toBe(true);
         });
+
+        test('should reject usernames differing only in case', async () => {
+            await expect(
+                queries.createUser(testUser.username.toUpperCase(), 'case-token-' + Date.now())
+            ).rejects.toThrow();
+        });
     });
 
     describe('Coffee Operations', () => {
@@ -94,4 +128,22 @@ describe('Database Module', () => {
             expect(coffees.length).toBe(0);
         });
     });
+
+    describe('Account Deletion', () => {
+        test('should delete the user and cascade to all their data', async () => {
+            const deviceId = 'delete-device-' + Date.now();
+            const userId = await queries.createUser('deleteuser_' + Date.now(), 'delete-token-' + Date.now(), deviceId, '{}');
+            await queries.saveCoffee(userId, JSON.stringify({ name: 'Doomed Coffee' }));
+
+            expect(await queries.deleteUser(userId)).toBe(true);
+
+            expect(await queries.getUserDetail(userId)).toBeUndefined();
+            expect((await queries.getUserCoffees(userId)).length).toBe(0);
+            expect((await queries.getAllUserDevices(userId)).length).toBe(0);
+        });
+
+        test('should report missing users', async () => {
+            expect(await queries.deleteUser(999999999)).toBe(false);
+        });
+    });
 });
@@ -0,0 +1,128 @@
+// Tests for multi-device accounts
+import { initDatabase, queries, closeDatabase, getDatabase } from '../db/database.js';
+import { resolveDeviceBinding } from '../middleware/auth.js';
+
+describe('Multi-Device Accounts', () => {
+    const mockReq = { headers: { 'user-agent': 'Mozilla/5.0 (iPhone) Mobile' } };
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        process.env.MAX_DEVICES_PER_USER = '2';
+        await initDatabase();
+    });
+
+    afterAll(async () => {
+        delete process.env.MAX_DEVICES_PER_USER;
+        await closeDatabase();
+    });
+
+    describe('Device Queries', () => {
+        let userId;
+        const deviceId = 'device-queries-' + Date.now();
+
+        beforeAll(async () => {
+            userId = await queries.createUser('deviceuser_' + Date.now(), 'device-token-' + Date.now(), deviceId, '{}');
+        });
+
+        test('should bind the registering device', async () => {
+            const devices = await queries.getUserDevices(userId);
+            expect(devices.length).toBe(1);
+            expect(devices[0].device_id).toBe(deviceId);
+            expect(await queries.deviceExists(deviceId)).toBe(true);
+        });
+
+        test('should add and count additional devices', async () => {
+            await queries.addDevice(userId, deviceId + '-laptop', '{}', 'Laptop');
+            expect(await queries.countActiveDevices(userId)).toBe(2);
+        });
+
+        test('should rename a device', async () => {
+            const device = await queries.getUserDevice(userId, deviceId + '-laptop');
+            expect(await queries.renameDevice(userId, device.id, 'Work Laptop')).toBe(true);
+            const renamed = await queries.getUserDevice(userId, deviceId + '-laptop');
+            expect(renamed.name).toBe('Work Laptop');
+        });
+
+        test('should revoke a device', async () => {
+            const device = await queries.getUserDevice(userId, deviceId + '-laptop');
+            expect(await queries.revokeDevice(userId, device.id)).toBe(true);
+            expect(await queries.countActiveDevices(userId)).toBe(1);
+            expect(await queries.deviceExists(deviceId + '-laptop')).toBe(false);
+        });
+
+        test('should not revoke devices of other users', async () => {
+            const device = await queries.getUserDevice(userId, deviceId);
+            expect(await queries.revokeDevice(userId + 1000, device.id)).toBe(false);
+        });
+    });
+
+    describe('Device Binding', () => {
+        let user;
+        const deviceId = 'device-binding-' + Date.now();
+
+        beforeAll(async () => {
+            const id = await queries.createUser('bindinguser_' + Date.now(), 'binding-token-' + Date.now());
+            user = { id, username: 'bindinguser' };
+        });
+
+        test('should bind new devices up to the limit', async () => {
+            const first = await resolveDeviceBinding(mockReq, user, deviceId + '-a');
+            const second = await resolveDeviceBinding(mockReq, user, deviceId + '-b');
+            expect(first.device.device_id).toBe(deviceId + '-a');
+            expect(second.device.device_id).toBe(deviceId + '-b');
+        });
+
+        test('should accept known devices', async () => {
+            const again = await resolveDeviceBinding(mockReq, user, deviceId + '-a');
+            expect(again.error).toBeUndefined();
+        });
+
+        test('should reject devices beyond the limit', async () => {
+            const third = await resolveDeviceBinding(mockReq, user, deviceId + '-c');
+            expect(third.status).toBe(403);
+            expect(third.error).toMatch(/Device limit reached/);
+        });
+
+        test('should not exceed the limit with parallel first requests', async () => {
+            const id = await queries.createUser('parallelbind_' + Date.now(), 'parallel-token-' + Date.now());
+            const parallelUser = { id, username: 'parallelbind' };
+
+            const results = await Promise.all(
+                ['-p', '-q', '-r', '-p'].map(suffix => resolveDeviceBinding(mockReq, parallelUser, deviceId + suffix))
+            );
+
+            expect(await queries.countActiveDevices(id)).toBe(2);
+            expect(results.filter(result => result.device)).toHaveLength(3);
+            expect(results[0].device.id).toBe(results[3].device.id);
+        });
+
+        test('should reject revoked devices', async () => {
+            const device = await queries.getUserDevice(user.id, deviceId + '-b');
+            await queries.revokeDevice(user.id, device.id);
+            const result = await resolveDeviceBinding(mockReq, user, deviceId + '-b');
+            expect(result.status).toBe(403);
+            expect(result.error).toMatch(/revoked/);
+        });
+    });
+
+    describe('Legacy Binding Migration', () => {
+        test('should migrate users.device_id into the devices table', async () => {
+            const legacyDevice = 'legacy-device-' + Date.now();
+            const userId = await queries.createUser('legacyuser_' + Date.now(), 'legacy-token-' + Date.now());
+            await getDatabase().run(
+                'UPDATE users SET device_id = ? WHERE id = ?',
+                [legacyDevice, userId]
+            );
+
+            // Re-initialize to run the migration
+            await closeDatabase();
+            await initDatabase();
+
+            const device = await queries.getUserDevice(userId, legacyDevice);
+            expect(device).toBeDefined();
+            expect(device.device_id).toBe(legacyDevice);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+// Tests for roast freshness windows
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import {
+    getFreshness,
+    getFreshnessWindow,
+    getPeakOutlook,
+    getProcessGroup,
+    resolveFreshnessSettings,
+    validateFreshnessSettings
+} from '../utils/freshness.js';
+
+describe('Freshness windows', () => {
+    const defaults = resolveFreshnessSettings(null);
+    const today = new Date('2026-03-01T18:00:00.000Z');
+
+    test('should shift the method window by process group', () => {
+        expect(getFreshnessWindow(defaults, 'filter', 'washed')).toEqual({ restDays: 5, peakDays: 21, staleDays: 45 });
+        expect(getFreshnessWindow(defaults, 'filter', 'natural')).toEqual({ restDays: 7, peakDays: 26, staleDays: 55 });
+        expect(getFreshnessWindow(defaults, 'espresso', 'anaerobic natural')).toEqual({ restDays: 13, peakDays: 37, staleDays: 74 });
+        expect(getProcessGroup('pulped natural')).toBe('honey');
+        expect(getProcessGroup(undefined)).toBe('washed');
+    });
+
+    test('should derive days off roast and the state', () => {
+        const at = (roastDate) => getFreshness({ roastDate, process: 'washed' }, defaults, { today });
+
+        expect(at('2026-02-27')).toMatchObject({ daysOffRoast: 2, state: 'resting', daysUntilPeak: 3, peakDaysLeft: 0 });
+        expect(at('2026-02-24')).toMatchObject({ daysOffRoast: 5, state: 'peak', peakDaysLeft: 16 });
+        expect(at('2026-02-09')).toMatchObject({ daysOffRoast: 20, state: 'peak', peakDaysLeft: 1 });
+        expect(at('2026-02-08')).toMatchObject({ daysOffRoast: 21, state: 'fading' });
+        expect(at('2026-01-01')).toMatchObject({ daysOffRoast: 59, state: 'stale' });
+        expect(at('2026-02-24')).toMatchObject({ method: 'filter', peakFrom: '2026-03-01', peakUntil: '2026-03-16' });
+    });
+
+    test('should use the method asked for, or the user default', () => {
+        const espressoUser = resolveFreshnessSettings({ defaultMethod: 'espresso' });
+        const coffee = { roastDate: '2026-02-22' };
+
+        expect(getFreshness(coffee, defaults, { today }).state).toBe('peak');
+        expect(getFreshness(coffee, defaults, { today, method: 'espresso' }).state).toBe('resting');
+        expect(getFreshness(coffee, espressoUser, { today }).method).toBe('espresso');
+        expect(getFreshness(coffee, espressoUser, { today, method: 'moka' }).method).toBe('espresso');
+    });
+
+    test('should skip coffees without a roast date', () => {
+        expect(getFreshness({}, defaults, { today })).toBeNull();
+        expect(getFreshness({ roastDate: 'last week' }, defaults, { today })).toBeNull();
+    });
+
+    test('should list coffees entering and leaving their peak', () => {
+        const coffees = [
+            { name: 'Resting', roastDate: '2026-02-27' },
+            { name: 'Fresh Peak', roastDate: '2026-02-24' },
+            { name: 'Ending Peak', roastDate: '2026-02-12' },
+            { name: 'Stale', roastDate: '2025-12-01' },
+            { name: 'Unknown' }
+        ].map(coffee => ({ ...coffee, freshness: getFreshness(coffee, defaults, { today }) }));
+
+        const outlook = getPeakOutlook(coffees, 5);
+        expect(outlook.brewNow.map(c => c.name)).toEqual(['Ending Peak', 'Fresh Peak']);
+        expect(outlook.enteringPeak.map(c => c.name)).toEqual(['Resting']);
+        expect(outlook.leavingPeak.map(c => c.name)).toEqual(['Ending Peak']);
+
+        expect(getPeakOutlook(coffees, 1).enteringPeak).toEqual([]);
+    });
+});
+
+describe('Freshness settings', () => {
+    let userId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('freshuser_' + suffix, 'fresh-token-' + suffix);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should validate overrides', () => {
+        expect(validateFreshnessSettings({ methods: { espresso: { restDays: 14 } }, processes: { natural: { peakDays: -2 } } }).settings)
+            .toEqual({ methods: { espresso: { restDays: 14 } }, processes: { natural: { peakDays: -2 } } });
+
+        expect(validateFreshnessSettings({ defaultMethod: 'moka' }).error).toBe('defaultMethod must be one of: filter, espresso');
+        expect(validateFreshnessSettings({ methods: { filter: { restDays: 30 } } }).error).toBe('methods.filter must satisfy restDays < peakDays < staleDays');
+        expect(validateFreshnessSettings({ methods: { filter: { restDays: 1.5 } } }).error).toMatch(/whole number/);
+        expect(validateFreshnessSettings({ processes: { fermented: {} } }).error).toMatch(/Unknown process group 'fermented'/);
+        expect(validateFreshnessSettings([]).error).toBe('Freshness settings must be an object');
+    });
+
+    test('should store overrides per account and merge them with the defaults', async () => {
+        expect(await queries.getFreshnessSettings(userId)).toBeNull();
+
+        await queries.updateFreshnessSettings(userId, { defaultMethod: 'espresso', methods: { espresso: { restDays: 14 } } });
+        const resolved = resolveFreshnessSettings(await queries.getFreshnessSettings(userId));
+
+        expect(resolved.defaultMethod).toBe('espresso');
+        expect(resolved.methods.espresso).toEqual({ restDays: 14, peakDays: 30, staleDays: 60 });
+        expect(resolved.methods.filter).toEqual({ restDays: 5, peakDays: 21, staleDays: 45 });
+
+        await queries.updateFreshnessSettings(userId, null);
+        expect(await queries.getFreshnessSettings(userId)).toBeNull();
+    });
+});
@@ -0,0 +1,258 @@
+// Tests for the grinder catalog
+import express from 'express';
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import { issueSession } from '../middleware/auth.js';
+import grinderRoutes from '../routes/grinder.js';
+import { 
+    convertCoffeeGrind, convertGrindOffset, convertGrindSetting, formatGrindStep, getBuiltinGrinder, 
+    getStepCount, micronsToGrindSetting, parseGrindSetting, validateGrinderDefinition 
+} from '../utils/grinders.js';
+
+describe('Grinder scales', () => {
+    const fellow = getBuiltinGrinder('fellow');
+    const comandante = getBuiltinGrinder('comandante');
+
+    test('should label the Ode positions, clicks and rotations', () => {
+        expect(formatGrindStep(fellow, 9)).toBe('4');
+        expect(formatGrindStep(fellow, 10)).toBe('4.1');
+        expect(formatGrindStep(fellow, 11)).toBe('4.2');
+        expect(formatGrindStep(comandante, 24)).toBe('24 clicks');
+        expect(formatGrindStep(getBuiltinGrinder('1zpresso-jx-pro'), 52)).toBe('1 rotation + 12 clicks');
+        expect(formatGrindStep({ scale: 'numbers', min: 1, max: 10, step: 0.5 }, 5)).toBe('3.5');
+    });
+
+    test('should count the steps of a dial', () => {
+        expect(getStepCount(fellow)).toBe(30);
+        expect(getStepCount(comandante)).toBe(40);
+    });
+
+    test('should pick the nearest step and apply offsets within the dial', () => {
+        expect(micronsToGrindSetting(fellow, 700)).toEqual({ step: 10, setting: '4.1', microns: 700 });
+        expect(micronsToGrindSetting(comandante, 700)).toEqual({ step: 23, setting: '23 clicks', microns: 690 });
+        expect(micronsToGrindSetting(getBuiltinGrinder('timemore'), 700, -2).step).toBe(16);
+        expect(micronsToGrindSetting(comandante, 5000).step).toBe(40);
+        expect(micronsToGrindSetting(fellow, 0).setting).toBe('1');
+    });
+
+    test('should fall back to the default grinder for unknown keys', () => {
+        expect(getBuiltinGrinder('unknown').key).toBe('fellow');
+    });
+});
+
+describe('Grind conversion', () => {
+    const fellow = getBuiltinGrinder('fellow');
+    const comandante = getBuiltinGrinder('comandante');
+    const jx = getBuiltinGrinder('1zpresso-jx-pro');
+
+    test('should read settings as labels or values', () => {
+        expect(parseGrindSetting(fellow, '4.1')).toEqual({ step: 10 });
+        expect(parseGrindSetting(fellow, 4.2)).toEqual({ step: 11 });
+        expect(parseGrindSetting(comandante, '24 clicks')).toEqual({ step: 24 });
+        expect(parseGrindSetting(comandante, '24')).toEqual({ step: 24 });
+        expect(parseGrindSetting(jx, '1 rotation + 12 clicks')).toEqual({ step: 52 });
+        expect(parseGrindSetting(fellow, '4.3').error).toBe('setting is not a Fellow Ode Gen 2 setting');
+        expect(parseGrindSetting(fellow, 'medium').error).toBe('setting is not a Fellow Ode Gen 2 setting');
+        expect(parseGrindSetting(comandante, 55).error).toBe('setting is outside the range of the Comandante C40 MK3');
+    });
+
+    test('should translate a setting through the micron scale', () => {
+        expect(convertGrindSetting(comandante, fellow, '24 clicks')).toEqual({
+            from: { grinder: 'comandante', setting: '24 clicks', step: 24, microns: 720 },
+            to: { grinder: 'fellow', setting: '4.1', step: 10, microns: 700 },
+            outOfRange: false
+        });
+        expect(convertGrindSetting(fellow, jx, '4.2').to.setting).toBe('1 rotation + 20 clicks');
+    });
+
+    test('should flag settings the other grinder cannot reach', () => {
+        const converted = convertGrindSetting(comandante, fellow, '2 clicks');
+        expect(converted.to.setting).toBe('1');
+        expect(converted.outOfRange).toBe(true);
+    });
+
+    test('should scale offsets by the size of a dial position', () => {
+        expect(convertGrindOffset(comandante, fellow, 3)).toBe(2);
+        expect(convertGrindOffset(fellow, comandante, -2)).toBe(-3);
+    });
+
+    test('should convert the grind fields of a stored coffee', () => {
+        expect(convertCoffeeGrind({ initialGrind: '24 clicks', grindOffset: 2 }, comandante, fellow))
+            .toEqual({ changes: { initialGrind: '4.1', grindOffset: 1 }, unparsed: false });
+        expect(convertCoffeeGrind({ initialGrind: 'medium' }, comandante, fellow))
+            .toEqual({ changes: {}, unparsed: true });
+        expect(convertCoffeeGrind({ name: 'No grind' }, comandante, fellow)).toBeNull();
+    });
+
+    test('should convert the per-method grind offsets of a coffee', () => {
+        const coffee = { methods: { espresso: { grindOffset: 4, customAmount: 18 }, chemex: { customAmount: 30 } } };
+
+        expect(convertCoffeeGrind(coffee, comandante, fellow)).toEqual({ 
+            changes: { methods: { espresso: { grindOffset: 3, customAmount: 18 }, chemex: { customAmount: 30 } } }, 
+            unparsed: false 
+        });
+        expect(convertCoffeeGrind({ methods: { espresso: { grindOffset: 1 } } }, comandante, comandante))
+            .toEqual({ changes: {}, unparsed: false });
+    });
+});
+
+describe('Grinder validation', () => {
+    const valid = { name: 'Kinu M47', scale: 'numbers', min: 0, max: 6, step: 0.02, micronsAtMin: 0, micronsPerStep: 5 };
+
+    test('should accept a grinder with a decimal dial', () => {
+        const { grinder, error } = validateGrinderDefinition({ ...valid, name: ' <b>Kinu</b> M47 ' });
+
+        expect(error).toBeUndefined();
+        expect(grinder).toMatchObject({ name: 'Kinu M47', scale: 'numbers', step: 0.02, subdivisions: null });
+        expect(getStepCount(grinder)).toBe(300);
+        expect(formatGrindStep(grinder, 140)).toBe('2.80');
+    });
+
+    test('should derive the step from marks between numbers', () => {
+        const { grinder } = validateGrinderDefinition({ ...valid, min: 1, max: 11, step: 7, subdivisions: 3 });
+
+        expect(grinder.step).toBeCloseTo(1 / 3);
+        expect(formatGrindStep(grinder, 10)).toBe('4.1');
+        expect(validateGrinderDefinition({ ...valid, subdivisions: 50 }).error).toBe('subdivisions must be a whole number between 2 and 10');
+    });
+
+    test('should count rotations in single clicks', () => {
+        const { grinder } = validateGrinderDefinition({ name: 'K-Ultra', scale: 'rotations', min: 0, max: 300, subdivisions: 100, micronsAtMin: 0, micronsPerStep: 22 });
+        expect(grinder.step).toBe(1);
+        expect(validateGrinderDefinition({ name: 'K-Ultra', scale: 'rotations', min: 0, max: 300, micronsAtMin: 0, micronsPerStep: 22 }).error)
+            .toBe('rotations need subdivisions (clicks per rotation)');
+    });
+
+    test('should reject broken definitions', () => {
+        expect(validateGrinderDefinition({ ...valid, name: '' }).error).toBe('name required (max 50 characters)');
+        expect(validateGrinderDefinition({ ...valid, scale: 'dial' }).error).toMatch(/^scale must be one of/);
+        expect(validateGrinderDefinition({ ...valid, max: 0 }).error).toBe('max must be above min');
+        expect(validateGrinderDefinition({ ...valid, micronsPerStep: 0 }).error).toBe('micronsPerStep must be above 0 and at most 500');
+        expect(validateGrinderDefinition({ ...valid, micronsAtMin: 'fine' }).error).toBe('micronsAtMin must be a number');
+        expect(validateGrinderDefinition({ name: 'Odd', scale: 'clicks', min: 0, max: 10, step: 3, micronsAtMin: 0, micronsPerStep: 30 }).error)
+            .toMatch(/^max - min must be a whole number of steps/);
+        expect(validateGrinderDefinition(null).error).toBe('Grinder data required');
+    });
+});
+
+describe('Grinder catalog storage', () => {
+    let userId;
+    let otherId;
+    const suffix = Date.now();
+    const custom = { name: 'My Flat Burr', scale: 'clicks', min: 0, max: 60, step: 1, subdivisions: null, micronsAtMin: 100, micronsPerStep: 15 };
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('grinduser_' + suffix, 'grind-token-' + suffix);
+        otherId = await queries.createUser('grindother_' + suffix, 'grind-other-token-' + suffix);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should seed the built-in grinders', async () => {
+        const grinders = await queries.getGrinders(userId);
+        const keys = grinders.map(grinder => grinder.key);
+
+        expect(keys).toEqual(expect.arrayContaining(['fellow', 'comandante', 'timemore']));
+        expect(grinders.every(grinder => !grinder.custom)).toBe(true);
+        expect(await queries.getGrinder(userId, 'fellow')).toMatchObject({ scale: 'numbers', subdivisions: 3, micronsAtMin: 250 });
+    });
+
+    test('should keep custom grinders to their owner', async () => {
+        const created = await queries.createGrinder(userId, { ...custom, key: 'custom-test-' + suffix });
+
+        expect(created).toMatchObject({ key: 'custom-test-' + suffix, name: 'My Flat Burr', custom: true });
+        expect((await queries.getGrinders(userId)).pop().key).toBe('custom-test-' + suffix);
+        expect(await queries.getGrinder(otherId, 'custom-test-' + suffix)).toBeNull();
+        expect(await queries.countUserGrinders(userId)).toBe(1);
+    });
+
+    test('should not take a key twice', async () => {
+        expect(await queries.createGrinder(otherId, { ...custom, key: 'custom-test-' + suffix })).toBeNull();
+    });
+
+    test('should only delete own custom grinders', async () => {
+        expect(await queries.deleteGrinder(userId, 'fellow')).toBe(false);
+        expect(await queries.deleteGrinder(otherId, 'custom-test-' + suffix)).toBe(false);
+        expect(await queries.deleteGrinder(userId, 'custom-test-' + suffix)).toBe(true);
+        expect(await queries.countUserGrinders(userId)).toBe(0);
+    });
+
+    test('should log grind conversions until they are undone', async () => {
+        const changes = [{ coffeeId: 1, before: { initialGrind: '24 clicks' }, after: { initialGrind: '4.1' }, revision: 2 }];
+        const id = await queries.createGrindConversion(userId, 'comandante', 'fellow', changes);
+
+        expect(await queries.getLatestGrindConversion(userId)).toMatchObject({ id, from_grinder: 'comandante', to_grinder: 'fellow', changes });
+        expect(await queries.getLatestGrindConversion(otherId)).toBeNull();
+
+        expect(await queries.markGrindConversionUndone(otherId, id)).toBe(false);
+        expect(await queries.markGrindConversionUndone(userId, id)).toBe(true);
+        expect(await queries.markGrindConversionUndone(userId, id)).toBe(false);
+        expect(await queries.getLatestGrindConversion(userId)).toBeNull();
+    });
+});
+
+describe('Grinder conversion endpoint', () => {
+    let server;
+    let baseUrl;
+    let userId;
+    let headers;
+    const suffix = Date.now();
+
+    const convert = () => fetch(baseUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ grinder: 'fellow', convertSettings: true })
+    });
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        const deviceId = 'convert-device-' + suffix;
+        userId = await queries.createUser('convertuser_' + suffix, 'convert-token-' + suffix, deviceId, '{}');
+        const session = await issueSession(userId, (await queries.getUserDevice(userId, deviceId)).id);
+        headers = { 'Authorization': 'Bearer ' + session.accessToken, 'X-Device-ID': deviceId, 'Content-Type': 'application/json' };
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/user/grinder', grinderRoutes);
+        await new Promise(resolve => { server = app.listen(0, resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/user/grinder`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await closeDatabase();
+    });
+
+    test('should leave the library untouched if the conversion fails', async () => {
+        await queries.updateGrinderPreference(userId, 'comandante');
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Clicks', initialGrind: '24 clicks' });
+        const createGrindConversion = queries.createGrindConversion;
+
+        queries.createGrindConversion = async () => {
+            throw new Error('disk full');
+        };
+        try {
+            expect((await convert()).status).toBe(500);
+        } finally {
+            queries.createGrindConversion = createGrindConversion;
+        }
+
+        expect(JSON.parse((await queries.getUserCoffee(userId, coffeeId)).data).initialGrind).toBe('24 clicks');
+        expect((await queries.getUserById(userId)).grinder_preference).toBe('comandante');
+
+        const response = await convert();
+        expect(response.status).toBe(200);
+        expect((await response.json()).conversion.converted).toBe(1);
+        expect(JSON.parse((await queries.getUserCoffee(userId, coffeeId)).data).initialGrind).not.toBe('24 clicks');
+    });
+});
@@ -0,0 +1,220 @@
+// Tests for bean inventory tracking
+import express from 'express';
+import { initDatabase, queries, closeDatabase, withTransaction } from '../db/database.js';
+import { 
+    applyInventoryDefaults, isLowStock, parseGrams, projectRunOut, summarizeInventory, DEFAULT_LOW_STOCK_GRAMS 
+} from '../utils/inventory.js';
+import { issueSession } from '../middleware/auth.js';
+import coffeeRoutes from '../routes/coffees.js';
+
+describe('Inventory helpers', () => {
+    const now = new Date('2026-03-15T12:00:00.000Z');
+
+    test('should start a new bag full', () => {
+        expect(applyInventoryDefaults({ bagWeight: 250 })).toEqual({ bagWeight: 250, remainingGrams: 250 });
+        expect(applyInventoryDefaults({ bagWeight: 250, remainingGrams: 100 }).remainingGrams).toBe(100);
+        expect(applyInventoryDefaults({ name: 'Untracked' })).toEqual({ name: 'Untracked' });
+    });
+
+    test('should flag low stock with the default or own threshold', () => {
+        expect(isLowStock({ remainingGrams: DEFAULT_LOW_STOCK_GRAMS })).toBe(true);
+        expect(isLowStock({ remainingGrams: 80 })).toBe(false);
+        expect(isLowStock({ remainingGrams: 80, lowStockThreshold: 100 })).toBe(true);
+        expect(isLowStock({ name: 'Untracked' })).toBe(false);
+    });
+
+    test('should validate gram amounts', () => {
+        expect(parseGrams('18.5', 'grams')).toEqual({ grams: 18.5 });
+        expect(parseGrams(0, 'grams').error).toMatch(/^grams must be/);
+        expect(parseGrams(0, 'remainingGrams', { allowZero: true })).toEqual({ grams: 0 });
+        expect(parseGrams(-20, 'grams').error).toMatch(/^grams must be/);
+        expect(parseGrams(-20, 'delta', { allowNegative: true })).toEqual({ grams: -20 });
+        expect(parseGrams('lots', 'grams').error).toMatch(/^grams must be/);
+    });
+
+    test('should project the run-out date from recent usage', () => {
+        const coffee = { remainingGrams: 150, savedAt: '2026-01-01 08:00:00' };
+
+        // 210 g over the 14-day window = 15 g a day
+        expect(projectRunOut(coffee, 210, now)).toEqual({ dailyUsage: 15, daysLeft: 10, runOutDate: '2026-03-25' });
+        expect(projectRunOut(coffee, 0, now)).toEqual({ dailyUsage: null, daysLeft: null, runOutDate: null });
+    });
+
+    test('should average the usage of a new coffee over its age', () => {
+        const coffee = { remainingGrams: 200, savedAt: '2026-03-13T12:00:00.000Z' };
+        expect(projectRunOut(coffee, 40, now)).toMatchObject({ dailyUsage: 20, daysLeft: 10 });
+    });
+
+    test('should summarize tracked coffees, running out soonest first', () => {
+        const coffees = [
+            { id: 1, name: 'Slow', remainingGrams: 200, bagWeight: 250, savedAt: '2026-01-01T00:00:00Z' },
+            { id: 2, name: 'Fast', remainingGrams: 40, bagWeight: 250, savedAt: '2026-01-01T00:00:00Z' },
+            { id: 3, name: 'Untracked', savedAt: '2026-01-01T00:00:00Z' },
+            { id: 4, name: 'Unused', remainingGrams: 500, savedAt: '2026-01-01T00:00:00Z' }
+        ];
+        const summary = summarizeInventory(coffees, new Map([[1, 140], [2, 140]]), now);
+
+        expect(summary.coffees.map(coffee => coffee.name)).toEqual(['Fast', 'Slow', 'Unused']);
+        expect(summary.coffees[0]).toMatchObject({ lowStock: true, dailyUsage: 10, daysLeft: 4 });
+        expect(summary.coffees[2].runOutDate).toBeNull();
+        expect(summary.totals).toEqual({ coffees: 3, remainingGrams: 740, lowStock: 1 });
+    });
+});
+
+describe('Inventory storage', () => {
+    let userId;
+    let otherId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('stockuser_' + suffix, 'stock-token-' + suffix);
+        otherId = await queries.createUser('stockother_' + suffix, 'stock-other-token-' + suffix);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should book consumption and log it', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Bag', bagWeight: 250, remainingGrams: 250 });
+        const before = await queries.getUserCoffee(userId, coffeeId);
+
+        expect(await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -18, type: 'consume' }))
+            .toEqual({ grams: -18, remainingGrams: 232 });
+
+        const saved = await queries.getUserCoffee(userId, coffeeId);
+        expect(JSON.parse(saved.data).remainingGrams).toBe(232);
+        expect(saved.revision).toBe(before.revision + 1);
+
+        const events = await queries.getInventoryEvents(userId, coffeeId);
+        expect(events).toHaveLength(2);
+        expect(events[0]).toMatchObject({ type: 'consume', grams: -18, remaining_grams: 232 });
+        expect(events[1]).toMatchObject({ type: 'adjust', grams: 250, remaining_grams: 250, reason: 'Initial stock' });
+    });
+
+    test('should never go below zero', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Almost empty', remainingGrams: 10 });
+
+        expect(await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -18, type: 'brew' }))
+            .toEqual({ grams: -10, remainingGrams: 0 });
+    });
+
+    test('should only set the stock of coffees without inventory', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Untracked' });
+
+        expect(await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -18, type: 'consume' })).toBeNull();
+        expect(await queries.adjustCoffeeInventory(userId, coffeeId, { set: 300, type: 'adjust', reason: 'new bag' }))
+            .toEqual({ grams: 300, remainingGrams: 300 });
+    });
+
+    test('should keep other users out', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Mine', remainingGrams: 100 });
+
+        expect(await queries.adjustCoffeeInventory(otherId, coffeeId, { delta: -18, type: 'consume' })).toBeNull();
+        expect(await queries.getInventoryEvents(otherId, coffeeId)).toEqual([]);
+    });
+
+    test('should count brews and consumption as usage, not corrections', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Daily', remainingGrams: 500 });
+        const since = new Date(Date.now() - 60 * 60 * 1000);
+
+        await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -15, type: 'brew' });
+        await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -20, type: 'consume' });
+        await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -100, type: 'adjust', reason: 'gift' });
+
+        const usage = await queries.getInventoryUsage(userId, since);
+        expect(usage.get(coffeeId)).toBe(35);
+    });
+
+    test('should not let a coffee write change the stock', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Stale', remainingGrams: 250 });
+        await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -18, type: 'brew' });
+
+        // A client still holding 250 g writes the whole coffee back
+        await queries.updateCoffee(userId, coffeeId, { name: 'Stale, renamed', remainingGrams: 250 });
+
+        const saved = JSON.parse((await queries.getUserCoffee(userId, coffeeId)).data);
+        expect(saved.name).toBe('Stale, renamed');
+        expect(saved.remainingGrams).toBe(232);
+    });
+
+    test('should sum what a brew took, including refunds', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Brewed', remainingGrams: 200 });
+        const brewId = await queries.createBrew(userId, coffeeId, { brewedAt: new Date().toISOString(), dose: 18 });
+
+        expect(await queries.getBrewInventoryGrams(userId, brewId)).toBe(0);
+        await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -18, type: 'brew', brewId });
+        expect(await queries.getBrewInventoryGrams(userId, brewId)).toBe(-18);
+
+        await queries.adjustCoffeeInventory(userId, coffeeId, { delta: 3, type: 'brew', brewId, reason: 'Brew changed' });
+        expect(await queries.getBrewInventoryGrams(userId, brewId)).toBe(-15);
+        expect(await queries.getBrewInventoryGrams(otherId, brewId)).toBe(0);
+
+        const usage = await queries.getInventoryUsage(userId, new Date(Date.now() - 60 * 60 * 1000));
+        expect(usage.get(coffeeId)).toBe(15);
+    });
+
+    test('should drop a brew and its booking together on rollback', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Rolled back', remainingGrams: 100 });
+
+        let brewId;
+        await expect(withTransaction(async () => {
+            brewId = await queries.createBrew(userId, coffeeId, { brewedAt: new Date().toISOString(), dose: 18 });
+            await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -18, type: 'brew', brewId });
+            throw new Error('Simulated error');
+        })).rejects.toThrow('Simulated error');
+
+        expect(await queries.getBrew(userId, coffeeId, brewId)).toBeFalsy();
+        expect(JSON.parse((await queries.getUserCoffee(userId, coffeeId)).data).remainingGrams).toBe(100);
+    });
+});
+
+describe('Inventory endpoints', () => {
+    let server;
+    let baseUrl;
+    let userId;
+    let headers;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        const deviceId = 'stock-route-device-' + suffix;
+        userId = await queries.createUser('stockroute_' + suffix, 'stock-route-token-' + suffix, deviceId, '{}');
+        const session = await issueSession(userId, (await queries.getUserDevice(userId, deviceId)).id);
+        headers = { 'Authorization': 'Bearer ' + session.accessToken, 'X-Device-ID': deviceId, 'Content-Type': 'application/json' };
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/coffees', coffeeRoutes);
+        await new Promise(resolve => { server = app.listen(0, resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/coffees`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await closeDatabase();
+    });
+
+    test('should strip HTML from the reason of an adjustment', async () => {
+        const coffeeId = await queries.saveCoffee(userId, { name: 'Spilled', remainingGrams: 100 });
+
+        const response = await fetch(`${baseUrl}/${coffeeId}/inventory/adjust`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ delta: -20, reason: '<img src=x onerror=alert(1)>Spilled <b>beans</b>' })
+        });
+        expect(response.status).toBe(200);
+
+        const [event] = await queries.getInventoryEvents(userId, coffeeId);
+        expect(event).toMatchObject({ type: 'adjust', grams: -20, reason: 'Spilled beans' });
+    });
+});
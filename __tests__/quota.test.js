@@ -0,0 +1,123 @@
+// Tests for per-account AI analysis quotas
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import { resolveLimits, getQuotaPeriods, buildQuotaStatus } from '../utils/quota.js';
+import { getQuotaStatus } from '../middleware/quota.js';
+
+describe('Quota utilities', () => {
+    test('should fall back to the free plan', () => {
+        const limits = resolveLimits({});
+        expect(limits.plan).toBe('free');
+        expect(limits.daily).toBe(10);
+        expect(limits.monthly).toBe(100);
+
+        expect(resolveLimits({ plan: 'gold' }).plan).toBe('free');
+    });
+
+    test('should accept a limit of 0 from the environment', () => {
+        const { AI_DAILY_LIMIT, AI_MONTHLY_LIMIT } = process.env;
+        try {
+            process.env.AI_DAILY_LIMIT = '0';
+            process.env.AI_MONTHLY_LIMIT = 'lots';
+            const limits = resolveLimits({});
+            expect(limits.daily).toBe(0);
+            expect(limits.monthly).toBe(100);
+        } finally {
+            if (AI_DAILY_LIMIT === undefined) delete process.env.AI_DAILY_LIMIT;
+            else process.env.AI_DAILY_LIMIT = AI_DAILY_LIMIT;
+            if (AI_MONTHLY_LIMIT === undefined) delete process.env.AI_MONTHLY_LIMIT;
+            else process.env.AI_MONTHLY_LIMIT = AI_MONTHLY_LIMIT;
+        }
+    });
+
+    test('should prefer per-account overrides over plan defaults', () => {
+        const limits = resolveLimits({ plan: 'pro', ai_daily_limit: 3, ai_monthly_limit: null });
+        expect(limits.daily).toBe(3);
+        expect(limits.monthly).toBe(1000);
+    });
+
+    test('should treat the unlimited plan as having no limits', () => {
+        const status = buildQuotaStatus(resolveLimits({ plan: 'unlimited' }), { daily: 500, monthly: 5000 });
+        expect(status.daily.remaining).toBeNull();
+        expect(status.monthly.limit).toBeNull();
+        expect(status.exceeded).toBe(false);
+    });
+
+    test('should compute UTC day and month periods', () => {
+        const periods = getQuotaPeriods(new Date('2026-12-31T23:30:00.000Z'));
+        expect(periods.dayStart.toISOString()).toBe('2026-12-31T00:00:00.000Z');
+        expect(periods.dayReset.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+        expect(periods.monthStart.toISOString()).toBe('2026-12-01T00:00:00.000Z');
+        expect(periods.monthReset.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    test('should flag the quota as exceeded when either period is used up', () => {
+        const limits = { plan: 'free', daily: 2, monthly: 100 };
+        expect(buildQuotaStatus(limits, { daily: 1, monthly: 1 }).exceeded).toBe(false);
+        expect(buildQuotaStatus(limits, { daily: 2, monthly: 2 }).exceeded).toBe(true);
+        expect(buildQuotaStatus(limits, { daily: 0, monthly: 100 }).exceeded).toBe(true);
+        expect(buildQuotaStatus(limits, { daily: 5, monthly: 5 }).daily.remaining).toBe(0);
+    });
+});
+
+describe('Quota storage', () => {
+    let userId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('quotauser_' + suffix, 'quota-token-' + suffix, 'quota-device-' + suffix, '{}');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should count recorded analyses per period', async () => {
+        await queries.recordAiUsage(userId);
+        await queries.recordAiUsage(userId);
+
+        const { dayStart } = getQuotaPeriods();
+        expect(await queries.countAiUsageSince(userId, dayStart)).toBe(2);
+        expect(await queries.countAiUsageSince(userId, new Date(Date.now() + 60000))).toBe(0);
+    });
+
+    test('should apply plan and limit overrides', async () => {
+        await queries.updateQuotaSettings(userId, { plan: 'pro', aiDailyLimit: 2, aiMonthlyLimit: null });
+
+        const status = await getQuotaStatus(userId);
+        expect(status.plan).toBe('pro');
+        expect(status.daily).toMatchObject({ limit: 2, used: 2, remaining: 0 });
+        expect(status.monthly).toMatchObject({ limit: 1000, used: 2, remaining: 998 });
+        expect(status.exceeded).toBe(true);
+    });
+
+    test('should never reserve more analyses than the limit allows', async () => {
+        const reserveUser = await queries.createUser('quotareserve_' + suffix, 'quota-reserve-token-' + suffix, 'quota-reserve-device-' + suffix, '{}');
+        const limits = { daily: 3, monthly: 100 };
+        const periods = getQuotaPeriods();
+
+        const reservations = await Promise.all(
+            Array.from({ length: 6 }, () => queries.reserveAiUsage(reserveUser, limits, periods))
+        );
+        const granted = reservations.filter(id => id !== null);
+        expect(granted).toHaveLength(3);
+        expect(await queries.countAiUsageSince(reserveUser, periods.dayStart)).toBe(3);
+
+        await queries.releaseAiUsage(reserveUser, granted[0]);
+        expect(await queries.countAiUsageSince(reserveUser, periods.dayStart)).toBe(2);
+        expect(await queries.reserveAiUsage(reserveUser, limits, periods)).not.toBeNull();
+        expect(await queries.reserveAiUsage(reserveUser, limits, periods)).toBeNull();
+    });
+
+    test('should reserve nothing with a limit of 0 and without limit on unlimited plans', async () => {
+        const zeroUser = await queries.createUser('quotazero_' + suffix, 'quota-zero-token-' + suffix, 'quota-zero-device-' + suffix, '{}');
+        const periods = getQuotaPeriods();
+
+        expect(await queries.reserveAiUsage(zeroUser, { daily: 0, monthly: 100 }, periods)).toBeNull();
+        expect(await queries.reserveAiUsage(zeroUser, { daily: null, monthly: null }, periods)).not.toBeNull();
+    });
+});
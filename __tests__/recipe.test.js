@@ -0,0 +1,135 @@
+// Tests for the brew recipe engine
+import { computeRecipe, buildPourSteps, readRecipeOverrides, BASE_RECIPE } from '../utils/recipe.js';
+import { getBuiltinGrinder } from '../utils/grinders.js';
+
+describe('Recipe engine', () => {
+    test('should return the base recipe for a plain washed coffee', () => {
+        const recipe = computeRecipe({ name: 'Plain', process: 'washed', altitude: '1500' });
+
+        expect(recipe).toMatchObject({
+            dose: BASE_RECIPE.dose,
+            water: 240,
+            ratio: 16,
+            ratioLabel: '1:16',
+            temperature: 94,
+            grind: { grinder: 'fellow', setting: '4.1', microns: 700 },
+            bloom: { water: 30, seconds: 45 },
+            targetTime: 180,
+            adjustments: [],
+            overrides: {}
+        });
+        expect(recipe.steps).toEqual([
+            { type: 'bloom', at: 0, water: 30, totalWater: 30 },
+            { type: 'pour', at: 45, water: 105, totalWater: 135 },
+            { type: 'pour', at: 90, water: 105, totalWater: 240 }
+        ]);
+    });
+
+    test('should be deterministic', () => {
+        const coffee = { process: 'natural', altitude: '2000', customAmount: 16 };
+        const context = { grinder: getBuiltinGrinder('comandante'), waterHardness: 16, freshness: { state: 'fading', daysOffRoast: 30 } };
+
+        expect(computeRecipe(coffee, context)).toEqual(computeRecipe(coffee, context));
+    });
+
+    test('should adjust for process, altitude, freshness and water', () => {
+        const recipe = computeRecipe(
+            { process: 'natural', altitude: '1900-2100' },
+            { grinder: getBuiltinGrinder('comandante'), waterHardness: 16, freshness: { state: 'resting', daysOffRoast: 3 } }
+        );
+
+        expect(recipe.adjustments.map(adjustment => adjustment.rule)).toEqual(['process', 'altitude', 'freshness', 'water']);
+        // 94 - 1 (natural) + 1 (high-grown) - 1 (resting)
+        expect(recipe.temperature).toBe(93);
+        expect(recipe.ratio).toBe(16.5);
+        expect(recipe.water).toBe(248);
+        // 700 + 25 - 50 + 30 = 705 µm → 23.5 clicks, rounded up
+        expect(recipe.grind).toMatchObject({ setting: '24 clicks', step: 24 });
+        expect(recipe.bloom).toEqual({ water: 45, seconds: 60 });
+        expect(recipe.targetTime).toBe(195);
+    });
+
+    test('should combine low-grown, stale and soft water adjustments', () => {
+        const recipe = computeRecipe(
+            { process: 'anaerobic', altitude: '900' },
+            { waterHardness: 2, freshness: { state: 'stale', daysOffRoast: 80 } }
+        );
+
+        // 94 - 2 (anaerobic) - 1 (low-grown) + 2 (stale)
+        expect(recipe.temperature).toBe(93);
+        expect(recipe.ratio).toBe(17);
+        // 700 + 50 + 50 - 50 - 30 = 720 µm → nearest Ode step 4.1
+        expect(recipe.grind.microns).toBe(700);
+    });
+
+    test('should let the coffee overrides win', () => {
+        const recipe = computeRecipe(
+            { process: 'natural', customAmount: 20, customTemp: '91 °C', grindOffset: '-2' },
+            { grinder: getBuiltinGrinder('fellow') }
+        );
+
+        expect(recipe.overrides).toEqual({ dose: 20, temperature: 91, grindOffset: -2 });
+        expect(recipe.dose).toBe(20);
+        expect(recipe.water).toBe(330);
+        expect(recipe.temperature).toBe(91);
+        // 725 µm → step 11 (4.2), two steps finer → 4
+        expect(recipe.grind.setting).toBe('4');
+    });
+
+    test('should ignore overrides out of range', () => {
+        expect(readRecipeOverrides({ customAmount: 500, customTemp: 'hot', grindOffset: 0 })).toEqual({});
+    });
+});
+
+describe('Recipes per brew method', () => {
+    test('should start from the method defaults and the user preferences', () => {
+        const recipe = computeRecipe({ process: 'washed', altitude: '1500' }, { method: 'chemex', preferences: { ratio: 15 } });
+
+        expect(recipe).toMatchObject({ method: 'chemex', style: 'pour-over', dose: 30, ratio: 15, water: 450, temperature: 95 });
+        expect(recipe.grind.microns).toBe(880);
+        expect(recipe.targetTime).toBe(270);
+    });
+
+    test('should brew espresso as a shot with scaled adjustments', () => {
+        const recipe = computeRecipe({ process: 'natural', altitude: '1500' }, { method: 'espresso' });
+
+        // natural: +25 µm and +0.5 ratio on the V60 scale → +10 µm and +0.1 at 1:2
+        expect(recipe.adjustments).toEqual([{ rule: 'process', reason: 'natural', temperature: -1, microns: 10, ratio: 0.1 }]);
+        expect(recipe).toMatchObject({ dose: 18, ratio: 2.1, water: 38, temperature: 92, bloom: null, targetTime: 28 });
+        expect(recipe.steps).toEqual([{ type: 'shot', at: 0, water: 38, totalWater: 38 }]);
+    });
+
+    test('should add all water at once for immersion methods and drop bloom rules', () => {
+        const recipe = computeRecipe(
+            { process: 'washed', methods: { 'cold-brew': { customAmount: 120, customTemp: 6 } } },
+            { method: 'cold-brew', freshness: { state: 'resting', daysOffRoast: 2 } }
+        );
+
+        expect(recipe.adjustments).toEqual([{ rule: 'freshness', reason: 'resting (2 days off roast)', temperature: -1 }]);
+        expect(recipe).toMatchObject({ dose: 120, water: 960, temperature: 6, bloom: null });
+        expect(recipe.steps.map(step => step.type)).toEqual(['pour', 'strain']);
+        expect(recipe.steps[1].at).toBe(57600);
+    });
+
+    test('should use the top-level overrides only for pour-over methods', () => {
+        const coffee = { customAmount: 20, methods: { espresso: { customAmount: 17 } } };
+
+        expect(readRecipeOverrides(coffee, 'kalita')).toEqual({ dose: 20 });
+        expect(readRecipeOverrides(coffee, 'espresso')).toEqual({ dose: 17 });
+        expect(readRecipeOverrides(coffee, 'french-press')).toEqual({});
+    });
+
+    test('should fall back to the default method for unknown methods', () => {
+        expect(computeRecipe({}, { method: 'siphon' }).method).toBe('v60');
+    });
+});
+
+describe('Pour steps', () => {
+    test('should split the water after the bloom into two pours', () => {
+        const steps = buildPourSteps(18, 290, 3, 60);
+
+        expect(steps.map(step => step.water)).toEqual([54, 118, 118]);
+        expect(steps.map(step => step.at)).toEqual([0, 60, 105]);
+        expect(steps[steps.length - 1].totalWater).toBe(290);
+    });
+});
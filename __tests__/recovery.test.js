@@ -0,0 +1,156 @@
+// Tests for recovery codes and device re-binding
+import express from 'express';
+import { initDatabase, queries, closeDatabase, withTransaction } from '../db/database.js';
+import { issueSession, authenticateRequest, AUTH_ERROR_CODES } from '../middleware/auth.js';
+import { hashToken, normalizeRecoveryCode } from '../utils/tokens.js';
+import authRoutes from '../routes/auth.js';
+
+describe('Recovery Codes', () => {
+    let userId;
+    const username = 'recoveryuser_' + Date.now();
+    const deviceId = 'recovery-device-' + Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser(username, 'recovery-token-' + Date.now(), deviceId, '{}');
+        await queries.replaceRecoveryCodes(userId, ['code-a', 'code-b'].map(hashToken));
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should count unused codes', async () => {
+        expect(await queries.countUnusedRecoveryCodes(userId)).toBe(2);
+    });
+
+    test('should consume a code only once', async () => {
+        expect(await queries.consumeRecoveryCode(userId, hashToken('code-a'))).toBe(true);
+        expect(await queries.consumeRecoveryCode(userId, hashToken('code-a'))).toBe(false);
+        expect(await queries.countUnusedRecoveryCodes(userId)).toBe(1);
+    });
+
+    test('should reject unknown codes', async () => {
+        expect(await queries.consumeRecoveryCode(userId, hashToken('code-z'))).toBe(false);
+    });
+
+    test('should not accept codes of another user', async () => {
+        expect(await queries.consumeRecoveryCode(userId + 1000, hashToken('code-b'))).toBe(false);
+    });
+
+    test('should replace all codes on regeneration', async () => {
+        await queries.replaceRecoveryCodes(userId, ['code-c'].map(hashToken));
+        expect(await queries.consumeRecoveryCode(userId, hashToken('code-b'))).toBe(false);
+        expect(await queries.countUnusedRecoveryCodes(userId)).toBe(1);
+    });
+
+    test('should find users by username case-insensitively', async () => {
+        const user = await queries.getUserByUsername(username.toUpperCase());
+        expect(user.id).toBe(userId);
+    });
+
+    test('should log out all old devices when rebinding', async () => {
+        const oldDevice = await queries.getUserDevice(userId, deviceId);
+        const session = await issueSession(userId, oldDevice.id);
+
+        await queries.revokeAllDevices(userId);
+        expect(await queries.countActiveDevices(userId)).toBe(0);
+
+        const auth = await authenticateRequest({
+            headers: { authorization: `Bearer ${session.accessToken}`, 'x-device-id': deviceId },
+            body: {},
+            query: {}
+        });
+        expect(auth.code).toBe(AUTH_ERROR_CODES.TOKEN_REVOKED);
+    });
+
+    test('should reactivate a previously revoked device', async () => {
+        const device = await queries.getUserDevice(userId, deviceId);
+        await queries.reactivateDevice(device.id, '{}');
+
+        const reactivated = await queries.getUserDevice(userId, deviceId);
+        expect(reactivated.revoked_at).toBeNull();
+    });
+
+    test('should keep the recovery code when the rebind is rolled back', async () => {
+        await queries.replaceRecoveryCodes(userId, ['code-d'].map(hashToken));
+        const device = await queries.getUserDevice(userId, deviceId);
+
+        await expect(withTransaction(async () => {
+            expect(await queries.consumeRecoveryCode(userId, hashToken('code-d'))).toBe(true);
+            await queries.revokeAllDevices(userId);
+            throw new Error('Session could not be issued');
+        })).rejects.toThrow();
+
+        expect(await queries.countUnusedRecoveryCodes(userId)).toBe(1);
+        expect((await queries.getUserDevice(userId, deviceId)).revoked_at).toBe(device.revoked_at);
+    });
+});
+
+describe('Rebind endpoint', () => {
+    let server;
+    let baseUrl;
+    const suffix = Date.now();
+
+    async function createAccount(name, codes) {
+        const username = name + '_' + suffix;
+        const userId = await queries.createUser(username, name + '-token-' + suffix, name + '-device-' + suffix, '{}');
+        await queries.replaceRecoveryCodes(userId, codes.map(code => hashToken(normalizeRecoveryCode(code))));
+        return { userId, username };
+    }
+
+    function rebind(username, recoveryCode) {
+        return fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Device-ID': 'new-device-' + suffix },
+            body: JSON.stringify({ username, recoveryCode })
+        });
+    }
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/auth', authRoutes);
+        await new Promise(resolve => { server = app.listen(0, resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/auth/rebind`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await closeDatabase();
+    });
+
+    test('should bind the new device and use up the code', async () => {
+        const account = await createAccount('rebinder', ['abcd-efgh-jkmn']);
+
+        const response = await rebind(account.username, 'abcd-efgh-jkmn');
+        const body = await response.json();
+        expect(response.status).toBe(200);
+        expect(body.session.accessToken).toBeDefined();
+        expect(body.remainingRecoveryCodes).toBe(0);
+        expect(await queries.countActiveDevices(account.userId)).toBe(1);
+
+        expect((await rebind(account.username, 'abcd-efgh-jkmn')).status).toBe(401);
+    });
+
+    test('should only tell a valid code that the account is disabled', async () => {
+        const account = await createAccount('disabledrebinder', ['pqrs-tuvw-xyz2']);
+        await queries.setUserDisabled(account.userId, true);
+
+        const wrongCode = await rebind(account.username, 'zzzz-zzzz-zzzz');
+        expect(wrongCode.status).toBe(401);
+        expect((await wrongCode.json()).error).toBe('Invalid username or recovery code');
+
+        expect((await rebind(account.username, 'pqrs-tuvw-xyz2')).status).toBe(403);
+        expect(await queries.countUnusedRecoveryCodes(account.userId)).toBe(1);
+    });
+});
@@ -210,6 +210,27 @@ describe('Sanitization Utilities', () => {
             expect(result.savedAt).toBe(now);
         });
 
+        test('should only keep ISO dates as addedDate', () => {
+            expect(sanitizeCoffeeData({ addedDate: '2026-02-10' }).addedDate).toBe('2026-02-10');
+            expect(sanitizeCoffeeData({ addedDate: null }).addedDate).toBeNull();
+            expect(sanitizeCoffeeData({ addedDate: 253402300800000 })).not.toHaveProperty('addedDate');
+            expect(sanitizeCoffeeData({ addedDate: '+010000-01-01T00:00:00.000Z' })).not.toHaveProperty('addedDate');
+            expect(sanitizeCoffeeData({ addedDate: '2026-02-30' })).not.toHaveProperty('addedDate');
+            expect(sanitizeCoffeeData({ addedDate: 'yesterday' })).not.toHaveProperty('addedDate');
+        });
+
+        test('should only keep valid gram amounts for the inventory', () => {
+            expect(sanitizeCoffeeData({ bagWeight: '250', remainingGrams: 0, lowStockThreshold: 40 }))
+                .toEqual({ bagWeight: 250, remainingGrams: 0, lowStockThreshold: 40 });
+            expect(sanitizeCoffeeData({ remainingGrams: null }).remainingGrams).toBeNull();
+            expect(sanitizeCoffeeData({ bagWeight: 0 })).not.toHaveProperty('bagWeight');
+            expect(sanitizeCoffeeData({ remainingGrams: -5 })).not.toHaveProperty('remainingGrams');
+            expect(sanitizeCoffeeData({ remainingGrams: 1e9 })).not.toHaveProperty('remainingGrams');
+            expect(sanitizeCoffeeData({ lowStockThreshold: 'lots' })).not.toHaveProperty('lowStockThreshold');
+            expect(sanitizeCoffeeData({ remainingGrams: [250] })).not.toHaveProperty('remainingGrams');
+            expect(sanitizeCoffeeData({ remainingGrams: true })).not.toHaveProperty('remainingGrams');
+        });
+
         test('should handle empty object', () => {
             const result = sanitizeCoffeeData({});
             expect(result).toEqual({});
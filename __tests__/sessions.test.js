@@ -0,0 +1,139 @@
+// Tests for access/refresh sessions and token revocation
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import { authenticateRequest, issueSession, AUTH_ERROR_CODES } from '../middleware/auth.js';
+
+describe('Sessions', () => {
+    let userId;
+    let device;
+    const accountToken = 'session-account-token-' + Date.now();
+    const deviceId = 'session-device-' + Date.now();
+
+    const requestWith = (token, requestDeviceId = deviceId) => ({
+        headers: {
+            authorization: `Bearer ${token}`,
+            'x-device-id': requestDeviceId
+        },
+        body: {},
+        query: {}
+    });
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('sessionuser_' + Date.now(), accountToken, deviceId, '{}');
+        device = await queries.getUserDevice(userId, deviceId);
+    });
+
+    afterAll(async () => {
+        delete process.env.LEGACY_TOKEN_AUTH;
+        await closeDatabase();
+    });
+
+    test('should authenticate with a valid access token', async () => {
+        const session = await issueSession(userId, device.id);
+        const auth = await authenticateRequest(requestWith(session.accessToken));
+
+        expect(auth.error).toBeUndefined();
+        expect(auth.user.id).toBe(userId);
+        expect(auth.session).toBeDefined();
+    });
+
+    test('should reject expired access tokens', async () => {
+        const accessToken = 'expired-access-' + Date.now();
+        await queries.createSession(
+            userId, device.id,
+            accessToken, '2000-01-01T00:00:00.000Z',
+            'expired-refresh-' + Date.now(), '2000-01-31T00:00:00.000Z'
+        );
+
+        const auth = await authenticateRequest(requestWith(accessToken));
+        expect(auth.status).toBe(401);
+        expect(auth.code).toBe(AUTH_ERROR_CODES.TOKEN_EXPIRED);
+    });
+
+    test('should reject revoked access tokens', async () => {
+        const session = await issueSession(userId, device.id);
+        const stored = await queries.getSessionByAccessToken(session.accessToken);
+        await queries.revokeSession(stored.id);
+
+        const auth = await authenticateRequest(requestWith(session.accessToken));
+        expect(auth.status).toBe(401);
+        expect(auth.code).toBe(AUTH_ERROR_CODES.TOKEN_REVOKED);
+    });
+
+    test('should reject access tokens from another device', async () => {
+        const session = await issueSession(userId, device.id);
+        const auth = await authenticateRequest(requestWith(session.accessToken, 'other-device'));
+
+        expect(auth.status).toBe(403);
+        expect(auth.code).toBe(AUTH_ERROR_CODES.DEVICE_MISMATCH);
+    });
+
+    test('should reject unknown tokens', async () => {
+        const auth = await authenticateRequest(requestWith('unknown-token'));
+        expect(auth.status).toBe(401);
+        expect(auth.code).toBe(AUTH_ERROR_CODES.INVALID_TOKEN);
+    });
+
+    test('should find sessions by refresh token', async () => {
+        const session = await issueSession(userId, device.id);
+        const stored = await queries.getSessionByRefreshToken(session.refreshToken);
+
+        expect(stored.user_id).toBe(userId);
+        expect(stored.client_device_id).toBe(deviceId);
+    });
+
+    test('should revoke every session of a user', async () => {
+        const session = await issueSession(userId, device.id);
+        const revoked = await queries.revokeAllSessions(userId);
+        expect(revoked).toBeGreaterThan(0);
+
+        const auth = await authenticateRequest(requestWith(session.accessToken));
+        expect(auth.code).toBe(AUTH_ERROR_CODES.TOKEN_REVOKED);
+    });
+
+    test('should revoke sessions when the device is revoked', async () => {
+        const otherDeviceId = deviceId + '-tablet';
+        const otherDeviceRowId = await queries.addDevice(userId, otherDeviceId, '{}');
+        const session = await issueSession(userId, otherDeviceRowId);
+
+        await queries.revokeDevice(userId, otherDeviceRowId);
+
+        const auth = await authenticateRequest(requestWith(session.accessToken, otherDeviceId));
+        expect(auth.code).toBe(AUTH_ERROR_CODES.TOKEN_REVOKED);
+    });
+
+    describe('Account Tokens', () => {
+        test('should reject account tokens by default', async () => {
+            delete process.env.LEGACY_TOKEN_AUTH;
+            const auth = await authenticateRequest(requestWith(accountToken));
+            expect(auth.code).toBe(AUTH_ERROR_CODES.INVALID_TOKEN);
+        });
+
+        test('should accept account tokens while legacy auth is enabled', async () => {
+            process.env.LEGACY_TOKEN_AUTH = 'true';
+            const auth = await authenticateRequest(requestWith(accountToken));
+            expect(auth.error).toBeUndefined();
+            expect(auth.session).toBeNull();
+            delete process.env.LEGACY_TOKEN_AUTH;
+        });
+
+        test('should reject account tokens when legacy auth is disabled', async () => {
+            process.env.LEGACY_TOKEN_AUTH = 'false';
+            const auth = await authenticateRequest(requestWith(accountToken));
+            expect(auth.code).toBe(AUTH_ERROR_CODES.INVALID_TOKEN);
+            delete process.env.LEGACY_TOKEN_AUTH;
+        });
+
+        test('should invalidate the old account token on rotation', async () => {
+            const newToken = 'rotated-token-' + Date.now();
+            await queries.updateUserToken(userId, newToken);
+
+            expect(await queries.getUserByToken(accountToken)).toBeFalsy();
+            expect((await queries.getUserByToken(newToken)).id).toBe(userId);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+// Tests for library statistics
+import { 
+    computeLibraryStats, countAddedPerMonth, countBy, getOriginCountry, parseAltitude, splitCultivars 
+} from '../utils/stats.js';
+
+describe('Stats helpers', () => {
+    test('should take the country from an origin', () => {
+        expect(getOriginCountry('Ethiopia, Bench Maji')).toBe('Ethiopia');
+        expect(getOriginCountry('Kenya')).toBe('Kenya');
+        expect(getOriginCountry('')).toBeNull();
+        expect(getOriginCountry(undefined)).toBeNull();
+    });
+
+    test('should split blends of cultivars', () => {
+        expect(splitCultivars('SL28, SL34 & Ruiru 11')).toEqual(['SL28', 'SL34', 'Ruiru 11']);
+        expect(splitCultivars('Caturra und Castillo')).toEqual(['Caturra', 'Castillo']);
+        expect(splitCultivars(null)).toEqual([]);
+    });
+
+    test('should read altitudes and ranges', () => {
+        expect(parseAltitude('1500')).toBe(1500);
+        expect(parseAltitude('1700-1900')).toBe(1800);
+        expect(parseAltitude('19000')).toBeNull();
+        expect(parseAltitude('')).toBeNull();
+    });
+
+    test('should count case-insensitively, most common first', () => {
+        expect(countBy(['Friedhats', 'friedhats', 'Coffee Collective', '', null])).toEqual([
+            { value: 'Friedhats', count: 2 },
+            { value: 'Coffee Collective', count: 1 }
+        ]);
+    });
+
+    test('should fill months without coffees', () => {
+        expect(countAddedPerMonth([
+            { addedDate: '2025-11-30T10:00:00.000Z' },
+            { addedDate: '2025-11-02T10:00:00.000Z' },
+            { savedAt: '2026-01-15 08:00:00' },
+            { name: 'No date' }
+        ])).toEqual([
+            { month: '2025-11', count: 2 },
+            { month: '2025-12', count: 0 },
+            { month: '2026-01', count: 1 }
+        ]);
+    });
+
+    test('should ignore dates out of range and cap the months', () => {
+        const now = new Date('2026-03-01T00:00:00.000Z');
+
+        expect(countAddedPerMonth([
+            { addedDate: 253402300800000 },
+            { addedDate: '+010000-01-01T00:00:00.000Z', savedAt: '2026-02-01 08:00:00' },
+            { addedDate: '1850-01-01' },
+            { addedDate: '2030-01-01' },
+            { addedDate: '2026-01-15' }
+        ], now)).toEqual([
+            { month: '2026-01', count: 1 },
+            { month: '2026-02', count: 1 }
+        ]);
+        expect(countAddedPerMonth([{ addedDate: '1900-01-01' }, { addedDate: '2026-02-01' }], now)).toHaveLength(600);
+    });
+});
+
+describe('Library statistics', () => {
+    const coffees = [
+        { name: 'Gesha Village', roaster: 'Coffee Collective', origin: 'Ethiopia, Bench Maji', process: 'natural', cultivar: 'Gesha', altitude: '1900-2100', favorite: true, addedDate: '2026-01-10T00:00:00.000Z' },
+        { name: 'Kiambu', roaster: 'coffee collective', origin: 'Kenya', process: 'washed', cultivar: 'SL28, SL34', altitude: '1700', addedDate: '2026-02-01T00:00:00.000Z' },
+        { name: 'Guji', roaster: 'Friedhats', origin: 'Ethiopia', process: 'washed', cultivar: 'Heirloom', addedDate: '2026-02-20T00:00:00.000Z' },
+        { name: 'Old Bag', roaster: 'Friedhats', origin: 'Brazil', process: 'natural', favorite: true, deleted: true, addedDate: '2025-12-05T00:00:00.000Z' }
+    ];
+
+    test('should break the library down without composted coffees', () => {
+        const stats = computeLibraryStats(coffees);
+
+        expect(stats.totals).toEqual({ coffees: 4, library: 3, composted: 1 });
+        expect(stats.byCountry).toEqual([{ value: 'Ethiopia', count: 2 }, { value: 'Kenya', count: 1 }]);
+        expect(stats.byProcess).toEqual([{ value: 'washed', count: 2 }, { value: 'natural', count: 1 }]);
+        expect(stats.byRoaster).toEqual([{ value: 'Coffee Collective', count: 2 }, { value: 'Friedhats', count: 1 }]);
+        expect(stats.byCultivar.map(entry => entry.value)).toEqual(['Gesha', 'Heirloom', 'SL28', 'SL34']);
+    });
+
+    test('should report favorites, altitude and composting', () => {
+        const stats = computeLibraryStats(coffees);
+
+        expect(stats.favorites).toEqual({ count: 1, share: 0.333 });
+        expect(stats.altitude).toEqual({ average: 1850, min: 1700, max: 2000, coffees: 2 });
+        expect(stats.compostingRate).toBe(0.25);
+    });
+
+    test('should count every stored coffee per month', () => {
+        expect(computeLibraryStats(coffees).addedPerMonth).toEqual([
+            { month: '2025-12', count: 1 },
+            { month: '2026-01', count: 1 },
+            { month: '2026-02', count: 2 }
+        ]);
+    });
+
+    test('should handle an empty library', () => {
+        expect(computeLibraryStats([])).toMatchObject({
+            favorites: { count: 0, share: 0 },
+            altitude: { average: null, coffees: 0 },
+            compostingRate: 0,
+            byCountry: [],
+            addedPerMonth: []
+        });
+    });
+});
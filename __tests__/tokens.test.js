@@ -0,0 +1,144 @@
+// Unit Tests for Token Utilities
+// Run with: npm test
+
+import {
+    generateToken,
+    generateTokenPair,
+    isExpired,
+    hashToken,
+    isHashedToken,
+    tokenMatches,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} from '../utils/tokens.js';
+
+describe('Token Utilities', () => {
+    describe('generateToken', () => {
+        test('should generate 64 hex characters by default', () => {
+            expect(generateToken()).toMatch(/^[0-9a-f]{64}$/);
+        });
+
+        test('should generate unique tokens', () => {
+            expect(generateToken()).not.toBe(generateToken());
+        });
+    });
+
+    describe('generateTokenPair', () => {
+        afterEach(() => {
+            delete process.env.ACCESS_TOKEN_TTL_MINUTES;
+            delete process.env.REFRESH_TOKEN_TTL_DAYS;
+        });
+
+        test('should use default lifetimes', () => {
+            const now = new Date('2026-02-10T10:00:00.000Z');
+            const pair = generateTokenPair(now);
+
+            expect(pair.accessExpiresAt).toBe('2026-02-10T11:00:00.000Z');
+            expect(pair.refreshExpiresAt).toBe('2026-03-12T10:00:00.000Z');
+            expect(pair.accessToken).not.toBe(pair.refreshToken);
+        });
+
+        test('should respect configured lifetimes', () => {
+            process.env.ACCESS_TOKEN_TTL_MINUTES = '15';
+            process.env.REFRESH_TOKEN_TTL_DAYS = '7';
+            const now = new Date('2026-02-10T10:00:00.000Z');
+            const pair = generateTokenPair(now);
+
+            expect(pair.accessExpiresAt).toBe('2026-02-10T10:15:00.000Z');
+            expect(pair.refreshExpiresAt).toBe('2026-02-17T10:00:00.000Z');
+        });
+    });
+
+    describe('isExpired', () => {
+        const now = new Date('2026-02-10T10:00:00.000Z');
+
+        test('should detect past timestamps', () => {
+            expect(isExpired('2026-02-10T09:59:59.000Z', now)).toBe(true);
+        });
+
+        test('should accept future timestamps', () => {
+            expect(isExpired('2026-02-10T10:00:01.000Z', now)).toBe(false);
+        });
+
+        test('should treat missing timestamps as expired', () => {
+            expect(isExpired(null, now)).toBe(true);
+        });
+    });
+
+    describe('hashToken', () => {
+        afterEach(() => {
+            delete process.env.TOKEN_HASH_SECRET;
+        });
+
+        test('should produce a prefixed deterministic hash', () => {
+            const hashed = hashToken('plain-secret-token');
+            expect(isHashedToken(hashed)).toBe(true);
+            expect(hashed).toBe(hashToken('plain-secret-token'));
+            expect(hashed).not.toContain('plain-secret-token');
+        });
+
+        test('should depend on the secret', () => {
+            const defaultHash = hashToken('abc');
+            process.env.TOKEN_HASH_SECRET = 'another-secret';
+            expect(hashToken('abc')).not.toBe(defaultHash);
+        });
+
+        test('should refuse the development secret in production', () => {
+            const nodeEnv = process.env.NODE_ENV;
+            try {
+                process.env.NODE_ENV = 'production';
+                expect(() => hashToken('abc')).toThrow('TOKEN_HASH_SECRET');
+
+                process.env.TOKEN_HASH_SECRET = 'production-secret';
+                expect(isHashedToken(hashToken('abc'))).toBe(true);
+            } finally {
+                process.env.NODE_ENV = nodeEnv;
+            }
+        });
+    });
+
+    describe('tokenMatches', () => {
+        test('should match hashed stored values', () => {
+            expect(tokenMatches('abc', hashToken('abc'))).toBe(true);
+            expect(tokenMatches('abd', hashToken('abc'))).toBe(false);
+        });
+
+        test('should match legacy plaintext stored values', () => {
+            expect(tokenMatches('abc', 'abc')).toBe(true);
+            expect(tokenMatches('abc', 'abcd')).toBe(false);
+        });
+
+        test('should not accept a leaked hash as the token', () => {
+            const stored = hashToken('abc');
+            expect(tokenMatches(stored, stored)).toBe(false);
+        });
+
+        test('should handle non-string inputs', () => {
+            expect(tokenMatches(null, hashToken('abc'))).toBe(false);
+            expect(tokenMatches('abc', null)).toBe(false);
+        });
+    });
+
+    describe('generateRecoveryCodes', () => {
+        test('should generate ten unique formatted codes by default', () => {
+            const codes = generateRecoveryCodes();
+            expect(codes.length).toBe(10);
+            expect(new Set(codes).size).toBe(10);
+            codes.forEach(code => expect(code).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}-[a-z2-9]{4}$/));
+        });
+
+        test('should respect the requested count', () => {
+            expect(generateRecoveryCodes(3).length).toBe(3);
+        });
+    });
+
+    describe('normalizeRecoveryCode', () => {
+        test('should ignore case, spaces and hyphens', () => {
+            expect(normalizeRecoveryCode(' ABCD-efgh - 2345 ')).toBe('abcdefgh2345');
+        });
+
+        test('should handle non-string inputs', () => {
+            expect(normalizeRecoveryCode(null)).toBe('');
+        });
+    });
+});
@@ -0,0 +1,64 @@
+// Unit Tests for Username Validation
+// Run with: npm test
+
+import {
+    validateUsername,
+    isReservedUsername,
+    USERNAME_MAX_LENGTH
+} from '../utils/username.js';
+
+describe('Username Validation', () => {
+    describe('validateUsername', () => {
+        test('should accept valid usernames', () => {
+            expect(validateUsername('johndoe').valid).toBe(true);
+            expect(validateUsername('john_doe-92').valid).toBe(true);
+            expect(validateUsername('j.doe').valid).toBe(true);
+        });
+
+        test('should trim surrounding whitespace', () => {
+            const result = validateUsername('  johndoe  ');
+            expect(result.valid).toBe(true);
+            expect(result.username).toBe('johndoe');
+        });
+
+        test('should reject missing usernames', () => {
+            expect(validateUsername('').valid).toBe(false);
+            expect(validateUsername('   ').valid).toBe(false);
+            expect(validateUsername(null).valid).toBe(false);
+            expect(validateUsername(undefined).valid).toBe(false);
+            expect(validateUsername(123).valid).toBe(false);
+        });
+
+        test('should enforce length limits', () => {
+            expect(validateUsername('ab').valid).toBe(false);
+            expect(validateUsername('a'.repeat(USERNAME_MAX_LENGTH)).valid).toBe(true);
+            expect(validateUsername('a'.repeat(USERNAME_MAX_LENGTH + 1)).valid).toBe(false);
+        });
+
+        test('should reject disallowed characters', () => {
+            expect(validateUsername('john doe').valid).toBe(false);
+            expect(validateUsername('<script>').valid).toBe(false);
+            expect(validateUsername('_johndoe').valid).toBe(false);
+            expect(validateUsername('jöhn').valid).toBe(false);
+        });
+
+        test('should reject reserved usernames', () => {
+            const result = validateUsername('Admin');
+            expect(result.valid).toBe(false);
+            expect(result.error).toBe('This username is reserved');
+        });
+    });
+
+    describe('isReservedUsername', () => {
+        test('should match reserved names case-insensitively', () => {
+            expect(isReservedUsername('admin')).toBe(true);
+            expect(isReservedUsername('BrewBuddy')).toBe(true);
+            expect(isReservedUsername(' Support ')).toBe(true);
+        });
+
+        test('should not match regular names', () => {
+            expect(isReservedUsername('johndoe')).toBe(false);
+            expect(isReservedUsername(null)).toBe(false);
+        });
+    });
+});
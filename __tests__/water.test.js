@@ -0,0 +1,134 @@
+// Tests for water profiles
+import { initDatabase, queries, closeDatabase } from '../db/database.js';
+import { 
+    applyWaterHardness, convertHardness, deriveWaterHardness, formatWaterSettings, hardnessInUnits, 
+    parseHardnessUnit, resolveActiveWater, validateWaterProfile, waterHardnessChange, WATER_PRESETS 
+} from '../utils/water.js';
+
+describe('Hardness units', () => {
+    test('should convert between ppm as CaCO3, °dH, °fH and °e', () => {
+        expect(convertHardness(1, 'dH', 'ppm')).toBeCloseTo(17.848);
+        expect(convertHardness(10, 'fH', 'dH')).toBeCloseTo(5.603, 3);
+        expect(hardnessInUnits(142.784)).toEqual({ ppm: 142.8, dH: 8, fH: 14.28, e: 10.02 });
+        expect(hardnessInUnits(null)).toBeNull();
+    });
+
+    test('should read units as clients write them', () => {
+        expect(parseHardnessUnit('°dH')).toBe('dH');
+        expect(parseHardnessUnit('FH')).toBe('fH');
+        expect(parseHardnessUnit(undefined)).toBe('ppm');
+        expect(parseHardnessUnit('mmol')).toBeNull();
+    });
+});
+
+describe('Water profile validation', () => {
+    test('should store GH and KH as ppm as CaCO3', () => {
+        const { profile } = validateWaterProfile({ unit: 'dH', gh: 8, kh: 4, sodium: 5 });
+
+        expect(profile).toEqual({ name: null, gh: 142.8, kh: 71.4, calcium: null, magnesium: null, sodium: 5, tds: null });
+        expect(deriveWaterHardness(profile)).toBe(8);
+    });
+
+    test('should derive GH from calcium and magnesium', () => {
+        expect(validateWaterProfile({ calcium: 40, magnesium: 10 }).profile.gh).toBe(141.1);
+        expect(validateWaterProfile({ gh: 100, calcium: 40 }).profile.gh).toBe(100);
+    });
+
+    test('should reject out of range values and unknown units', () => {
+        expect(validateWaterProfile({ unit: 'dH', gh: 60 }).error).toBe('gh must be a number between 0 and 50.4 dH');
+        expect(validateWaterProfile({ sodium: -1 }).error).toMatch(/sodium/);
+        expect(validateWaterProfile({ tds: 'lots' }).error).toMatch(/tds/);
+        expect(validateWaterProfile({ unit: 'mmol', gh: 2 }).error).toMatch(/unit/);
+        expect(validateWaterProfile({ name: 'Empty' }).error).toMatch(/At least one/);
+    });
+});
+
+describe('Active water profile', () => {
+    test('should resolve saved profiles and presets', () => {
+        const settings = { active: 'sca', profiles: { tap: { name: 'Tap', gh: 223.1 } } };
+
+        expect(resolveActiveWater(settings)).toEqual({ key: 'sca', profile: WATER_PRESETS.sca, preset: true });
+        expect(resolveActiveWater({ ...settings, active: 'tap' }).preset).toBe(false);
+        expect(resolveActiveWater({ ...settings, active: 'gone' })).toBeNull();
+        expect(resolveActiveWater(null)).toBeNull();
+    });
+
+    test('should report the water hardness of the active profile', () => {
+        const result = formatWaterSettings({ active: 'tap', profiles: { tap: { name: 'Tap', gh: 223.1, kh: 160 } } });
+
+        expect(result.waterHardness).toBe(12.5);
+        expect(result.active).toMatchObject({ key: 'tap', preset: false, kh: { ppm: 160, dH: 8.96 } });
+        expect(result.presets.map(preset => preset.key)).toContain('third-wave-classic');
+        expect(formatWaterSettings(null)).toMatchObject({ active: null, waterHardness: null, profiles: [] });
+    });
+
+    test('should keep a bare water hardness as GH of the custom profile', () => {
+        const settings = applyWaterHardness({ active: 'tap', profiles: { custom: { name: 'Custom', gh: 10, kh: 50 } } }, 12);
+
+        expect(settings.active).toBe('custom');
+        expect(settings.profiles.custom).toMatchObject({ gh: 214.2, kh: 50 });
+        expect(deriveWaterHardness(settings.profiles.custom)).toBe(12);
+        expect(applyWaterHardness(null, 8).profiles.custom.kh).toBeNull();
+    });
+});
+
+describe('Water profile storage', () => {
+    let userId;
+    const suffix = Date.now();
+
+    beforeAll(async () => {
+        // Use SQLite for testing
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        await initDatabase();
+
+        userId = await queries.createUser('wateruser_' + suffix, 'water-token-' + suffix);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should store profiles together with the derived water hardness', async () => {
+        expect(await queries.getWaterSettings(userId)).toBeNull();
+
+        const settings = { active: 'tap', profiles: { tap: { name: 'Tap', gh: 223.1, kh: 160 } } };
+        await queries.updateWaterSettings(userId, settings, 12.5);
+
+        expect(await queries.getWaterSettings(userId)).toEqual(settings);
+        expect(await queries.getWaterHardness(userId)).toBe(12.5);
+    });
+    test('should keep the water hardness of accounts from before water profiles', async () => {
+        const legacyUser = await queries.createUser('waterlegacy_' + suffix, 'water-legacy-token-' + suffix);
+        await queries.updateWaterHardness(legacyUser, 8.5);
+
+        const previous = await queries.getWaterSettings(legacyUser);
+        expect(previous.active).toBe('custom');
+        expect(deriveWaterHardness(previous.profiles.custom)).toBe(8.5);
+
+        // Saving another profile leaves the active one and its hardness alone
+        const saved = { ...previous, profiles: { ...previous.profiles, tap: { name: 'Tap', gh: 223.1, kh: 160 } } };
+        await queries.updateWaterSettings(legacyUser, saved, waterHardnessChange(previous, saved));
+        expect(await queries.getWaterHardness(legacyUser)).toBe(8.5);
+        expect((await queries.getWaterSettings(legacyUser)).active).toBe('custom');
+
+        // Switching the active profile updates it
+        const switched = { ...saved, active: 'tap' };
+        await queries.updateWaterSettings(legacyUser, switched, waterHardnessChange(saved, switched));
+        expect(await queries.getWaterHardness(legacyUser)).toBe(12.5);
+    });
+});
+
+describe('Water hardness changes', () => {
+    const tap = { name: 'Tap', gh: 223.1, kh: 160 };
+
+    test('should only report a hardness when the active profile changes', () => {
+        const settings = { active: 'tap', profiles: { tap } };
+
+        expect(waterHardnessChange(settings, { ...settings, profiles: { tap, office: { gh: 50 } } })).toBeUndefined();
+        expect(waterHardnessChange(settings, { ...settings, profiles: { tap: { ...tap, gh: 142.8 } } })).toBe(8);
+        expect(waterHardnessChange(settings, { ...settings, active: 'sca' })).toBe(deriveWaterHardness(WATER_PRESETS.sca));
+        expect(waterHardnessChange(settings, { ...settings, active: null })).toBeNull();
+        expect(waterHardnessChange(null, { active: null, profiles: { tap } })).toBeUndefined();
+    });
+});
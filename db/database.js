@@ -1,11 +1,16 @@
 // ==========================================
 // BREWBUDDY DATABASE MODULE V4
-// Mit Device-Binding + Grinder + Water Hardness Support
+// Mit Multi-Device-Binding + Grinder + Water Hardness Support
 // ==========================================
 
 import pg from 'pg';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
+import { hashToken, isHashedToken, tokenMatches, TOKEN_HASH_PREFIX } from '../utils/tokens.js';
+import { COFFEE_SORT_FIELDS } from '../utils/coffeeQuery.js';
+import { BUILTIN_GRINDERS } from '../utils/grinders.js';
+import { applyWaterHardness } from '../utils/water.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const { Pool } = pg;
@@ -13,6 +18,125 @@ const { Pool } = pg;
 let db = null;
 let dbType = null;
 
+/**
+ * Database of the transaction the current request runs in (see withTransaction)
+ */
+const transactionStore = new AsyncLocalStorage();
+
+/**
+ * SQLite has a single connection: its statements run one after another, and a
+ * transaction holds the queue until it ends, so statements of other requests
+ * never land inside it
+ */
+let sqliteQueue = Promise.resolve();
+let queuedSQLite = null;
+
+function enqueueSQLite(work) {
+    const result = sqliteQueue.then(work);
+    sqliteQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * User columns returned by the user lookup queries
+ */
+const USER_COLUMNS = 'id, username, grinder_preference, water_hardness, role, disabled_at, created_at';
+
+/**
+ * Coffee fields stored in their own columns: API field → [column, type]
+ * Everything else sanitizeCoffeeData lets through goes into the extras JSON column
+ */
+const COFFEE_FIELD_COLUMNS = {
+    name: ['name', 'text'],
+    origin: ['origin', 'text'],
+    cultivar: ['cultivar', 'text'],
+    roaster: ['roaster', 'text'],
+    tastingNotes: ['tasting_notes', 'text'],
+    process: ['process', 'text'],
+    altitude: ['altitude', 'text'],
+    roastDate: ['roast_date', 'text'],
+    addedDate: ['added_date', 'text'],
+    favorite: ['favorite', 'boolean'],
+    favoritedAt: ['favorited_at', 'text'],
+    deleted: ['deleted', 'boolean'],
+    deletedAt: ['deleted_at', 'text'],
+    grindOffset: ['grind_offset', 'number'],
+    customTemp: ['custom_temp', 'text'],
+    customAmount: ['custom_amount', 'number'],
+    initialGrind: ['initial_grind', 'text'],
+    initialTemp: ['initial_temp', 'text'],
+    bagWeight: ['bag_weight', 'number'],
+    remainingGrams: ['remaining_grams', 'number'],
+    lowStockThreshold: ['low_stock_threshold', 'number']
+};
+
+const COFFEE_DATA_COLUMNS = Object.values(COFFEE_FIELD_COLUMNS).map(([column]) => column);
+
+/**
+ * Columns updateCoffee() writes; remaining_grams only changes through
+ * adjustCoffeeInventory() so every change is in the inventory log
+ */
+const COFFEE_UPDATE_COLUMNS = COFFEE_DATA_COLUMNS.filter(column => column !== 'remaining_grams');
+
+/**
+ * SQL types of the coffee field columns per database
+ */
+const COFFEE_COLUMN_TYPES = {
+    postgresql: { extras: 'TEXT' },
+    sqlite: { extras: 'TEXT' }
+};
+for (const [column, type] of Object.values(COFFEE_FIELD_COLUMNS)) {
+    COFFEE_COLUMN_TYPES.postgresql[column] = { text: 'TEXT', boolean: 'BOOLEAN', number: 'DOUBLE PRECISION' }[type];
+    COFFEE_COLUMN_TYPES.sqlite[column] = { text: 'TEXT', boolean: 'INTEGER', number: 'REAL' }[type];
+}
+
+/**
+ * Fields the server manages itself; never stored from client data
+ */
+const COFFEE_SERVER_FIELDS = ['id', 'savedAt', 'updatedAt', 'revision'];
+
+/**
+ * Coffee columns returned by the coffee queries
+ */
+const COFFEE_COLUMNS = ['id', 'revision', 'created_at', 'updated_at', ...COFFEE_DATA_COLUMNS, 'extras'].join(', ');
+
+/**
+ * Brew fields (API name → column); taste is a JSON array
+ */
+const BREW_FIELD_COLUMNS = {
+    brewedAt: 'brewed_at',
+    method: 'method',
+    dose: 'dose',
+    water: 'water',
+    grindSetting: 'grind_setting',
+    grinder: 'grinder',
+    temperature: 'temperature',
+    brewTime: 'brew_time',
+    waterHardness: 'water_hardness',
+    rating: 'rating',
+    taste: 'taste',
+    notes: 'notes'
+};
+
+const BREW_COLUMNS = ['id', 'coffee_id', ...Object.values(BREW_FIELD_COLUMNS), 'created_at', 'updated_at'].join(', ');
+
+/**
+ * Grinder catalog fields (API name → column)
+ */
+const GRINDER_FIELD_COLUMNS = {
+    key: 'key',
+    name: 'name',
+    scale: 'scale',
+    min: 'min_setting',
+    max: 'max_setting',
+    step: 'step',
+    subdivisions: 'subdivisions',
+    micronsAtMin: 'microns_at_min',
+    micronsPerStep: 'microns_per_step'
+};
+
+const GRINDER_COLUMNS = ['user_id', ...Object.values(GRINDER_FIELD_COLUMNS)].join(', ');
+
 /**
  * Initialize database connection
  */
@@ -39,32 +163,7 @@ export async function initDatabase() {
             throw err;
         }
         
-        db = {
-            pool,
-            async exec(sql) {
-                const statements = sql.split(';').filter(s => s.trim());
-                for (const statement of statements) {
-                    if (statement.trim()) {
-                        await pool.query(statement);
-                    }
-                }
-            },
-            async get(sql, params = []) {
-                const result = await pool.query(sql, params);
-                return result.rows[0] || null;
-            },
-            async all(sql, params = []) {
-                const result = await pool.query(sql, params);
-                return result.rows;
-            },
-            async run(sql, params = []) {
-                const result = await pool.query(sql, params);
-                return { 
-                    lastID: result.rows[0]?.id, 
-                    changes: result.rowCount 
-                };
-            }
-        };
+        db = createPostgreSQLInterface(pool);
         
         await createPostgreSQLTables();
         console.log('✅ PostgreSQL database initialized');
@@ -93,6 +192,11 @@ export async function initDatabase() {
             driver: sqlite3.Database
         });
 
+        queuedSQLite = createSQLiteInterface(db);
+
+        // SQLite ignores ON DELETE CASCADE unless foreign keys are enabled per connection
+        await db.exec('PRAGMA foreign_keys = ON');
+
         await createSQLiteTables();
         console.log('✅ SQLite database initialized:', dbPath);
     }
@@ -100,6 +204,53 @@ export async function initDatabase() {
     return { db, dbType };
 }
 
+/**
+ * Database interface on a PostgreSQL pool, or on one client of it (transactions)
+ */
+function createPostgreSQLInterface(pool, client = pool) {
+    return {
+        pool,
+        client,
+        async exec(sql) {
+            const statements = sql.split(';').filter(s => s.trim());
+            for (const statement of statements) {
+                if (statement.trim()) {
+                    await client.query(statement);
+                }
+            }
+        },
+        async get(sql, params = []) {
+            const result = await client.query(sql, params);
+            return result.rows[0] || null;
+        },
+        async all(sql, params = []) {
+            const result = await client.query(sql, params);
+            return result.rows;
+        },
+        async run(sql, params = []) {
+            const result = await client.query(sql, params);
+            return { 
+                lastID: result.rows[0]?.id, 
+                changes: result.rowCount 
+            };
+        }
+    };
+}
+
+/**
+ * SQLite connection whose statements wait their turn in the queue
+ */
+function createSQLiteInterface(connection) {
+    const queued = method => (...args) => enqueueSQLite(() => connection[method](...args));
+    return {
+        connection,
+        exec: queued('exec'),
+        get: queued('get'),
+        all: queued('all'),
+        run: queued('run')
+    };
+}
+
 /**
  * Create PostgreSQL tables with device binding, grinder preference, and water hardness
  */
@@ -137,18 +288,299 @@ async function createPostgreSQLTables() {
     }
     
     // Schritt 3: Indices erstellen (NACH den Spalten!)
+    // idx_users_token is dropped: tokens are looked up by hash via the UNIQUE constraint index
     await db.exec(`
         CREATE INDEX IF NOT EXISTS idx_coffees_user_id ON coffees(user_id);
-        CREATE INDEX IF NOT EXISTS idx_users_token ON users(token);
+        DROP INDEX IF EXISTS idx_users_token;
         CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
         CREATE INDEX IF NOT EXISTS idx_coffees_user_created ON coffees(user_id, created_at DESC);
     `);
+
+    await createUsernameIndex();
+
+    // Schritt 4: Multi-Device Tabelle
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS devices (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            device_id TEXT NOT NULL,
+            name TEXT,
+            device_info TEXT,
+            first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            revoked_at TIMESTAMP,
+            UNIQUE (user_id, device_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_devices_user_id ON devices(user_id);
+        CREATE INDEX IF NOT EXISTS idx_devices_device_id ON devices(device_id);
+    `);
+
+    await migrateLegacyDeviceBindings();
+
+    // Schritt 5: Sessions (Access + Refresh Tokens pro Gerät)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            device_id INTEGER NOT NULL,
+            access_token TEXT NOT NULL UNIQUE,
+            access_expires_at TIMESTAMPTZ NOT NULL,
+            refresh_token TEXT NOT NULL UNIQUE,
+            refresh_expires_at TIMESTAMPTZ NOT NULL,
+            revoked_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_device_id ON sessions(device_id);
+    `);
+
+    // Schritt 6: Recovery Codes
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS recovery_codes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            used_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+    `);
+
+    // Schritt 7: Admin-Rollen, Account-Sperre und Admin-Protokoll
+    await db.pool.query(`
+        ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'user',
+        ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+    `);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_actions (
+            id SERIAL PRIMARY KEY,
+            admin TEXT NOT NULL,
+            action TEXT NOT NULL,
+            target_user_id INTEGER,
+            details TEXT,
+            ip TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target_user_id, created_at DESC);
+    `);
+
+    // Schritt 8: KI-Kontingente pro Account
+    await db.pool.query(`
+        ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS plan TEXT DEFAULT 'free',
+        ADD COLUMN IF NOT EXISTS ai_daily_limit INTEGER,
+        ADD COLUMN IF NOT EXISTS ai_monthly_limit INTEGER;
+    `);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS ai_usage (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at);
+    `);
+
+    // Schritt 9: Sicherheitsprotokoll
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+            id SERIAL PRIMARY KEY,
+            event_type TEXT NOT NULL,
+            user_id INTEGER,
+            device_hash TEXT,
+            ip TEXT,
+            user_agent TEXT,
+            details TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_audit_events_user_created ON audit_events(user_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
+    `);
+
+    // Schritt 10: API-Schlüssel mit Berechtigungen
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,
+            scopes TEXT NOT NULL,
+            last_used_at TIMESTAMPTZ,
+            revoked_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+    `);
+
+    // Schritt 11: Revisionen und Änderungsprotokoll für Delta-Sync
+    await db.pool.query(`
+        ALTER TABLE coffees 
+        ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+    `);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS coffee_changes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            coffee_id INTEGER NOT NULL,
+            deleted INTEGER NOT NULL DEFAULT 0,
+            changed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_coffee_changes_user_id ON coffee_changes(user_id, id);
+        CREATE INDEX IF NOT EXISTS idx_coffee_changes_coffee_id ON coffee_changes(coffee_id);
+    `);
+
+    await backfillCoffeeSync();
+
+    // Schritt 12: Kaffee-Felder als eigene Spalten statt JSON-Blob
+    await db.pool.query(`
+        ALTER TABLE coffees 
+        ${Object.entries(COFFEE_COLUMN_TYPES.postgresql).map(([column, type]) => `ADD COLUMN IF NOT EXISTS ${column} ${type}`).join(',\n        ')};
+    `);
+
+    await migrateCoffeeColumns();
+
+    // Schritt 13: Indices für Suche, Filter und Sortierung der Kaffeeliste
+    await createCoffeeListIndexes();
+
+    // Schritt 14: Aufbewahrungsdauer des Komposts pro Account
+    await db.pool.query(`
+        ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS compost_retention_days INTEGER;
+    `);
+
+    // Schritt 15: Brühprotokoll pro Kaffee
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS brews (
+            id SERIAL PRIMARY KEY,
+            coffee_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            brewed_at TIMESTAMPTZ NOT NULL,
+            method TEXT,
+            dose DOUBLE PRECISION,
+            water DOUBLE PRECISION,
+            grind_setting TEXT,
+            grinder TEXT,
+            temperature DOUBLE PRECISION,
+            brew_time INTEGER,
+            water_hardness DOUBLE PRECISION,
+            rating INTEGER,
+            taste TEXT,
+            notes TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (coffee_id) REFERENCES coffees(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_brews_coffee_brewed ON brews(coffee_id, brewed_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_brews_user_brewed ON brews(user_id, brewed_at DESC);
+    `);
+
+    // Schritt 16: Frische-Fenster pro Account (JSON)
+    await db.pool.query(`
+        ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS freshness_settings TEXT;
+    `);
+
+    // Schritt 17: Bohnenvorrat - Buchungen pro Kaffee (Spalten kommen aus Schritt 12)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS inventory_events (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            coffee_id INTEGER NOT NULL,
+            brew_id INTEGER,
+            type TEXT NOT NULL,
+            grams DOUBLE PRECISION NOT NULL,
+            remaining_grams DOUBLE PRECISION NOT NULL,
+            reason TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (coffee_id) REFERENCES coffees(id) ON DELETE CASCADE,
+            FOREIGN KEY (brew_id) REFERENCES brews(id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_inventory_events_coffee ON inventory_events(coffee_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_inventory_events_user_created ON inventory_events(user_id, created_at);
+    `);
+
+    // Schritt 18: Mühlenkatalog (eingebaute Mühlen + eigene Mühlen pro Account)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS grinders (
+            id SERIAL PRIMARY KEY,
+            key TEXT NOT NULL UNIQUE,
+            user_id INTEGER,
+            name TEXT NOT NULL,
+            scale TEXT NOT NULL,
+            min_setting DOUBLE PRECISION NOT NULL,
+            max_setting DOUBLE PRECISION NOT NULL,
+            step DOUBLE PRECISION NOT NULL,
+            subdivisions INTEGER,
+            microns_at_min DOUBLE PRECISION NOT NULL,
+            microns_per_step DOUBLE PRECISION NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_grinders_user ON grinders(user_id);
+    `);
+
+    await seedGrinders();
+
+    // Schritt 19: Umrechnungen der Mahlgrade beim Mühlenwechsel (für Rückgängig)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS grind_conversions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            from_grinder TEXT NOT NULL,
+            to_grinder TEXT NOT NULL,
+            changes TEXT NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            undone_at TIMESTAMPTZ,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_grind_conversions_user ON grind_conversions(user_id, id DESC);
+    `);
+
+    // Schritt 20: Wasserprofile pro Account (JSON, water_hardness bleibt als abgeleitete GH)
+    await db.pool.query(`
+        ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS water_profiles TEXT;
+    `);
+
+    // Schritt 21: Brühmethoden-Vorlieben pro Account (JSON)
+    await db.pool.query(`
+        ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS brew_method_settings TEXT;
+    `);
 }
 
 /**
  * Create SQLite tables with device binding, grinder preference, and water hardness
  */
 async function createSQLiteTables() {
+    // idx_users_token is dropped: tokens are looked up by hash via the UNIQUE constraint index
     await db.exec(`
         CREATE TABLE IF NOT EXISTS users (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -171,324 +603,2774 @@ async function createSQLiteTables() {
         );
 
         CREATE INDEX IF NOT EXISTS idx_coffees_user_id ON coffees(user_id);
-        CREATE INDEX IF NOT EXISTS idx_users_token ON users(token);
+        DROP INDEX IF EXISTS idx_users_token;
         CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
         CREATE INDEX IF NOT EXISTS idx_coffees_user_created ON coffees(user_id, created_at DESC);
-    `);
-}
 
-export function getDatabase() {
-    if (!db) {
-        throw new Error('Database not initialized. Call initDatabase() first.');
-    }
-    return db;
-}
+        CREATE TABLE IF NOT EXISTS devices (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            device_id TEXT NOT NULL,
+            name TEXT,
+            device_info TEXT,
+            first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revoked_at DATETIME,
+            UNIQUE (user_id, device_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
 
-export function getDatabaseType() {
-    return dbType;
-}
+        CREATE INDEX IF NOT EXISTS idx_devices_user_id ON devices(user_id);
+        CREATE INDEX IF NOT EXISTS idx_devices_device_id ON devices(device_id);
 
-/**
- * Begin a database transaction
- */
-export async function beginTransaction() {
-    const database = getDatabase();
-    if (dbType === 'postgresql') {
-        await database.pool.query('BEGIN');
-    } else {
-        await database.exec('BEGIN TRANSACTION');
-    }
-}
+        CREATE TABLE IF NOT EXISTS sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            device_id INTEGER NOT NULL,
+            access_token TEXT NOT NULL UNIQUE,
+            access_expires_at DATETIME NOT NULL,
+            refresh_token TEXT NOT NULL UNIQUE,
+            refresh_expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+        );
 
-/**
- * Commit a database transaction
- */
-export async function commit() {
-    const database = getDatabase();
-    if (dbType === 'postgresql') {
-        await database.pool.query('COMMIT');
-    } else {
-        await database.exec('COMMIT');
-    }
-}
+        CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_device_id ON sessions(device_id);
 
-/**
- * Rollback a database transaction
- */
-export async function rollback() {
-    const database = getDatabase();
-    if (dbType === 'postgresql') {
-        await database.pool.query('ROLLBACK');
-    } else {
-        await database.exec('ROLLBACK');
-    }
-}
+        CREATE TABLE IF NOT EXISTS recovery_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
 
-export async function closeDatabase() {
-    if (db && dbType === 'postgresql') {
-        await db.pool.end();
-        console.log('✅ PostgreSQL connection closed');
-    } else if (db && dbType === 'sqlite') {
-        await db.close();
-        console.log('✅ SQLite connection closed');
-    }
-    db = null;
-    dbType = null;
-}
+        CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
 
-/**
- * Query helpers mit Device-Binding, Grinder Preference und Water Hardness
- */
-export const queries = {
-    /**
-     * Get user by token (prüft auch device_id)
-     */
-    async getUserByToken(token, deviceId = null) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            if (deviceId) {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, water_hardness, created_at FROM users WHERE token = $1 AND device_id = $2', 
-                    [token, deviceId]
-                );
-            } else {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, water_hardness, created_at FROM users WHERE token = $1', 
-                    [token]
-                );
-            }
-        } else {
-            if (deviceId) {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, water_hardness, created_at FROM users WHERE token = ? AND device_id = ?', 
-                    [token, deviceId]
-                );
-            } else {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, water_hardness, created_at FROM users WHERE token = ?', 
-                    [token]
-                );
-            }
-        }
+        CREATE TABLE IF NOT EXISTS admin_actions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            admin TEXT NOT NULL,
+            action TEXT NOT NULL,
+            target_user_id INTEGER,
+            details TEXT,
+            ip TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target_user_id, created_at DESC);
+
+        CREATE TABLE IF NOT EXISTS ai_usage (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at);
+
+        CREATE TABLE IF NOT EXISTS audit_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_type TEXT NOT NULL,
+            user_id INTEGER,
+            device_hash TEXT,
+            ip TEXT,
+            user_agent TEXT,
+            details TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_audit_events_user_created ON audit_events(user_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
+
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,
+            scopes TEXT NOT NULL,
+            last_used_at DATETIME,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+        CREATE TABLE IF NOT EXISTS coffee_changes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            coffee_id INTEGER NOT NULL,
+            deleted INTEGER NOT NULL DEFAULT 0,
+            changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_coffee_changes_user_id ON coffee_changes(user_id, id);
+        CREATE INDEX IF NOT EXISTS idx_coffee_changes_coffee_id ON coffee_changes(coffee_id);
+
+        CREATE TABLE IF NOT EXISTS brews (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            coffee_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            brewed_at DATETIME NOT NULL,
+            method TEXT,
+            dose REAL,
+            water REAL,
+            grind_setting TEXT,
+            grinder TEXT,
+            temperature REAL,
+            brew_time INTEGER,
+            water_hardness REAL,
+            rating INTEGER,
+            taste TEXT,
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (coffee_id) REFERENCES coffees(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_brews_coffee_brewed ON brews(coffee_id, brewed_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_brews_user_brewed ON brews(user_id, brewed_at DESC);
+
+        CREATE TABLE IF NOT EXISTS inventory_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            coffee_id INTEGER NOT NULL,
+            brew_id INTEGER,
+            type TEXT NOT NULL,
+            grams REAL NOT NULL,
+            remaining_grams REAL NOT NULL,
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (coffee_id) REFERENCES coffees(id) ON DELETE CASCADE,
+            FOREIGN KEY (brew_id) REFERENCES brews(id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_inventory_events_coffee ON inventory_events(coffee_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_inventory_events_user_created ON inventory_events(user_id, created_at);
+
+        CREATE TABLE IF NOT EXISTS grinders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key TEXT NOT NULL UNIQUE,
+            user_id INTEGER,
+            name TEXT NOT NULL,
+            scale TEXT NOT NULL,
+            min_setting REAL NOT NULL,
+            max_setting REAL NOT NULL,
+            step REAL NOT NULL,
+            subdivisions INTEGER,
+            microns_at_min REAL NOT NULL,
+            microns_per_step REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_grinders_user ON grinders(user_id);
+
+        CREATE TABLE IF NOT EXISTS grind_conversions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            from_grinder TEXT NOT NULL,
+            to_grinder TEXT NOT NULL,
+            changes TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            undone_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_grind_conversions_user ON grind_conversions(user_id, id DESC);
+    `);
+
+    await addSQLiteColumns('users', {
+        role: "TEXT DEFAULT 'user'",
+        disabled_at: 'DATETIME',
+        plan: "TEXT DEFAULT 'free'",
+        ai_daily_limit: 'INTEGER',
+        ai_monthly_limit: 'INTEGER',
+        compost_retention_days: 'INTEGER',
+        freshness_settings: 'TEXT',
+        water_profiles: 'TEXT',
+        brew_method_settings: 'TEXT'
+    });
+
+    // SQLite cannot add a column with a CURRENT_TIMESTAMP default; backfilled below
+    await addSQLiteColumns('coffees', {
+        revision: 'INTEGER NOT NULL DEFAULT 1',
+        updated_at: 'DATETIME',
+        ...COFFEE_COLUMN_TYPES.sqlite
+    });
+
+    await createUsernameIndex();
+    await createCoffeeListIndexes();
+    await migrateLegacyDeviceBindings();
+    await backfillCoffeeSync();
+    await migrateCoffeeColumns();
+    await seedGrinders();
+}
+
+/**
+ * Add columns to an existing SQLite table if they are missing
+ * (SQLite has no ADD COLUMN IF NOT EXISTS)
+ * @param {string} table - Table name
+ * @param {Object<string, string>} columns - Column name → type/default definition
+ */
+async function addSQLiteColumns(table, columns) {
+    const existing = (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+    for (const [name, definition] of Object.entries(columns)) {
+        if (!existing.includes(name)) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        }
+    }
+}
+
+/**
+ * Reserve usernames case-insensitively at the database level
+ * Fails softly if legacy data already contains case-only duplicates
+ */
+async function createUsernameIndex() {
+    try {
+        await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username_lower ON users(LOWER(username))');
+    } catch (err) {
+        console.warn('⚠️  Could not create case-insensitive username index:', err.message);
+    }
+}
+
+/**
+ * Indices for filtering and sorting the coffee list
+ * Same statements for both databases; runs after the coffee columns exist.
+ * Text sorts use the expressions from COFFEE_SORT_FIELDS so they can be served by an index.
+ */
+async function createCoffeeListIndexes() {
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_updated ON coffees(user_id, updated_at);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_roast_date ON coffees(user_id, roast_date);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_added_date ON coffees(user_id, added_date);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_process ON coffees(user_id, process);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_favorite ON coffees(user_id, favorite);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_deleted ON coffees(user_id, deleted);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_name ON coffees(user_id, (LOWER(COALESCE(name, ''))));
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_roaster ON coffees(user_id, (LOWER(COALESCE(roaster, ''))));
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_origin ON coffees(user_id, (LOWER(COALESCE(origin, ''))));
+    `);
+}
+
+/**
+ * Helper: A field value as the column type, or undefined if it does not convert
+ * Booleans accept true/false, 1/0 and their strings; numbers numeric strings;
+ * text columns only strings, so a customTemp of 93 stays a number in extras.
+ */
+function toColumnValue(value, type) {
+    if (type === 'boolean') {
+        if (value === true || value === 1 || value === 'true' || value === '1') return true;
+        if (value === false || value === 0 || value === 'false' || value === '0') return false;
+        return undefined;
+    }
+    if (type === 'number') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Split a coffee object into column values and the extras JSON
+ * Values are coerced to the column type; values that do not convert stay in
+ * extras as they are, so nothing is lost
+ * @param {Object|string} coffee - Coffee object (or its JSON)
+ * @returns {{ values: Array, extras: string }} - values in COFFEE_DATA_COLUMNS order
+ */
+function coffeeToColumns(coffee) {
+    const source = typeof coffee === 'string' ? JSON.parse(coffee) : { ...coffee };
+    const extras = { ...source };
+
+    const values = Object.entries(COFFEE_FIELD_COLUMNS).map(([field, [, type]]) => {
+        const value = source[field];
+        if (value === undefined || value === null) {
+            delete extras[field];
+            return null;
+        }
+
+        const converted = toColumnValue(value, type);
+        if (converted === undefined) return null;
+        delete extras[field];
+        return converted;
+    });
+
+    for (const field of COFFEE_SERVER_FIELDS) {
+        delete extras[field];
+    }
+
+    return { values, extras: JSON.stringify(extras) };
+}
+
+/**
+ * Rebuild the coffee object of a row in the shape clients stored it
+ * Null columns are left out, like fields that were never set
+ * @returns {Object} - Row with data (JSON string) instead of the field columns
+ */
+function mapCoffeeRow(row) {
+    if (!row) return row;
+
+    const coffee = {};
+    for (const [field, [column, type]] of Object.entries(COFFEE_FIELD_COLUMNS)) {
+        const value = row[column];
+        if (value === null || value === undefined) continue;
+        coffee[field] = type === 'boolean' ? Boolean(value) : value;
+    }
+    Object.assign(coffee, row.extras ? JSON.parse(row.extras) : {});
+
+    return {
+        id: row.id,
+        data: JSON.stringify(coffee),
+        revision: row.revision,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+/**
+ * Shape a brew row for the API (camelCase, taste as an array)
+ */
+function mapBrewRow(row) {
+    if (!row) return row;
+
+    const brew = { id: row.id, coffeeId: row.coffee_id };
+    for (const [field, column] of Object.entries(BREW_FIELD_COLUMNS)) {
+        brew[field] = row[column] ?? null;
+    }
+    brew.brewedAt = row.brewed_at instanceof Date ? row.brewed_at.toISOString() : row.brewed_at;
+    brew.taste = row.taste ? JSON.parse(row.taste) : [];
+    brew.createdAt = row.created_at;
+    brew.updatedAt = row.updated_at;
+    return brew;
+}
+
+/**
+ * Column values of a brew in BREW_FIELD_COLUMNS order
+ */
+function brewToColumns(brew) {
+    return Object.keys(BREW_FIELD_COLUMNS).map(field => {
+        if (field === 'taste') return JSON.stringify(brew.taste || []);
+        return brew[field] ?? null;
+    });
+}
+
+/**
+ * Add the built-in grinders to the catalog
+ * Existing entries are left alone, so calibrations changed in the database stay.
+ */
+async function seedGrinders() {
+    for (const grinder of BUILTIN_GRINDERS) {
+        await db.run(
+            `INSERT INTO grinders (${GRINDER_COLUMNS}) VALUES (${placeholders(10)}) ON CONFLICT (key) DO NOTHING`,
+            [null, ...grinderToColumns(grinder)]
+        );
+    }
+}
+
+/**
+ * Shape a grinder row for the API
+ */
+function mapGrinderRow(row) {
+    if (!row) return null;
+
+    const grinder = {};
+    for (const [field, column] of Object.entries(GRINDER_FIELD_COLUMNS)) {
+        grinder[field] = row[column] ?? null;
+    }
+    grinder.custom = row.user_id !== null && row.user_id !== undefined;
+    return grinder;
+}
+
+/**
+ * Column values of a grinder in GRINDER_FIELD_COLUMNS order
+ */
+function grinderToColumns(grinder) {
+    return Object.keys(GRINDER_FIELD_COLUMNS).map(field => grinder[field] ?? null);
+}
+
+/**
+ * Placeholders for a list of values ('$3, $4' or '?, ?')
+ */
+function placeholders(count, offset = 0) {
+    return Array.from({ length: count }, (_, i) => (dbType === 'postgresql' ? `$${offset + i + 1}` : '?')).join(', ');
+}
+
+/**
+ * Helper (PostgreSQL): Run statements in a transaction that holds the lock on
+ * the user's row, so a check and the write that depends on it cannot interleave
+ * with another request of the same user
+ * @param {Function} work - async (client) => result
+ */
+async function withUserRowLock(userId, work) {
+    return withTransaction(async () => {
+        const { client } = getDatabase();
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        return work(client);
+    });
+}
+
+/**
+ * Move coffees stored as a JSON blob into the field columns
+ * Idempotent: rows with extras set are already migrated. data keeps the original
+ * blob as a backup until a later release has verified the columns and clears it.
+ */
+async function migrateCoffeeColumns() {
+    const rows = await db.all('SELECT id, data FROM coffees WHERE extras IS NULL');
+    if (rows.length === 0) return;
+
+    for (const row of rows) {
+        let coffee;
+        try {
+            coffee = JSON.parse(row.data);
+        } catch (e) {
+            coffee = {};
+        }
+
+        const { values, extras } = coffeeToColumns(coffee);
+        const assignments = [...COFFEE_DATA_COLUMNS, 'extras']
+            .map((column, i) => `${column} = ${placeholders(1, i)}`)
+            .join(', ');
+
+        await db.run(
+            `UPDATE coffees SET ${assignments} WHERE id = ${placeholders(1, values.length + 1)}`,
+            [...values, extras, row.id]
+        );
+    }
+
+    console.log(`🗂️ Migrated ${rows.length} coffee(s) to field columns`);
+}
+
+/**
+ * Record the latest change of a coffee in the sync log
+ * Older entries for the same coffee are dropped, so the log holds one
+ * entry per coffee (or tombstone) and the feed never replays stale states
+ */
+async function recordCoffeeChange(userId, coffeeId, deleted = false) {
+    const db = getDatabase();
+    if (dbType === 'postgresql') {
+        await db.run('DELETE FROM coffee_changes WHERE coffee_id = $1', [coffeeId]);
+        await db.run(
+            'INSERT INTO coffee_changes (user_id, coffee_id, deleted) VALUES ($1, $2, $3)',
+            [userId, coffeeId, deleted ? 1 : 0]
+        );
+    } else {
+        await db.run('DELETE FROM coffee_changes WHERE coffee_id = ?', [coffeeId]);
+        await db.run(
+            'INSERT INTO coffee_changes (user_id, coffee_id, deleted) VALUES (?, ?, ?)',
+            [userId, coffeeId, deleted ? 1 : 0]
+        );
+    }
+}
+
+/**
+ * Give coffees from before delta sync an updated_at and an entry in the change log
+ * Idempotent: only coffees without them are touched
+ */
+async function backfillCoffeeSync() {
+    await db.run('UPDATE coffees SET updated_at = created_at WHERE updated_at IS NULL');
+
+    const result = await db.run(`
+        INSERT INTO coffee_changes (user_id, coffee_id)
+        SELECT c.user_id, c.id
+        FROM coffees c
+        WHERE NOT EXISTS (
+            SELECT 1 FROM coffee_changes ch WHERE ch.coffee_id = c.id
+        )
+        ORDER BY c.id
+    `);
+
+    if (result.changes > 0) {
+        console.log(`🔄 Added ${result.changes} coffee(s) to the sync log`);
+    }
+}
+
+/**
+ * Copy single-device bindings from users.device_id into the devices table
+ * Idempotent: bindings that already have a devices row are skipped
+ */
+async function migrateLegacyDeviceBindings() {
+    const result = await db.run(`
+        INSERT INTO devices (user_id, device_id, device_info, first_seen_at, last_seen_at)
+        SELECT u.id, u.device_id, u.device_info,
+               COALESCE(u.last_login_at, u.created_at),
+               COALESCE(u.last_login_at, u.created_at)
+        FROM users u
+        WHERE u.device_id IS NOT NULL
+          AND NOT EXISTS (
+              SELECT 1 FROM devices d 
+              WHERE d.user_id = u.id AND d.device_id = u.device_id
+          )
+    `);
+
+    if (result.changes > 0) {
+        console.log(`🔗 Migrated ${result.changes} legacy device binding(s)`);
+    }
+}
+
+/**
+ * Replace a legacy plaintext token with its hash
+ * @param {string} table - Table name (internal constant, never user input)
+ * @param {string} column - Token column (internal constant, never user input)
+ */
+async function migratePlaintextToken(table, column, id, hashed) {
+    const db = getDatabase();
+    if (dbType === 'postgresql') {
+        await db.run(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [hashed, id]);
+    } else {
+        await db.run(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [hashed, id]);
+    }
+    console.log(`🔐 Migrated plaintext ${table}.${column} to hash (id ${id})`);
+}
+
+export function getDatabase() {
+    if (!db) {
+        throw new Error('Database not initialized. Call initDatabase() first.');
+    }
+    return transactionStore.getStore() || (dbType === 'sqlite' ? queuedSQLite : db);
+}
+
+export function getDatabaseType() {
+    return dbType;
+}
+
+/**
+ * Run work in a transaction on one dedicated connection
+ * Everything work runs through getDatabase() - and so every query helper - is part
+ * of the transaction: it commits when work resolves and rolls back when it throws.
+ * A call inside a running transaction joins it.
+ * @param {Function} work - async () => result
+ */
+export async function withTransaction(work) {
+    if (transactionStore.getStore()) return work();
+
+    if (dbType === 'postgresql') {
+        const client = await db.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await transactionStore.run(createPostgreSQLInterface(db.pool, client), work);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    return enqueueSQLite(async () => {
+        await db.exec('BEGIN TRANSACTION');
+        try {
+            const result = await transactionStore.run(db, work);
+            await db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+/**
+ * Begin a database transaction
+ * On PostgreSQL BEGIN, COMMIT and ROLLBACK may each run on another pooled
+ * connection; use withTransaction for work that must be atomic.
+ */
+export async function beginTransaction() {
+    const database = getDatabase();
+    if (dbType === 'postgresql') {
+        await database.pool.query('BEGIN');
+    } else {
+        await database.exec('BEGIN TRANSACTION');
+    }
+}
+
+/**
+ * Commit a database transaction
+ */
+export async function commit() {
+    const database = getDatabase();
+    if (dbType === 'postgresql') {
+        await database.pool.query('COMMIT');
+    } else {
+        await database.exec('COMMIT');
+    }
+}
+
+/**
+ * Rollback a database transaction
+ */
+export async function rollback() {
+    const database = getDatabase();
+    if (dbType === 'postgresql') {
+        await database.pool.query('ROLLBACK');
+    } else {
+        await database.exec('ROLLBACK');
+    }
+}
+
+export async function closeDatabase() {
+    if (db && dbType === 'postgresql') {
+        await db.pool.end();
+        console.log('✅ PostgreSQL connection closed');
+    } else if (db && dbType === 'sqlite') {
+        await db.close();
+        console.log('✅ SQLite connection closed');
+    }
+    db = null;
+    dbType = null;
+    queuedSQLite = null;
+}
+
+/**
+ * Query helpers mit Device-Binding, Grinder Preference und Water Hardness
+ */
+export const queries = {
+    /**
+     * Get user by token
+     * Tokens are stored as keyed hashes; legacy plaintext tokens are
+     * re-stored as hashes the first time they are used
+     */
+    async getUserByToken(token) {
+        const db = getDatabase();
+        const hashed = hashToken(token);
+        let user;
+        if (dbType === 'postgresql') {
+            user = await db.get(
+                `SELECT ${USER_COLUMNS}, token FROM users WHERE token = $1`, 
+                [hashed]
+            );
+            if (!user) {
+                user = await db.get(
+                    `SELECT ${USER_COLUMNS}, token FROM users 
+                     WHERE token = $1 AND token NOT LIKE '${TOKEN_HASH_PREFIX}%'`, 
+                    [token]
+                );
+            }
+        } else {
+            user = await db.get(
+                `SELECT ${USER_COLUMNS}, token FROM users WHERE token = ?`, 
+                [hashed]
+            );
+            if (!user) {
+                user = await db.get(
+                    `SELECT ${USER_COLUMNS}, token FROM users 
+                     WHERE token = ? AND token NOT LIKE '${TOKEN_HASH_PREFIX}%'`, 
+                    [token]
+                );
+            }
+        }
+
+        if (!user || !tokenMatches(token, user.token)) {
+            return null;
+        }
+
+        if (!isHashedToken(user.token)) {
+            await migratePlaintextToken('users', 'token', user.id, hashed);
+        }
+
+        const { token: _stored, ...rest } = user;
+        return rest;
+    },
+    
+    /**
+     * Get user by ID
+     */
+    async getUserById(id) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.get(
+                `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, 
+                [id]
+            );
+        } else {
+            return db.get(
+                `SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, 
+                [id]
+            );
+        }
+    },
+    
+    /**
+     * Create new user mit device binding und default grinder
+     */
+    async createUser(username, token, deviceId, deviceInfo) {
+        const db = getDatabase();
+        let userId;
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                `INSERT INTO users (username, token, grinder_preference, last_login_at) 
+                 VALUES ($1, $2, 'fellow', CURRENT_TIMESTAMP) 
+                 RETURNING id`,
+                [username, hashToken(token)]
+            );
+            userId = result.id;
+        } else {
+            const result = await db.run(
+                `INSERT INTO users (username, token, grinder_preference, last_login_at) 
+                 VALUES (?, ?, 'fellow', CURRENT_TIMESTAMP)`,
+                [username, hashToken(token)]
+            );
+            userId = result.lastID;
+        }
+
+        if (deviceId) {
+            await queries.addDevice(userId, deviceId, deviceInfo);
+        }
+
+        return userId;
+    },
+    
+    /**
+     * Update grinder preference
+     */
+    async updateGrinderPreference(userId, grinder) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE users SET grinder_preference = $1 WHERE id = $2',
+                [grinder, userId]
+            );
+        } else {
+            await db.run(
+                'UPDATE users SET grinder_preference = ? WHERE id = ?',
+                [grinder, userId]
+            );
+        }
+    },
+    
+    /**
+     * Get grinder preference
+     */
+    async getGrinderPreference(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT grinder_preference FROM users WHERE id = $1',
+                [userId]
+            );
+            return result?.grinder_preference || 'fellow';
+        } else {
+            const result = await db.get(
+                'SELECT grinder_preference FROM users WHERE id = ?',
+                [userId]
+            );
+            return result?.grinder_preference || 'fellow';
+        }
+    },
+    
+    /**
+     * Grinder catalog for a user: the built-in grinders and their own
+     * @returns {Promise<Array<Object>>} - built-in grinders first, then by name
+     */
+    async getGrinders(userId) {
+        const db = getDatabase();
+        let rows;
+        if (dbType === 'postgresql') {
+            rows = await db.all(
+                `SELECT ${GRINDER_COLUMNS} FROM grinders WHERE user_id IS NULL OR user_id = $1 
+                 ORDER BY user_id IS NOT NULL, LOWER(name), id`,
+                [userId]
+            );
+        } else {
+            rows = await db.all(
+                `SELECT ${GRINDER_COLUMNS} FROM grinders WHERE user_id IS NULL OR user_id = ? 
+                 ORDER BY user_id IS NOT NULL, LOWER(name), id`,
+                [userId]
+            );
+        }
+        return rows.map(mapGrinderRow);
+    },
+    
+    /**
+     * A built-in grinder or one of the user's own, by key
+     * @returns {Promise<Object|null>}
+     */
+    async getGrinder(userId, key) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return mapGrinderRow(await db.get(
+                `SELECT ${GRINDER_COLUMNS} FROM grinders WHERE key = $1 AND (user_id IS NULL OR user_id = $2)`,
+                [key, userId]
+            ));
+        } else {
+            return mapGrinderRow(await db.get(
+                `SELECT ${GRINDER_COLUMNS} FROM grinders WHERE key = ? AND (user_id IS NULL OR user_id = ?)`,
+                [key, userId]
+            ));
+        }
+    },
+    
+    /**
+     * Add a grinder to the catalog
+     * @param {number|null} userId - Owner of a custom grinder; null adds a built-in one
+     * @returns {Promise<Object|null>} - null if the key is taken
+     */
+    async createGrinder(userId, grinder) {
+        const db = getDatabase();
+        const result = await db.run(
+            `INSERT INTO grinders (${GRINDER_COLUMNS}) VALUES (${placeholders(10)}) ON CONFLICT (key) DO NOTHING`,
+            [userId, ...grinderToColumns(grinder)]
+        );
+        return result.changes > 0 ? queries.getGrinder(userId, grinder.key) : null;
+    },
+    
+    /**
+     * Delete one of the user's own grinders (built-in grinders cannot be deleted)
+     */
+    async deleteGrinder(userId, key) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.run('DELETE FROM grinders WHERE key = $1 AND user_id = $2', [key, userId]);
+        } else {
+            result = await db.run('DELETE FROM grinders WHERE key = ? AND user_id = ?', [key, userId]);
+        }
+        return result.changes > 0;
+    },
+    
+    /**
+     * Log a conversion of the stored grind settings, so it can be undone
+     * @param {Array<Object>} changes - { coffeeId, before, after, revision } per coffee
+     * @returns {Promise<number>} - Conversion ID
+     */
+    async createGrindConversion(userId, fromGrinder, toGrinder, changes) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                `INSERT INTO grind_conversions (user_id, from_grinder, to_grinder, changes) 
+                 VALUES ($1, $2, $3, $4) RETURNING id`,
+                [userId, fromGrinder, toGrinder, JSON.stringify(changes)]
+            );
+            return result.id;
+        } else {
+            const result = await db.run(
+                'INSERT INTO grind_conversions (user_id, from_grinder, to_grinder, changes) VALUES (?, ?, ?, ?)',
+                [userId, fromGrinder, toGrinder, JSON.stringify(changes)]
+            );
+            return result.lastID;
+        }
+    },
+    
+    /**
+     * The user's latest conversion that was not undone yet
+     * @returns {Promise<Object|null>} - changes parsed
+     */
+    async getLatestGrindConversion(userId) {
+        const db = getDatabase();
+        let row;
+        if (dbType === 'postgresql') {
+            row = await db.get(
+                `SELECT id, from_grinder, to_grinder, changes, created_at FROM grind_conversions 
+                 WHERE user_id = $1 AND undone_at IS NULL ORDER BY id DESC LIMIT 1`,
+                [userId]
+            );
+        } else {
+            row = await db.get(
+                `SELECT id, from_grinder, to_grinder, changes, created_at FROM grind_conversions 
+                 WHERE user_id = ? AND undone_at IS NULL ORDER BY id DESC LIMIT 1`,
+                [userId]
+            );
+        }
+        return row ? { ...row, changes: JSON.parse(row.changes) } : null;
+    },
+    
+    /**
+     * Mark a conversion as undone
+     * @returns {Promise<boolean>} - False if it was undone already
+     */
+    async markGrindConversionUndone(userId, conversionId) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.run(
+                'UPDATE grind_conversions SET undone_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND undone_at IS NULL',
+                [conversionId, userId]
+            );
+        } else {
+            result = await db.run(
+                'UPDATE grind_conversions SET undone_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND undone_at IS NULL',
+                [conversionId, userId]
+            );
+        }
+        return result.changes > 0;
+    },
+    
+    /**
+     * Number of grinders a user has added
+     */
+    async countUserGrinders(userId) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.get('SELECT COUNT(*) as count FROM grinders WHERE user_id = $1', [userId]);
+        } else {
+            result = await db.get('SELECT COUNT(*) as count FROM grinders WHERE user_id = ?', [userId]);
+        }
+        return parseInt(result.count, 10);
+    },
+    
+    /**
+     * Update water hardness (NEW)
+     */
+    async updateWaterHardness(userId, waterHardness) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE users SET water_hardness = $1 WHERE id = $2',
+                [waterHardness, userId]
+            );
+        } else {
+            await db.run(
+                'UPDATE users SET water_hardness = ? WHERE id = ?',
+                [waterHardness, userId]
+            );
+        }
+    },
+    
+    /**
+     * Get water hardness (NEW)
+     */
+    async getWaterHardness(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT water_hardness FROM users WHERE id = $1',
+                [userId]
+            );
+            return result?.water_hardness || null;
+        } else {
+            const result = await db.get(
+                'SELECT water_hardness FROM users WHERE id = ?',
+                [userId]
+            );
+            return result?.water_hardness || null;
+        }
+    },
+    
+    /**
+     * Water profiles of an account (null = none saved)
+     * Accounts that only have a water hardness from before water profiles get it
+     * as the active 'custom' profile; it is stored with the next change
+     * @returns {Promise<Object|null>} - { active, profiles: { key: profile } }
+     */
+    async getWaterSettings(userId) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.get('SELECT water_profiles, water_hardness FROM users WHERE id = $1', [userId]);
+        } else {
+            result = await db.get('SELECT water_profiles, water_hardness FROM users WHERE id = ?', [userId]);
+        }
+        if (result?.water_profiles) {
+            return JSON.parse(result.water_profiles);
+        }
+        if (result?.water_hardness !== null && result?.water_hardness !== undefined) {
+            return applyWaterHardness(null, Number(result.water_hardness));
+        }
+        return null;
+    },
+    
+    /**
+     * Store the water profiles, and the water hardness derived from the active one
+     * @param {number|null|undefined} waterHardness - GH of the active profile in °dH;
+     *     undefined leaves the stored water hardness untouched
+     */
+    async updateWaterSettings(userId, settings, waterHardness) {
+        const db = getDatabase();
+        const value = settings ? JSON.stringify(settings) : null;
+        if (waterHardness === undefined) {
+            if (dbType === 'postgresql') {
+                await db.run('UPDATE users SET water_profiles = $1 WHERE id = $2', [value, userId]);
+            } else {
+                await db.run('UPDATE users SET water_profiles = ? WHERE id = ?', [value, userId]);
+            }
+            return;
+        }
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE users SET water_profiles = $1, water_hardness = $2 WHERE id = $3',
+                [value, waterHardness, userId]
+            );
+        } else {
+            await db.run(
+                'UPDATE users SET water_profiles = ?, water_hardness = ? WHERE id = ?',
+                [value, waterHardness, userId]
+            );
+        }
+    },
+    
+    /**
+     * Update last login time
+     */
+    async updateLastLogin(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [userId]
+            );
+        } else {
+            await db.run(
+                'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [userId]
+            );
+        }
+    },
+    
+    /**
+     * Check if device is already registered (active binding on any account)
+     */
+    async deviceExists(deviceId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT id FROM devices WHERE device_id = $1 AND revoked_at IS NULL',
+                [deviceId]
+            );
+            return !!result;
+        } else {
+            const result = await db.get(
+                'SELECT id FROM devices WHERE device_id = ? AND revoked_at IS NULL',
+                [deviceId]
+            );
+            return !!result;
+        }
+    },
+    
+    /**
+     * Bind device to user (adds a device and records the login)
+     * Count check and insert are one statement (on PostgreSQL under the user's row
+     * lock), so parallel first requests cannot exceed the device limit; a device
+     * another request bound meanwhile is left as it is
+     * @param {number} maxDevices - Active devices allowed per account
+     * @returns {Promise<boolean>} - True if this call bound the device
+     */
+    async bindDevice(userId, deviceId, deviceInfo, maxDevices) {
+        const db = getDatabase();
+        let bound;
+        if (dbType === 'postgresql') {
+            const result = await withUserRowLock(userId, client => client.query(
+                `INSERT INTO devices (user_id, device_id, device_info) 
+                 SELECT $1, $2, $3 
+                 WHERE (SELECT COUNT(*) FROM devices WHERE user_id = $1 AND revoked_at IS NULL) < $4 
+                 ON CONFLICT (user_id, device_id) DO NOTHING`,
+                [userId, deviceId, deviceInfo, maxDevices]
+            ));
+            bound = result.rowCount > 0;
+        } else {
+            const result = await db.run(
+                `INSERT INTO devices (user_id, device_id, device_info) 
+                 SELECT ?, ?, ? 
+                 WHERE (SELECT COUNT(*) FROM devices WHERE user_id = ? AND revoked_at IS NULL) < ? 
+                 ON CONFLICT (user_id, device_id) DO NOTHING`,
+                [userId, deviceId, deviceInfo, userId, maxDevices]
+            );
+            bound = result.changes > 0;
+        }
+        if (bound) await queries.updateLastLogin(userId);
+        return bound;
+    },
+    
+    /**
+     * Add a device to a user's account
+     */
+    async addDevice(userId, deviceId, deviceInfo, name = null) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                `INSERT INTO devices (user_id, device_id, name, device_info) 
+                 VALUES ($1, $2, $3, $4) 
+                 RETURNING id`,
+                [userId, deviceId, name, deviceInfo]
+            );
+            return result.id;
+        } else {
+            const result = await db.run(
+                'INSERT INTO devices (user_id, device_id, name, device_info) VALUES (?, ?, ?, ?)',
+                [userId, deviceId, name, deviceInfo]
+            );
+            return result.lastID;
+        }
+    },
+    
+    /**
+     * Get a user's device by its client-side device ID (including revoked)
+     */
+    async getUserDevice(userId, deviceId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.get(
+                'SELECT * FROM devices WHERE user_id = $1 AND device_id = $2',
+                [userId, deviceId]
+            );
+        } else {
+            return db.get(
+                'SELECT * FROM devices WHERE user_id = ? AND device_id = ?',
+                [userId, deviceId]
+            );
+        }
+    },
+    
+    /**
+     * List a user's active devices, most recently used first
+     */
+    async getUserDevices(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.all(
+                'SELECT * FROM devices WHERE user_id = $1 AND revoked_at IS NULL ORDER BY last_seen_at DESC',
+                [userId]
+            );
+        } else {
+            return db.all(
+                'SELECT * FROM devices WHERE user_id = ? AND revoked_at IS NULL ORDER BY last_seen_at DESC',
+                [userId]
+            );
+        }
+    },
+    
+    async countActiveDevices(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM devices WHERE user_id = $1 AND revoked_at IS NULL',
+                [userId]
+            );
+            return parseInt(result.count, 10);
+        } else {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM devices WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            return result.count;
+        }
+    },
+    
+    /**
+     * Update last seen time of a device
+     */
+    async touchDevice(id) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [id]
+            );
+        } else {
+            await db.run(
+                'UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [id]
+            );
+        }
+    },
+    
+    async renameDevice(userId, id, name) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE devices SET name = $1 WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL',
+                [name, id, userId]
+            );
+            return result.changes > 0;
+        } else {
+            const result = await db.run(
+                'UPDATE devices SET name = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [name, id, userId]
+            );
+            return result.changes > 0;
+        }
+    },
+    
+    /**
+     * Revoke a device - a revoked device cannot bind to the account again
+     * All sessions of the device are revoked as well
+     */
+    async revokeDevice(userId, id) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+                [id, userId]
+            );
+            await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE device_id = $1 AND user_id = $2 AND revoked_at IS NULL',
+                [id, userId]
+            );
+            return result.changes > 0;
+        } else {
+            const result = await db.run(
+                'UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [id, userId]
+            );
+            await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE device_id = ? AND user_id = ? AND revoked_at IS NULL',
+                [id, userId]
+            );
+            return result.changes > 0;
+        }
+    },
+    
+    /**
+     * Create a session for a device
+     * Expiry timestamps are passed as ISO strings
+     */
+    async createSession(userId, deviceId, accessToken, accessExpiresAt, refreshToken, refreshExpiresAt) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                `INSERT INTO sessions (user_id, device_id, access_token, access_expires_at, refresh_token, refresh_expires_at) 
+                 VALUES ($1, $2, $3, $4, $5, $6) 
+                 RETURNING id`,
+                [userId, deviceId, hashToken(accessToken), accessExpiresAt, hashToken(refreshToken), refreshExpiresAt]
+            );
+            return result.id;
+        } else {
+            const result = await db.run(
+                `INSERT INTO sessions (user_id, device_id, access_token, access_expires_at, refresh_token, refresh_expires_at) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, deviceId, hashToken(accessToken), accessExpiresAt, hashToken(refreshToken), refreshExpiresAt]
+            );
+            return result.lastID;
+        }
+    },
+    
+    /**
+     * Get session by access token, joined with the client-side device ID
+     */
+    async getSessionByAccessToken(accessToken) {
+        const db = getDatabase();
+        const hashed = hashToken(accessToken);
+        let session;
+        if (dbType === 'postgresql') {
+            session = await db.get(
+                `SELECT s.*, d.device_id AS client_device_id 
+                 FROM sessions s JOIN devices d ON d.id = s.device_id 
+                 WHERE s.access_token IN ($1, $2)`,
+                [hashed, accessToken]
+            );
+        } else {
+            session = await db.get(
+                `SELECT s.*, d.device_id AS client_device_id 
+                 FROM sessions s JOIN devices d ON d.id = s.device_id 
+                 WHERE s.access_token IN (?, ?)`,
+                [hashed, accessToken]
+            );
+        }
+
+        if (!session || !tokenMatches(accessToken, session.access_token)) {
+            return null;
+        }
+
+        if (!isHashedToken(session.access_token)) {
+            await migratePlaintextToken('sessions', 'access_token', session.id, hashed);
+        }
+
+        return session;
+    },
+    
+    /**
+     * Get session by refresh token, joined with the client-side device ID
+     */
+    async getSessionByRefreshToken(refreshToken) {
+        const db = getDatabase();
+        const hashed = hashToken(refreshToken);
+        let session;
+        if (dbType === 'postgresql') {
+            session = await db.get(
+                `SELECT s.*, d.device_id AS client_device_id 
+                 FROM sessions s JOIN devices d ON d.id = s.device_id 
+                 WHERE s.refresh_token IN ($1, $2)`,
+                [hashed, refreshToken]
+            );
+        } else {
+            session = await db.get(
+                `SELECT s.*, d.device_id AS client_device_id 
+                 FROM sessions s JOIN devices d ON d.id = s.device_id 
+                 WHERE s.refresh_token IN (?, ?)`,
+                [hashed, refreshToken]
+            );
+        }
+
+        if (!session || !tokenMatches(refreshToken, session.refresh_token)) {
+            return null;
+        }
+
+        if (!isHashedToken(session.refresh_token)) {
+            await migratePlaintextToken('sessions', 'refresh_token', session.id, hashed);
+        }
+
+        return session;
+    },
+    
+    async revokeSession(id) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+                [id]
+            );
+        } else {
+            await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+                [id]
+            );
+        }
+    },
+    
+    /**
+     * Revoke all sessions of a single device
+     */
+    async revokeDeviceSessions(deviceId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE device_id = $1 AND revoked_at IS NULL',
+                [deviceId]
+            );
+            return result.changes;
+        } else {
+            const result = await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE device_id = ? AND revoked_at IS NULL',
+                [deviceId]
+            );
+            return result.changes;
+        }
+    },
+    
+    /**
+     * Revoke every session of a user (all devices)
+     */
+    async revokeAllSessions(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+                [userId]
+            );
+            return result.changes;
+        } else {
+            const result = await db.run(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            return result.changes;
+        }
+    },
+    
+    /**
+     * Replace the account token (invalidates the old one immediately)
+     */
+    async updateUserToken(userId, token) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE users SET token = $1 WHERE id = $2',
+                [hashToken(token), userId]
+            );
+        } else {
+            await db.run(
+                'UPDATE users SET token = ? WHERE id = ?',
+                [hashToken(token), userId]
+            );
+        }
+    },
+    
+    /**
+     * Revoke every device of a user, including their sessions
+     */
+    async revokeAllDevices(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+                [userId]
+            );
+            await queries.revokeAllSessions(userId);
+            return result.changes;
+        } else {
+            const result = await db.run(
+                'UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            await queries.revokeAllSessions(userId);
+            return result.changes;
+        }
+    },
+    
+    /**
+     * Re-activate a previously revoked device
+     */
+    async reactivateDevice(id, deviceInfo) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE devices SET revoked_at = NULL, device_info = $1, last_seen_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [deviceInfo, id]
+            );
+        } else {
+            await db.run(
+                'UPDATE devices SET revoked_at = NULL, device_info = ?, last_seen_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [deviceInfo, id]
+            );
+        }
+    },
+    
+    /**
+     * Replace all recovery codes of a user with a fresh set (hashes only)
+     */
+    async replaceRecoveryCodes(userId, codeHashes) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+            for (const codeHash of codeHashes) {
+                await db.run(
+                    'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+                    [userId, codeHash]
+                );
+            }
+        } else {
+            await db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+            for (const codeHash of codeHashes) {
+                await db.run(
+                    'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)',
+                    [userId, codeHash]
+                );
+            }
+        }
+    },
+    
+    /**
+     * Whether a recovery code is valid, without using it up
+     */
+    async hasUnusedRecoveryCode(userId, codeHash) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return !!(await db.get(
+                'SELECT id FROM recovery_codes WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+                [userId, codeHash]
+            ));
+        } else {
+            return !!(await db.get(
+                'SELECT id FROM recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+                [userId, codeHash]
+            ));
+        }
+    },
+    
+    /**
+     * Mark a recovery code as used
+     * Returns false if the code does not exist or was already used
+     */
+    async consumeRecoveryCode(userId, codeHash) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+                [userId, codeHash]
+            );
+            return result.changes > 0;
+        } else {
+            const result = await db.run(
+                'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+                [userId, codeHash]
+            );
+            return result.changes > 0;
+        }
+    },
+    
+    async countUnusedRecoveryCodes(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+                [userId]
+            );
+            return parseInt(result.count, 10);
+        } else {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+                [userId]
+            );
+            return result.count;
+        }
+    },
+    
+    /**
+     * Create an API key; only its hash is stored
+     * @param {string[]} scopes - Granted scopes
+     * @returns {Promise<number>} - API key ID
+     */
+    async createApiKey(userId, name, apiKey, keyPrefix, scopes) {
+        const db = getDatabase();
+        const scopeList = scopes.join(' ');
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                `INSERT INTO api_keys (user_id, name, key_hash, key_prefix, scopes) 
+                 VALUES ($1, $2, $3, $4, $5) 
+                 RETURNING id`,
+                [userId, name, hashToken(apiKey), keyPrefix, scopeList]
+            );
+            return result.id;
+        } else {
+            const result = await db.run(
+                `INSERT INTO api_keys (user_id, name, key_hash, key_prefix, scopes) 
+                 VALUES (?, ?, ?, ?, ?)`,
+                [userId, name, hashToken(apiKey), keyPrefix, scopeList]
+            );
+            return result.lastID;
+        }
+    },
+    
+    /**
+     * Get an API key (including revoked ones) by its plaintext value
+     */
+    async getApiKey(apiKey) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.get('SELECT * FROM api_keys WHERE key_hash = $1', [hashToken(apiKey)]);
+        } else {
+            return db.get('SELECT * FROM api_keys WHERE key_hash = ?', [hashToken(apiKey)]);
+        }
+    },
+    
+    /**
+     * Get all API keys of a user, newest first (without hashes)
+     */
+    async getUserApiKeys(userId) {
+        const db = getDatabase();
+        const columns = 'id, name, key_prefix, scopes, last_used_at, revoked_at, created_at';
+        if (dbType === 'postgresql') {
+            return db.all(
+                `SELECT ${columns} FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+        } else {
+            return db.all(
+                `SELECT ${columns} FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+        }
+    },
+    
+    /**
+     * Count API keys that have not been revoked
+     */
+    async countActiveApiKeys(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL',
+                [userId]
+            );
+            return parseInt(result.count, 10);
+        } else {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            return result.count;
+        }
+    },
+    
+    /**
+     * Revoke one of a user's API keys
+     * @returns {Promise<boolean>} - True if an active key was revoked
+     */
+    async revokeApiKey(userId, apiKeyId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+                [apiKeyId, userId]
+            );
+            return result.changes > 0;
+        } else {
+            const result = await db.run(
+                'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [apiKeyId, userId]
+            );
+            return result.changes > 0;
+        }
+    },
+    
+    /**
+     * Update last use timestamp of an API key
+     */
+    async touchApiKey(apiKeyId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [apiKeyId]);
+        } else {
+            await db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [apiKeyId]);
+        }
+    },
+    
+    /**
+     * Get user by username (case-insensitive)
+     */
+    async getUserByUsername(username) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.get(
+                `SELECT ${USER_COLUMNS} FROM users WHERE LOWER(username) = LOWER($1)`,
+                [username]
+            );
+        } else {
+            return db.get(
+                `SELECT ${USER_COLUMNS} FROM users WHERE LOWER(username) = LOWER(?)`,
+                [username]
+            );
+        }
+    },
+    
+    /**
+     * List users for the admin API (paginated, optional username search)
+     */
+    async listUsers({ search = '', limit = 25, offset = 0 } = {}) {
+        const db = getDatabase();
+        const pattern = `%${search.toLowerCase()}%`;
+        const columns = `u.id, u.username, u.role, u.grinder_preference, u.last_login_at, u.disabled_at, u.created_at,
+                (SELECT COUNT(*) FROM coffees c WHERE c.user_id = u.id) AS coffee_count,
+                (SELECT COUNT(*) FROM devices d WHERE d.user_id = u.id AND d.revoked_at IS NULL) AS device_count`;
+        if (dbType === 'postgresql') {
+            return db.all(
+                `SELECT ${columns} FROM users u 
+                 WHERE LOWER(u.username) LIKE $1 
+                 ORDER BY u.created_at DESC, u.id DESC 
+                 LIMIT $2 OFFSET $3`,
+                [pattern, limit, offset]
+            );
+        } else {
+            return db.all(
+                `SELECT ${columns} FROM users u 
+                 WHERE LOWER(u.username) LIKE ? 
+                 ORDER BY u.created_at DESC, u.id DESC 
+                 LIMIT ? OFFSET ?`,
+                [pattern, limit, offset]
+            );
+        }
+    },
+    
+    async countUsers(search = '') {
+        const db = getDatabase();
+        const pattern = `%${search.toLowerCase()}%`;
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM users WHERE LOWER(username) LIKE $1',
+                [pattern]
+            );
+            return parseInt(result.count, 10);
+        } else {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM users WHERE LOWER(username) LIKE ?',
+                [pattern]
+            );
+            return result.count;
+        }
+    },
+    
+    /**
+     * Get full user record for the admin API (never includes the token)
+     */
+    async getUserDetail(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.get(
+                `SELECT ${USER_COLUMNS}, last_login_at, device_id AS legacy_device_id FROM users WHERE id = $1`,
+                [userId]
+            );
+        } else {
+            return db.get(
+                `SELECT ${USER_COLUMNS}, last_login_at, device_id AS legacy_device_id FROM users WHERE id = ?`,
+                [userId]
+            );
+        }
+    },
+    
+    /**
+     * List all devices of a user including revoked ones
+     */
+    async getAllUserDevices(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.all(
+                'SELECT * FROM devices WHERE user_id = $1 ORDER BY last_seen_at DESC',
+                [userId]
+            );
+        } else {
+            return db.all(
+                'SELECT * FROM devices WHERE user_id = ? ORDER BY last_seen_at DESC',
+                [userId]
+            );
+        }
+    },
+    
+    async countUserCoffees(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM coffees WHERE user_id = $1',
+                [userId]
+            );
+            return parseInt(result.count, 10);
+        } else {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM coffees WHERE user_id = ?',
+                [userId]
+            );
+            return result.count;
+        }
+    },
+    
+    /**
+     * Count sessions that are neither revoked nor past their refresh expiry
+     */
+    async countActiveSessions(userId) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM sessions WHERE user_id = $1 AND revoked_at IS NULL AND refresh_expires_at > $2',
+                [userId, now]
+            );
+            return parseInt(result.count, 10);
+        } else {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM sessions WHERE user_id = ? AND revoked_at IS NULL AND refresh_expires_at > ?',
+                [userId, now]
+            );
+            return result.count;
+        }
+    },
+    
+    /**
+     * Remove device bindings (and their sessions) so the account can bind afresh
+     * Without deviceRowId all devices are removed and the legacy users.device_id is cleared
+     */
+    async deleteUserDevices(userId, deviceRowId = null) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            if (deviceRowId) {
+                await db.run('DELETE FROM sessions WHERE user_id = $1 AND device_id = $2', [userId, deviceRowId]);
+                result = await db.run('DELETE FROM devices WHERE user_id = $1 AND id = $2', [userId, deviceRowId]);
+            } else {
+                await db.run('DELETE FROM sessions WHERE user_id = $1', [userId]);
+                result = await db.run('DELETE FROM devices WHERE user_id = $1', [userId]);
+                await db.run('UPDATE users SET device_id = NULL, device_info = NULL WHERE id = $1', [userId]);
+            }
+        } else {
+            if (deviceRowId) {
+                await db.run('DELETE FROM sessions WHERE user_id = ? AND device_id = ?', [userId, deviceRowId]);
+                result = await db.run('DELETE FROM devices WHERE user_id = ? AND id = ?', [userId, deviceRowId]);
+            } else {
+                await db.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+                result = await db.run('DELETE FROM devices WHERE user_id = ?', [userId]);
+                await db.run('UPDATE users SET device_id = NULL, device_info = NULL WHERE id = ?', [userId]);
+            }
+        }
+        return result.changes;
+    },
+    
+    /**
+     * Disable or re-enable an account
+     */
+    async setUserDisabled(userId, disabled) {
+        const db = getDatabase();
+        const value = disabled ? new Date().toISOString() : null;
+        if (dbType === 'postgresql') {
+            const result = await db.run(
+                'UPDATE users SET disabled_at = $1 WHERE id = $2',
+                [value, userId]
+            );
+            return result.changes > 0;
+        } else {
+            const result = await db.run(
+                'UPDATE users SET disabled_at = ? WHERE id = ?',
+                [value, userId]
+            );
+            return result.changes > 0;
+        }
+    },
+    
+    /**
+     * Record an admin action
+     */
+    async recordAdminAction(admin, action, targetUserId = null, details = null, ip = null) {
+        const db = getDatabase();
+        const detailsJson = details ? JSON.stringify(details) : null;
+        if (dbType === 'postgresql') {
+            await db.run(
+                'INSERT INTO admin_actions (admin, action, target_user_id, details, ip) VALUES ($1, $2, $3, $4, $5)',
+                [admin, action, targetUserId, detailsJson, ip]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO admin_actions (admin, action, target_user_id, details, ip) VALUES (?, ?, ?, ?, ?)',
+                [admin, action, targetUserId, detailsJson, ip]
+            );
+        }
+    },
+    
+    /**
+     * Get recorded admin actions, newest first, optionally for one target user
+     */
+    async getAdminActions({ targetUserId = null, limit = 50 } = {}) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            if (targetUserId) {
+                return db.all(
+                    'SELECT * FROM admin_actions WHERE target_user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+                    [targetUserId, limit]
+                );
+            }
+            return db.all(
+                'SELECT * FROM admin_actions ORDER BY created_at DESC, id DESC LIMIT $1',
+                [limit]
+            );
+        } else {
+            if (targetUserId) {
+                return db.all(
+                    'SELECT * FROM admin_actions WHERE target_user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+                    [targetUserId, limit]
+                );
+            }
+            return db.all(
+                'SELECT * FROM admin_actions ORDER BY created_at DESC, id DESC LIMIT ?',
+                [limit]
+            );
+        }
+    },
+    
+    /**
+     * Aggregate counts for the admin dashboard
+     */
+    async getAdminStats() {
+        const db = getDatabase();
+        const recentLogin = dbType === 'postgresql'
+            ? "last_login_at >= NOW() - INTERVAL '7 days'"
+            : "last_login_at >= datetime('now', '-7 days')";
+
+        const users = await queries.getUserCount();
+        const active = await db.get(`SELECT COUNT(*) as count FROM users WHERE ${recentLogin}`);
+        const disabled = await db.get('SELECT COUNT(*) as count FROM users WHERE disabled_at IS NOT NULL');
+        const coffees = await db.get('SELECT COUNT(*) as count FROM coffees');
+        const devices = await db.get('SELECT COUNT(*) as count FROM devices WHERE revoked_at IS NULL');
+
+        return {
+            users: parseInt(users, 10),
+            activeUsers7d: parseInt(active.count, 10),
+            disabledUsers: parseInt(disabled.count, 10),
+            coffees: parseInt(coffees.count, 10),
+            devices: parseInt(devices.count, 10)
+        };
+    },
+    
+    /**
+     * Delete a user; coffees, devices, sessions, recovery codes and API keys
+     * are removed through ON DELETE CASCADE, audit events are kept with user_id NULL
+     */
+    async deleteUser(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run('DELETE FROM users WHERE id = $1', [userId]);
+            return result.changes > 0;
+        } else {
+            const result = await db.run('DELETE FROM users WHERE id = ?', [userId]);
+            return result.changes > 0;
+        }
+    },
+    
+    /**
+     * Get plan and per-account AI limit overrides
+     */
+    async getQuotaSettings(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return db.get(
+                'SELECT plan, ai_daily_limit, ai_monthly_limit FROM users WHERE id = $1',
+                [userId]
+            );
+        } else {
+            return db.get(
+                'SELECT plan, ai_daily_limit, ai_monthly_limit FROM users WHERE id = ?',
+                [userId]
+            );
+        }
+    },
+    
+    /**
+     * Update plan and per-account AI limit overrides (null = plan default)
+     */
+    async updateQuotaSettings(userId, { plan, aiDailyLimit, aiMonthlyLimit }) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run(
+                'UPDATE users SET plan = $1, ai_daily_limit = $2, ai_monthly_limit = $3 WHERE id = $4',
+                [plan, aiDailyLimit, aiMonthlyLimit, userId]
+            );
+        } else {
+            await db.run(
+                'UPDATE users SET plan = ?, ai_daily_limit = ?, ai_monthly_limit = ? WHERE id = ?',
+                [plan, aiDailyLimit, aiMonthlyLimit, userId]
+            );
+        }
+    },
+    
+    /**
+     * Record one AI analysis for a user
+     */
+    async recordAiUsage(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run('INSERT INTO ai_usage (user_id) VALUES ($1)', [userId]);
+        } else {
+            await db.run('INSERT INTO ai_usage (user_id) VALUES (?)', [userId]);
+        }
+    },
+    
+    /**
+     * Reserve one AI analysis for a user if both limits allow it
+     * Check and insert run as one statement; on PostgreSQL the user row is
+     * locked first so concurrent requests cannot both take the last unit
+     * @param {Object} limits - { daily, monthly } (null = unlimited)
+     * @param {Object} periods - { dayStart, monthStart }
+     * @returns {Promise<number|null>} - Reservation ID, null if the quota is used up
+     */
+    async reserveAiUsage(userId, { daily, monthly }, { dayStart, monthStart }) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await withUserRowLock(userId, client => client.query(
+                `INSERT INTO ai_usage (user_id)
+                 SELECT $1
+                 WHERE ($2::integer IS NULL OR (SELECT COUNT(*) FROM ai_usage WHERE user_id = $1 AND created_at >= $3) < $2)
+                   AND ($4::integer IS NULL OR (SELECT COUNT(*) FROM ai_usage WHERE user_id = $1 AND created_at >= $5) < $4)
+                 RETURNING id`,
+                [userId, daily, dayStart.toISOString(), monthly, monthStart.toISOString()]
+            ));
+            return result.rows[0]?.id ?? null;
+        } else {
+            const result = await db.run(
+                `INSERT INTO ai_usage (user_id)
+                 SELECT ?
+                 WHERE (? IS NULL OR (SELECT COUNT(*) FROM ai_usage WHERE user_id = ? AND created_at >= datetime(?)) < ?)
+                   AND (? IS NULL OR (SELECT COUNT(*) FROM ai_usage WHERE user_id = ? AND created_at >= datetime(?)) < ?)`,
+                [userId, daily, userId, dayStart.toISOString(), daily, monthly, userId, monthStart.toISOString(), monthly]
+            );
+            return result.changes > 0 ? result.lastID : null;
+        }
+    },
+    
+    /**
+     * Give back a reserved AI analysis (the call failed)
+     * @param {number} reservationId - ID returned by reserveAiUsage()
+     */
+    async releaseAiUsage(userId, reservationId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run('DELETE FROM ai_usage WHERE id = $1 AND user_id = $2', [reservationId, userId]);
+        } else {
+            await db.run('DELETE FROM ai_usage WHERE id = ? AND user_id = ?', [reservationId, userId]);
+        }
+    },
+    
+    /**
+     * Count AI analyses of a user since a point in time
+     * @param {Date} since - Period start
+     */
+    async countAiUsageSince(userId, since) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM ai_usage WHERE user_id = $1 AND created_at >= $2',
+                [userId, since.toISOString()]
+            );
+            return parseInt(result.count, 10);
+        } else {
+            const result = await db.get(
+                'SELECT COUNT(*) as count FROM ai_usage WHERE user_id = ? AND created_at >= datetime(?)',
+                [userId, since.toISOString()]
+            );
+            return result.count;
+        }
+    },
+    
+    /**
+     * Record a security audit event
+     * @param {Object} event - { eventType, userId, deviceHash, ip, userAgent, details }
+     */
+    async recordAuditEvent({ eventType, userId = null, deviceHash = null, ip = null, userAgent = null, details = null }) {
+        const db = getDatabase();
+        const detailsJson = details ? JSON.stringify(details) : null;
+        if (dbType === 'postgresql') {
+            await db.run(
+                `INSERT INTO audit_events (event_type, user_id, device_hash, ip, user_agent, details) 
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [eventType, userId, deviceHash, ip, userAgent, detailsJson]
+            );
+        } else {
+            await db.run(
+                `INSERT INTO audit_events (event_type, user_id, device_hash, ip, user_agent, details) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [eventType, userId, deviceHash, ip, userAgent, detailsJson]
+            );
+        }
+    },
+    
+    /**
+     * Get audit events, newest first, optionally filtered by user and event type
+     */
+    async getAuditEvents({ userId = null, eventType = null, limit = 50 } = {}) {
+        const db = getDatabase();
+        const conditions = [];
+        const params = [];
+        const placeholder = () => (dbType === 'postgresql' ? `$${params.length}` : '?');
+
+        if (userId) {
+            params.push(userId);
+            conditions.push(`user_id = ${placeholder()}`);
+        }
+        if (eventType) {
+            params.push(eventType);
+            conditions.push(`event_type = ${placeholder()}`);
+        }
+        params.push(limit);
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.all(
+            `SELECT * FROM audit_events ${where} ORDER BY created_at DESC, id DESC LIMIT ${placeholder()}`,
+            params
+        );
+    },
+    
+    /**
+     * Delete audit events older than a point in time
+     * @param {Date} before - Cutoff
+     * @returns {Promise<number>} - Number of deleted events
+     */
+    async pruneAuditEvents(before) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.run('DELETE FROM audit_events WHERE created_at < $1', [before.toISOString()]);
+            return result.changes;
+        } else {
+            const result = await db.run('DELETE FROM audit_events WHERE created_at < datetime(?)', [before.toISOString()]);
+            return result.changes;
+        }
+    },
+    
+    async getUserCount() {
+        const db = getDatabase();
+        const result = await db.get('SELECT COUNT(*) as count FROM users');
+        return result.count;
+    },
+    
+    async usernameExists(username) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                'SELECT id FROM users WHERE LOWER(username) = LOWER($1)', 
+                [username]
+            );
+            return !!result;
+        } else {
+            const result = await db.get(
+                'SELECT id FROM users WHERE LOWER(username) = LOWER(?)', 
+                [username]
+            );
+            return !!result;
+        }
+    },
+    
+    async getUserCoffees(userId) {
+        const db = getDatabase();
+        let rows;
+        if (dbType === 'postgresql') {
+            rows = await db.all(
+                `SELECT ${COFFEE_COLUMNS} FROM coffees WHERE user_id = $1 ORDER BY created_at DESC`,
+                [userId]
+            );
+        } else {
+            rows = await db.all(
+                `SELECT ${COFFEE_COLUMNS} FROM coffees WHERE user_id = ? ORDER BY created_at DESC`,
+                [userId]
+            );
+        }
+        return rows.map(mapCoffeeRow);
     },
     
     /**
-     * Create new user mit device binding und default grinder
+     * Search, filter and sort a user's coffees with keyset pagination
+     * @param {Object} options - Parsed by parseCoffeeQuery (utils/coffeeQuery.js)
+     * @returns {Promise<{ coffees: Array, total: number, last: { value: *, id: number }|null, hasMore: boolean }>}
+     * - total counts all matches regardless of the page; last is the position to continue after
      */
-    async createUser(username, token, deviceId, deviceInfo) {
+    async searchUserCoffees(userId, options = {}) {
+        const db = getDatabase();
+        const params = [];
+        const p = (value) => {
+            params.push(value);
+            return dbType === 'postgresql' ? `$${params.length}` : '?';
+        };
+        // LOWER() on both sides: SQLite only folds ASCII, so the term must be folded the same way
+        const like = (value) => `LOWER(${p(`%${value.replace(/[\\%_]/g, '\\$&')}%`)})`;
+        const flag = (column, value) => (value 
+            ? `${column} = ${p(true)}` 
+            : `(${column} IS NULL OR ${column} = ${p(false)})`);
+
+        const conditions = [`user_id = ${p(userId)}`];
+
+        if (options.search) {
+            const matches = ['name', 'roaster', 'tasting_notes']
+                .map(column => `LOWER(COALESCE(${column}, '')) LIKE ${like(options.search)} ESCAPE '\\'`);
+            conditions.push(`(${matches.join(' OR ')})`);
+        }
+        if (options.origin) {
+            conditions.push(`LOWER(COALESCE(origin, '')) LIKE ${like(options.origin)} ESCAPE '\\'`);
+        }
+        if (options.roaster) {
+            conditions.push(`LOWER(COALESCE(roaster, '')) = LOWER(${p(options.roaster)})`);
+        }
+        if (options.process) {
+            conditions.push(`LOWER(process) = LOWER(${p(options.process)})`);
+        }
+        if (options.favorite !== undefined) {
+            conditions.push(flag('favorite', options.favorite));
+        }
+        if (options.deleted !== undefined) {
+            conditions.push(flag('deleted', options.deleted));
+        }
+        // Roast dates are stored as YYYY-MM-DD strings, which compare in date order
+        if (options.roastDateFrom) {
+            conditions.push(`roast_date >= ${p(options.roastDateFrom)}`);
+        }
+        if (options.roastDateTo) {
+            conditions.push(`roast_date <= ${p(options.roastDateTo)}`);
+        }
+
+        const where = conditions.join(' AND ');
+        const countResult = await db.get(`SELECT COUNT(*) as count FROM coffees WHERE ${where}`, [...params]);
+        const total = parseInt(countResult.count, 10);
+
+        const sortExpression = COFFEE_SORT_FIELDS[options.sort || 'createdAt'];
+        const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+        const pageConditions = [...conditions];
+        // pg reads TIMESTAMPTZ into a Date, which drops the microseconds; the cursor
+        // carries the timestamp as text instead and is cast back for the comparison
+        const isTimestamp = dbType === 'postgresql' && sortExpression === 'updated_at';
+        const sortKey = isTimestamp ? 'updated_at::text' : sortExpression;
+        const cast = isTimestamp ? '::timestamptz' : '';
+
+        if (options.after) {
+            const comparison = direction === 'ASC' ? '>' : '<';
+            const value = sortExpression === 'id' ? options.after.id : options.after.value;
+            pageConditions.push(`(${sortExpression} ${comparison} ${p(value)}${cast} 
+                OR (${sortExpression} = ${p(value)}${cast} AND id ${comparison} ${p(options.after.id)}))`);
+        }
+
+        // Fetch one extra row to learn whether another page follows
+        const limitClause = options.limit ? `LIMIT ${p(options.limit + 1)}` : '';
+        const rows = await db.all(
+            `SELECT ${COFFEE_COLUMNS}, ${sortKey} AS sort_key FROM coffees 
+             WHERE ${pageConditions.join(' AND ')} 
+             ORDER BY ${sortExpression} ${direction}, id ${direction} ${limitClause}`,
+            params
+        );
+
+        const hasMore = Boolean(options.limit) && rows.length > options.limit;
+        const page = hasMore ? rows.slice(0, options.limit) : rows;
+        const lastRow = page[page.length - 1];
+
+        return {
+            coffees: page.map(mapCoffeeRow),
+            total,
+            last: lastRow ? { value: lastRow.sort_key, id: lastRow.id } : null,
+            hasMore
+        };
+    },
+    
+    /**
+     * Store a new coffee
+     * @param {Object|string} data - Sanitized coffee (object or JSON)
+     * @returns {Promise<number>} - Coffee ID
+     */
+    async saveCoffee(userId, data) {
         const db = getDatabase();
+        const { values, extras } = coffeeToColumns(data);
+        const columns = ['user_id', 'data', 'updated_at', ...COFFEE_DATA_COLUMNS, 'extras'].join(', ');
+        const params = [userId, ...values, extras];
+        let coffeeId;
         if (dbType === 'postgresql') {
             const result = await db.get(
-                `INSERT INTO users (username, token, device_id, device_info, grinder_preference, last_login_at) 
-                 VALUES ($1, $2, $3, $4, 'fellow', CURRENT_TIMESTAMP) 
+                `INSERT INTO coffees (${columns}) 
+                 VALUES ($1, '{}', CURRENT_TIMESTAMP, ${placeholders(values.length + 1, 1)}) 
                  RETURNING id`,
-                [username, token, deviceId, deviceInfo]
+                params
             );
-            return result.id;
+            coffeeId = result.id;
         } else {
             const result = await db.run(
-                `INSERT INTO users (username, token, device_id, device_info, grinder_preference, last_login_at) 
-                 VALUES (?, ?, ?, ?, 'fellow', CURRENT_TIMESTAMP)`,
-                [username, token, deviceId, deviceInfo]
+                `INSERT INTO coffees (${columns}) 
+                 VALUES (?, '{}', CURRENT_TIMESTAMP, ${placeholders(values.length + 1)})`,
+                params
+            );
+            coffeeId = result.lastID;
+        }
+
+        // The starting stock is the first entry of the inventory log
+        const remainingGrams = values[COFFEE_DATA_COLUMNS.indexOf('remaining_grams')];
+        if (remainingGrams !== null) {
+            await db.run(
+                `INSERT INTO inventory_events (user_id, coffee_id, type, grams, remaining_grams, reason) 
+                 VALUES (${placeholders(6)})`,
+                [userId, coffeeId, 'adjust', remainingGrams, remainingGrams, 'Initial stock']
             );
-            return result.lastID;
         }
+        await recordCoffeeChange(userId, coffeeId);
+        return coffeeId;
     },
     
     /**
-     * Update grinder preference
+     * Get one coffee of a user (null if it does not exist or belongs to someone else)
      */
-    async updateGrinderPreference(userId, grinder) {
+    async getUserCoffee(userId, coffeeId) {
         const db = getDatabase();
         if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET grinder_preference = $1 WHERE id = $2',
-                [grinder, userId]
+            return mapCoffeeRow(await db.get(
+                `SELECT ${COFFEE_COLUMNS} FROM coffees WHERE id = $1 AND user_id = $2`,
+                [coffeeId, userId]
+            ));
+        } else {
+            return mapCoffeeRow(await db.get(
+                `SELECT ${COFFEE_COLUMNS} FROM coffees WHERE id = ? AND user_id = ?`,
+                [coffeeId, userId]
+            ));
+        }
+    },
+    
+    /**
+     * Replace the data of one coffee in place, keeping its ID
+     * Bumps the revision; with expectedRevision the write only happens if the
+     * stored revision still matches (optimistic concurrency). remainingGrams is
+     * kept as stored; change it with adjustCoffeeInventory()
+     * @param {Object|string} data - Sanitized coffee (object or JSON)
+     * @returns {Promise<boolean>} - False if the coffee does not belong to the user
+     * or its revision has moved on
+     */
+    async updateCoffee(userId, coffeeId, data, expectedRevision = null) {
+        const db = getDatabase();
+        const columns = coffeeToColumns(data);
+        const values = COFFEE_UPDATE_COLUMNS.map(column => columns.values[COFFEE_DATA_COLUMNS.indexOf(column)]);
+        const { extras } = columns;
+        const assignments = [...COFFEE_UPDATE_COLUMNS, 'extras']
+            .map((column, i) => `${column} = ${placeholders(1, i)}`)
+            .join(', ');
+        const n = values.length + 1;
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.run(
+                `UPDATE coffees SET ${assignments}, revision = revision + 1, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $${n + 1} AND user_id = $${n + 2} AND ($${n + 3}::integer IS NULL OR revision = $${n + 3})`,
+                [...values, extras, coffeeId, userId, expectedRevision]
             );
         } else {
-            await db.run(
-                'UPDATE users SET grinder_preference = ? WHERE id = ?',
-                [grinder, userId]
+            result = await db.run(
+                `UPDATE coffees SET ${assignments}, revision = revision + 1, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ? AND user_id = ? AND (? IS NULL OR revision = ?)`,
+                [...values, extras, coffeeId, userId, expectedRevision, expectedRevision]
             );
         }
+        if (result.changes === 0) return false;
+
+        await recordCoffeeChange(userId, coffeeId);
+        return true;
     },
     
     /**
-     * Get grinder preference
+     * Delete one coffee of a user and leave a tombstone in the change log
+     * @returns {Promise<boolean>} - False if the coffee does not belong to the user
+     * or its revision has moved on
      */
-    async getGrinderPreference(userId) {
+    async deleteCoffee(userId, coffeeId, expectedRevision = null) {
         const db = getDatabase();
+        let result;
         if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT grinder_preference FROM users WHERE id = $1',
-                [userId]
+            result = await db.run(
+                'DELETE FROM coffees WHERE id = $1 AND user_id = $2 AND ($3::integer IS NULL OR revision = $3)',
+                [coffeeId, userId, expectedRevision]
             );
-            return result?.grinder_preference || 'fellow';
         } else {
-            const result = await db.get(
-                'SELECT grinder_preference FROM users WHERE id = ?',
-                [userId]
+            result = await db.run(
+                'DELETE FROM coffees WHERE id = ? AND user_id = ? AND (? IS NULL OR revision = ?)',
+                [coffeeId, userId, expectedRevision, expectedRevision]
             );
-            return result?.grinder_preference || 'fellow';
         }
+        if (result.changes === 0) return false;
+
+        await recordCoffeeChange(userId, coffeeId, true);
+        return true;
     },
     
     /**
-     * Update water hardness (NEW)
+     * Move a coffee to the compost or restore it
+     * Bumps the revision like any other write; composting sets deletedAt to now
+     * @param {boolean} composted - True to compost, false to restore
+     * @returns {Promise<boolean>} - False if the coffee does not belong to the user
+     * or its revision has moved on
      */
-    async updateWaterHardness(userId, waterHardness) {
+    async setCoffeeComposted(userId, coffeeId, composted, expectedRevision = null) {
         const db = getDatabase();
+        const deletedAt = composted ? new Date().toISOString() : null;
+        let result;
         if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET water_hardness = $1 WHERE id = $2',
-                [waterHardness, userId]
+            result = await db.run(
+                `UPDATE coffees SET deleted = $1, deleted_at = $2, revision = revision + 1, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $3 AND user_id = $4 AND ($5::integer IS NULL OR revision = $5)`,
+                [composted, deletedAt, coffeeId, userId, expectedRevision]
             );
         } else {
-            await db.run(
-                'UPDATE users SET water_hardness = ? WHERE id = ?',
-                [waterHardness, userId]
+            result = await db.run(
+                `UPDATE coffees SET deleted = ?, deleted_at = ?, revision = revision + 1, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ? AND user_id = ? AND (? IS NULL OR revision = ?)`,
+                [composted, deletedAt, coffeeId, userId, expectedRevision, expectedRevision]
             );
         }
+        if (result.changes === 0) return false;
+
+        await recordCoffeeChange(userId, coffeeId);
+        return true;
     },
     
     /**
-     * Get water hardness (NEW)
+     * All composted coffees with their owner's retention setting (for the purge job)
      */
-    async getWaterHardness(userId) {
+    async getCompostedCoffees() {
         const db = getDatabase();
         if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT water_hardness FROM users WHERE id = $1',
-                [userId]
+            return db.all(
+                `SELECT c.id, c.user_id, c.revision, c.deleted_at, c.updated_at, u.compost_retention_days 
+                 FROM coffees c JOIN users u ON u.id = c.user_id WHERE c.deleted = TRUE`
             );
-            return result?.water_hardness || null;
         } else {
-            const result = await db.get(
-                'SELECT water_hardness FROM users WHERE id = ?',
-                [userId]
+            return db.all(
+                `SELECT c.id, c.user_id, c.revision, c.deleted_at, c.updated_at, u.compost_retention_days 
+                 FROM coffees c JOIN users u ON u.id = c.user_id WHERE c.deleted = 1`
             );
-            return result?.water_hardness || null;
         }
     },
     
     /**
-     * Update last login time
+     * Per-account compost retention in days (null = server default)
      */
-    async updateLastLogin(userId) {
+    async getCompostRetention(userId) {
         const db = getDatabase();
         if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
-                [userId]
+            const result = await db.get('SELECT compost_retention_days FROM users WHERE id = $1', [userId]);
+            return result?.compost_retention_days ?? null;
+        } else {
+            const result = await db.get('SELECT compost_retention_days FROM users WHERE id = ?', [userId]);
+            return result?.compost_retention_days ?? null;
+        }
+    },
+    
+    async updateCompostRetention(userId, days) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            await db.run('UPDATE users SET compost_retention_days = $1 WHERE id = $2', [days, userId]);
+        } else {
+            await db.run('UPDATE users SET compost_retention_days = ? WHERE id = ?', [days, userId]);
+        }
+    },
+    
+    /**
+     * Log a brew of a coffee
+     * @param {Object} brew - Sanitized brew (see utils/brews.js) with brewedAt set
+     * @returns {Promise<number>} - Brew ID
+     */
+    async createBrew(userId, coffeeId, brew) {
+        const db = getDatabase();
+        const columns = ['user_id', 'coffee_id', ...Object.values(BREW_FIELD_COLUMNS)].join(', ');
+        const values = [userId, coffeeId, ...brewToColumns(brew)];
+        if (dbType === 'postgresql') {
+            const result = await db.get(
+                `INSERT INTO brews (${columns}) VALUES (${placeholders(values.length)}) RETURNING id`,
+                values
             );
+            return result.id;
         } else {
-            await db.run(
-                'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [userId]
+            const result = await db.run(
+                `INSERT INTO brews (${columns}) VALUES (${placeholders(values.length)})`,
+                values
             );
+            return result.lastID;
         }
     },
     
     /**
-     * Check if device is already registered
+     * Brews of one coffee, newest first
      */
-    async deviceExists(deviceId) {
+    async getCoffeeBrews(userId, coffeeId, limit = 100) {
         const db = getDatabase();
+        let rows;
         if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT id FROM users WHERE device_id = $1',
-                [deviceId]
+            rows = await db.all(
+                `SELECT ${BREW_COLUMNS} FROM brews WHERE coffee_id = $1 AND user_id = $2 
+                 ORDER BY brewed_at DESC, id DESC LIMIT $3`,
+                [coffeeId, userId, limit]
             );
-            return !!result;
         } else {
-            const result = await db.get(
-                'SELECT id FROM users WHERE device_id = ?',
-                [deviceId]
+            rows = await db.all(
+                `SELECT ${BREW_COLUMNS} FROM brews WHERE coffee_id = ? AND user_id = ? 
+                 ORDER BY brewed_at DESC, id DESC LIMIT ?`,
+                [coffeeId, userId, limit]
             );
-            return !!result;
         }
+        return rows.map(mapBrewRow);
+    },
+    
+    async countCoffeeBrews(userId, coffeeId) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.get('SELECT COUNT(*) as count FROM brews WHERE coffee_id = $1 AND user_id = $2', [coffeeId, userId]);
+        } else {
+            result = await db.get('SELECT COUNT(*) as count FROM brews WHERE coffee_id = ? AND user_id = ?', [coffeeId, userId]);
+        }
+        return parseInt(result.count, 10);
     },
     
     /**
-     * Bind device to user
+     * All brews of a user, newest first (for the data export)
      */
-    async bindDevice(userId, deviceId, deviceInfo) {
+    async getUserBrews(userId) {
         const db = getDatabase();
+        let rows;
         if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET device_id = $1, device_info = $2, last_login_at = CURRENT_TIMESTAMP WHERE id = $3',
-                [deviceId, deviceInfo, userId]
+            rows = await db.all(`SELECT ${BREW_COLUMNS} FROM brews WHERE user_id = $1 ORDER BY brewed_at DESC, id DESC`, [userId]);
+        } else {
+            rows = await db.all(`SELECT ${BREW_COLUMNS} FROM brews WHERE user_id = ? ORDER BY brewed_at DESC, id DESC`, [userId]);
+        }
+        return rows.map(mapBrewRow);
+    },
+    
+    async getBrew(userId, coffeeId, brewId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            return mapBrewRow(await db.get(
+                `SELECT ${BREW_COLUMNS} FROM brews WHERE id = $1 AND coffee_id = $2 AND user_id = $3`,
+                [brewId, coffeeId, userId]
+            ));
+        } else {
+            return mapBrewRow(await db.get(
+                `SELECT ${BREW_COLUMNS} FROM brews WHERE id = ? AND coffee_id = ? AND user_id = ?`,
+                [brewId, coffeeId, userId]
+            ));
+        }
+    },
+    
+    /**
+     * Replace the fields of a brew
+     * @returns {Promise<boolean>} - False if the brew does not exist for this coffee and user
+     */
+    async updateBrew(userId, coffeeId, brewId, brew) {
+        const db = getDatabase();
+        const values = brewToColumns(brew);
+        const assignments = Object.values(BREW_FIELD_COLUMNS)
+            .map((column, i) => `${column} = ${placeholders(1, i)}`)
+            .join(', ');
+        const n = values.length;
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.run(
+                `UPDATE brews SET ${assignments}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $${n + 1} AND coffee_id = $${n + 2} AND user_id = $${n + 3}`,
+                [...values, brewId, coffeeId, userId]
             );
         } else {
-            await db.run(
-                'UPDATE users SET device_id = ?, device_info = ?, last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [deviceId, deviceInfo, userId]
+            result = await db.run(
+                `UPDATE brews SET ${assignments}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ? AND coffee_id = ? AND user_id = ?`,
+                [...values, brewId, coffeeId, userId]
             );
         }
+        return result.changes > 0;
     },
     
-    async getUserCount() {
+    async deleteBrew(userId, coffeeId, brewId) {
         const db = getDatabase();
-        const result = await db.get('SELECT COUNT(*) as count FROM users');
-        return result.count;
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.run('DELETE FROM brews WHERE id = $1 AND coffee_id = $2 AND user_id = $3', [brewId, coffeeId, userId]);
+        } else {
+            result = await db.run('DELETE FROM brews WHERE id = ? AND coffee_id = ? AND user_id = ?', [brewId, coffeeId, userId]);
+        }
+        return result.changes > 0;
     },
     
-    async usernameExists(username) {
+    /**
+     * Change the beans left of a coffee and book the change in the inventory log
+     * Compare-and-set on remaining_grams, so concurrent bookings are not lost.
+     * The result is clamped at 0 and rounded to 0.1 g; bumps the revision.
+     * @param {Object} change - { delta } or { set } in grams, plus type, reason, brewId
+     * @returns {Promise<{ grams: number, remainingGrams: number }|null>} - grams is the
+     * booked change; null if the coffee does not exist or (for a delta) tracks no inventory
+     */
+    async adjustCoffeeInventory(userId, coffeeId, { delta = 0, set, type, reason = null, brewId = null }) {
+        // The stock and its log entry are written together
+        return withTransaction(async () => {
+            const db = getDatabase();
+
+            for (let attempt = 0; attempt < 3; attempt++) {
+                const row = await db.get(
+                    `SELECT remaining_grams FROM coffees WHERE id = ${placeholders(1)} AND user_id = ${placeholders(1, 1)}`,
+                    [coffeeId, userId]
+                );
+                if (!row) return null;
+
+                const current = row.remaining_grams;
+                if (current === null && set === undefined) return null;
+
+                const next = Math.max(0, Math.round((set !== undefined ? set : current + delta) * 10) / 10);
+                const params = [next, coffeeId, userId];
+                const unchanged = current === null 
+                    ? 'remaining_grams IS NULL' 
+                    : `remaining_grams = ${placeholders(1, params.push(current) - 1)}`;
+                const result = await db.run(
+                    `UPDATE coffees SET remaining_grams = ${placeholders(1)}, revision = revision + 1, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ${placeholders(1, 1)} AND user_id = ${placeholders(1, 2)} AND ${unchanged}`,
+                    params
+                );
+                if (result.changes === 0) continue;
+
+                const grams = Math.round((next - (current ?? 0)) * 10) / 10;
+                await db.run(
+                    `INSERT INTO inventory_events (user_id, coffee_id, brew_id, type, grams, remaining_grams, reason) 
+                     VALUES (${placeholders(7)})`,
+                    [userId, coffeeId, brewId, type, grams, next, reason]
+                );
+                await recordCoffeeChange(userId, coffeeId);
+                return { grams, remainingGrams: next };
+            }
+
+            throw new Error('Inventory changed concurrently, please retry');
+        });
+    },
+    
+    /**
+     * Grams a brew currently holds in the inventory log (its bookings and
+     * corrections summed; negative = taken from the bag)
+     * @returns {Promise<number>} - 0 if the brew never took beans
+     */
+    async getBrewInventoryGrams(userId, brewId) {
+        const db = getDatabase();
+        const result = await db.get(
+            `SELECT COALESCE(SUM(grams), 0) as grams FROM inventory_events 
+             WHERE brew_id = ${placeholders(1)} AND user_id = ${placeholders(1, 1)}`,
+            [brewId, userId]
+        );
+        return Math.round(parseFloat(result.grams) * 10) / 10;
+    },
+    
+    /**
+     * Inventory log of a coffee, newest first
+     */
+    async getInventoryEvents(userId, coffeeId, limit = 50) {
         const db = getDatabase();
         if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT id FROM users WHERE LOWER(username) = LOWER($1)', 
-                [username]
+            return db.all(
+                `SELECT id, brew_id, type, grams, remaining_grams, reason, created_at FROM inventory_events 
+                 WHERE coffee_id = $1 AND user_id = $2 ORDER BY created_at DESC, id DESC LIMIT $3`,
+                [coffeeId, userId, limit]
             );
-            return !!result;
         } else {
-            const result = await db.get(
-                'SELECT id FROM users WHERE LOWER(username) = LOWER(?)', 
-                [username]
+            return db.all(
+                `SELECT id, brew_id, type, grams, remaining_grams, reason, created_at FROM inventory_events 
+                 WHERE coffee_id = ? AND user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?`,
+                [coffeeId, userId, limit]
             );
-            return !!result;
         }
     },
     
-    async getUserCoffees(userId) {
+    /**
+     * Whole inventory log of a user, oldest first (data export)
+     */
+    async getUserInventoryEvents(userId) {
         const db = getDatabase();
         if (dbType === 'postgresql') {
             return db.all(
-                'SELECT id, data, created_at FROM coffees WHERE user_id = $1 ORDER BY created_at DESC',
+                `SELECT id, coffee_id, brew_id, type, grams, remaining_grams, reason, created_at FROM inventory_events 
+                 WHERE user_id = $1 ORDER BY created_at, id`,
                 [userId]
             );
         } else {
             return db.all(
-                'SELECT id, data, created_at FROM coffees WHERE user_id = ? ORDER BY created_at DESC',
+                `SELECT id, coffee_id, brew_id, type, grams, remaining_grams, reason, created_at FROM inventory_events 
+                 WHERE user_id = ? ORDER BY created_at, id`,
                 [userId]
             );
         }
     },
     
-    async saveCoffee(userId, data) {
+    /**
+     * Grams used per coffee (brews and consume bookings) since a point in time
+     * @returns {Promise<Map<number, number>>} - Coffee ID → grams used
+     */
+    async getInventoryUsage(userId, since) {
         const db = getDatabase();
+        let rows;
         if (dbType === 'postgresql') {
-            const result = await db.get(
-                'INSERT INTO coffees (user_id, data) VALUES ($1, $2) RETURNING id',
-                [userId, data]
+            rows = await db.all(
+                `SELECT coffee_id, SUM(-grams) as used FROM inventory_events 
+                 WHERE user_id = $1 AND type IN ('brew', 'consume') AND created_at >= $2 GROUP BY coffee_id`,
+                [userId, since.toISOString()]
             );
-            return result.id;
         } else {
-            const result = await db.run(
-                'INSERT INTO coffees (user_id, data) VALUES (?, ?)',
-                [userId, data]
+            rows = await db.all(
+                `SELECT coffee_id, SUM(-grams) as used FROM inventory_events 
+                 WHERE user_id = ? AND type IN ('brew', 'consume') AND created_at >= datetime(?) GROUP BY coffee_id`,
+                [userId, since.toISOString()]
             );
-            return result.lastID;
+        }
+        return new Map(rows.map(row => [row.coffee_id, parseFloat(row.used)]));
+    },
+    
+    /**
+     * Per-account freshness window overrides (null = defaults)
+     * @returns {Promise<Object|null>}
+     */
+    async getFreshnessSettings(userId) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.get('SELECT freshness_settings FROM users WHERE id = $1', [userId]);
+        } else {
+            result = await db.get('SELECT freshness_settings FROM users WHERE id = ?', [userId]);
+        }
+        return result?.freshness_settings ? JSON.parse(result.freshness_settings) : null;
+    },
+    
+    /**
+     * @param {Object|null} settings - Validated overrides; null resets to the defaults
+     */
+    async updateFreshnessSettings(userId, settings) {
+        const db = getDatabase();
+        const value = settings ? JSON.stringify(settings) : null;
+        if (dbType === 'postgresql') {
+            await db.run('UPDATE users SET freshness_settings = $1 WHERE id = $2', [value, userId]);
+        } else {
+            await db.run('UPDATE users SET freshness_settings = ? WHERE id = ?', [value, userId]);
+        }
+    },
+    
+    /**
+     * Per-account brew method preferences (null = catalog defaults)
+     * @returns {Promise<Object|null>}
+     */
+    async getBrewMethodSettings(userId) {
+        const db = getDatabase();
+        let result;
+        if (dbType === 'postgresql') {
+            result = await db.get('SELECT brew_method_settings FROM users WHERE id = $1', [userId]);
+        } else {
+            result = await db.get('SELECT brew_method_settings FROM users WHERE id = ?', [userId]);
+        }
+        return result?.brew_method_settings ? JSON.parse(result.brew_method_settings) : null;
+    },
+    
+    /**
+     * @param {Object|null} settings - Validated preferences; null resets to the catalog defaults
+     */
+    async updateBrewMethodSettings(userId, settings) {
+        const db = getDatabase();
+        const value = settings ? JSON.stringify(settings) : null;
+        if (dbType === 'postgresql') {
+            await db.run('UPDATE users SET brew_method_settings = $1 WHERE id = $2', [value, userId]);
+        } else {
+            await db.run('UPDATE users SET brew_method_settings = ? WHERE id = ?', [value, userId]);
         }
     },
     
+    /**
+     * Delete all coffees of a user, leaving a tombstone for each
+     */
     async deleteUserCoffees(userId) {
         const db = getDatabase();
+        const coffees = await queries.getUserCoffees(userId);
         if (dbType === 'postgresql') {
             await db.run('DELETE FROM coffees WHERE user_id = $1', [userId]);
         } else {
             await db.run('DELETE FROM coffees WHERE user_id = ?', [userId]);
         }
+        for (const coffee of coffees) {
+            await recordCoffeeChange(userId, coffee.id, true);
+        }
+    },
+    
+    /**
+     * Coffee changes after a sync cursor, oldest first
+     * Each coffee appears once with its latest state; deleted coffees come
+     * back as tombstones (deleted = 1, coffee columns null)
+     * @param {number} since - Cursor from a previous response (0 = everything)
+     */
+    async getCoffeeChanges(userId, since = 0, limit = 500) {
+        const db = getDatabase();
+        const coffeeColumns = COFFEE_COLUMNS.split(', ').map(column => `c.${column}`).join(', ');
+        const columns = `ch.id AS seq, ch.coffee_id, ch.deleted AS tombstone, ch.changed_at, ${coffeeColumns}`;
+        let rows;
+        if (dbType === 'postgresql') {
+            rows = await db.all(
+                `SELECT ${columns} FROM coffee_changes ch 
+                 LEFT JOIN coffees c ON c.id = ch.coffee_id 
+                 WHERE ch.user_id = $1 AND ch.id > $2 
+                 ORDER BY ch.id LIMIT $3`,
+                [userId, since, limit]
+            );
+        } else {
+            rows = await db.all(
+                `SELECT ${columns} FROM coffee_changes ch 
+                 LEFT JOIN coffees c ON c.id = ch.coffee_id 
+                 WHERE ch.user_id = ? AND ch.id > ? 
+                 ORDER BY ch.id LIMIT ?`,
+                [userId, since, limit]
+            );
+        }
+        return rows.map(row => {
+            const change = {
+                seq: parseInt(row.seq, 10),
+                coffee_id: row.coffee_id,
+                deleted: row.tombstone,
+                changed_at: row.changed_at
+            };
+            if (row.id === null) {
+                return { ...change, data: null };
+            }
+            const { data, revision, created_at, updated_at } = mapCoffeeRow(row);
+            return { ...change, data, revision, created_at, updated_at };
+        });
+    },
+    
+    /**
+     * Latest sync cursor of a user (0 if nothing was ever synced)
+     */
+    async getCoffeeSyncCursor(userId) {
+        const db = getDatabase();
+        if (dbType === 'postgresql') {
+            const result = await db.get('SELECT MAX(id) as cursor FROM coffee_changes WHERE user_id = $1', [userId]);
+            return parseInt(result.cursor, 10) || 0;
+        } else {
+            const result = await db.get('SELECT MAX(id) as cursor FROM coffee_changes WHERE user_id = ?', [userId]);
+            return result.cursor || 0;
+        }
     }
 };
 
@@ -497,6 +3379,7 @@ export default {
     getDatabase,
     getDatabaseType,
     closeDatabase,
+    withTransaction,
     beginTransaction,
     commit,
     rollback,
@@ -0,0 +1,68 @@
+// ==========================================
+// ADMIN AUTHENTICATION MIDDLEWARE
+// ==========================================
+
+import crypto from 'crypto';
+import { authenticateRequest } from './auth.js';
+import { recordAuditEvent } from './audit.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+
+/**
+ * Compare two secrets in constant time regardless of their length
+ */
+function secretsMatch(provided, expected) {
+    const a = crypto.createHash('sha256').update(String(provided)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Admin middleware - accepts either the X-Admin-Key header matching
+ * ADMIN_API_KEY, or a regular user session whose account has role 'admin'
+ * Sets req.admin = { type, name, userId? }
+ */
+export async function authenticateAdmin(req, res, next) {
+    try {
+        const adminKey = req.headers['x-admin-key'];
+
+        if (adminKey) {
+            if (process.env.ADMIN_API_KEY && secretsMatch(adminKey, process.env.ADMIN_API_KEY)) {
+                req.admin = { type: 'key', name: 'admin-api-key' };
+                return next();
+            }
+
+            await recordAuditEvent(req, AUDIT_EVENTS.ADMIN_KEY_INVALID);
+            return res.status(401).json({ 
+                success: false,
+                error: 'Invalid admin key' 
+            });
+        }
+
+        const auth = await authenticateRequest(req);
+
+        if (auth.error) {
+            return res.status(auth.status).json({
+                success: false,
+                error: auth.error,
+                ...(auth.code && { code: auth.code })
+            });
+        }
+
+        if (auth.user.role !== 'admin') {
+            return res.status(403).json({ 
+                success: false,
+                error: 'Admin access required' 
+            });
+        }
+
+        req.admin = { type: 'user', name: auth.user.username, userId: auth.user.id };
+        next();
+
+    } catch (error) {
+        console.error('Admin authentication error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+}
@@ -0,0 +1,56 @@
+// ==========================================
+// SECURITY AUDIT LOG
+// ==========================================
+
+import { queries } from '../db/database.js';
+import { hashDeviceId, getAuditCutoff } from '../utils/audit.js';
+
+/**
+ * Record a security audit event for a request
+ * Never throws: a failing audit write must not break the request itself.
+ * @param {Object} req - Express request (IP and user-agent are taken from it)
+ * @param {string} eventType - One of AUDIT_EVENTS
+ * @param {Object} options - { userId, deviceId, details }
+ */
+export async function recordAuditEvent(req, eventType, { userId = null, deviceId = null, details = null } = {}) {
+    try {
+        await queries.recordAuditEvent({
+            eventType,
+            userId,
+            deviceHash: hashDeviceId(deviceId),
+            ip: req.ip || null,
+            userAgent: req.headers?.['user-agent']?.substring(0, 200) || null,
+            details
+        });
+    } catch (error) {
+        console.error('Audit log error:', error.message);
+    }
+}
+
+/**
+ * Delete audit events older than the retention window
+ * @returns {Promise<number>} - Number of deleted events
+ */
+export async function pruneAuditLog(now = new Date()) {
+    const removed = await queries.pruneAuditEvents(getAuditCutoff(now));
+    if (removed > 0) {
+        console.log(`🧹 Audit log pruned: ${removed} event(s)`);
+    }
+    return removed;
+}
+
+/**
+ * Format an audit event row for API responses
+ */
+export function formatAuditEvent(event) {
+    return {
+        id: event.id,
+        type: event.event_type,
+        userId: event.user_id,
+        deviceHash: event.device_hash,
+        ip: event.ip,
+        userAgent: event.user_agent,
+        details: event.details ? JSON.parse(event.details) : null,
+        createdAt: event.created_at
+    };
+}
@@ -3,6 +3,10 @@
 // ==========================================
 
 import { queries } from '../db/database.js';
+import { generateTokenPair, isExpired } from '../utils/tokens.js';
+import { AUDIT_EVENTS, AUTH_FAILURE_EVENTS } from '../utils/audit.js';
+import { isApiKey, parseScopes } from '../utils/apiKeys.js';
+import { recordAuditEvent } from './audit.js';
 
 /**
  * Extract authentication credentials from headers with fallback to body/query
@@ -25,52 +29,202 @@ export function extractAuthCredentials(req) {
 }
 
 /**
- * Authentication middleware - validates token and device binding
- * Returns authenticated user or sends error response
+ * Machine-readable error codes for authentication failures
+ * Clients use these to decide between refreshing and re-registering
  */
-export async function authenticateUser(req, res, next) {
-    try {
-        const { token, deviceId } = extractAuthCredentials(req);
+export const AUTH_ERROR_CODES = {
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    TOKEN_REVOKED: 'TOKEN_REVOKED',
+    DEVICE_MISMATCH: 'DEVICE_MISMATCH',
+    DEVICE_REVOKED: 'DEVICE_REVOKED',
+    DEVICE_LIMIT: 'DEVICE_LIMIT',
+    ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
+    INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE'
+};
 
-        if (!token) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Token required' 
-            });
+/**
+ * Error returned for requests on a disabled account
+ */
+export const ACCOUNT_DISABLED_ERROR = {
+    status: 403,
+    error: 'This account has been disabled',
+    code: AUTH_ERROR_CODES.ACCOUNT_DISABLED
+};
+
+/**
+ * Whether long-lived account tokens may still be used directly as bearer tokens
+ * Disabled by default; LEGACY_TOKEN_AUTH=true re-enables it for clients that
+ * predate access/refresh sessions until they are migrated (deprecated)
+ */
+export function isLegacyTokenAuthEnabled() {
+    return process.env.LEGACY_TOKEN_AUTH === 'true';
+}
+
+/**
+ * Record a failed authentication in the audit log and return the failure
+ * @param {Object} failure - { status, error, code }
+ */
+export async function authFailure(req, failure, deviceId, userId = null) {
+    await recordAuditEvent(req, AUTH_FAILURE_EVENTS[failure.code], { 
+        userId, 
+        deviceId, 
+        details: { path: req.originalUrl?.split('?')[0] } 
+    });
+    return failure;
+}
+
+/**
+ * Authenticate a request from its credentials
+ * Accepts short-lived session access tokens, and account tokens while
+ * legacy token auth is enabled. API keys are only accepted when a scope is
+ * given and the key grants it. Failures are recorded in the audit log.
+ * @param {Object} options - { scope } required for API key access
+ * @returns {Promise<{ user?: Object, device?: Object, session?: Object, apiKey?: Object, status?: number, error?: string, code?: string }>}
+ */
+export async function authenticateRequest(req, { scope = null } = {}) {
+    const { token, deviceId } = extractAuthCredentials(req);
+
+    if (!token) {
+        return { status: 400, error: 'Token required' };
+    }
+
+    if (isApiKey(token)) {
+        return authenticateApiKey(req, token, scope, deviceId);
+    }
+
+    if (!deviceId) {
+        return { status: 400, error: 'Device ID required' };
+    }
+
+    const session = await queries.getSessionByAccessToken(token);
+
+    if (session) {
+        if (session.revoked_at) {
+            return authFailure(req, 
+                { status: 401, error: 'Token has been revoked', code: AUTH_ERROR_CODES.TOKEN_REVOKED }, 
+                deviceId, session.user_id);
+        }
+        if (isExpired(session.access_expires_at)) {
+            return authFailure(req, 
+                { status: 401, error: 'Token expired', code: AUTH_ERROR_CODES.TOKEN_EXPIRED }, 
+                deviceId, session.user_id);
+        }
+        if (session.client_device_id !== deviceId) {
+            return authFailure(req, { 
+                status: 403, 
+                error: 'This token is bound to another device', 
+                code: AUTH_ERROR_CODES.DEVICE_MISMATCH 
+            }, deviceId, session.user_id);
         }
 
-        if (!deviceId) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Device ID required' 
-            });
+        const user = await queries.getUserById(session.user_id);
+        if (user.disabled_at) {
+            return authFailure(req, ACCOUNT_DISABLED_ERROR, deviceId, user.id);
         }
 
-        const user = await queries.getUserByToken(token);
+        const device = await queries.getUserDevice(session.user_id, deviceId);
+        await queries.touchDevice(device.id);
+
+        return { user, device, session };
+    }
+
+    const user = isLegacyTokenAuthEnabled() ? await queries.getUserByToken(token) : null;
+
+    if (!user) {
+        return authFailure(req, 
+            { status: 401, error: 'Invalid token', code: AUTH_ERROR_CODES.INVALID_TOKEN }, 
+            deviceId);
+    }
+
+    if (user.disabled_at) {
+        return authFailure(req, ACCOUNT_DISABLED_ERROR, deviceId, user.id);
+    }
+
+    // Check device binding
+    const binding = await resolveDeviceBinding(req, user, deviceId);
+    if (binding.error) {
+        return authFailure(req, binding, deviceId, user.id);
+    }
+
+    return { user, device: binding.device, session: null };
+}
+
+/**
+ * Authenticate an API key against the scope a route requires
+ * API keys are not device-bound; a sent device ID is only used for the audit log
+ */
+async function authenticateApiKey(req, token, scope, deviceId) {
+    const apiKey = await queries.getApiKey(token);
+
+    if (!apiKey) {
+        return authFailure(req, 
+            { status: 401, error: 'Invalid API key', code: AUTH_ERROR_CODES.INVALID_TOKEN }, 
+            deviceId);
+    }
 
-        if (!user) {
-            return res.status(401).json({ 
+    if (apiKey.revoked_at) {
+        return authFailure(req, 
+            { status: 401, error: 'API key has been revoked', code: AUTH_ERROR_CODES.TOKEN_REVOKED }, 
+            deviceId, apiKey.user_id);
+    }
+
+    if (!scope || !parseScopes(apiKey.scopes).includes(scope)) {
+        return authFailure(req, {
+            status: 403,
+            error: scope ? `API key is missing the '${scope}' scope` : 'API keys cannot be used for this endpoint',
+            code: AUTH_ERROR_CODES.INSUFFICIENT_SCOPE
+        }, deviceId, apiKey.user_id);
+    }
+
+    const user = await queries.getUserById(apiKey.user_id);
+    if (user.disabled_at) {
+        return authFailure(req, ACCOUNT_DISABLED_ERROR, deviceId, user.id);
+    }
+
+    await queries.touchApiKey(apiKey.id);
+
+    return { user, device: null, session: null, apiKey };
+}
+
+/**
+ * Authentication middleware - validates token and device binding
+ * Returns authenticated user or sends error response
+ */
+export async function authenticateUser(req, res, next) {
+    return authenticate(req, res, next);
+}
+
+/**
+ * Scope-checking authentication middleware for read-only and integration routes
+ * Accepts everything authenticateUser accepts, plus API keys granting the scope.
+ * req.device and req.session are null for API key requests.
+ * @param {string} scope - One of API_KEY_SCOPES
+ */
+export function authenticateScoped(scope) {
+    return (req, res, next) => authenticate(req, res, next, { scope });
+}
+
+/**
+ * Helper: Run authentication and attach the result to the request
+ */
+async function authenticate(req, res, next, options = {}) {
+    try {
+        const auth = await authenticateRequest(req, options);
+
+        if (auth.error) {
+            return res.status(auth.status).json({
                 success: false,
-                error: 'Invalid token' 
+                error: auth.error,
+                ...(auth.code && { code: auth.code })
             });
         }
 
-        // Check device binding
-        if (user.device_id) {
-            if (user.device_id !== deviceId) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'This token is already bound to another device'
-                });
-            }
-        } else {
-            // First-time device binding
-            await queries.bindDevice(user.id, deviceId, getDeviceInfo(req));
-            console.log(`🔗 Device bound: User ${user.username} → Device ${deviceId.substring(0, 8)}...`);
-        }
-
         // Attach user to request for use in route handlers
-        req.user = user;
+        req.user = auth.user;
+        req.device = auth.device;
+        req.session = auth.session;
+        req.apiKey = auth.apiKey || null;
         next();
 
     } catch (error) {
@@ -82,6 +236,74 @@ export async function authenticateUser(req, res, next) {
     }
 }
 
+/**
+ * Issue a new access/refresh session for a user's device
+ * @param {number} userId - User ID
+ * @param {number} deviceRowId - ID of the devices row (not the client device ID)
+ * @returns {Promise<{ accessToken: string, accessExpiresAt: string, refreshToken: string, refreshExpiresAt: string }>}
+ */
+export async function issueSession(userId, deviceRowId) {
+    const pair = generateTokenPair();
+    await queries.createSession(
+        userId, 
+        deviceRowId, 
+        pair.accessToken, 
+        pair.accessExpiresAt, 
+        pair.refreshToken, 
+        pair.refreshExpiresAt
+    );
+    return pair;
+}
+
+/**
+ * Maximum number of active devices per account
+ */
+export function getMaxDevicesPerUser() {
+    return parseInt(process.env.MAX_DEVICES_PER_USER, 10) || 5;
+}
+
+/**
+ * Resolve the calling device against the user's device list
+ * Known devices are touched, unknown devices are bound while the account
+ * is below its device limit, revoked devices are rejected.
+ * @returns {Promise<{ device?: Object, status?: number, error?: string, code?: string }>}
+ */
+export async function resolveDeviceBinding(req, user, deviceId) {
+    let device = await queries.getUserDevice(user.id, deviceId);
+
+    if (!device) {
+        const maxDevices = getMaxDevicesPerUser();
+        const bound = await queries.bindDevice(user.id, deviceId, getDeviceInfo(req), maxDevices);
+
+        // Re-read: a parallel request may have bound the same device meanwhile
+        device = await queries.getUserDevice(user.id, deviceId);
+
+        if (!device) {
+            return { 
+                status: 403, 
+                error: `Device limit reached (${maxDevices}). Remove a device to continue.`,
+                code: AUTH_ERROR_CODES.DEVICE_LIMIT
+            };
+        }
+
+        if (bound) {
+            await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_BOUND, { userId: user.id, deviceId, details: { via: 'token' } });
+            console.log(`🔗 Device bound: User ${user.username} → Device ${deviceId.substring(0, 8)}...`);
+            return { device };
+        }
+    }
+
+    if (device.revoked_at) {
+        return { 
+            status: 403, 
+            error: 'This device has been revoked for this account', 
+            code: AUTH_ERROR_CODES.DEVICE_REVOKED 
+        };
+    }
+    await queries.touchDevice(device.id);
+    return { device };
+}
+
 /**
  * Helper: Get Device Info
  */
@@ -0,0 +1,30 @@
+// ==========================================
+// COMPOST PURGE
+// ==========================================
+
+import { queries } from '../db/database.js';
+import { getPurgeDate, resolveCompostRetention } from '../utils/compost.js';
+
+/**
+ * Permanently delete composted coffees whose retention has run out
+ * Each coffee is deleted at the revision it was read with, so a coffee
+ * restored or edited in the meantime is kept. Leaves delta sync tombstones.
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of purged coffees
+ */
+export async function purgeCompost(now = new Date()) {
+    const composted = await queries.getCompostedCoffees();
+    let purged = 0;
+
+    for (const coffee of composted) {
+        const purgeAt = getPurgeDate(coffee, resolveCompostRetention(coffee.compost_retention_days));
+        if (purgeAt && purgeAt <= now && await queries.deleteCoffee(coffee.user_id, coffee.id, coffee.revision)) {
+            purged++;
+        }
+    }
+
+    if (purged > 0) {
+        console.log(`🧹 Compost purged: ${purged} coffee(s)`);
+    }
+    return purged;
+}
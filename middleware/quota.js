@@ -0,0 +1,98 @@
+// ==========================================
+// AI QUOTA MIDDLEWARE
+// ==========================================
+
+import { queries } from '../db/database.js';
+import { resolveLimits, buildQuotaStatus, getQuotaPeriods } from '../utils/quota.js';
+
+/**
+ * Load the current AI quota status of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - See buildQuotaStatus()
+ */
+export async function getQuotaStatus(userId) {
+    const now = new Date();
+    const periods = getQuotaPeriods(now);
+    const settings = await queries.getQuotaSettings(userId);
+
+    const [daily, monthly] = await Promise.all([
+        queries.countAiUsageSince(userId, periods.dayStart),
+        queries.countAiUsageSince(userId, periods.monthStart)
+    ]);
+
+    return buildQuotaStatus(resolveLimits(settings || {}), { daily, monthly }, now);
+}
+
+/**
+ * Set remaining-quota headers on a response (unlimited quotas are omitted)
+ */
+export function setQuotaHeaders(res, status) {
+    if (status.daily.limit !== null) {
+        res.setHeader('X-Quota-Daily-Limit', status.daily.limit);
+        res.setHeader('X-Quota-Daily-Remaining', status.daily.remaining);
+        res.setHeader('X-Quota-Daily-Reset', status.daily.resetsAt);
+    }
+    if (status.monthly.limit !== null) {
+        res.setHeader('X-Quota-Monthly-Limit', status.monthly.limit);
+        res.setHeader('X-Quota-Monthly-Remaining', status.monthly.remaining);
+        res.setHeader('X-Quota-Monthly-Reset', status.monthly.resetsAt);
+    }
+}
+
+/**
+ * Quota middleware - reserves one AI analysis for the authenticated user
+ * and rejects the request once the daily or monthly quota is used up
+ * The reservation is taken before the AI call, so concurrent requests
+ * cannot overshoot the limit; release it with releaseAiQuota() on failure
+ * Must run after authenticateUser
+ */
+export async function enforceAiQuota(req, res, next) {
+    try {
+        const settings = await queries.getQuotaSettings(req.user.id);
+        const reservation = await queries.reserveAiUsage(
+            req.user.id,
+            resolveLimits(settings || {}),
+            getQuotaPeriods()
+        );
+
+        const status = await getQuotaStatus(req.user.id);
+        setQuotaHeaders(res, status);
+
+        if (reservation === null) {
+            const period = status.daily.remaining === 0 ? 'daily' : 'monthly';
+            return res.status(429).json({
+                success: false,
+                error: `AI analysis ${period} limit reached.`,
+                code: 'QUOTA_EXCEEDED',
+                quota: status
+            });
+        }
+
+        req.quota = status;
+        req.quotaReservation = reservation;
+        next();
+
+    } catch (error) {
+        console.error('Quota error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+}
+
+/**
+ * Give back the analysis reserved by enforceAiQuota and refresh the headers
+ * Call when the analysis failed, so failed calls are not charged
+ */
+export async function releaseAiQuota(req, res) {
+    if (!req.quotaReservation) return;
+
+    try {
+        await queries.releaseAiUsage(req.user.id, req.quotaReservation);
+        req.quotaReservation = null;
+        setQuotaHeaders(res, await getQuotaStatus(req.user.id));
+    } catch (error) {
+        console.error('Quota release error:', error.message);
+    }
+}
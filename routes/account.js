@@ -0,0 +1,179 @@
+// ==========================================
+// ACCOUNT ENDPOINTS (DATA EXPORT + DELETION)
+// ==========================================
+
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { formatAuditEvent, recordAuditEvent } from '../middleware/audit.js';
+import { queries } from '../db/database.js';
+import { parseScopes } from '../utils/apiKeys.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+
+const router = express.Router();
+
+/**
+ * Helper: Parse stored JSON without failing the whole export
+ */
+function parseJSON(value, fallback = null) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Export Personal Data
+ * GET /export
+ * Returns a single JSON document with profile, settings, devices, coffees, brews and the inventory log
+ */
+router.get('/export', authenticateUser, async (req, res) => {
+    try {
+        const user = await queries.getUserDetail(req.user.id);
+        const [devices, coffees, brews, inventoryEvents, grinders, waterSettings, brewMethodSettings, apiKeys, auditEvents] = await Promise.all([
+            queries.getAllUserDevices(req.user.id),
+            queries.getUserCoffees(req.user.id),
+            queries.getUserBrews(req.user.id),
+            queries.getUserInventoryEvents(req.user.id),
+            queries.getGrinders(req.user.id),
+            queries.getWaterSettings(req.user.id),
+            queries.getBrewMethodSettings(req.user.id),
+            queries.getUserApiKeys(req.user.id),
+            queries.getAuditEvents({ userId: req.user.id, limit: 10000 })
+        ]);
+
+        const exportedAt = new Date().toISOString();
+        const document = {
+            format: 'brewbuddy-export',
+            version: 1,
+            exportedAt,
+            profile: {
+                id: user.id,
+                username: user.username,
+                createdAt: user.created_at,
+                lastLoginAt: user.last_login_at || null
+            },
+            settings: {
+                grinderPreference: user.grinder_preference || 'fellow',
+                waterHardness: user.water_hardness || null,
+                customGrinders: grinders.filter(g => g.custom),
+                water: waterSettings,
+                brewMethods: brewMethodSettings
+            },
+            devices: devices.map(d => ({
+                name: d.name,
+                deviceId: d.device_id,
+                deviceInfo: parseJSON(d.device_info, {}),
+                firstSeenAt: d.first_seen_at,
+                lastSeenAt: d.last_seen_at,
+                revokedAt: d.revoked_at || null
+            })),
+            coffees: coffees.map(c => ({
+                ...parseJSON(c.data, {}),
+                id: c.id,
+                savedAt: c.created_at
+            })),
+            brews,
+            inventoryEvents: inventoryEvents.map(e => ({
+                id: e.id,
+                coffeeId: e.coffee_id,
+                brewId: e.brew_id || null,
+                type: e.type,
+                grams: e.grams,
+                remainingGrams: e.remaining_grams,
+                reason: e.reason || null,
+                createdAt: e.created_at
+            })),
+            apiKeys: apiKeys.map(k => ({
+                name: k.name,
+                keyPrefix: k.key_prefix,
+                scopes: parseScopes(k.scopes),
+                lastUsedAt: k.last_used_at || null,
+                revokedAt: k.revoked_at || null,
+                createdAt: k.created_at
+            })),
+            securityEvents: auditEvents.map(formatAuditEvent)
+        };
+
+        const safeName = user.username.replace(/[^a-zA-Z0-9_.-]/g, '_');
+        const filename = `brewbuddy-export-${safeName}-${exportedAt.substring(0, 10)}.json`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.json(document);
+
+        console.log(`📦 Data exported: ${user.username} (${coffees.length} coffees)`);
+
+    } catch (error) {
+        console.error('Export error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Security Events of the Account
+ * GET /security-events?limit=50
+ */
+router.get('/security-events', authenticateUser, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const events = await queries.getAuditEvents({ userId: req.user.id, limit });
+
+        res.json({
+            success: true,
+            events: events.map(formatAuditEvent)
+        });
+
+    } catch (error) {
+        console.error('Security events error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Delete Account
+ * DELETE /
+ * Body: { confirm: "<username>" }
+ * Permanently removes the user and all their data
+ */
+router.delete('/', authenticateUser, async (req, res) => {
+    try {
+        const confirm = req.body?.confirm;
+
+        if (typeof confirm !== 'string' || confirm !== req.user.username) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Confirmation required: send { "confirm": "<your username>" } to delete your account' 
+            });
+        }
+
+        // Recorded first: the event stays in the audit log with its user ID set to NULL
+        await recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_DELETED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id
+        });
+
+        // One DELETE; the account's data goes with it through ON DELETE CASCADE
+        await queries.deleteUser(req.user.id);
+
+        console.log(`🗑️ Account deleted: ${req.user.username}`);
+
+        res.json({ 
+            success: true,
+            deleted: true
+        });
+
+    } catch (error) {
+        console.error('Delete account error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,508 @@
+// ==========================================
+// ADMIN ENDPOINTS (SUPPORT OPERATIONS)
+// ==========================================
+
+import express from 'express';
+import { authenticateAdmin } from '../middleware/admin.js';
+import { queries } from '../db/database.js';
+import { generateToken } from '../utils/tokens.js';
+import { PLANS } from '../utils/quota.js';
+import { getQuotaStatus } from '../middleware/quota.js';
+import { recordAuditEvent, formatAuditEvent } from '../middleware/audit.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { validateGrinderDefinition } from '../utils/grinders.js';
+
+const router = express.Router();
+
+router.use(authenticateAdmin);
+
+/**
+ * Helper: Record an admin action with the acting admin and request IP,
+ * in the admin action log and the security audit log
+ */
+async function recordAction(req, action, targetUserId = null, details = null) {
+    await queries.recordAdminAction(req.admin.name, action, targetUserId, details, req.ip);
+    await recordAuditEvent(req, AUDIT_EVENTS.ADMIN_ACTION, {
+        userId: targetUserId,
+        details: { admin: req.admin.name, action }
+    });
+}
+
+/**
+ * Helper: Parse a positive integer route/query parameter
+ */
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Helper: Shape a user row for admin responses
+ */
+function formatUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role || 'user',
+        grinderPreference: user.grinder_preference || 'fellow',
+        lastLoginAt: user.last_login_at || null,
+        disabledAt: user.disabled_at || null,
+        createdAt: user.created_at,
+        ...(user.coffee_count !== undefined && { coffeeCount: parseInt(user.coffee_count, 10) }),
+        ...(user.device_count !== undefined && { deviceCount: parseInt(user.device_count, 10) })
+    };
+}
+
+/**
+ * Helper: Load the target user or send 404
+ */
+async function loadTargetUser(req, res) {
+    const userId = parsePositiveInt(req.params.id, null);
+    const user = userId ? await queries.getUserDetail(userId) : null;
+
+    if (!user) {
+        res.status(404).json({ 
+            success: false,
+            error: 'User not found' 
+        });
+        return null;
+    }
+
+    return user;
+}
+
+/**
+ * List / Search Users
+ * GET /users?search=&page=1&limit=25
+ */
+router.get('/users', async (req, res) => {
+    try {
+        const search = String(req.query.search || '').trim();
+        const page = parsePositiveInt(req.query.page, 1);
+        const limit = Math.min(parsePositiveInt(req.query.limit, 25), 100);
+
+        const [users, total] = await Promise.all([
+            queries.listUsers({ search, limit, offset: (page - 1) * limit }),
+            queries.countUsers(search)
+        ]);
+
+        await recordAction(req, 'users.list', null, { search, page, limit });
+
+        res.json({
+            success: true,
+            users: users.map(formatUser),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin list users error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * User Detail
+ * GET /users/:id
+ */
+router.get('/users/:id', async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const [devices, coffeeCount, activeSessions, recoveryCodesRemaining] = await Promise.all([
+            queries.getAllUserDevices(user.id),
+            queries.countUserCoffees(user.id),
+            queries.countActiveSessions(user.id),
+            queries.countUnusedRecoveryCodes(user.id)
+        ]);
+
+        await recordAction(req, 'users.view', user.id);
+
+        res.json({
+            success: true,
+            user: {
+                ...formatUser(user),
+                waterHardness: user.water_hardness || null,
+                legacyDeviceId: user.legacy_device_id || null,
+                coffeeCount,
+                activeSessions,
+                recoveryCodesRemaining,
+                devices: devices.map(d => ({
+                    id: d.id,
+                    deviceId: d.device_id,
+                    name: d.name,
+                    deviceInfo: d.device_info,
+                    firstSeenAt: d.first_seen_at,
+                    lastSeenAt: d.last_seen_at,
+                    revokedAt: d.revoked_at || null
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin user detail error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Unbind All Devices
+ * DELETE /users/:id/devices
+ * Removes every device binding (including a stuck legacy device_id)
+ * so the user can bind a device again with their token
+ */
+router.delete('/users/:id/devices', async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const removed = await queries.deleteUserDevices(user.id);
+        await recordAction(req, 'devices.unbind_all', user.id, { removed });
+
+        console.log(`🛠️ Admin ${req.admin.name}: unbound ${removed} device(s) of ${user.username}`);
+
+        res.json({ 
+            success: true,
+            removed
+        });
+
+    } catch (error) {
+        console.error('Admin unbind devices error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Unbind One Device
+ * DELETE /users/:id/devices/:deviceId
+ */
+router.delete('/users/:id/devices/:deviceId', async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const deviceRowId = parsePositiveInt(req.params.deviceId, null);
+        const removed = deviceRowId ? await queries.deleteUserDevices(user.id, deviceRowId) : 0;
+
+        if (!removed) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Device not found' 
+            });
+        }
+
+        await recordAction(req, 'devices.unbind', user.id, { deviceId: deviceRowId });
+
+        res.json({ 
+            success: true,
+            removed
+        });
+
+    } catch (error) {
+        console.error('Admin unbind device error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Reset Token
+ * POST /users/:id/reset-token
+ * Issues a new account token (returned once) and revokes all sessions
+ */
+router.post('/users/:id/reset-token', async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const token = generateToken();
+        await queries.updateUserToken(user.id, token);
+        const revokedSessions = await queries.revokeAllSessions(user.id);
+
+        await recordAction(req, 'token.reset', user.id, { revokedSessions });
+
+        console.log(`🛠️ Admin ${req.admin.name}: reset token of ${user.username}`);
+
+        res.json({ 
+            success: true,
+            token,
+            revokedSessions
+        });
+
+    } catch (error) {
+        console.error('Admin reset token error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Disable Account
+ * POST /users/:id/disable
+ * Body: { reason? }
+ */
+router.post('/users/:id/disable', async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        await queries.setUserDisabled(user.id, true);
+        const revokedSessions = await queries.revokeAllSessions(user.id);
+        const reason = req.body?.reason ? String(req.body.reason).substring(0, 500) : null;
+
+        await recordAction(req, 'account.disable', user.id, { reason, revokedSessions });
+
+        console.log(`🛠️ Admin ${req.admin.name}: disabled ${user.username}`);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Admin disable user error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Re-enable Account
+ * POST /users/:id/enable
+ */
+router.post('/users/:id/enable', async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        await queries.setUserDisabled(user.id, false);
+        await recordAction(req, 'account.enable', user.id);
+
+        console.log(`🛠️ Admin ${req.admin.name}: enabled ${user.username}`);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Admin enable user error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Update AI Quota
+ * PATCH /users/:id/quota
+ * Body: { plan?, aiDailyLimit?, aiMonthlyLimit? } - limits of null fall back to the plan
+ */
+router.patch('/users/:id/quota', async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const current = await queries.getQuotaSettings(user.id);
+        const body = req.body || {};
+        const plan = body.plan ?? current.plan ?? 'free';
+
+        if (!PLANS.includes(plan)) {
+            return res.status(400).json({ 
+                success: false,
+                error: `Valid plan required (${PLANS.join(', ')})` 
+            });
+        }
+
+        const parseLimit = (value, fallback) => {
+            if (value === undefined) return { value: fallback };
+            if (value === null) return { value: null };
+            const parsed = parseInt(value, 10);
+            return Number.isInteger(parsed) && parsed >= 0 ? { value: parsed } : { error: true };
+        };
+
+        const daily = parseLimit(body.aiDailyLimit, current.ai_daily_limit);
+        const monthly = parseLimit(body.aiMonthlyLimit, current.ai_monthly_limit);
+
+        if (daily.error || monthly.error) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Limits must be non-negative integers or null' 
+            });
+        }
+
+        const settings = { plan, aiDailyLimit: daily.value, aiMonthlyLimit: monthly.value };
+        await queries.updateQuotaSettings(user.id, settings);
+        await recordAction(req, 'quota.update', user.id, settings);
+
+        const status = await getQuotaStatus(user.id);
+
+        res.json({ 
+            success: true,
+            quota: {
+                plan: status.plan,
+                daily: status.daily,
+                monthly: status.monthly
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin update quota error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Aggregate Counts
+ * GET /stats
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const stats = await queries.getAdminStats();
+        await recordAction(req, 'stats.view');
+
+        res.json({ 
+            success: true,
+            stats
+        });
+
+    } catch (error) {
+        console.error('Admin stats error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Admin Action Log
+ * GET /actions?userId=&limit=50
+ */
+router.get('/actions', async (req, res) => {
+    try {
+        const targetUserId = parsePositiveInt(req.query.userId, null);
+        const limit = Math.min(parsePositiveInt(req.query.limit, 50), 500);
+
+        const actions = await queries.getAdminActions({ targetUserId, limit });
+
+        res.json({
+            success: true,
+            actions: actions.map(a => ({
+                id: a.id,
+                admin: a.admin,
+                action: a.action,
+                targetUserId: a.target_user_id,
+                details: a.details ? JSON.parse(a.details) : null,
+                ip: a.ip,
+                createdAt: a.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Admin actions error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Security Audit Log
+ * GET /audit?userId=&type=&limit=50
+ */
+router.get('/audit', async (req, res) => {
+    try {
+        const userId = parsePositiveInt(req.query.userId, null);
+        const eventType = typeof req.query.type === 'string' ? req.query.type : null;
+        const limit = Math.min(parsePositiveInt(req.query.limit, 50), 500);
+
+        const events = await queries.getAuditEvents({ userId, eventType, limit });
+
+        res.json({
+            success: true,
+            events: events.map(formatAuditEvent)
+        });
+
+    } catch (error) {
+        console.error('Admin audit log error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Add a Grinder to the Catalog
+ * POST /grinders
+ * Body: { key, name, scale, min, max, step, subdivisions, micronsAtMin, micronsPerStep }
+ * Available to every user right away, no deploy needed
+ */
+router.post('/grinders', async (req, res) => {
+    try {
+        const key = req.body?.key;
+
+        if (typeof key !== 'string' || !/^[a-z0-9][a-z0-9-]{1,39}$/.test(key) || key.startsWith('custom-')) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'key required: 2-40 lowercase letters, digits or dashes, not starting with custom-' 
+            });
+        }
+
+        const { grinder, error } = validateGrinderDefinition(req.body);
+
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        const created = await queries.createGrinder(null, { ...grinder, key });
+
+        if (!created) {
+            return res.status(409).json({ 
+                success: false,
+                error: 'A grinder with this key already exists' 
+            });
+        }
+
+        await recordAction(req, 'grinders.add', null, { key });
+
+        console.log(`🛠️ Admin ${req.admin.name}: added grinder ${key}`);
+
+        res.status(201).json({ 
+            success: true,
+            grinder: created
+        });
+
+    } catch (error) {
+        console.error('Admin add grinder error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
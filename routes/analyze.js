@@ -3,30 +3,21 @@
 // ==========================================
 
 import express from 'express';
-import rateLimit from 'express-rate-limit';
-import { authenticateUser } from '../middleware/auth.js';
+import { authenticateScoped } from '../middleware/auth.js';
+import { enforceAiQuota, releaseAiQuota } from '../middleware/quota.js';
 import { sanitizeCoffeeData } from '../utils/sanitize.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
 
 const router = express.Router();
 
-const aiLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000,
-    max: 10,
-    message: { 
-        success: false, 
-        error: 'AI analysis limit reached. Please try again in an hour.' 
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
-
-router.post('/', aiLimiter, authenticateUser, async (req, res) => {
+router.post('/', authenticateScoped(API_KEY_SCOPES.ANALYZE), enforceAiQuota, async (req, res) => {
     try {
         const { imageData, mediaType } = req.body;
 
         console.log(`📸 Analysis started for user: ${req.user.username}`);
 
         if (!imageData) {
+            await releaseAiQuota(req, res);
             return res.status(400).json({ 
                 success: false,
                 error: 'Image data required' 
@@ -111,6 +102,7 @@ Only return valid JSON, no other text.`
 
     } catch (error) {
         console.error('Analyze error:', error.message);
+        await releaseAiQuota(req, res);
         res.status(500).json({ 
             success: false,
             error: 'Analysis failed. Please try again.'
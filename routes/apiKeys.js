@@ -0,0 +1,160 @@
+// ==========================================
+// API KEY ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { queries } from '../db/database.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { 
+    API_KEY_SCOPES, 
+    MAX_API_KEYS_PER_USER, 
+    generateApiKey, 
+    parseScopes, 
+    validateScopes 
+} from '../utils/apiKeys.js';
+import { stripHTML, truncateString } from '../utils/sanitize.js';
+
+const router = express.Router();
+
+// Managing keys always needs a full account credential, never an API key
+router.use(authenticateUser);
+
+/**
+ * Helper: Shape an API key row for API responses (never includes the key)
+ */
+function formatApiKey(apiKey) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        keyPrefix: apiKey.key_prefix,
+        scopes: parseScopes(apiKey.scopes),
+        lastUsedAt: apiKey.last_used_at || null,
+        revokedAt: apiKey.revoked_at || null,
+        createdAt: apiKey.created_at
+    };
+}
+
+/**
+ * List API Keys
+ * GET /
+ */
+router.get('/', async (req, res) => {
+    try {
+        const apiKeys = await queries.getUserApiKeys(req.user.id);
+
+        res.json({
+            success: true,
+            apiKeys: apiKeys.map(formatApiKey),
+            availableScopes: Object.values(API_KEY_SCOPES)
+        });
+
+    } catch (error) {
+        console.error('List API keys error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Create API Key
+ * POST /
+ * Body: { name, scopes: ['coffees:read', ...] }
+ * The key is returned once and only its hash is stored
+ */
+router.post('/', async (req, res) => {
+    try {
+        const name = truncateString(stripHTML(String(req.body?.name ?? '')).trim(), 100);
+
+        if (!name) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'API key name required' 
+            });
+        }
+
+        const scopeCheck = validateScopes(req.body?.scopes);
+        if (!scopeCheck.valid) {
+            return res.status(400).json({ 
+                success: false,
+                error: scopeCheck.error 
+            });
+        }
+
+        if (await queries.countActiveApiKeys(req.user.id) >= MAX_API_KEYS_PER_USER) {
+            return res.status(409).json({ 
+                success: false,
+                error: `API key limit reached (${MAX_API_KEYS_PER_USER}). Revoke a key to create a new one.` 
+            });
+        }
+
+        const { apiKey, keyPrefix } = generateApiKey();
+        const id = await queries.createApiKey(req.user.id, name, apiKey, keyPrefix, scopeCheck.scopes);
+
+        await recordAuditEvent(req, AUDIT_EVENTS.API_KEY_CREATED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { apiKeyId: id, name, scopes: scopeCheck.scopes }
+        });
+        console.log(`🔑 API key created: User ${req.user.username} → ${name}`);
+
+        res.status(201).json({
+            success: true,
+            apiKey: {
+                id,
+                name,
+                keyPrefix,
+                scopes: scopeCheck.scopes,
+                key: apiKey
+            }
+        });
+
+    } catch (error) {
+        console.error('Create API key error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Revoke API Key
+ * DELETE /:id
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const revoked = await queries.revokeApiKey(req.user.id, id);
+
+        if (!revoked) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'API key not found' 
+            });
+        }
+
+        await recordAuditEvent(req, AUDIT_EVENTS.API_KEY_REVOKED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { apiKeyId: id }
+        });
+
+        res.json({ 
+            success: true,
+            revoked: id
+        });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
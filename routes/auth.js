@@ -3,18 +3,197 @@
 // ==========================================
 
 import express from 'express';
-import { extractAuthCredentials, getDeviceInfo } from '../middleware/auth.js';
-import { queries } from '../db/database.js';
+import rateLimit from 'express-rate-limit';
+import {
+    ACCOUNT_DISABLED_ERROR,
+    AUTH_ERROR_CODES,
+    authFailure,
+    authenticateRequest,
+    authenticateUser,
+    extractAuthCredentials,
+    getDeviceInfo,
+    getMaxDevicesPerUser,
+    issueSession,
+    resolveDeviceBinding
+} from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { queries, withTransaction } from '../db/database.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { validateUsername } from '../utils/username.js';
+import {
+    generateRecoveryCodes,
+    generateToken,
+    hashToken,
+    isExpired,
+    normalizeRecoveryCode
+} from '../utils/tokens.js';
+import { stripHTML, truncateString } from '../utils/sanitize.js';
 
 const router = express.Router();
 
+const registerLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.REGISTER_LIMIT_PER_HOUR, 10) || 5,
+    message: { 
+        success: false, 
+        error: 'Too many registrations from this IP. Please try again later.' 
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const rebindLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { 
+        success: false, 
+        error: 'Too many recovery attempts. Please try again later.' 
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 /**
- * Validate Token with Device-Binding
- * GET /validate
- * Accepts token from Authorization: Bearer <token> header or query param (fallback)
- * Accepts deviceId from X-Device-ID header or query param (fallback)
+ * Helper: Generate a fresh set of recovery codes, store their hashes
+ * and return the plaintext codes (shown to the user once)
  */
-router.get('/validate', async (req, res) => {
+async function issueRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+    await queries.replaceRecoveryCodes(
+        userId, 
+        codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    );
+    return codes;
+}
+
+/**
+ * Helper: Detect unique constraint violations on both database backends
+ */
+function isUniqueViolation(error) {
+    return error?.code === '23505' || 
+           (error?.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message));
+}
+
+/**
+ * Register a new user and bind the calling device
+ * POST /register
+ * Body: { username }
+ * Accepts deviceId from X-Device-ID header or body (fallback)
+ * The token is returned exactly once and cannot be retrieved again
+ */
+router.post('/register', registerLimiter, async (req, res) => {
+    try {
+        const { deviceId } = extractAuthCredentials(req);
+        const validation = validateUsername(req.body?.username);
+
+        if (!validation.valid) {
+            return res.status(400).json({ 
+                success: false,
+                error: validation.error 
+            });
+        }
+
+        if (!deviceId) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Device ID required' 
+            });
+        }
+
+        const username = validation.username;
+
+        if (await queries.usernameExists(username)) {
+            return res.status(409).json({ 
+                success: false,
+                error: 'Username already taken' 
+            });
+        }
+
+        if (await queries.deviceExists(deviceId)) {
+            return res.status(409).json({ 
+                success: false,
+                error: 'This device is already registered to an account' 
+            });
+        }
+
+        const token = generateToken();
+        let userId;
+
+        try {
+            userId = await queries.createUser(username, token, deviceId, getDeviceInfo(req));
+        } catch (error) {
+            // Lost a race against a concurrent registration for the same name or device
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ 
+                    success: false,
+                    error: 'Username already taken' 
+                });
+            }
+            throw error;
+        }
+
+        const device = await queries.getUserDevice(userId, deviceId);
+        const session = await issueSession(userId, device.id);
+        const recoveryCodes = await issueRecoveryCodes(userId);
+
+        await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_BOUND, { userId, deviceId, details: { via: 'register' } });
+        console.log(`👤 User registered: ${username} → Device ${deviceId.substring(0, 8)}...`);
+
+        res.status(201).json({
+            success: true,
+            user: {
+                id: userId,
+                username,
+                token,
+                deviceId,
+                grinderPreference: 'fellow',
+                waterHardness: null
+            },
+            session: formatSession(session),
+            recoveryCodes,
+            message: 'Store this token and the recovery codes securely. They will not be shown again.'
+        });
+
+    } catch (error) {
+        console.error('Register error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Helper: Record an authentication failure and send it as the response
+ */
+async function rejectAuth(req, res, failure, deviceId, userId = null) {
+    await authFailure(req, failure, deviceId, userId);
+    return res.status(failure.status).json({
+        success: false,
+        error: failure.error,
+        code: failure.code
+    });
+}
+
+/**
+ * Helper: Shape a newly issued session for API responses
+ */
+function formatSession(session) {
+    return {
+        accessToken: session.accessToken,
+        accessTokenExpiresAt: session.accessExpiresAt,
+        refreshToken: session.refreshToken,
+        refreshTokenExpiresAt: session.refreshExpiresAt
+    };
+}
+
+/**
+ * Start a Session
+ * POST /login
+ * Exchanges the account token for a short-lived access token and a
+ * refresh token bound to the calling device
+ */
+router.post('/login', async (req, res) => {
     try {
         const { token, deviceId } = extractAuthCredentials(req);
 
@@ -35,26 +214,191 @@ router.get('/validate', async (req, res) => {
         const user = await queries.getUserByToken(token);
 
         if (!user) {
-            return res.status(401).json({ 
+            return rejectAuth(req, res, 
+                { status: 401, error: 'Invalid token', code: AUTH_ERROR_CODES.INVALID_TOKEN }, 
+                deviceId);
+        }
+
+        if (user.disabled_at) {
+            return rejectAuth(req, res, ACCOUNT_DISABLED_ERROR, deviceId, user.id);
+        }
+
+        const binding = await resolveDeviceBinding(req, user, deviceId);
+        if (binding.error) {
+            return rejectAuth(req, res, binding, deviceId, user.id);
+        }
+
+        const session = await issueSession(user.id, binding.device.id);
+        await queries.updateLastLogin(user.id);
+
+        res.json({
+            success: true,
+            session: formatSession(session)
+        });
+
+    } catch (error) {
+        console.error('Login error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Refresh a Session
+ * POST /refresh
+ * Body: { refreshToken }
+ * Rotates the refresh token: the old session is revoked and a new one issued
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { deviceId } = extractAuthCredentials(req);
+        const refreshToken = req.body?.refreshToken;
+
+        if (!refreshToken) {
+            return res.status(400).json({ 
                 success: false,
-                valid: false,
-                error: 'Invalid token' 
+                error: 'Refresh token required' 
             });
         }
 
-        if (user.device_id) {
-            if (user.device_id !== deviceId) {
-                return res.status(403).json({
-                    success: false,
-                    valid: false,
-                    error: 'This token is already bound to another device'
-                });
-            }
+        if (!deviceId) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Device ID required' 
+            });
+        }
+
+        const existing = await queries.getSessionByRefreshToken(refreshToken);
+
+        if (!existing) {
+            return rejectAuth(req, res, 
+                { status: 401, error: 'Invalid refresh token', code: AUTH_ERROR_CODES.INVALID_TOKEN }, 
+                deviceId);
+        }
+
+        if (existing.revoked_at) {
+            return rejectAuth(req, res, 
+                { status: 401, error: 'Refresh token has been revoked', code: AUTH_ERROR_CODES.TOKEN_REVOKED }, 
+                deviceId, existing.user_id);
+        }
+
+        if (isExpired(existing.refresh_expires_at)) {
+            return rejectAuth(req, res, 
+                { status: 401, error: 'Refresh token expired', code: AUTH_ERROR_CODES.TOKEN_EXPIRED }, 
+                deviceId, existing.user_id);
+        }
+
+        if (existing.client_device_id !== deviceId) {
+            return rejectAuth(req, res, 
+                { status: 403, error: 'This token is bound to another device', code: AUTH_ERROR_CODES.DEVICE_MISMATCH }, 
+                deviceId, existing.user_id);
+        }
+
+        const user = await queries.getUserById(existing.user_id);
+        if (user.disabled_at) {
+            return rejectAuth(req, res, ACCOUNT_DISABLED_ERROR, deviceId, user.id);
+        }
+
+        await queries.revokeSession(existing.id);
+        const session = await issueSession(existing.user_id, existing.device_id);
+        await queries.touchDevice(existing.device_id);
+
+        res.json({
+            success: true,
+            session: formatSession(session)
+        });
+
+    } catch (error) {
+        console.error('Refresh error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Log Out
+ * POST /logout
+ * Revokes the current session; with an account token, revokes all
+ * sessions of the calling device
+ */
+router.post('/logout', authenticateUser, async (req, res) => {
+    try {
+        if (req.session) {
+            await queries.revokeSession(req.session.id);
         } else {
-            await queries.bindDevice(user.id, deviceId, getDeviceInfo(req));
-            console.log(`🔗 Device bound: User ${user.username} → Device ${deviceId.substring(0, 8)}...`);
+            await queries.revokeDeviceSessions(req.device.id);
         }
 
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Logout error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Log Out Everywhere
+ * POST /logout-all
+ * Body: { rotateToken?: boolean }
+ * Revokes every session of the user; optionally replaces the account token
+ * (the new token is returned once)
+ */
+router.post('/logout-all', authenticateUser, async (req, res) => {
+    try {
+        const revoked = await queries.revokeAllSessions(req.user.id);
+        let token;
+
+        if (req.body?.rotateToken === true) {
+            token = generateToken();
+            await queries.updateUserToken(req.user.id, token);
+        }
+
+        console.log(`🚪 All sessions revoked: User ${req.user.username} (${revoked})`);
+
+        res.json({ 
+            success: true,
+            revoked,
+            ...(token && { token })
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Validate Token with Device-Binding
+ * GET /validate
+ * Accepts token from Authorization: Bearer <token> header or query param (fallback)
+ * Accepts deviceId from X-Device-ID header or query param (fallback)
+ */
+router.get('/validate', async (req, res) => {
+    try {
+        const auth = await authenticateRequest(req);
+
+        if (auth.error) {
+            return res.status(auth.status).json({
+                success: false,
+                ...(auth.status !== 400 && { valid: false }),
+                error: auth.error,
+                ...(auth.code && { code: auth.code })
+            });
+        }
+
+        const { user, device, session } = auth;
+
         await queries.updateLastLogin(user.id);
 
         res.json({
@@ -63,11 +407,12 @@ router.get('/validate', async (req, res) => {
             user: {
                 id: user.id,
                 username: user.username,
-                deviceId: user.device_id || deviceId,
+                deviceId: device.device_id,
                 grinderPreference: user.grinder_preference || 'fellow',
                 waterHardness: user.water_hardness || null,
                 createdAt: user.created_at
-            }
+            },
+            ...(session && { expiresAt: new Date(session.access_expires_at).toISOString() })
         });
 
     } catch (error) {
@@ -79,4 +424,290 @@ router.get('/validate', async (req, res) => {
     }
 });
 
+/**
+ * Helper: Shape a device row for API responses
+ */
+function formatDevice(device, currentDeviceId) {
+    let info = {};
+    try {
+        info = device.device_info ? JSON.parse(device.device_info) : {};
+    } catch (e) {
+        info = {};
+    }
+
+    return {
+        id: device.id,
+        name: device.name || [info.os, info.platform].filter(Boolean).join(' ') || 'Unknown device',
+        platform: info.platform || 'unknown',
+        os: info.os || 'unknown',
+        firstSeenAt: device.first_seen_at,
+        lastSeenAt: device.last_seen_at,
+        current: device.device_id === currentDeviceId
+    };
+}
+
+/**
+ * List Devices
+ * GET /devices
+ */
+router.get('/devices', authenticateUser, async (req, res) => {
+    try {
+        const devices = await queries.getUserDevices(req.user.id);
+
+        res.json({
+            success: true,
+            devices: devices.map(d => formatDevice(d, req.device.device_id)),
+            maxDevices: getMaxDevicesPerUser()
+        });
+
+    } catch (error) {
+        console.error('List devices error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Rename Device
+ * PATCH /devices/:id
+ * Body: { name }
+ */
+router.patch('/devices/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const name = truncateString(stripHTML(String(req.body?.name ?? '')).trim(), 100);
+
+        if (!name) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Device name required' 
+            });
+        }
+
+        const renamed = await queries.renameDevice(req.user.id, id, name);
+
+        if (!renamed) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Device not found' 
+            });
+        }
+
+        res.json({ 
+            success: true,
+            device: { id, name }
+        });
+
+    } catch (error) {
+        console.error('Rename device error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Revoke Device
+ * DELETE /devices/:id
+ * A revoked device can no longer authenticate with this account
+ */
+router.delete('/devices/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+
+        if (id === req.device.id) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Cannot revoke the device making this request' 
+            });
+        }
+
+        const revoked = await queries.revokeDevice(req.user.id, id);
+
+        if (!revoked) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Device not found' 
+            });
+        }
+
+        await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_REMOVED, { 
+            userId: req.user.id, 
+            deviceId: req.device.device_id, 
+            details: { deviceRowId: id } 
+        });
+        console.log(`🔌 Device revoked: User ${req.user.username} → Device #${id}`);
+
+        res.json({ 
+            success: true,
+            revoked: id
+        });
+
+    } catch (error) {
+        console.error('Revoke device error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Move the Account to a New Device
+ * POST /rebind
+ * Body: { username, recoveryCode }
+ * Consumes a recovery code, revokes every existing device and session,
+ * rotates the account token and binds the calling device
+ */
+router.post('/rebind', rebindLimiter, async (req, res) => {
+    try {
+        const { deviceId } = extractAuthCredentials(req);
+        const { username, recoveryCode } = req.body || {};
+
+        if (!username || !recoveryCode) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Username and recovery code required' 
+            });
+        }
+
+        if (!deviceId) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Device ID required' 
+            });
+        }
+
+        const user = await queries.getUserByUsername(String(username).trim());
+        const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+        const rejectRecovery = async () => {
+            await recordAuditEvent(req, AUDIT_EVENTS.RECOVERY_FAILED, { userId: user?.id ?? null, deviceId });
+            return res.status(401).json({ 
+                success: false,
+                error: 'Invalid username or recovery code' 
+            });
+        };
+
+        // Same response for unknown user and wrong code to avoid username probing
+        if (!user) {
+            return rejectRecovery();
+        }
+
+        // Only a valid code learns that the account is disabled; its codes are not used up
+        if (user.disabled_at) {
+            if (!(await queries.hasUnusedRecoveryCode(user.id, codeHash))) {
+                return rejectRecovery();
+            }
+            return rejectAuth(req, res, ACCOUNT_DISABLED_ERROR, deviceId, user.id);
+        }
+
+        // Code, device binding, token rotation and session succeed or fail together
+        const rebound = await withTransaction(async () => {
+            if (!(await queries.consumeRecoveryCode(user.id, codeHash))) {
+                return null;
+            }
+
+            await queries.revokeAllDevices(user.id);
+
+            const deviceInfo = getDeviceInfo(req);
+            const existing = await queries.getUserDevice(user.id, deviceId);
+            if (existing) {
+                await queries.reactivateDevice(existing.id, deviceInfo);
+            } else {
+                await queries.addDevice(user.id, deviceId, deviceInfo);
+            }
+            const device = await queries.getUserDevice(user.id, deviceId);
+
+            const token = generateToken();
+            await queries.updateUserToken(user.id, token);
+            await queries.updateLastLogin(user.id);
+
+            return {
+                token,
+                session: await issueSession(user.id, device.id),
+                remainingRecoveryCodes: await queries.countUnusedRecoveryCodes(user.id)
+            };
+        });
+
+        if (!rebound) {
+            return rejectRecovery();
+        }
+        const { token, session, remainingRecoveryCodes } = rebound;
+
+        await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_BOUND, { userId: user.id, deviceId, details: { via: 'recovery' } });
+        console.log(`🔁 Account rebound: User ${user.username} → Device ${deviceId.substring(0, 8)}...`);
+
+        res.json({
+            success: true,
+            user: {
+                id: user.id,
+                username: user.username,
+                token,
+                deviceId
+            },
+            session: formatSession(session),
+            remainingRecoveryCodes,
+            message: 'Store this token securely. It will not be shown again.'
+        });
+
+    } catch (error) {
+        console.error('Rebind error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Recovery Code Status
+ * GET /recovery-codes
+ */
+router.get('/recovery-codes', authenticateUser, async (req, res) => {
+    try {
+        const remaining = await queries.countUnusedRecoveryCodes(req.user.id);
+
+        res.json({ 
+            success: true,
+            remaining
+        });
+
+    } catch (error) {
+        console.error('Recovery codes status error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Regenerate Recovery Codes
+ * POST /recovery-codes
+ * Invalidates all previous codes; the new codes are returned once
+ */
+router.post('/recovery-codes', authenticateUser, async (req, res) => {
+    try {
+        const recoveryCodes = await issueRecoveryCodes(req.user.id);
+
+        console.log(`🔑 Recovery codes regenerated: User ${req.user.username}`);
+
+        res.json({ 
+            success: true,
+            recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
 export default router;
@@ -0,0 +1,81 @@
+// ==========================================
+// BREW METHOD SETTINGS ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { resolveBrewMethods, validateBrewMethodSettings } from '../utils/brewMethods.js';
+
+const router = express.Router();
+
+/**
+ * Get Brew Methods
+ * GET /
+ * Returns the method catalog with the user's preferences and the default method
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
+    try {
+        const settings = await queries.getBrewMethodSettings(req.user.id);
+
+        res.json({ 
+            success: true, 
+            ...resolveBrewMethods(settings)
+        });
+
+    } catch (error) {
+        console.error('Get brew methods error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Update Brew Method Preferences
+ * POST /
+ * Body: { defaultMethod, methods: { espresso: { dose, ratio, temperature } } }
+ * Replaces all preferences; omitted parts use the catalog defaults, {} resets everything
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const { settings, error } = validateBrewMethodSettings(req.body);
+
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        const previous = await queries.getBrewMethodSettings(req.user.id);
+        const preferences = Object.keys(settings).length > 0 ? settings : null;
+
+        await queries.updateBrewMethodSettings(req.user.id, preferences);
+        await recordAuditEvent(req, AUDIT_EVENTS.SETTING_CHANGED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { setting: 'brew_method_settings', from: previous, to: preferences }
+        });
+
+        console.log(`☕ Brew method preferences updated: ${req.user.username}`);
+
+        res.json({ 
+            success: true,
+            ...resolveBrewMethods(preferences)
+        });
+
+    } catch (error) {
+        console.error('Update brew methods error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
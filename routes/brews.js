@@ -0,0 +1,319 @@
+// ==========================================
+// BREW LOG ENDPOINTS
+// Mounted at /api/coffees/:id/brews
+// ==========================================
+
+import express from 'express';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { queries, withTransaction } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { sanitizeBrew } from '../utils/brews.js';
+import { getCoffeeMethodValues, parseBrewMethod } from '../utils/brewMethods.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Helper: Parse a positive integer route parameter
+ */
+function parseId(value) {
+    const id = parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Helper: Load the coffee of the route, or send a 404
+ * @returns {Promise<number|null>} - Coffee ID, null if a response was sent
+ */
+async function resolveCoffee(req, res) {
+    const coffeeId = parseId(req.params.id);
+    const coffee = coffeeId && await queries.getUserCoffee(req.user.id, coffeeId);
+
+    if (!coffee) {
+        res.status(404).json({ 
+            success: false,
+            error: 'Coffee not found'
+        });
+        return null;
+    }
+    return coffeeId;
+}
+
+/**
+ * Helper: Send the standard 404 for missing brews
+ */
+function brewNotFound(res) {
+    return res.status(404).json({ 
+        success: false,
+        error: 'Brew not found'
+    });
+}
+
+/**
+ * Helper: Grinder and water context from the user's settings
+ * Used for fields the client did not send
+ */
+function settingsContext(user) {
+    const waterHardness = user.water_hardness === null || user.water_hardness === undefined 
+        ? null 
+        : parseFloat(user.water_hardness);
+    return {
+        grinder: user.grinder_preference || null,
+        waterHardness
+    };
+}
+
+/**
+ * Helper: Grams of beans a brew uses
+ * The brew's dose, or the coffee's customAmount without one (the one for the
+ * brew's method, if it names a known method).
+ * @returns {Promise<number|null>} - null if no amount is known
+ */
+async function brewGrams(userId, coffeeId, { dose, method }) {
+    let grams = dose;
+    if (grams === undefined || grams === null) {
+        const coffee = JSON.parse((await queries.getUserCoffee(userId, coffeeId)).data);
+        const methodKey = parseBrewMethod(method);
+        grams = (methodKey ? getCoffeeMethodValues(coffee, methodKey) : coffee).customAmount;
+    }
+    return typeof grams === 'number' && grams > 0 ? grams : null;
+}
+
+/**
+ * Helper: Take the beans of a brew from the coffee's inventory
+ * @returns {Promise<{ deducted: number, remainingGrams: number }|null>} - null if
+ * the coffee tracks no inventory or no amount is known
+ */
+async function deductBeans(userId, coffeeId, brewId, brew) {
+    const grams = await brewGrams(userId, coffeeId, brew);
+    if (grams === null) return null;
+
+    const booked = await queries.adjustCoffeeInventory(userId, coffeeId, { delta: -grams, type: 'brew', brewId });
+    return booked && { deducted: -booked.grams, remainingGrams: booked.remainingGrams };
+}
+
+/**
+ * Helper: Bring the beans a brew took in line with its new dose (or method)
+ * Only brews that took beans are re-booked; the difference is booked on the brew.
+ * @returns {Promise<{ deducted: number, remainingGrams: number }|null>} - null if
+ * nothing was booked
+ */
+async function rebookBeans(userId, coffeeId, brewId, brew) {
+    const taken = -(await queries.getBrewInventoryGrams(userId, brewId));
+    if (taken <= 0) return null;
+
+    const grams = await brewGrams(userId, coffeeId, brew) ?? 0;
+    const delta = Math.round((taken - grams) * 10) / 10;
+    if (delta === 0) return null;
+
+    const booked = await queries.adjustCoffeeInventory(userId, coffeeId, { delta, type: 'brew', brewId, reason: 'Brew changed' });
+    return booked && { deducted: -booked.grams, remainingGrams: booked.remainingGrams };
+}
+
+/**
+ * Helper: Give the beans of a brew back before it is deleted
+ * @returns {Promise<{ deducted: number, remainingGrams: number }|null>} - null if
+ * the brew took no beans or the coffee no longer tracks its inventory
+ */
+async function refundBeans(userId, coffeeId, brewId) {
+    const taken = -(await queries.getBrewInventoryGrams(userId, brewId));
+    if (taken <= 0) return null;
+
+    const booked = await queries.adjustCoffeeInventory(userId, coffeeId, { delta: taken, type: 'brew', brewId, reason: 'Brew deleted' });
+    return booked && { deducted: -booked.grams, remainingGrams: booked.remainingGrams };
+}
+
+/**
+ * List Brews of a Coffee
+ * GET /?limit=100
+ * Newest first
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const coffeeId = await resolveCoffee(req, res);
+        if (!coffeeId) return;
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const brews = await queries.getCoffeeBrews(req.user.id, coffeeId, limit);
+        const total = await queries.countCoffeeBrews(req.user.id, coffeeId);
+
+        res.json({ 
+            success: true,
+            brews,
+            total
+        });
+
+    } catch (error) {
+        console.error('Get brews error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Log a Brew
+ * POST /
+ * Body: { brewedAt, method, dose, water, grindSetting, grinder, temperature,
+ *         brewTime, waterHardness, rating, taste: [...], notes }
+ * grinder and waterHardness default to the user's settings, brewedAt to now
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const coffeeId = await resolveCoffee(req, res);
+        if (!coffeeId) return;
+
+        const { brew, error } = sanitizeBrew(req.body?.brew || req.body);
+
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        const context = settingsContext(req.user);
+        // The brew is only stored together with its bean booking
+        const { brewId, inventory } = await withTransaction(async () => {
+            const brewId = await queries.createBrew(req.user.id, coffeeId, {
+                ...brew,
+                brewedAt: brew.brewedAt || new Date().toISOString(),
+                grinder: brew.grinder === undefined ? context.grinder : brew.grinder,
+                waterHardness: brew.waterHardness === undefined ? context.waterHardness : brew.waterHardness
+            });
+            return { brewId, inventory: await deductBeans(req.user.id, coffeeId, brewId, brew) };
+        });
+
+        res.status(201).json({ 
+            success: true,
+            brew: await queries.getBrew(req.user.id, coffeeId, brewId),
+            inventory
+        });
+
+    } catch (error) {
+        console.error('Create brew error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Get a Brew
+ * GET /:brewId
+ */
+router.get('/:brewId', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const coffeeId = await resolveCoffee(req, res);
+        if (!coffeeId) return;
+
+        const brewId = parseId(req.params.brewId);
+        const brew = brewId && await queries.getBrew(req.user.id, coffeeId, brewId);
+
+        if (!brew) {
+            return brewNotFound(res);
+        }
+
+        res.json({ 
+            success: true,
+            brew
+        });
+
+    } catch (error) {
+        console.error('Get brew error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Update a Brew
+ * PATCH /:brewId
+ * Body: changed fields; null clears a field
+ * A changed dose (or method) re-books the beans the brew took
+ */
+router.patch('/:brewId', authenticateUser, async (req, res) => {
+    try {
+        const coffeeId = await resolveCoffee(req, res);
+        if (!coffeeId) return;
+
+        const brewId = parseId(req.params.brewId);
+        const existing = brewId && await queries.getBrew(req.user.id, coffeeId, brewId);
+
+        if (!existing) {
+            return brewNotFound(res);
+        }
+
+        const { brew, error } = sanitizeBrew(req.body?.brew || req.body);
+
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        const merged = { ...existing, ...brew, brewedAt: brew.brewedAt || existing.brewedAt };
+        const amountChanged = merged.dose !== existing.dose || merged.method !== existing.method;
+        const inventory = await withTransaction(async () => {
+            await queries.updateBrew(req.user.id, coffeeId, brewId, merged);
+            return amountChanged ? rebookBeans(req.user.id, coffeeId, brewId, merged) : null;
+        });
+
+        res.json({ 
+            success: true,
+            brew: await queries.getBrew(req.user.id, coffeeId, brewId),
+            inventory
+        });
+
+    } catch (error) {
+        console.error('Update brew error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Delete a Brew
+ * DELETE /:brewId
+ * The beans the brew took go back into the coffee's inventory
+ */
+router.delete('/:brewId', authenticateUser, async (req, res) => {
+    try {
+        const coffeeId = await resolveCoffee(req, res);
+        if (!coffeeId) return;
+
+        const brewId = parseId(req.params.brewId);
+        const existing = brewId && await queries.getBrew(req.user.id, coffeeId, brewId);
+
+        if (!existing) {
+            return brewNotFound(res);
+        }
+
+        const inventory = await withTransaction(async () => {
+            const refunded = await refundBeans(req.user.id, coffeeId, brewId);
+            await queries.deleteBrew(req.user.id, coffeeId, brewId);
+            return refunded;
+        });
+
+        res.json({ 
+            success: true,
+            deleted: brewId,
+            inventory
+        });
+
+    } catch (error) {
+        console.error('Delete brew error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
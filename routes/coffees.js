@@ -3,27 +3,218 @@
 // ==========================================
 
 import express from 'express';
-import { authenticateUser } from '../middleware/auth.js';
-import { queries, beginTransaction, commit, rollback } from '../db/database.js';
-import { sanitizeCoffeeData } from '../utils/sanitize.js';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { queries, withTransaction } from '../db/database.js';
+import { sanitizeCoffeeData, stripHTML } from '../utils/sanitize.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { parseCoffeeQuery, encodeCursor } from '../utils/coffeeQuery.js';
+import { getPurgeDate, resolveCompostRetention } from '../utils/compost.js';
+import { getFreshness, getPeakOutlook, resolveFreshnessSettings } from '../utils/freshness.js';
+import { computeRecipe } from '../utils/recipe.js';
+import { getBuiltinGrinder, DEFAULT_GRINDER } from '../utils/grinders.js';
+import { 
+    BREW_METHODS, 
+    BREW_METHOD_KEYS, 
+    DEFAULT_BREW_METHOD, 
+    FRESHNESS_METHOD_VALUES, 
+    getCoffeeMethodValues, 
+    parseBrewMethod, 
+    parseFreshnessMethod 
+} from '../utils/brewMethods.js';
+import { applyInventoryDefaults, parseGrams, summarizeInventory, USAGE_WINDOW_DAYS } from '../utils/inventory.js';
+import { 
+    coffeesToCSV, 
+    readImportRecords, 
+    resolveImportMapping, 
+    planImport, 
+    coffeeDuplicateKey, 
+    MAX_IMPORT_ROWS 
+} from '../utils/coffeeTransfer.js';
 
 const router = express.Router();
 
-router.get('/', authenticateUser, async (req, res) => {
+/**
+ * Helper: Shape a stored coffee row for API responses
+ * The database ID is authoritative and stays the same across edits.
+ * With freshness settings (see loadFreshness) the derived freshness is added.
+ */
+function formatCoffee(row, freshness = null) {
+    const coffee = {
+        ...JSON.parse(row.data),
+        id: row.id,
+        revision: row.revision,
+        savedAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+
+    if (freshness) {
+        coffee.freshness = getFreshness(coffee, freshness.resolved, { method: freshness.method });
+    }
+    return coffee;
+}
+
+/**
+ * Helper: The user's freshness windows, and the brew method asked for (?method=)
+ */
+async function loadFreshness(req) {
+    return {
+        resolved: resolveFreshnessSettings(await queries.getFreshnessSettings(req.user.id)),
+        method: parseFreshnessMethod(req.query?.method)
+    };
+}
+
+/**
+ * Helper: ETag of a coffee revision
+ */
+function coffeeETag(revision) {
+    return `"${revision}"`;
+}
+
+/**
+ * Helper: Expected revision from an If-Match header
+ * @returns {{ present: boolean, revision: number|null }} - revision is null for
+ * "If-Match: *" (any existing version); present is false without the header
+ */
+function parseIfMatch(req) {
+    const header = req.headers['if-match'];
+    if (!header) return { present: false, revision: null };
+    if (header.trim() === '*') return { present: true, revision: null };
+
+    const match = header.match(/^\s*(?:W\/)?"?(\d+)"?\s*$/);
+    return { present: true, revision: match ? parseInt(match[1], 10) : NaN };
+}
+
+/**
+ * Helper: Send the 409 for a write against an outdated revision
+ * Includes the stored version and the one the client tried to write
+ */
+function revisionConflict(res, row, submitted) {
+    res.setHeader('ETag', coffeeETag(row.revision));
+    return res.status(409).json({ 
+        success: false,
+        error: 'This coffee was changed on another device',
+        code: 'REVISION_CONFLICT',
+        current: formatCoffee(row),
+        submitted
+    });
+}
+
+/**
+ * Helper: Coffee fields from a request body ({ coffee: {...} } or the fields directly)
+ */
+function extractCoffee(body) {
+    if (body?.coffee && typeof body.coffee === 'object') {
+        return body.coffee;
+    }
+    return body;
+}
+
+/**
+ * Helper: Sanitize coffee data for storage
+ * Server-managed fields are dropped; they come from the row itself
+ */
+function toStoredCoffee(coffee) {
+    const sanitized = sanitizeCoffeeData(coffee);
+    delete sanitized.id;
+    delete sanitized.savedAt;
+    delete sanitized.updatedAt;
+    return sanitized;
+}
+
+/**
+ * Helper: Parse the :id route parameter
+ */
+function parseCoffeeId(req) {
+    const id = parseInt(req.params.id, 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Helper: Send the 400 for an If-Match header that is not a coffee ETag
+ */
+function invalidIfMatch(res) {
+    return res.status(400).json({ 
+        success: false,
+        error: 'If-Match must be a coffee ETag (e.g. "3") or *' 
+    });
+}
+
+/**
+ * Helper: Shape a composted coffee, with the time it will be purged
+ */
+function formatCompostedCoffee(row, retentionDays) {
+    const coffee = formatCoffee(row);
+    return {
+        ...coffee,
+        purgeAt: getPurgeDate(coffee, retentionDays)?.toISOString() || null
+    };
+}
+
+/**
+ * Helper: Send the standard 404 for missing or foreign coffees
+ */
+function coffeeNotFound(res) {
+    return res.status(404).json({ 
+        success: false,
+        error: 'Coffee not found'
+    });
+}
+
+/**
+ * Helper: Book a remainingGrams sent with a coffee write in the inventory log
+ * The stored stock is only replaced when the coffee does not track it yet, or the
+ * write was made against the current revision (If-Match); a stale full write must
+ * not undo brews and consumption booked since
+ * @returns {Promise<boolean>} - True if a change was booked
+ */
+async function bookEditedStock(userId, id, coffee, ifMatch) {
+    if (typeof coffee.remainingGrams !== 'number') return false;
+
+    const stored = JSON.parse((await queries.getUserCoffee(userId, id)).data).remainingGrams;
+    if (stored === coffee.remainingGrams) return false;
+    if (typeof stored === 'number' && ifMatch.revision === null) return false;
+
+    await queries.adjustCoffeeInventory(userId, id, { set: coffee.remainingGrams, type: 'adjust', reason: 'Edited' });
+    return true;
+}
+
+/**
+ * List Coffees
+ * GET /?q=&origin=&process=&roaster=&favorite=&deleted=&roastDateFrom=&roastDateTo=&sort=&order=&limit=&after=
+ * Without parameters all coffees are returned, newest first.
+ * With limit, pass pagination.nextCursor as after to get the next page.
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
     try {
-        await queries.updateLastLogin(req.user.id);
+        const { options, error } = parseCoffeeQuery(req.query);
 
-        const coffees = await queries.getUserCoffees(req.user.id);
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
 
-        const parsed = coffees.map(c => ({
-            id: c.id,
-            ...JSON.parse(c.data),
-            savedAt: c.created_at
-        }));
+        // Integrations polling with an API key do not count as a login
+        if (!req.apiKey) {
+            await queries.updateLastLogin(req.user.id);
+        }
+
+        // Read the cursor first: changes racing this request are replayed, never skipped
+        const cursor = await queries.getCoffeeSyncCursor(req.user.id);
+        const result = await queries.searchUserCoffees(req.user.id, options);
+        const freshness = await loadFreshness(req);
 
         res.json({ 
-            success: true, 
-            coffees: parsed 
+            success: true,
+            coffees: result.coffees.map(row => formatCoffee(row, freshness)),
+            cursor,
+            pagination: {
+                total: result.total,
+                limit: options.limit || null,
+                hasMore: result.hasMore,
+                nextCursor: result.hasMore ? encodeCursor(result.last.value, result.last.id) : null
+            }
         });
 
     } catch (error) {
@@ -35,40 +226,832 @@ router.get('/', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * Create a Coffee, or Replace the Whole Library
+ * POST /
+ * Body: { coffee: {...} } creates one coffee;
+ * { coffees: [...] } replaces the library (older clients)
+ */
 router.post('/', authenticateUser, async (req, res) => {
+    if (Array.isArray(req.body?.coffees)) {
+        return replaceLibrary(req, res);
+    }
+
+    try {
+        const coffee = applyInventoryDefaults(toStoredCoffee(extractCoffee(req.body)));
+
+        if (Object.keys(coffee).length === 0) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Coffee data required'
+            });
+        }
+
+        const id = await queries.saveCoffee(req.user.id, JSON.stringify(coffee));
+        const row = await queries.getUserCoffee(req.user.id, id);
+
+        res.setHeader('ETag', coffeeETag(row.revision));
+        res.status(201).json({ 
+            success: true,
+            coffee: formatCoffee(row, await loadFreshness(req))
+        });
+
+    } catch (error) {
+        console.error('Create coffee error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Helper: Replace all coffees of the user (legacy bulk sync)
+ * A coffee sent with the ID of a stored coffee is updated in place, so its brews and
+ * inventory log stay; other coffees get a new ID. Stored coffees missing from the
+ * list are deleted.
+ */
+async function replaceLibrary(req, res) {
     try {
         const { coffees } = req.body;
 
-        // Start transaction to ensure atomic delete+insert operation
-        await beginTransaction();
+        // Delete, update and insert succeed or fail together
+        await withTransaction(async () => {
+            const stored = new Set((await queries.getUserCoffees(req.user.id)).map(row => row.id));
+            const kept = new Set();
 
-        try {
-            await queries.deleteUserCoffees(req.user.id);
+            for (const coffee of coffees) {
+                const id = Number(coffee?.id);
+                const sanitized = toStoredCoffee(coffee);
 
-            if (coffees && coffees.length > 0) {
-                for (const coffee of coffees) {
-                    // Sanitize each coffee object before storing
-                    const sanitized = sanitizeCoffeeData(coffee);
+                if (stored.has(id) && !kept.has(id)) {
+                    await queries.updateCoffee(req.user.id, id, JSON.stringify(sanitized));
+                    kept.add(id);
+                } else {
                     await queries.saveCoffee(req.user.id, JSON.stringify(sanitized));
                 }
             }
 
-            // Commit transaction if all operations succeeded
-            await commit();
+            for (const id of stored) {
+                if (!kept.has(id)) await queries.deleteCoffee(req.user.id, id);
+            }
+        });
+
+        res.json({ 
+            success: true,
+            saved: coffees.length
+        });
+
+    } catch (error) {
+        console.error('Save coffees error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+}
+
+/**
+ * Delta Sync Feed
+ * GET /changes?since=<cursor>&limit=500
+ * Coffees created, changed or deleted after the cursor, oldest first.
+ * Pass the returned cursor on the next call; repeat while hasMore is true.
+ */
+router.get('/changes', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const since = req.query.since === undefined ? 0 : Number(req.query.since);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 500, 1000);
 
-            res.json({ 
-                success: true,
-                saved: coffees?.length || 0
+        if (!Number.isInteger(since) || since < 0) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Invalid cursor' 
             });
+        }
 
-        } catch (txError) {
-            // Rollback transaction if any operation failed
-            await rollback();
-            throw txError;
+        const rows = await queries.getCoffeeChanges(req.user.id, since, limit);
+
+        const changes = rows.map(row => {
+            if (row.deleted || row.data === null) {
+                return { id: row.coffee_id, deleted: true, deletedAt: row.changed_at };
+            }
+            return {
+                id: row.coffee_id,
+                deleted: false,
+                coffee: formatCoffee({ ...row, id: row.coffee_id })
+            };
+        });
+
+        res.json({ 
+            success: true,
+            changes,
+            cursor: rows.length > 0 ? rows[rows.length - 1].seq : since,
+            hasMore: rows.length === limit
+        });
+
+    } catch (error) {
+        console.error('Coffee changes error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Compost Listing
+ * GET /compost
+ * Composted coffees, the ones purged soonest first
+ */
+router.get('/compost', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const retentionDays = resolveCompostRetention(await queries.getCompostRetention(req.user.id));
+        const { coffees } = await queries.searchUserCoffees(req.user.id, { deleted: true });
+
+        const composted = coffees
+            .map(row => formatCompostedCoffee(row, retentionDays))
+            .sort((a, b) => String(a.purgeAt).localeCompare(String(b.purgeAt)));
+
+        res.json({ 
+            success: true,
+            coffees: composted,
+            retentionDays
+        });
+
+    } catch (error) {
+        console.error('Get compost error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Freshness Outlook
+ * GET /freshness?days=7&method=filter|espresso|v60|…
+ * Coffees in their peak window now (the ones leaving soonest first), and the
+ * ones entering or leaving it within the next days. Composted coffees are left out.
+ */
+router.get('/freshness', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? 7 : Number(req.query.days);
+
+        if (!Number.isInteger(days) || days < 0 || days > 90) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'days must be a whole number between 0 and 90' 
+            });
         }
 
+        if (req.query.method !== undefined && !parseFreshnessMethod(req.query.method)) {
+            return res.status(400).json({ 
+                success: false,
+                error: `method must be one of: ${FRESHNESS_METHOD_VALUES.join(', ')}` 
+            });
+        }
+
+        const freshness = await loadFreshness(req);
+        const { coffees } = await queries.searchUserCoffees(req.user.id, { deleted: false });
+        const outlook = getPeakOutlook(coffees.map(row => formatCoffee(row, freshness)), days);
+
+        res.json({ 
+            success: true,
+            days,
+            method: freshness.method || freshness.resolved.defaultMethod,
+            ...outlook
+        });
+
     } catch (error) {
-        console.error('Save coffees error:', error.message);
+        console.error('Freshness outlook error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Bean Inventory Summary
+ * GET /inventory
+ * Coffees that track their beans (remainingGrams set), the ones running out
+ * soonest first. Usage of the last 14 days projects the run-out date.
+ * Composted coffees are left out.
+ */
+router.get('/inventory', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const now = new Date();
+        const since = new Date(now.getTime() - USAGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const [{ coffees }, usage] = await Promise.all([
+            queries.searchUserCoffees(req.user.id, { deleted: false }),
+            queries.getInventoryUsage(req.user.id, since)
+        ]);
+
+        res.json({ 
+            success: true,
+            usageWindowDays: USAGE_WINDOW_DAYS,
+            ...summarizeInventory(coffees.map(row => formatCoffee(row)), usage, now)
+        });
+
+    } catch (error) {
+        console.error('Inventory summary error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Export the Coffee Library
+ * GET /export?format=csv|json
+ * Accepts the filters of GET / (composted coffees only with deleted=true or all).
+ * CSV holds the main fields; JSON keeps everything and can be imported again.
+ */
+router.get('/export', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const { options, error } = parseCoffeeQuery({ ...req.query, limit: undefined, after: undefined });
+
+        if (!['csv', 'json'].includes(format) || error) {
+            return res.status(400).json({ 
+                success: false,
+                error: error || 'format must be csv or json' 
+            });
+        }
+
+        const { coffees } = await queries.searchUserCoffees(req.user.id, options);
+        const exportedAt = new Date().toISOString();
+        const filename = `brewbuddy-coffees-${exportedAt.substring(0, 10)}.${format}`;
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            // BOM so spreadsheet apps read the file as UTF-8
+            res.type('text/csv; charset=utf-8');
+            return res.send('\uFEFF' + coffeesToCSV(coffees.map(row => formatCoffee(row))));
+        }
+
+        res.json({
+            format: 'brewbuddy-coffees',
+            version: 1,
+            exportedAt,
+            coffees: coffees.map(row => formatCoffee(row))
+        });
+
+    } catch (error) {
+        console.error('Export coffees error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Import Coffees
+ * POST /import
+ * Body: { format: 'csv'|'json', data, mapping: { column: field|null },
+ *         dryRun: false, onDuplicate: 'skip'|'import' }
+ * Every row is validated and sanitized; the response reports each row.
+ * With dryRun nothing is stored. Rows with errors are never stored.
+ */
+router.post('/import', authenticateUser, async (req, res) => {
+    try {
+        const { format = 'json', data, mapping, dryRun = false, onDuplicate = 'skip' } = req.body || {};
+
+        if (!['skip', 'import'].includes(onDuplicate)) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'onDuplicate must be skip or import' 
+            });
+        }
+
+        const parsed = readImportRecords(format, data);
+        const resolved = parsed.error ? parsed : resolveImportMapping(parsed.headers, mapping || {});
+
+        if (resolved.error) {
+            return res.status(400).json({ 
+                success: false,
+                error: resolved.error 
+            });
+        }
+
+        if (parsed.records.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ 
+                success: false,
+                error: `Too many rows (max ${MAX_IMPORT_ROWS} per import)` 
+            });
+        }
+
+        const existing = await queries.getUserCoffees(req.user.id);
+        const rows = planImport(parsed.records, resolved.mapping, {
+            existingKeys: new Set(existing.map(row => coffeeDuplicateKey(JSON.parse(row.data)))),
+            onDuplicate
+        });
+        const ready = rows.filter(row => row.status === 'ready');
+
+        if (!dryRun && ready.length > 0) {
+            const ids = await withTransaction(async () => {
+                const ids = [];
+                for (const row of ready) {
+                    ids.push(await queries.saveCoffee(req.user.id, row.coffee));
+                }
+                return ids;
+            });
+            ready.forEach((row, i) => {
+                row.id = ids[i];
+                row.status = 'imported';
+            });
+
+            console.log(`📥 Coffees imported: ${req.user.username} (${ready.length} of ${rows.length} rows)`);
+        }
+
+        res.json({ 
+            success: true,
+            dryRun: Boolean(dryRun),
+            mapping: resolved.mapping,
+            summary: {
+                total: rows.length,
+                [dryRun ? 'ready' : 'imported']: ready.length,
+                duplicates: rows.filter(row => row.status === 'duplicate').length,
+                errors: rows.filter(row => row.status === 'error').length
+            },
+            rows: rows.map(({ coffee, ...row }) => (dryRun ? { ...row, coffee } : row))
+        });
+
+    } catch (error) {
+        console.error('Import coffees error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Get a Coffee
+ * GET /:id
+ */
+router.get('/:id', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const id = parseCoffeeId(req);
+        const row = id && await queries.getUserCoffee(req.user.id, id);
+
+        if (!row) {
+            return coffeeNotFound(res);
+        }
+
+        res.setHeader('ETag', coffeeETag(row.revision));
+        res.json({ 
+            success: true,
+            coffee: formatCoffee(row, await loadFreshness(req))
+        });
+
+    } catch (error) {
+        console.error('Get coffee error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Replace a Coffee
+ * PUT /:id
+ * Body: { coffee: {...} } or the coffee fields directly
+ * With If-Match: "<revision>" the write fails with 409 if the coffee changed meanwhile
+ */
+router.put('/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseCoffeeId(req);
+        const coffee = toStoredCoffee(extractCoffee(req.body));
+        const ifMatch = parseIfMatch(req);
+
+        if (Object.keys(coffee).length === 0) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Coffee data required'
+            });
+        }
+
+        if (Number.isNaN(ifMatch.revision)) {
+            return invalidIfMatch(res);
+        }
+
+        const updated = id && await withTransaction(async () => {
+            const updated = await queries.updateCoffee(req.user.id, id, JSON.stringify(coffee), ifMatch.revision);
+            if (updated) await bookEditedStock(req.user.id, id, coffee, ifMatch);
+            return updated;
+        });
+
+        if (!updated) {
+            const row = id && await queries.getUserCoffee(req.user.id, id);
+            return row ? revisionConflict(res, row, coffee) : coffeeNotFound(res);
+        }
+
+        const row = await queries.getUserCoffee(req.user.id, id);
+        res.setHeader('ETag', coffeeETag(row.revision));
+        res.json({ 
+            success: true,
+            coffee: formatCoffee(row, await loadFreshness(req))
+        });
+
+    } catch (error) {
+        console.error('Replace coffee error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Update Fields of a Coffee
+ * PATCH /:id
+ * Body: changed fields ({ coffee: {...} } or directly); null removes a field
+ * With If-Match: "<revision>" the write fails with 409 if the coffee changed meanwhile
+ */
+router.patch('/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseCoffeeId(req);
+        const ifMatch = parseIfMatch(req);
+
+        if (Number.isNaN(ifMatch.revision)) {
+            return invalidIfMatch(res);
+        }
+
+        const row = id && await queries.getUserCoffee(req.user.id, id);
+
+        if (!row) {
+            return coffeeNotFound(res);
+        }
+
+        const changes = extractCoffee(req.body) || {};
+
+        if (ifMatch.revision !== null && ifMatch.revision !== row.revision) {
+            return revisionConflict(res, row, changes);
+        }
+
+        const merged = { ...JSON.parse(row.data), ...changes };
+
+        for (const [field, value] of Object.entries(changes)) {
+            if (value === null) delete merged[field];
+        }
+
+        // Guard against a write landing between the read above and this update
+        const expected = ifMatch.present ? row.revision : null;
+        const stored = toStoredCoffee(merged);
+        const updated = await withTransaction(async () => {
+            const updated = await queries.updateCoffee(req.user.id, id, JSON.stringify(stored), expected);
+            if (updated) await bookEditedStock(req.user.id, id, stored, ifMatch);
+            return updated;
+        });
+
+        if (!updated) {
+            const current = await queries.getUserCoffee(req.user.id, id);
+            return current ? revisionConflict(res, current, changes) : coffeeNotFound(res);
+        }
+
+        const saved = await queries.getUserCoffee(req.user.id, id);
+        res.setHeader('ETag', coffeeETag(saved.revision));
+        res.json({ 
+            success: true,
+            coffee: formatCoffee(saved, await loadFreshness(req))
+        });
+
+    } catch (error) {
+        console.error('Update coffee error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Helper: Compost or restore a coffee
+ * Already composted (or restored) coffees are returned unchanged
+ */
+async function setComposted(req, res, composted) {
+    const id = parseCoffeeId(req);
+    const ifMatch = parseIfMatch(req);
+
+    if (Number.isNaN(ifMatch.revision)) {
+        return invalidIfMatch(res);
+    }
+
+    const row = id && await queries.getUserCoffee(req.user.id, id);
+
+    if (!row) {
+        return coffeeNotFound(res);
+    }
+
+    if (ifMatch.revision !== null && ifMatch.revision !== row.revision) {
+        return revisionConflict(res, row, null);
+    }
+
+    if (Boolean(JSON.parse(row.data).deleted) !== composted) {
+        const expected = ifMatch.present ? row.revision : null;
+        const updated = await queries.setCoffeeComposted(req.user.id, id, composted, expected);
+
+        if (!updated) {
+            const current = await queries.getUserCoffee(req.user.id, id);
+            return current ? revisionConflict(res, current, null) : coffeeNotFound(res);
+        }
+    }
+
+    const saved = await queries.getUserCoffee(req.user.id, id);
+    const retentionDays = resolveCompostRetention(await queries.getCompostRetention(req.user.id));
+
+    res.setHeader('ETag', coffeeETag(saved.revision));
+    res.json({ 
+        success: true,
+        ...(composted && { deleted: id }),
+        coffee: composted ? formatCompostedCoffee(saved, retentionDays) : formatCoffee(saved, await loadFreshness(req))
+    });
+}
+
+/**
+ * Delete a Coffee
+ * DELETE /:id
+ * Moves the coffee to the compost; it is purged after the retention period.
+ * DELETE /:id?permanent=true deletes it right away.
+ * With If-Match: "<revision>" the delete fails with 409 if the coffee changed meanwhile
+ */
+router.delete('/:id', authenticateUser, async (req, res) => {
+    try {
+        if (req.query.permanent !== 'true') {
+            return await setComposted(req, res, true);
+        }
+
+        const id = parseCoffeeId(req);
+        const ifMatch = parseIfMatch(req);
+
+        if (Number.isNaN(ifMatch.revision)) {
+            return invalidIfMatch(res);
+        }
+
+        const deleted = id && await queries.deleteCoffee(req.user.id, id, ifMatch.revision);
+
+        if (!deleted) {
+            const row = id && await queries.getUserCoffee(req.user.id, id);
+            return row ? revisionConflict(res, row, null) : coffeeNotFound(res);
+        }
+
+        res.json({ 
+            success: true,
+            deleted: id,
+            permanent: true
+        });
+
+    } catch (error) {
+        console.error('Delete coffee error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Restore a Coffee from the Compost
+ * POST /:id/restore
+ * With If-Match: "<revision>" the restore fails with 409 if the coffee changed meanwhile
+ */
+router.post('/:id/restore', authenticateUser, async (req, res) => {
+    try {
+        return await setComposted(req, res, false);
+
+    } catch (error) {
+        console.error('Restore coffee error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Starting Recipe for a Coffee
+ * GET /:id/recipe?method=v60
+ * Computed from the coffee (process, altitude, roast date and its overrides for the
+ * method) and the user's method preferences, grinder and water hardness; see
+ * utils/recipe.js for the rules. method defaults to the user's default method.
+ */
+router.get('/:id/recipe', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const requestedMethod = req.query.method === undefined ? null : parseBrewMethod(req.query.method);
+        if (req.query.method !== undefined && !requestedMethod) {
+            return res.status(400).json({ 
+                success: false,
+                error: `method must be one of: ${BREW_METHOD_KEYS.join(', ')}` 
+            });
+        }
+
+        const id = parseCoffeeId(req);
+        const row = id && await queries.getUserCoffee(req.user.id, id);
+
+        if (!row) {
+            return coffeeNotFound(res);
+        }
+
+        const coffee = formatCoffee(row);
+        const freshnessSettings = resolveFreshnessSettings(await queries.getFreshnessSettings(req.user.id));
+        const waterHardness = req.user.water_hardness === null || req.user.water_hardness === undefined 
+            ? null 
+            : parseFloat(req.user.water_hardness);
+
+        const grinder = await queries.getGrinder(req.user.id, req.user.grinder_preference || DEFAULT_GRINDER) 
+            || getBuiltinGrinder(DEFAULT_GRINDER);
+        const methodSettings = await queries.getBrewMethodSettings(req.user.id);
+        const method = requestedMethod || methodSettings?.defaultMethod || DEFAULT_BREW_METHOD;
+
+        res.json({ 
+            success: true,
+            coffeeId: id,
+            recipe: computeRecipe(coffee, {
+                method,
+                preferences: methodSettings?.methods?.[method],
+                grinder,
+                waterHardness,
+                freshness: getFreshness(coffee, freshnessSettings, { method: BREW_METHODS[method].freshness })
+            })
+        });
+
+    } catch (error) {
+        console.error('Coffee recipe error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Helper: Shape an inventory log entry
+ */
+function formatInventoryEvent(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        grams: row.grams,
+        remainingGrams: row.remaining_grams,
+        brewId: row.brew_id || null,
+        reason: row.reason || null,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Helper: Book an inventory change and send the updated coffee
+ */
+async function bookInventory(req, res, change) {
+    const id = parseCoffeeId(req);
+    const row = id && await queries.getUserCoffee(req.user.id, id);
+
+    if (!row) {
+        return coffeeNotFound(res);
+    }
+
+    if (change.delta !== undefined && typeof JSON.parse(row.data).remainingGrams !== 'number') {
+        return res.status(400).json({ 
+            success: false,
+            error: 'This coffee does not track its beans yet; set remainingGrams first' 
+        });
+    }
+
+    const booked = await queries.adjustCoffeeInventory(req.user.id, id, change);
+    const saved = await queries.getUserCoffee(req.user.id, id);
+
+    res.setHeader('ETag', coffeeETag(saved.revision));
+    res.json({ 
+        success: true,
+        booked: booked.grams,
+        coffee: formatCoffee(saved, await loadFreshness(req))
+    });
+}
+
+/**
+ * Inventory Log of a Coffee
+ * GET /:id/inventory?limit=50
+ */
+router.get('/:id/inventory', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const id = parseCoffeeId(req);
+        const row = id && await queries.getUserCoffee(req.user.id, id);
+
+        if (!row) {
+            return coffeeNotFound(res);
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const events = await queries.getInventoryEvents(req.user.id, id, limit);
+
+        res.json({ 
+            success: true,
+            remainingGrams: JSON.parse(row.data).remainingGrams ?? null,
+            events: events.map(formatInventoryEvent)
+        });
+
+    } catch (error) {
+        console.error('Inventory log error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Consume Beans
+ * POST /:id/consume
+ * Body: { grams, method } - grams defaults to the coffee's customAmount (for method, if sent)
+ */
+router.post('/:id/consume', authenticateUser, async (req, res) => {
+    try {
+        const id = parseCoffeeId(req);
+        const row = id && await queries.getUserCoffee(req.user.id, id);
+
+        if (!row) {
+            return coffeeNotFound(res);
+        }
+
+        const method = req.body?.method === undefined ? null : parseBrewMethod(req.body.method);
+        if (req.body?.method !== undefined && !method) {
+            return res.status(400).json({ 
+                success: false,
+                error: `method must be one of: ${BREW_METHOD_KEYS.join(', ')}` 
+            });
+        }
+
+        const coffee = JSON.parse(row.data);
+        const amount = req.body?.grams ?? (method ? getCoffeeMethodValues(coffee, method) : coffee).customAmount;
+        if (amount === null || amount === undefined) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'grams required (the coffee has no customAmount)' 
+            });
+        }
+
+        const { grams, error } = parseGrams(amount, 'grams');
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        return await bookInventory(req, res, { delta: -grams, type: 'consume' });
+
+    } catch (error) {
+        console.error('Consume beans error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Correct the Inventory
+ * POST /:id/inventory/adjust
+ * Body: { delta, reason } or { remainingGrams, reason } - e.g. spills, gifts, a new bag
+ */
+router.post('/:id/inventory/adjust', authenticateUser, async (req, res) => {
+    try {
+        const { delta, remainingGrams, reason } = req.body || {};
+
+        if ((delta === undefined) === (remainingGrams === undefined)) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Send either delta or remainingGrams' 
+            });
+        }
+
+        if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'reason must be text of at most 200 characters' 
+            });
+        }
+
+        const parsed = delta !== undefined 
+            ? parseGrams(delta, 'delta', { allowNegative: true }) 
+            : parseGrams(remainingGrams, 'remainingGrams', { allowZero: true });
+        if (parsed.error) {
+            return res.status(400).json({ 
+                success: false,
+                error: parsed.error 
+            });
+        }
+
+        const change = delta !== undefined ? { delta: parsed.grams } : { set: parsed.grams };
+        return await bookInventory(req, res, { ...change, type: 'adjust', reason: stripHTML(reason).trim() || null });
+
+    } catch (error) {
+        console.error('Adjust inventory error:', error.message);
         res.status(500).json({ 
             success: false,
             error: 'Server error' 
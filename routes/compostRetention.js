@@ -0,0 +1,98 @@
+// ==========================================
+// COMPOST RETENTION ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { COMPOST_RETENTION_RANGE, getDefaultCompostRetentionDays } from '../utils/compost.js';
+
+const router = express.Router();
+
+/**
+ * Helper: Response body for a retention setting (null = server default)
+ */
+function formatRetention(accountDays) {
+    return {
+        retentionDays: accountDays || getDefaultCompostRetentionDays(),
+        isDefault: !accountDays,
+        defaultDays: getDefaultCompostRetentionDays()
+    };
+}
+
+/**
+ * Get Compost Retention
+ * GET /
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
+    try {
+        const accountDays = await queries.getCompostRetention(req.user.id);
+
+        res.json({ 
+            success: true, 
+            ...formatRetention(accountDays)
+        });
+
+    } catch (error) {
+        console.error('Get compost retention error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Update Compost Retention
+ * POST /
+ * Body: { retentionDays } - days composted coffees are kept; null resets to the default
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const { retentionDays } = req.body;
+
+        if (retentionDays === undefined) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Retention days required' 
+            });
+        }
+
+        const days = retentionDays === null ? null : Number(retentionDays);
+        const { min, max } = COMPOST_RETENTION_RANGE;
+
+        if (days !== null && (!Number.isInteger(days) || days < min || days > max)) {
+            return res.status(400).json({ 
+                success: false,
+                error: `Valid retention required (${min}-${max} days, or null for the default)` 
+            });
+        }
+
+        const previous = await queries.getCompostRetention(req.user.id);
+        await queries.updateCompostRetention(req.user.id, days);
+        await recordAuditEvent(req, AUDIT_EVENTS.SETTING_CHANGED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { setting: 'compost_retention_days', from: previous, to: days }
+        });
+
+        console.log(`🍂 Compost retention updated: ${req.user.username} → ${days ?? 'default'}`);
+
+        res.json({ 
+            success: true,
+            ...formatRetention(days)
+        });
+
+    } catch (error) {
+        console.error('Update compost retention error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
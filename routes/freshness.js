@@ -0,0 +1,84 @@
+// ==========================================
+// FRESHNESS SETTINGS ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { resolveFreshnessSettings, validateFreshnessSettings } from '../utils/freshness.js';
+
+const router = express.Router();
+
+/**
+ * Get Freshness Settings
+ * GET /
+ * Returns the effective windows and the user's own overrides
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
+    try {
+        const overrides = await queries.getFreshnessSettings(req.user.id);
+
+        res.json({ 
+            success: true, 
+            freshness: resolveFreshnessSettings(overrides),
+            overrides: overrides || {}
+        });
+
+    } catch (error) {
+        console.error('Get freshness settings error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Update Freshness Settings
+ * POST /
+ * Body: { defaultMethod, methods: { espresso: { restDays, peakDays, staleDays } },
+ *         processes: { natural: { restDays, peakDays, staleDays } } }
+ * Replaces all overrides; omitted parts use the defaults, {} resets everything
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const { settings, error } = validateFreshnessSettings(req.body);
+
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        const previous = await queries.getFreshnessSettings(req.user.id);
+        const overrides = Object.keys(settings).length > 0 ? settings : null;
+
+        await queries.updateFreshnessSettings(req.user.id, overrides);
+        await recordAuditEvent(req, AUDIT_EVENTS.SETTING_CHANGED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { setting: 'freshness_settings', from: previous, to: overrides }
+        });
+
+        console.log(`🌱 Freshness settings updated: ${req.user.username}`);
+
+        res.json({ 
+            success: true,
+            freshness: resolveFreshnessSettings(overrides),
+            overrides: overrides || {}
+        });
+
+    } catch (error) {
+        console.error('Update freshness settings error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
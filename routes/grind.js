@@ -0,0 +1,76 @@
+// ==========================================
+// GRIND SETTING CONVERSION ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateScoped } from '../middleware/auth.js';
+import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { convertGrindSetting, convertGrindOffset, DEFAULT_GRINDER } from '../utils/grinders.js';
+
+const router = express.Router();
+
+/**
+ * Convert a Grind Setting
+ * POST /convert
+ * Body: { from, to, setting, offset } - grinder keys (to defaults to the grinder
+ * preference); send setting, offset (positions, like grindOffset) or both
+ */
+router.post('/convert', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
+    try {
+        const { from, to = req.user.grinder_preference || DEFAULT_GRINDER, setting, offset } = req.body || {};
+        const [source, target] = await Promise.all([
+            typeof from === 'string' ? queries.getGrinder(req.user.id, from) : null,
+            typeof to === 'string' ? queries.getGrinder(req.user.id, to) : null
+        ]);
+
+        if (!source || !target) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Valid from and to grinders required (see GET /api/grinders)' 
+            });
+        }
+
+        if (setting === undefined && offset === undefined) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'setting or offset required' 
+            });
+        }
+
+        if (offset !== undefined && (!Number.isInteger(offset) || Math.abs(offset) > 1000)) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'offset must be a whole number of dial positions' 
+            });
+        }
+
+        const result = { success: true, from: source.key, to: target.key };
+
+        if (setting !== undefined) {
+            const converted = convertGrindSetting(source, target, setting);
+            if (converted.error) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: converted.error 
+                });
+            }
+            result.setting = converted;
+        }
+
+        if (offset !== undefined) {
+            result.offset = { from: offset, to: convertGrindOffset(source, target, offset) };
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Convert grind error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
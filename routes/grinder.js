@@ -3,8 +3,15 @@
 // ==========================================
 
 import express from 'express';
-import { authenticateUser } from '../middleware/auth.js';
-import { queries } from '../db/database.js';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { queries, withTransaction } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { parseTimestamp } from '../utils/compost.js';
+import { 
+    convertCoffeeGrind, getBuiltinGrinder, DEFAULT_GRINDER, GRIND_CONVERSION_UNDO_HOURS 
+} from '../utils/grinders.js';
 
 const router = express.Router();
 
@@ -12,7 +19,7 @@ const router = express.Router();
  * Get Grinder Preference
  * GET /
  */
-router.get('/', authenticateUser, async (req, res) => {
+router.get('/', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
     try {
         const grinder = await queries.getGrinderPreference(req.user.id);
 
@@ -30,28 +37,92 @@ router.get('/', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * Helper: Re-express the grind settings of every stored coffee for another grinder
+ * Runs inside the caller's transaction; the changes are logged for undo.
+ * @returns {Promise<Object>} - conversion summary for the response
+ */
+async function convertLibrary(userId, from, to) {
+    const rows = await queries.getUserCoffees(userId);
+    const changes = [];
+    const skipped = [];
+
+    for (const row of rows) {
+        const coffee = JSON.parse(row.data);
+        const result = convertCoffeeGrind(coffee, from, to);
+        if (!result) continue;
+
+        if (result.unparsed) {
+            skipped.push({ id: row.id, name: coffee.name || null, initialGrind: coffee.initialGrind });
+        }
+        const fields = Object.keys(result.changes);
+        if (fields.length === 0) continue;
+
+        const before = Object.fromEntries(fields.map(field => [field, coffee[field] ?? null]));
+        if (await queries.updateCoffee(userId, row.id, { ...coffee, ...result.changes }, row.revision)) {
+            changes.push({ coffeeId: row.id, before, after: result.changes, revision: row.revision + 1 });
+        }
+    }
+
+    const id = await queries.createGrindConversion(userId, from.key, to.key, changes);
+    return {
+        id,
+        from: from.key,
+        to: to.key,
+        converted: changes.length,
+        skipped,
+        undoUntil: new Date(Date.now() + GRIND_CONVERSION_UNDO_HOURS * 60 * 60 * 1000).toISOString()
+    };
+}
+
 /**
  * Update Grinder Preference
  * POST /
+ * Body: { grinder, convertSettings: false } - with convertSettings the initialGrind and
+ * grindOffset of every stored coffee are re-expressed for the new grinder (see POST /undo)
  */
 router.post('/', authenticateUser, async (req, res) => {
     try {
-        const { grinder } = req.body;
+        const { grinder, convertSettings = false } = req.body;
+        const target = typeof grinder === 'string' && grinder ? await queries.getGrinder(req.user.id, grinder) : null;
 
-        if (!grinder || !['fellow', 'comandante', 'timemore'].includes(grinder)) {
+        if (!target) {
             return res.status(400).json({ 
                 success: false,
-                error: 'Valid grinder required (fellow, comandante, or timemore)' 
+                error: 'Valid grinder required (see GET /api/grinders)' 
             });
         }
 
-        await queries.updateGrinderPreference(req.user.id, grinder);
+        if (typeof convertSettings !== 'boolean') {
+            return res.status(400).json({ 
+                success: false,
+                error: 'convertSettings must be true or false' 
+            });
+        }
+
+        const previous = req.user.grinder_preference || DEFAULT_GRINDER;
+        const conversion = await withTransaction(async () => {
+            let conversion = null;
+            if (convertSettings && previous !== grinder) {
+                const source = await queries.getGrinder(req.user.id, previous) || getBuiltinGrinder(DEFAULT_GRINDER);
+                conversion = await convertLibrary(req.user.id, source, target);
+            }
+            await queries.updateGrinderPreference(req.user.id, grinder);
+            return conversion;
+        });
 
-        console.log(`⚙️ Grinder updated: ${req.user.username} → ${grinder}`);
+        await recordAuditEvent(req, AUDIT_EVENTS.SETTING_CHANGED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { setting: 'grinder_preference', from: req.user.grinder_preference, to: grinder, converted: conversion?.converted }
+        });
+
+        console.log(`⚙️ Grinder updated: ${req.user.username} → ${grinder}${conversion ? ` (${conversion.converted} coffees converted)` : ''}`);
 
         res.json({ 
             success: true,
-            grinder: grinder
+            grinder: grinder,
+            conversion
         });
 
     } catch (error) {
@@ -63,4 +134,77 @@ router.post('/', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * Undo the Last Grind Conversion
+ * POST /undo
+ * Restores the previous grinder and the coffees' grind settings within 24 hours.
+ * Coffees edited since the conversion keep their current values (listed in conflicts).
+ */
+router.post('/undo', authenticateUser, async (req, res) => {
+    try {
+        const conversion = await queries.getLatestGrindConversion(req.user.id);
+        const createdAt = conversion && parseTimestamp(conversion.created_at);
+        const expired = !createdAt || Date.now() - createdAt.getTime() > GRIND_CONVERSION_UNDO_HOURS * 60 * 60 * 1000;
+
+        if (!conversion || expired) {
+            return res.status(404).json({ 
+                success: false,
+                error: `No grind conversion to undo (possible for ${GRIND_CONVERSION_UNDO_HOURS} hours)` 
+            });
+        }
+
+        if (req.user.grinder_preference !== conversion.to_grinder) {
+            return res.status(409).json({ 
+                success: false,
+                error: 'The grinder preference changed since the conversion' 
+            });
+        }
+
+        const { restored, conflicts } = await withTransaction(async () => {
+            let restored = 0;
+            const conflicts = [];
+            for (const change of conversion.changes) {
+                const row = await queries.getUserCoffee(req.user.id, change.coffeeId);
+                if (!row || row.revision !== change.revision) {
+                    if (row) conflicts.push(change.coffeeId);
+                    continue;
+                }
+
+                const coffee = JSON.parse(row.data);
+                for (const [field, value] of Object.entries(change.before)) {
+                    if (value === null) delete coffee[field];
+                    else coffee[field] = value;
+                }
+                if (await queries.updateCoffee(req.user.id, row.id, coffee, row.revision)) restored++;
+            }
+
+            await queries.updateGrinderPreference(req.user.id, conversion.from_grinder);
+            await queries.markGrindConversionUndone(req.user.id, conversion.id);
+            return { restored, conflicts };
+        });
+
+        await recordAuditEvent(req, AUDIT_EVENTS.SETTING_CHANGED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { setting: 'grinder_preference', from: conversion.to_grinder, to: conversion.from_grinder, undo: true }
+        });
+
+        console.log(`⚙️ Grind conversion undone: ${req.user.username} → ${conversion.from_grinder}`);
+
+        res.json({ 
+            success: true,
+            grinder: conversion.from_grinder,
+            restored,
+            conflicts
+        });
+
+    } catch (error) {
+        console.error('Undo grind conversion error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
 export default router;
@@ -0,0 +1,118 @@
+// ==========================================
+// GRINDER CATALOG ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import crypto from 'crypto';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { validateGrinderDefinition, DEFAULT_GRINDER, MAX_CUSTOM_GRINDERS } from '../utils/grinders.js';
+
+const router = express.Router();
+
+/**
+ * List Grinders
+ * GET /
+ * Built-in grinders and the user's own, with the current preference
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
+    try {
+        const grinders = await queries.getGrinders(req.user.id);
+
+        res.json({ 
+            success: true,
+            preference: req.user.grinder_preference || DEFAULT_GRINDER,
+            grinders
+        });
+
+    } catch (error) {
+        console.error('List grinders error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Add a Custom Grinder
+ * POST /
+ * Body: { name, scale, min, max, step, subdivisions, micronsAtMin, micronsPerStep }
+ * The grinder gets a generated key that can be set as the grinder preference
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const { grinder, error } = validateGrinderDefinition(req.body?.grinder || req.body);
+
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        if (await queries.countUserGrinders(req.user.id) >= MAX_CUSTOM_GRINDERS) {
+            return res.status(400).json({ 
+                success: false,
+                error: `At most ${MAX_CUSTOM_GRINDERS} custom grinders per account` 
+            });
+        }
+
+        const key = `custom-${crypto.randomBytes(6).toString('hex')}`;
+        const created = await queries.createGrinder(req.user.id, { ...grinder, key });
+
+        console.log(`⚙️ Custom grinder added: ${req.user.username} → ${grinder.name}`);
+
+        res.status(201).json({ 
+            success: true,
+            grinder: created
+        });
+
+    } catch (error) {
+        console.error('Create grinder error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Delete a Custom Grinder
+ * DELETE /:key
+ * Built-in grinders and the grinder set as preference cannot be deleted
+ */
+router.delete('/:key', authenticateUser, async (req, res) => {
+    try {
+        if (req.params.key === req.user.grinder_preference) {
+            return res.status(409).json({ 
+                success: false,
+                error: 'This grinder is your grinder preference; choose another one first' 
+            });
+        }
+
+        const deleted = await queries.deleteGrinder(req.user.id, req.params.key);
+
+        if (!deleted) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Custom grinder not found'
+            });
+        }
+
+        res.json({ 
+            success: true,
+            deleted: true
+        });
+
+    } catch (error) {
+        console.error('Delete grinder error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+// ==========================================
+// AI QUOTA ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateScoped } from '../middleware/auth.js';
+import { getQuotaStatus, setQuotaHeaders } from '../middleware/quota.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+
+const router = express.Router();
+
+/**
+ * Get AI Analysis Quota
+ * GET /
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.ANALYZE), async (req, res) => {
+    try {
+        const status = await getQuotaStatus(req.user.id);
+        setQuotaHeaders(res, status);
+
+        res.json({ 
+            success: true, 
+            quota: {
+                plan: status.plan,
+                daily: status.daily,
+                monthly: status.monthly
+            }
+        });
+
+    } catch (error) {
+        console.error('Get quota error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
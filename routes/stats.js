@@ -0,0 +1,37 @@
+// ==========================================
+// LIBRARY STATISTICS ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateScoped } from '../middleware/auth.js';
+import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { computeLibraryStats } from '../utils/stats.js';
+
+const router = express.Router();
+
+/**
+ * Get Library Statistics
+ * GET /
+ * Aggregates over the user's coffees, so clients do not have to download the library
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.COFFEES_READ), async (req, res) => {
+    try {
+        const rows = await queries.getUserCoffees(req.user.id);
+        const coffees = rows.map(row => ({ ...JSON.parse(row.data), savedAt: row.created_at }));
+
+        res.json({ 
+            success: true,
+            stats: computeLibraryStats(coffees)
+        });
+
+    } catch (error) {
+        console.error('Library stats error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
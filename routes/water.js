@@ -0,0 +1,222 @@
+// ==========================================
+// WATER PROFILE ENDPOINTS
+// ==========================================
+
+import express from 'express';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import {
+    HARDNESS_UNITS, WATER_PRESETS, WATER_PROFILE_KEY_PATTERN, MAX_WATER_PROFILES,
+    validateWaterProfile, parseHardnessUnit, convertHardness, hardnessInUnits,
+    waterHardnessChange, formatWaterSettings, formatWaterProfile
+} from '../utils/water.js';
+
+const router = express.Router();
+
+/**
+ * Helper: Store water settings and record the change
+ * The water hardness follows the active profile and is only written when that changes
+ */
+async function saveWaterSettings(req, previous, settings) {
+    await queries.updateWaterSettings(req.user.id, settings, waterHardnessChange(previous, settings));
+    await recordAuditEvent(req, AUDIT_EVENTS.SETTING_CHANGED, {
+        userId: req.user.id,
+        deviceId: req.device.device_id,
+        details: { setting: 'water_profiles', from: previous, to: settings }
+    });
+}
+
+/**
+ * Get Water Profiles
+ * GET /
+ * Returns the active profile, the user's saved profiles and the presets; GH and KH
+ * in every hardness unit, minerals and TDS in mg/L
+ */
+router.get('/', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
+    try {
+        const settings = await queries.getWaterSettings(req.user.id);
+
+        res.json({ 
+            success: true, 
+            ...formatWaterSettings(settings)
+        });
+
+    } catch (error) {
+        console.error('Get water profiles error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Convert a Hardness Value
+ * GET /convert?value=8&unit=dH
+ * Returns the value in ppm as CaCO3, °dH, °fH and °e
+ */
+router.get('/convert', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
+    const unit = parseHardnessUnit(req.query.unit);
+    const value = Number(req.query.value);
+
+    if (!unit) {
+        return res.status(400).json({ 
+            success: false,
+            error: `unit must be one of: ${Object.keys(HARDNESS_UNITS).join(', ')}` 
+        });
+    }
+    if (req.query.value === undefined || req.query.value === '' || !Number.isFinite(value) || value < 0) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'value must be a number of at least 0' 
+        });
+    }
+
+    res.json({ 
+        success: true,
+        hardness: hardnessInUnits(convertHardness(value, unit, 'ppm'))
+    });
+});
+
+/**
+ * Save a Water Profile
+ * PUT /profiles/:key
+ * Body: { name, unit: 'ppm'|'dH'|'fH'|'e', gh, kh, calcium, magnesium, sodium, tds }
+ * Creates or replaces one of the user's profiles ('tap', 'my-recipe'); unit applies to
+ * gh and kh (default ppm as CaCO3), the rest is mg/L. Without gh it is derived from
+ * calcium and magnesium.
+ */
+router.put('/profiles/:key', authenticateUser, async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        if (!WATER_PROFILE_KEY_PATTERN.test(key) || WATER_PRESETS[key]) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'key must be lowercase letters, digits and dashes (max 40) and not a preset' 
+            });
+        }
+
+        const { profile, error } = validateWaterProfile(req.body);
+
+        if (error) {
+            return res.status(400).json({ 
+                success: false,
+                error 
+            });
+        }
+
+        const previous = await queries.getWaterSettings(req.user.id);
+        const profiles = previous?.profiles || {};
+
+        if (!profiles[key] && Object.keys(profiles).length >= MAX_WATER_PROFILES) {
+            return res.status(400).json({ 
+                success: false,
+                error: `At most ${MAX_WATER_PROFILES} water profiles per account` 
+            });
+        }
+
+        const settings = { 
+            active: previous?.active || null, 
+            profiles: { ...profiles, [key]: { ...profile, name: profile.name || key } } 
+        };
+        await saveWaterSettings(req, previous, settings);
+
+        console.log(`💧 Water profile saved: ${req.user.username} → ${key}`);
+
+        res.json({ 
+            success: true,
+            profile: formatWaterProfile(key, settings.profiles[key]),
+            active: settings.active === key
+        });
+
+    } catch (error) {
+        console.error('Save water profile error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Delete a Water Profile
+ * DELETE /profiles/:key
+ * The active profile cannot be deleted
+ */
+router.delete('/profiles/:key', authenticateUser, async (req, res) => {
+    try {
+        const previous = await queries.getWaterSettings(req.user.id);
+
+        if (!previous?.profiles?.[req.params.key]) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Water profile not found'
+            });
+        }
+
+        if (previous.active === req.params.key) {
+            return res.status(409).json({ 
+                success: false,
+                error: 'This water profile is active; choose another one first' 
+            });
+        }
+
+        const { [req.params.key]: removed, ...profiles } = previous.profiles;
+        await saveWaterSettings(req, previous, { ...previous, profiles });
+
+        res.json({ 
+            success: true,
+            deleted: true
+        });
+
+    } catch (error) {
+        console.error('Delete water profile error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+/**
+ * Choose the Active Water Profile
+ * POST /active
+ * Body: { profile: 'tap' | 'sca' | null } - a saved profile or a preset; null clears it.
+ * The water hardness used by recipes and brews follows the GH of the active profile.
+ */
+router.post('/active', authenticateUser, async (req, res) => {
+    try {
+        const key = req.body?.profile ?? null;
+        const previous = await queries.getWaterSettings(req.user.id);
+
+        if (key !== null && !previous?.profiles?.[key] && !WATER_PRESETS[key]) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'profile must be one of your water profiles or a preset' 
+            });
+        }
+
+        const settings = { active: key, profiles: previous?.profiles || {} };
+        await saveWaterSettings(req, previous, settings);
+
+        console.log(`💧 Water profile active: ${req.user.username} → ${key || 'none'}`);
+
+        res.json({ 
+            success: true,
+            ...formatWaterSettings(settings)
+        });
+
+    } catch (error) {
+        console.error('Set active water profile error:', error.message);
+        res.status(500).json({ 
+            success: false,
+            error: 'Server error' 
+        });
+    }
+});
+
+export default router;
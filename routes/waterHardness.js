@@ -1,10 +1,18 @@
 // ==========================================
 // WATER HARDNESS ENDPOINTS
 // ==========================================
+//
+// The single hardness value of older clients: the GH of the active water
+// profile in °dH (see routes/water.js)
+// ==========================================
 
 import express from 'express';
-import { authenticateUser } from '../middleware/auth.js';
+import { authenticateUser, authenticateScoped } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
 import { queries } from '../db/database.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+import { AUDIT_EVENTS } from '../utils/audit.js';
+import { applyWaterHardness } from '../utils/water.js';
 
 const router = express.Router();
 
@@ -12,7 +20,7 @@ const router = express.Router();
  * Get Water Hardness
  * GET /
  */
-router.get('/', authenticateUser, async (req, res) => {
+router.get('/', authenticateScoped(API_KEY_SCOPES.SETTINGS_READ), async (req, res) => {
     try {
         const waterHardness = await queries.getWaterHardness(req.user.id);
 
@@ -33,6 +41,7 @@ router.get('/', authenticateUser, async (req, res) => {
 /**
  * Update Water Hardness
  * POST /
+ * Stores the value as GH of the 'custom' water profile and makes it active
  */
 router.post('/', authenticateUser, async (req, res) => {
     try {
@@ -54,7 +63,13 @@ router.post('/', authenticateUser, async (req, res) => {
             });
         }
 
-        await queries.updateWaterHardness(req.user.id, hardnessValue);
+        const waterSettings = await queries.getWaterSettings(req.user.id);
+        await queries.updateWaterSettings(req.user.id, applyWaterHardness(waterSettings, hardnessValue), hardnessValue);
+        await recordAuditEvent(req, AUDIT_EVENTS.SETTING_CHANGED, {
+            userId: req.user.id,
+            deviceId: req.device.device_id,
+            details: { setting: 'water_hardness', from: req.user.water_hardness, to: hardnessValue }
+        });
 
         console.log(`💧 Water hardness updated: ${req.user.username} → ${hardnessValue} °dH`);
 
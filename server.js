@@ -10,10 +10,24 @@ import rateLimit from 'express-rate-limit';
 import { initDatabase } from './db/database.js';
 import authRoutes from './routes/auth.js';
 import grinderRoutes from './routes/grinder.js';
+import grindersRoutes from './routes/grinders.js';
+import grindRoutes from './routes/grind.js';
 import waterHardnessRoutes from './routes/waterHardness.js';
+import waterRoutes from './routes/water.js';
+import brewMethodsRoutes from './routes/brewMethods.js';
 import coffeeRoutes from './routes/coffees.js';
+import brewRoutes from './routes/brews.js';
 import analyzeRoutes from './routes/analyze.js';
 import healthRoutes from './routes/health.js';
+import adminRoutes from './routes/admin.js';
+import accountRoutes from './routes/account.js';
+import quotaRoutes from './routes/quota.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import compostRetentionRoutes from './routes/compostRetention.js';
+import freshnessRoutes from './routes/freshness.js';
+import statsRoutes from './routes/stats.js';
+import { pruneAuditLog } from './middleware/audit.js';
+import { purgeCompost } from './middleware/compost.js';
 
 dotenv.config();
 
@@ -26,6 +40,10 @@ const PORT = process.env.PORT || 3000;
 
 function validateEnvironment() {
     const required = ['ANTHROPIC_API_KEY'];
+    if (process.env.NODE_ENV === 'production') {
+        // Tokens must not be hashed with the public development secret
+        required.push('TOKEN_HASH_SECRET');
+    }
     const missing = required.filter(key => !process.env[key]);
     
     if (missing.length > 0) {
@@ -87,15 +105,20 @@ app.use(cors({
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID', 'X-Admin-Key', 'If-Match'],
+    exposedHeaders: [
+        'ETag',
+        'X-Quota-Daily-Limit', 'X-Quota-Daily-Remaining', 'X-Quota-Daily-Reset',
+        'X-Quota-Monthly-Limit', 'X-Quota-Monthly-Remaining', 'X-Quota-Monthly-Reset'
+    ]
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use('/api/', apiLimiter);
 
 console.log('🔒 CORS enabled for origins:', allowedOrigins);
-console.log('🛡️ Rate limiting: 100 req/15min (general), 10 req/hour (AI)');
+console.log('🛡️ Rate limiting: 100 req/15min (general), AI quota per account');
 
 // ==========================================
 // DATABASE INITIALIZATION
@@ -103,6 +126,15 @@ console.log('🛡️ Rate limiting: 100 req/15min (general), 10 req/hour (AI)');
 
 await initDatabase();
 
+// Prune the security audit log and purge expired compost on startup and once a day
+const DAILY_JOB_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const pruneAudit = () => pruneAuditLog().catch(error => console.error('Audit prune error:', error.message));
+const purgeExpiredCompost = () => purgeCompost().catch(error => console.error('Compost purge error:', error.message));
+await pruneAudit();
+await purgeExpiredCompost();
+setInterval(pruneAudit, DAILY_JOB_INTERVAL_MS).unref();
+setInterval(purgeExpiredCompost, DAILY_JOB_INTERVAL_MS).unref();
+
 // ==========================================
 // ROUTE MOUNTING
 // ==========================================
@@ -110,9 +142,21 @@ await initDatabase();
 app.use('/api/auth', authRoutes);
 app.use('/api/user/grinder', grinderRoutes);
 app.use('/api/user/water-hardness', waterHardnessRoutes);
+app.use('/api/user/water', waterRoutes);
+app.use('/api/user/brew-methods', brewMethodsRoutes);
+app.use('/api/user/quota', quotaRoutes);
+app.use('/api/user/api-keys', apiKeyRoutes);
+app.use('/api/user/compost-retention', compostRetentionRoutes);
+app.use('/api/user/freshness', freshnessRoutes);
+app.use('/api/coffees/:id/brews', brewRoutes);
 app.use('/api/coffees', coffeeRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/grinders', grindersRoutes);
+app.use('/api/grind', grindRoutes);
 app.use('/api/analyze-coffee', analyzeRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/admin', adminRoutes);
 
 // ==========================================
 // ERROR HANDLING
@@ -0,0 +1,66 @@
+// ==========================================
+// SCOPED API KEY UTILITIES
+// ==========================================
+
+import { generateToken } from './tokens.js';
+
+/**
+ * Prefix that distinguishes API keys from account and session tokens
+ */
+export const API_KEY_PREFIX = 'bbk_';
+
+/**
+ * Scopes an API key can be granted
+ */
+export const API_KEY_SCOPES = {
+    COFFEES_READ: 'coffees:read',
+    SETTINGS_READ: 'settings:read',
+    ANALYZE: 'analyze'
+};
+
+export const MAX_API_KEYS_PER_USER = 10;
+
+/**
+ * Generate a new API key
+ * @returns {{ apiKey: string, keyPrefix: string }} - Plaintext key (shown once) and
+ * the short prefix kept for display
+ */
+export function generateApiKey() {
+    const apiKey = API_KEY_PREFIX + generateToken(24);
+    return { apiKey, keyPrefix: apiKey.substring(0, API_KEY_PREFIX.length + 6) };
+}
+
+/**
+ * Check whether a bearer credential is an API key
+ */
+export function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Validate a list of requested scopes
+ * @param {*} scopes - Value from the request body
+ * @returns {{ valid: boolean, scopes?: string[], error?: string }}
+ */
+export function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { valid: false, error: 'At least one scope required' };
+    }
+
+    const allowed = Object.values(API_KEY_SCOPES);
+    const unknown = scopes.filter(scope => !allowed.includes(scope));
+    if (unknown.length > 0) {
+        return { valid: false, error: `Unknown scope(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}` };
+    }
+
+    return { valid: true, scopes: [...new Set(scopes)] };
+}
+
+/**
+ * Parse the stored scope list of an API key
+ * @param {string} stored - Space-separated scopes
+ * @returns {string[]}
+ */
+export function parseScopes(stored) {
+    return stored ? stored.split(' ').filter(Boolean) : [];
+}
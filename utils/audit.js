@@ -0,0 +1,73 @@
+// ==========================================
+// SECURITY AUDIT UTILITIES
+// ==========================================
+
+import crypto from 'crypto';
+import { getTokenHashSecret } from './tokens.js';
+
+/**
+ * Audit event types
+ */
+export const AUDIT_EVENTS = {
+    TOKEN_INVALID: 'auth.token_invalid',
+    TOKEN_EXPIRED: 'auth.token_expired',
+    TOKEN_REVOKED: 'auth.token_revoked',
+    DEVICE_MISMATCH: 'auth.device_mismatch',
+    DEVICE_REVOKED: 'auth.device_revoked',
+    DEVICE_LIMIT: 'auth.device_limit',
+    ACCOUNT_DISABLED: 'auth.account_disabled',
+    INSUFFICIENT_SCOPE: 'auth.insufficient_scope',
+    ADMIN_KEY_INVALID: 'auth.admin_key_invalid',
+    RECOVERY_FAILED: 'auth.recovery_failed',
+    DEVICE_BOUND: 'device.bound',
+    DEVICE_REMOVED: 'device.revoked',
+    SETTING_CHANGED: 'settings.changed',
+    API_KEY_CREATED: 'api_key.created',
+    API_KEY_REVOKED: 'api_key.revoked',
+    ACCOUNT_DELETED: 'account.deleted',
+    ADMIN_ACTION: 'admin.action'
+};
+
+/**
+ * Audit event type for each authentication error code
+ */
+export const AUTH_FAILURE_EVENTS = {
+    INVALID_TOKEN: AUDIT_EVENTS.TOKEN_INVALID,
+    TOKEN_EXPIRED: AUDIT_EVENTS.TOKEN_EXPIRED,
+    TOKEN_REVOKED: AUDIT_EVENTS.TOKEN_REVOKED,
+    DEVICE_MISMATCH: AUDIT_EVENTS.DEVICE_MISMATCH,
+    DEVICE_REVOKED: AUDIT_EVENTS.DEVICE_REVOKED,
+    DEVICE_LIMIT: AUDIT_EVENTS.DEVICE_LIMIT,
+    ACCOUNT_DISABLED: AUDIT_EVENTS.ACCOUNT_DISABLED,
+    INSUFFICIENT_SCOPE: AUDIT_EVENTS.INSUFFICIENT_SCOPE
+};
+
+/**
+ * Hash a client device ID for the audit log
+ * Keyed like tokens so logged IDs cannot be replayed as X-Device-ID values
+ * @param {string} deviceId - Client device ID
+ * @returns {string|null} - Hex digest
+ */
+export function hashDeviceId(deviceId) {
+    if (!deviceId) return null;
+    return crypto
+        .createHmac('sha256', getTokenHashSecret())
+        .update('device:' + String(deviceId))
+        .digest('hex');
+}
+
+/**
+ * Days audit events are kept (AUDIT_RETENTION_DAYS, default 90)
+ */
+export function getAuditRetentionDays() {
+    return parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 90;
+}
+
+/**
+ * Oldest creation time still within the retention window
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+export function getAuditCutoff(now = new Date()) {
+    return new Date(now.getTime() - getAuditRetentionDays() * 24 * 60 * 60 * 1000);
+}
@@ -0,0 +1,254 @@
+// ==========================================
+// BREW METHOD CATALOG
+// ==========================================
+//
+// Every brew method has a default dose, ratio, temperature and grind size
+// (microns, see utils/grinders.js) and the range each is sensible in. Users
+// can set their own dose, ratio and temperature per method, and coffees can
+// carry their own customAmount, customTemp and grindOffset per method.
+// ==========================================
+
+import { FRESHNESS_METHODS } from './freshness.js';
+
+/**
+ * How a method is brewed
+ * pour-over: bloom, then pours; immersion: all water at once, then press or strain;
+ * espresso: water is the yield of the shot
+ */
+export const BREW_METHOD_STYLES = ['pour-over', 'immersion', 'espresso'];
+
+export const DEFAULT_BREW_METHOD = 'v60';
+
+/**
+ * Built-in brew methods
+ * Ranges are { min, max, default }; ratio is grams of water (yield for espresso)
+ * per gram of coffee; freshness is the window of utils/freshness.js the method uses.
+ */
+export const BREW_METHODS = {
+    'v60': {
+        name: 'V60', style: 'pour-over', freshness: 'filter', targetSeconds: 180,
+        dose: { min: 5, max: 60, default: 15 },
+        ratio: { min: 13, max: 18, default: 16 },
+        temperature: { min: 85, max: 99, default: 94 },
+        grind: { min: 500, max: 900, default: 700 }
+    },
+    'kalita': {
+        name: 'Kalita Wave', style: 'pour-over', freshness: 'filter', targetSeconds: 210,
+        dose: { min: 10, max: 40, default: 20 },
+        ratio: { min: 13, max: 18, default: 16 },
+        temperature: { min: 85, max: 99, default: 94 },
+        grind: { min: 550, max: 950, default: 750 }
+    },
+    'chemex': {
+        name: 'Chemex', style: 'pour-over', freshness: 'filter', targetSeconds: 270,
+        dose: { min: 20, max: 60, default: 30 },
+        ratio: { min: 14, max: 18, default: 16 },
+        temperature: { min: 88, max: 99, default: 95 },
+        grind: { min: 700, max: 1100, default: 900 }
+    },
+    'aeropress': {
+        name: 'AeroPress', style: 'immersion', freshness: 'filter', targetSeconds: 120, finish: 'press',
+        dose: { min: 10, max: 25, default: 15 },
+        ratio: { min: 6, max: 18, default: 15 },
+        temperature: { min: 75, max: 99, default: 88 },
+        grind: { min: 350, max: 800, default: 550 }
+    },
+    'french-press': {
+        name: 'French press', style: 'immersion', freshness: 'filter', targetSeconds: 240, finish: 'press',
+        dose: { min: 15, max: 80, default: 30 },
+        ratio: { min: 12, max: 17, default: 15 },
+        temperature: { min: 88, max: 99, default: 95 },
+        grind: { min: 900, max: 1400, default: 1100 }
+    },
+    'espresso': {
+        name: 'Espresso', style: 'espresso', freshness: 'espresso', targetSeconds: 28,
+        dose: { min: 6, max: 25, default: 18 },
+        ratio: { min: 1, max: 4, default: 2 },
+        temperature: { min: 86, max: 96, default: 93 },
+        grind: { min: 180, max: 400, default: 280 }
+    },
+    'cold-brew': {
+        name: 'Cold brew', style: 'immersion', freshness: 'filter', targetSeconds: 57600, finish: 'strain',
+        dose: { min: 20, max: 250, default: 100 },
+        ratio: { min: 4, max: 16, default: 8 },
+        temperature: { min: 2, max: 25, default: 20 },
+        grind: { min: 900, max: 1500, default: 1200 }
+    }
+};
+
+export const BREW_METHOD_KEYS = Object.keys(BREW_METHODS);
+
+/**
+ * Values a user can set per method (users.brew_method_settings)
+ */
+export const METHOD_PREFERENCE_FIELDS = ['dose', 'ratio', 'temperature'];
+
+/**
+ * Values a coffee can carry per method (coffee.methods); the top-level fields of the
+ * same name are the values of the pour-over methods
+ */
+export const COFFEE_METHOD_FIELDS = ['customTemp', 'customAmount', 'grindOffset'];
+
+/**
+ * Names brew logs use for the methods, compared without case, spaces and punctuation
+ */
+const METHOD_ALIASES = {
+    'v60': ['v60', 'hariov60'],
+    'kalita': ['kalita', 'kalitawave'],
+    'chemex': ['chemex'],
+    'aeropress': ['aeropress'],
+    'french-press': ['frenchpress', 'pressstempel', 'cafetiere', 'plunger'],
+    'espresso': ['espresso'],
+    'cold-brew': ['coldbrew', 'colddrip']
+};
+
+const ALIAS_TO_METHOD = new Map(
+    Object.entries(METHOD_ALIASES).flatMap(([key, aliases]) => aliases.map(alias => [alias, key]))
+);
+
+/**
+ * Catalog key of a method name as written in a brew log ('Hario V60' → 'v60')
+ * @returns {string|null}
+ */
+export function parseBrewMethod(text) {
+    if (typeof text !== 'string') return null;
+    const normalized = text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    return BREW_METHODS[text] ? text : ALIAS_TO_METHOD.get(normalized) || null;
+}
+
+/**
+ * Values ?method= takes where freshness is computed: a window or a catalog method
+ */
+export const FRESHNESS_METHOD_VALUES = [...new Set([...FRESHNESS_METHODS, ...BREW_METHOD_KEYS])];
+
+/**
+ * Freshness window (utils/freshness.js) of a method
+ * Takes a window ('filter', 'espresso') or a method of the catalog ('v60' → 'filter').
+ * @returns {string|null} - null if unknown
+ */
+export function parseFreshnessMethod(method) {
+    if (FRESHNESS_METHODS.includes(method)) return method;
+    return BREW_METHODS[parseBrewMethod(method)]?.freshness || null;
+}
+
+/**
+ * Validate a user's per-method preferences
+ * Shape: { defaultMethod, methods: { espresso: { dose, ratio, temperature } } }
+ * Every part is optional; values must lie in the method's range.
+ * @returns {{ settings?: Object, error?: string }}
+ */
+export function validateBrewMethodSettings(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Brew method settings must be an object' };
+    }
+
+    const settings = {};
+
+    if (input.defaultMethod !== undefined && input.defaultMethod !== null) {
+        if (!BREW_METHODS[input.defaultMethod]) {
+            return { error: `defaultMethod must be one of: ${BREW_METHOD_KEYS.join(', ')}` };
+        }
+        settings.defaultMethod = input.defaultMethod;
+    }
+
+    if (input.methods !== undefined && input.methods !== null) {
+        if (typeof input.methods !== 'object' || Array.isArray(input.methods)) {
+            return { error: 'methods must be an object' };
+        }
+
+        for (const [name, values] of Object.entries(input.methods)) {
+            if (!BREW_METHODS[name]) {
+                return { error: `Unknown method '${name}' (allowed: ${BREW_METHOD_KEYS.join(', ')})` };
+            }
+            if (values === null) continue;
+
+            const cleaned = {};
+            for (const field of METHOD_PREFERENCE_FIELDS) {
+                if (values?.[field] === undefined || values[field] === null) continue;
+                const { min, max } = BREW_METHODS[name][field];
+                const number = Number(values[field]);
+                if (!Number.isFinite(number) || number < min || number > max) {
+                    return { error: `methods.${name}.${field} must be a number between ${min} and ${max}` };
+                }
+                cleaned[field] = number;
+            }
+
+            if (Object.keys(cleaned).length > 0) {
+                settings.methods = { ...settings.methods, [name]: cleaned };
+            }
+        }
+    }
+
+    return { settings };
+}
+
+/**
+ * The catalog merged with a user's preferences
+ * @param {Object|null} settings - Validated settings (users.brew_method_settings)
+ * @returns {{ defaultMethod: string, methods: Array<Object> }} - each method with its
+ * catalog values, the user's preferences and the effective dose, ratio and temperature
+ */
+export function resolveBrewMethods(settings) {
+    const preferences = settings?.methods || {};
+
+    return {
+        defaultMethod: settings?.defaultMethod || DEFAULT_BREW_METHOD,
+        methods: Object.entries(BREW_METHODS).map(([key, method]) => ({
+            key,
+            ...method,
+            preferences: preferences[key] || {},
+            effective: Object.fromEntries(METHOD_PREFERENCE_FIELDS.map(field => 
+                [field, preferences[key]?.[field] ?? method[field].default]
+            ))
+        }))
+    };
+}
+
+/**
+ * Clean the per-method values of a coffee (coffee.methods)
+ * Unknown methods and fields are dropped; customTemp is text or a number like the
+ * top-level field, customAmount and grindOffset are numbers.
+ * @param {Function} cleanText - Cleans text values (sanitize.js passes stripHTML)
+ * @returns {Object} - { espresso: { customAmount: 18 } }
+ */
+export function sanitizeCoffeeMethods(methods, cleanText = text => text) {
+    if (!methods || typeof methods !== 'object' || Array.isArray(methods)) return {};
+
+    const cleaned = {};
+    for (const [name, values] of Object.entries(methods)) {
+        if (!BREW_METHODS[name] || !values || typeof values !== 'object') continue;
+
+        const entry = {};
+        if (typeof values.customTemp === 'number' && Number.isFinite(values.customTemp)) {
+            entry.customTemp = values.customTemp;
+        } else if (typeof values.customTemp === 'string') {
+            const text = cleanText(values.customTemp).trim().substring(0, 20);
+            if (text) entry.customTemp = text;
+        }
+        for (const field of ['customAmount', 'grindOffset']) {
+            if (typeof values[field] === 'number' && Number.isFinite(values[field])) {
+                entry[field] = values[field];
+            }
+        }
+
+        if (Object.keys(entry).length > 0) cleaned[name] = entry;
+    }
+    return cleaned;
+}
+
+/**
+ * A coffee's customTemp, customAmount and grindOffset for a method
+ * The per-method value wins; pour-over methods fall back to the top-level fields.
+ * @returns {{ customTemp?, customAmount?, grindOffset? }}
+ */
+export function getCoffeeMethodValues(coffee, method) {
+    const own = coffee.methods?.[method] || {};
+    const fallback = BREW_METHODS[method]?.style === 'pour-over' ? coffee : {};
+
+    const values = {};
+    for (const field of COFFEE_METHOD_FIELDS) {
+        const value = own[field] ?? fallback[field];
+        if (value !== undefined && value !== null) values[field] = value;
+    }
+    return values;
+}
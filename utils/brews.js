@@ -0,0 +1,88 @@
+// ==========================================
+// BREW LOG VALIDATION
+// ==========================================
+
+import { stripHTML, truncateString } from './sanitize.js';
+
+/**
+ * Numeric brew fields and their accepted range
+ */
+export const BREW_NUMBER_FIELDS = {
+    dose: { min: 0.1, max: 1000 },          // Coffee in grams
+    water: { min: 1, max: 10000 },          // Water in grams (ml)
+    temperature: { min: 0, max: 100 },      // Water temperature in °C
+    brewTime: { min: 0, max: 172800 },      // Seconds (up to 48 h for cold brew)
+    waterHardness: { min: 0, max: 50 },     // °dH
+    rating: { min: 1, max: 5 }              // Whole stars
+};
+
+/**
+ * Text brew fields and their maximum length
+ */
+export const BREW_TEXT_FIELDS = {
+    method: 50,
+    grindSetting: 50,
+    grinder: 50,
+    notes: 1000
+};
+
+export const MAX_TASTE_DESCRIPTORS = 20;
+
+/**
+ * Validate and clean a brew from a request body
+ * Fields that are absent stay absent; null clears an optional field.
+ * @param {Object} input - Raw brew fields
+ * @returns {{ brew?: Object, error?: string }}
+ */
+export function sanitizeBrew(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Brew data required' };
+    }
+
+    const brew = {};
+
+    if (input.brewedAt !== undefined && input.brewedAt !== null) {
+        const brewedAt = new Date(input.brewedAt);
+        if (Number.isNaN(brewedAt.getTime())) {
+            return { error: 'brewedAt must be a date' };
+        }
+        brew.brewedAt = brewedAt.toISOString();
+    }
+
+    for (const [field, { min, max }] of Object.entries(BREW_NUMBER_FIELDS)) {
+        const value = input[field];
+        if (value === undefined) continue;
+        if (value === null || value === '') {
+            brew[field] = null;
+            continue;
+        }
+
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < min || number > max 
+            || (field === 'rating' && !Number.isInteger(number))) {
+            return { error: `${field} must be ${field === 'rating' ? 'a whole number' : 'a number'} between ${min} and ${max}` };
+        }
+        brew[field] = number;
+    }
+
+    for (const [field, maxLength] of Object.entries(BREW_TEXT_FIELDS)) {
+        const value = input[field];
+        if (value === undefined) continue;
+
+        const text = value === null ? '' : truncateString(stripHTML(String(value)).trim(), maxLength);
+        brew[field] = text || null;
+    }
+
+    if (input.taste !== undefined) {
+        if (input.taste !== null && !Array.isArray(input.taste)) {
+            return { error: 'taste must be a list of descriptors' };
+        }
+
+        const descriptors = (input.taste || [])
+            .map(descriptor => truncateString(stripHTML(String(descriptor)).trim().toLowerCase(), 50))
+            .filter(Boolean);
+        brew.taste = [...new Set(descriptors)].slice(0, MAX_TASTE_DESCRIPTORS);
+    }
+
+    return { brew };
+}
@@ -0,0 +1,125 @@
+// ==========================================
+// COFFEE LIST QUERY PARAMETERS
+// ==========================================
+
+/**
+ * Sortable fields (API name → SQL sort expression)
+ * Text fields sort case-insensitively with unset values first; createdAt
+ * sorts by ID, which follows insertion order.
+ */
+export const COFFEE_SORT_FIELDS = {
+    createdAt: 'id',
+    updatedAt: 'updated_at',
+    name: "LOWER(COALESCE(name, ''))",
+    roaster: "LOWER(COALESCE(roaster, ''))",
+    origin: "LOWER(COALESCE(origin, ''))",
+    roastDate: "COALESCE(roast_date, '')",
+    addedDate: "COALESCE(added_date, '')"
+};
+
+export const MAX_COFFEE_PAGE_SIZE = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a true/false query parameter
+ * @returns {boolean|null|undefined} - undefined when absent, null when invalid
+ */
+function parseBoolean(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return null;
+}
+
+/**
+ * Encode a keyset pagination cursor (opaque to clients)
+ * @param {string|number} value - Sort value of the last row, as read from the database
+ * @param {number} id - ID of the last row
+ */
+export function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @returns {{ value: *, id: number }|null} - null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Number.isInteger(id) ? { value, id } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Validate the query parameters of GET /api/coffees
+ * @param {Object} query - req.query
+ * @returns {{ options?: Object, error?: string }}
+ */
+export function parseCoffeeQuery(query = {}) {
+    // Repeated (?order=a&order=b) or nested (?sort[]=x) parameters are not supported
+    for (const [name, value] of Object.entries(query)) {
+        if (value !== undefined && typeof value !== 'string') {
+            return { error: `${name} must be a single value` };
+        }
+    }
+
+    const text = (value, max = 200) => (typeof value === 'string' && value.trim() ? value.trim().substring(0, max) : undefined);
+
+    const options = {
+        search: text(query.q),
+        origin: text(query.origin),
+        process: text(query.process),
+        roaster: text(query.roaster),
+        favorite: parseBoolean(query.favorite),
+        deleted: query.deleted === 'all' ? undefined : parseBoolean(query.deleted),
+        roastDateFrom: text(query.roastDateFrom),
+        roastDateTo: text(query.roastDateTo),
+        sort: query.sort || 'createdAt',
+        order: (query.order || (query.sort ? 'asc' : 'desc')).toLowerCase(),
+        limit: undefined,
+        after: undefined
+    };
+
+    if (options.favorite === null) {
+        return { error: 'favorite must be true or false' };
+    }
+    if (options.deleted === null) {
+        return { error: 'deleted must be true, false or all' };
+    }
+    // Composted coffees are listed separately (GET /api/coffees/compost) unless asked for
+    if (options.deleted === undefined && query.deleted !== 'all') {
+        options.deleted = false;
+    }
+    for (const field of ['roastDateFrom', 'roastDateTo']) {
+        if (options[field] && !DATE_PATTERN.test(options[field])) {
+            return { error: `${field} must be a date (YYYY-MM-DD)` };
+        }
+    }
+    if (!COFFEE_SORT_FIELDS[options.sort]) {
+        return { error: `sort must be one of: ${Object.keys(COFFEE_SORT_FIELDS).join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(options.order)) {
+        return { error: 'order must be asc or desc' };
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: 'limit must be a positive integer' };
+        }
+        options.limit = Math.min(limit, MAX_COFFEE_PAGE_SIZE);
+    }
+
+    if (query.after !== undefined) {
+        options.after = decodeCursor(query.after);
+        if (!options.after) {
+            return { error: 'Invalid page cursor' };
+        }
+    }
+
+    return { options };
+}
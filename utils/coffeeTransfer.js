@@ -0,0 +1,302 @@
+// ==========================================
+// COFFEE LIBRARY IMPORT / EXPORT
+// ==========================================
+
+import { sanitizeCoffeeData } from './sanitize.js';
+import { parseCSV, toCSV, unescapeCSVValue } from './csv.js';
+import { applyInventoryDefaults } from './inventory.js';
+
+/**
+ * Columns of the CSV export, in order
+ */
+export const COFFEE_EXPORT_FIELDS = [
+    'id', 'name', 'roaster', 'origin', 'cultivar', 'process', 'altitude', 'tastingNotes',
+    'roastDate', 'addedDate', 'favorite', 'deleted', 'deletedAt',
+    'grindOffset', 'customTemp', 'customAmount', 'bagWeight', 'remainingGrams', 'savedAt', 'updatedAt'
+];
+
+/**
+ * Coffee fields an import can set, with their value type
+ */
+export const IMPORT_FIELD_TYPES = {
+    name: 'text',
+    roaster: 'text',
+    origin: 'text',
+    cultivar: 'text',
+    process: 'text',
+    altitude: 'text',
+    tastingNotes: 'text',
+    roastDate: 'date',
+    addedDate: 'timestamp',
+    favorite: 'boolean',
+    favoritedAt: 'timestamp',
+    deleted: 'boolean',
+    deletedAt: 'timestamp',
+    grindOffset: 'number',
+    customTemp: 'text',
+    customAmount: 'number',
+    initialGrind: 'text',
+    initialTemp: 'text',
+    bagWeight: 'number',
+    remainingGrams: 'number',
+    lowStockThreshold: 'number',
+    methods: 'object',
+    feedback: 'object'
+};
+
+/**
+ * Spreadsheet headings recognized without an explicit mapping
+ * Compared after lowercasing and removing spaces and punctuation
+ */
+const IMPORT_ALIASES = {
+    name: ['coffee', 'coffeename', 'bean', 'beans', 'kaffee'],
+    roaster: ['roastery', 'roasters', 'rösterei', 'röster'],
+    origin: ['country', 'region', 'herkunft', 'land'],
+    cultivar: ['variety', 'varietal', 'varietals', 'sorte'],
+    process: ['processing', 'processmethod', 'aufbereitung'],
+    altitude: ['elevation', 'masl', 'höhe'],
+    tastingNotes: ['notes', 'tasting', 'flavornotes', 'flavournotes', 'flavors', 'flavours', 'aromen'],
+    roastDate: ['roasted', 'roastedon', 'röstdatum'],
+    addedDate: ['added', 'purchased', 'purchasedate', 'bought'],
+    favorite: ['favourite', 'fav', 'favorit'],
+    bagWeight: ['bagsize', 'weight', 'packungsgröße'],
+    remainingGrams: ['remaining', 'gramsleft', 'rest']
+};
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const normalizeHeading = (heading) => String(heading).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+const HEADING_TO_FIELD = new Map();
+for (const field of Object.keys(IMPORT_FIELD_TYPES)) {
+    HEADING_TO_FIELD.set(normalizeHeading(field), field);
+}
+for (const [field, aliases] of Object.entries(IMPORT_ALIASES)) {
+    aliases.forEach(alias => HEADING_TO_FIELD.set(normalizeHeading(alias), field));
+}
+
+/**
+ * Build the CSV export of API-shaped coffees
+ */
+export function coffeesToCSV(coffees) {
+    return toCSV(COFFEE_EXPORT_FIELDS, coffees.map(coffee => COFFEE_EXPORT_FIELDS.map(field => coffee[field])));
+}
+
+/**
+ * Read the records of an import
+ * CSV: header row plus data rows. JSON: an array of coffees, or a document
+ * with a coffees array (the JSON export or the account export).
+ * @param {string} format - 'csv' or 'json'
+ * @param {string|Array|Object} data - File contents
+ * @returns {{ headers?: string[], records?: Array<{ row: number, values: Object }>, error?: string }}
+ */
+export function readImportRecords(format, data) {
+    if (format === 'csv') {
+        if (typeof data !== 'string') {
+            return { error: 'CSV data must be a string' };
+        }
+
+        const [headers, ...rows] = parseCSV(data);
+        if (!headers) {
+            return { error: 'CSV data is empty' };
+        }
+
+        const records = rows.map((cells, i) => ({
+            row: i + 2,     // Spreadsheet row number (row 1 is the header)
+            values: Object.fromEntries(headers.map((heading, column) => [heading, unescapeCSVValue(cells[column] ?? '')]))
+        }));
+        return { headers, records };
+    }
+
+    if (format === 'json') {
+        let parsed = data;
+        if (typeof data === 'string') {
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                return { error: 'JSON data could not be parsed' };
+            }
+        }
+
+        const coffees = Array.isArray(parsed) ? parsed : parsed?.coffees;
+        if (!Array.isArray(coffees)) {
+            return { error: 'JSON data must be a list of coffees or contain a coffees list' };
+        }
+
+        const records = coffees.map((values, i) => ({
+            row: i + 1,
+            values: values && typeof values === 'object' && !Array.isArray(values) ? values : {}
+        }));
+        const headers = [...new Set(records.flatMap(record => Object.keys(record.values)))];
+        return { headers, records };
+    }
+
+    return { error: 'format must be csv or json' };
+}
+
+/**
+ * Decide which coffee field each source column feeds
+ * Columns are matched by name and known aliases; an explicit mapping
+ * ({ "Bean": "name", "Price": null }) overrides that, null ignores a column.
+ * @returns {{ mapping?: Object<string, string|null>, error?: string }} - Source column → field
+ */
+export function resolveImportMapping(headers, explicit = {}) {
+    if (explicit === null || typeof explicit !== 'object' || Array.isArray(explicit)) {
+        return { error: 'mapping must map column names to coffee fields' };
+    }
+
+    for (const [column, field] of Object.entries(explicit)) {
+        if (field !== null && !IMPORT_FIELD_TYPES[field]) {
+            return { error: `Unknown coffee field '${field}' for column '${column}'` };
+        }
+    }
+
+    const mapping = {};
+    for (const heading of headers) {
+        mapping[heading] = Object.prototype.hasOwnProperty.call(explicit, heading)
+            ? explicit[heading]
+            : HEADING_TO_FIELD.get(normalizeHeading(heading)) || null;
+    }
+    return { mapping };
+}
+
+/**
+ * Helper: Parse a date as written in spreadsheets
+ * Accepts ISO dates and times, YYYY/MM/DD and DD.MM.YYYY
+ * @returns {Date|null}
+ */
+function parseImportDate(value) {
+    const text = String(value).trim();
+    let match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+    if (match) {
+        return validDate(match[3], match[2], match[1]);
+    }
+    match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    if (match) {
+        return validDate(match[1], match[2], match[3]);
+    }
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+        const date = new Date(text);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    return null;
+}
+
+function validDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCDate() === Number(day) && date.getUTCMonth() === Number(month) - 1 ? date : null;
+}
+
+/**
+ * Helper: Convert one imported value to the field's type
+ * @returns {{ value?: *, error?: string }} - value undefined for empty cells
+ */
+function convertImportValue(field, raw) {
+    if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+        return {};
+    }
+
+    switch (IMPORT_FIELD_TYPES[field]) {
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = String(raw).trim().toLowerCase();
+            if (['true', 'yes', 'y', '1', 'x', 'ja', '✓'].includes(text)) return { value: true };
+            if (['false', 'no', 'n', '0', 'nein', '-'].includes(text)) return { value: false };
+            return { error: `${field} must be yes or no` };
+        }
+        case 'number': {
+            const number = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(',', '.'));
+            return Number.isFinite(number) ? { value: number } : { error: `${field} must be a number` };
+        }
+        case 'date': {
+            const date = parseImportDate(raw);
+            return date ? { value: date.toISOString().substring(0, 10) } : { error: `${field} must be a date (YYYY-MM-DD or DD.MM.YYYY)` };
+        }
+        case 'timestamp': {
+            // Also accept any format Date understands, as older clients stored
+            const fallback = new Date(raw);
+            const date = parseImportDate(raw) || (Number.isNaN(fallback.getTime()) ? null : fallback);
+            return date ? { value: date.toISOString() } : { error: `${field} must be a date` };
+        }
+        case 'object': {
+            if (typeof raw === 'object') return { value: raw };
+            try {
+                return { value: JSON.parse(raw) };
+            } catch (e) {
+                return { error: `${field} must be JSON` };
+            }
+        }
+        default:
+            return { value: String(raw).trim() };
+    }
+}
+
+/**
+ * Duplicate key of a coffee: name, roaster and roast date, case-insensitive
+ */
+export function coffeeDuplicateKey(coffee) {
+    return [coffee.name, coffee.roaster, coffee.roastDate]
+        .map(value => String(value ?? '').trim().toLowerCase())
+        .join('|');
+}
+
+/**
+ * Check, convert and sanitize every record of an import
+ * Nothing is stored here; the result says what an import would do per row.
+ * @param {Array} records - From readImportRecords
+ * @param {Object} mapping - From resolveImportMapping
+ * @param {Object} options - { existingKeys: Set of duplicate keys already in the library,
+ *                             onDuplicate: 'skip' | 'import', now: Date }
+ * @returns {Array<{ row: number, status: 'ready'|'duplicate'|'error', name: string|null,
+ *                   coffee?: Object, errors?: string[], warnings?: string[] }>}
+ */
+export function planImport(records, mapping, { existingKeys = new Set(), onDuplicate = 'skip', now = new Date() } = {}) {
+    const seenKeys = new Set(existingKeys);
+
+    return records.map(({ row, values }) => {
+        const coffee = {};
+        const errors = [];
+        const warnings = [];
+
+        for (const [column, raw] of Object.entries(values)) {
+            const field = mapping[column];
+            if (!field) continue;
+
+            const { value, error } = convertImportValue(field, raw);
+            if (error) errors.push(error);
+            else if (value !== undefined) coffee[field] = value;
+        }
+
+        if (!coffee.name) {
+            errors.push('name is required');
+        }
+
+        const result = { row, name: coffee.name || null };
+        if (errors.length > 0) {
+            return { ...result, status: 'error', errors };
+        }
+
+        const sanitized = sanitizeCoffeeData({ addedDate: now.toISOString(), ...coffee });
+        if (coffee.process && sanitized.process !== coffee.process.toLowerCase()) {
+            warnings.push(`process '${coffee.process}' imported as '${sanitized.process}'`);
+        }
+
+        const key = coffeeDuplicateKey(sanitized);
+        const duplicate = seenKeys.has(key);
+        seenKeys.add(key);
+
+        if (duplicate && onDuplicate !== 'import') {
+            return { ...result, status: 'duplicate', warnings: ['already in the library or earlier in the file'] };
+        }
+        if (duplicate) {
+            warnings.push('duplicate imported as a new coffee');
+        }
+
+        return { 
+            ...result, 
+            status: 'ready', 
+            coffee: applyInventoryDefaults(sanitized), 
+            ...(warnings.length > 0 && { warnings }) 
+        };
+    });
+}
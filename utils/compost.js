@@ -0,0 +1,54 @@
+// ==========================================
+// COMPOST (SOFT-DELETED COFFEES)
+// ==========================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Allowed range for a per-account retention setting, in days
+ */
+export const COMPOST_RETENTION_RANGE = { min: 1, max: 365 };
+
+/**
+ * Days composted coffees are kept when the account has no own setting
+ */
+export function getDefaultCompostRetentionDays() {
+    return parseInt(process.env.COMPOST_RETENTION_DAYS, 10) || 30;
+}
+
+/**
+ * Effective retention of an account
+ * @param {number|null} accountDays - users.compost_retention_days
+ */
+export function resolveCompostRetention(accountDays) {
+    return accountDays || getDefaultCompostRetentionDays();
+}
+
+/**
+ * Parse a timestamp from the database or a client
+ * SQLite's CURRENT_TIMESTAMP ("2026-02-06 10:00:00") is UTC without a marker.
+ * @returns {Date|null} - null if the value is not a valid time
+ */
+export function parseTimestamp(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+
+    const text = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) 
+        ? value.replace(' ', 'T') + 'Z' 
+        : value;
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * When a composted coffee will be purged
+ * Coffees composted without a valid deletedAt count from their last update.
+ * @param {Object} coffee - { deleted_at, updated_at } row or { deletedAt, updatedAt } API coffee
+ * @param {number} retentionDays - Effective retention
+ * @returns {Date|null}
+ */
+export function getPurgeDate(coffee, retentionDays) {
+    const composted = parseTimestamp(coffee.deleted_at ?? coffee.deletedAt) 
+        || parseTimestamp(coffee.updated_at ?? coffee.updatedAt);
+    return composted ? new Date(composted.getTime() + retentionDays * DAY_MS) : null;
+}
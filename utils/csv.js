@@ -0,0 +1,111 @@
+// ==========================================
+// CSV UTILITIES
+// ==========================================
+//
+// Minimal RFC 4180 reader/writer (no external dependencies).
+// Handles quoted fields, embedded newlines, CRLF, a UTF-8 BOM and
+// semicolon-separated files as written by spreadsheet apps in many locales.
+// ==========================================
+
+/**
+ * Cell values spreadsheet apps would run as formulas
+ * A leading minus is allowed for plain numbers (e.g. a grind offset of -2)
+ */
+const FORMULA_PATTERN = /^[=+@\t\r]|^-(?!\d+(\.\d+)?$)/;
+
+/**
+ * Quote a value for a CSV cell
+ * Formula-like text is prefixed with ' so spreadsheets show it as text.
+ */
+export function escapeCSVValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (FORMULA_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",;\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Undo the ' prefix escapeCSVValue puts before formula-like text
+ * Other values starting with ' are kept as they are.
+ */
+export function unescapeCSVValue(text) {
+    return text.startsWith("'") && FORMULA_PATTERN.test(text.substring(1)) ? text.substring(1) : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {string[]} headers - Header row
+ * @param {Array<Array>} rows - Rows with values in header order
+ * @returns {string} - CSV with CRLF line endings
+ */
+export function toCSV(headers, rows) {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCSVValue).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Guess the delimiter from the header line (comma or semicolon)
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = (char) => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parse a CSV document into rows of strings
+ * Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Detected from the header line if omitted
+ * @returns {string[][]}
+ */
+export function parseCSV(text, delimiter) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
@@ -0,0 +1,226 @@
+// ==========================================
+// ROAST FRESHNESS
+// ==========================================
+//
+// A coffee rests after roasting, then tastes best (peak), then slowly fades
+// and finally goes stale. The window is counted in days off roast; it depends
+// on the brew method and shifts by process (naturals and anaerobics need to
+// rest longer and keep longer). Users can override every number.
+// ==========================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FRESHNESS_STATES = ['resting', 'peak', 'fading', 'stale'];
+
+export const FRESHNESS_METHODS = ['filter', 'espresso'];
+
+/**
+ * Base windows per brew method, in days off roast
+ * resting before restDays, peak until peakDays, fading until staleDays, stale after
+ */
+export const DEFAULT_METHOD_WINDOWS = {
+    filter: { restDays: 5, peakDays: 21, staleDays: 45 },
+    espresso: { restDays: 10, peakDays: 30, staleDays: 60 }
+};
+
+/**
+ * Days added to the method window per process group
+ */
+export const DEFAULT_PROCESS_OFFSETS = {
+    washed: { restDays: 0, peakDays: 0, staleDays: 0 },
+    honey: { restDays: 1, peakDays: 3, staleDays: 5 },
+    natural: { restDays: 2, peakDays: 5, staleDays: 10 },
+    anaerobic: { restDays: 3, peakDays: 7, staleDays: 14 }
+};
+
+/**
+ * Process group of each known process (see validateProcess in utils/sanitize.js)
+ */
+const PROCESS_GROUPS = {
+    'washed': 'washed',
+    'wet hulled': 'washed',
+    'semi-washed': 'washed',
+    'nitro washed': 'washed',
+    'honey': 'honey',
+    'pulped natural': 'honey',
+    'natural': 'natural',
+    'anaerobic': 'anaerobic',
+    'anaerobic natural': 'anaerobic',
+    'anaerobic washed': 'anaerobic',
+    'carbonic maceration': 'anaerobic',
+    'yeast inoculated natural': 'anaerobic',
+    'extended fermentation': 'anaerobic'
+};
+
+const WINDOW_KEYS = ['restDays', 'peakDays', 'staleDays'];
+
+/**
+ * Process group of a process name (unknown processes count as washed)
+ */
+export function getProcessGroup(process) {
+    return PROCESS_GROUPS[String(process || '').toLowerCase()] || 'washed';
+}
+
+/**
+ * Validate a user's freshness overrides
+ * Shape: { defaultMethod, methods: { filter: { restDays, peakDays, staleDays } },
+ *          processes: { natural: { restDays, peakDays, staleDays } } }
+ * Method windows are absolute days, process entries are offsets; every part is optional.
+ * @returns {{ settings?: Object, error?: string }}
+ */
+export function validateFreshnessSettings(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Freshness settings must be an object' };
+    }
+
+    const settings = {};
+
+    if (input.defaultMethod !== undefined && input.defaultMethod !== null) {
+        if (!FRESHNESS_METHODS.includes(input.defaultMethod)) {
+            return { error: `defaultMethod must be one of: ${FRESHNESS_METHODS.join(', ')}` };
+        }
+        settings.defaultMethod = input.defaultMethod;
+    }
+
+    const sections = [
+        ['methods', FRESHNESS_METHODS, { min: 0, max: 365 }],
+        ['processes', Object.keys(DEFAULT_PROCESS_OFFSETS), { min: -60, max: 120 }]
+    ];
+
+    for (const [section, allowed, { min, max }] of sections) {
+        if (input[section] === undefined || input[section] === null) continue;
+        if (typeof input[section] !== 'object' || Array.isArray(input[section])) {
+            return { error: `${section} must be an object` };
+        }
+
+        for (const [name, values] of Object.entries(input[section])) {
+            if (!allowed.includes(name)) {
+                return { error: `Unknown ${section === 'methods' ? 'method' : 'process group'} '${name}' (allowed: ${allowed.join(', ')})` };
+            }
+            if (values === null) continue;
+
+            const cleaned = {};
+            for (const key of WINDOW_KEYS) {
+                if (values?.[key] === undefined || values[key] === null) continue;
+                const days = Number(values[key]);
+                if (!Number.isInteger(days) || days < min || days > max) {
+                    return { error: `${section}.${name}.${key} must be a whole number between ${min} and ${max}` };
+                }
+                cleaned[key] = days;
+            }
+
+            if (section === 'methods') {
+                const window = { ...DEFAULT_METHOD_WINDOWS[name], ...cleaned };
+                if (!(window.restDays < window.peakDays && window.peakDays < window.staleDays)) {
+                    return { error: `methods.${name} must satisfy restDays < peakDays < staleDays` };
+                }
+            }
+
+            if (Object.keys(cleaned).length > 0) {
+                settings[section] = { ...settings[section], [name]: cleaned };
+            }
+        }
+    }
+
+    return { settings };
+}
+
+/**
+ * Merge a user's overrides with the defaults
+ * @param {Object|null} overrides - Validated settings (users.freshness_settings)
+ * @returns {{ defaultMethod: string, methods: Object, processes: Object }}
+ */
+export function resolveFreshnessSettings(overrides) {
+    const settings = overrides || {};
+    const merge = (defaults, custom = {}) => Object.fromEntries(
+        Object.entries(defaults).map(([name, values]) => [name, { ...values, ...custom[name] }])
+    );
+
+    return {
+        defaultMethod: settings.defaultMethod || 'filter',
+        methods: merge(DEFAULT_METHOD_WINDOWS, settings.methods),
+        processes: merge(DEFAULT_PROCESS_OFFSETS, settings.processes)
+    };
+}
+
+/**
+ * Window of a coffee for a method: method window shifted by the process offset
+ * Kept in order (rest ≥ 0, each boundary at least a day after the previous one)
+ */
+export function getFreshnessWindow(resolved, method, process) {
+    const base = resolved.methods[method] || resolved.methods[resolved.defaultMethod];
+    const offset = resolved.processes[getProcessGroup(process)];
+
+    const restDays = Math.max(0, base.restDays + offset.restDays);
+    const peakDays = Math.max(restDays + 1, base.peakDays + offset.peakDays);
+    const staleDays = Math.max(peakDays + 1, base.staleDays + offset.staleDays);
+    return { restDays, peakDays, staleDays };
+}
+
+/**
+ * Helper: Parse a roast date (YYYY-MM-DD) as a UTC day
+ * @returns {number|null} - Milliseconds at UTC midnight
+ */
+function parseRoastDay(roastDate) {
+    const match = String(roastDate || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    const day = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isNaN(day) ? null : day;
+}
+
+const isoDay = (ms) => new Date(ms).toISOString().substring(0, 10);
+
+/**
+ * Freshness of a coffee
+ * @param {Object} coffee - Coffee with roastDate and process
+ * @param {Object} resolved - From resolveFreshnessSettings
+ * @param {Object} options - { method (defaults to the user's), today: Date }
+ * @returns {Object|null} - null without a valid roast date
+ */
+export function getFreshness(coffee, resolved, { method, today = new Date() } = {}) {
+    const roastDay = parseRoastDay(coffee.roastDate);
+    if (roastDay === null) return null;
+
+    const brewMethod = FRESHNESS_METHODS.includes(method) ? method : resolved.defaultMethod;
+    const window = getFreshnessWindow(resolved, brewMethod, coffee.process);
+    const todayDay = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+    const daysOffRoast = Math.round((todayDay - roastDay) / DAY_MS);
+
+    const state = daysOffRoast < window.restDays ? 'resting'
+        : daysOffRoast < window.peakDays ? 'peak'
+        : daysOffRoast < window.staleDays ? 'fading'
+        : 'stale';
+
+    return {
+        daysOffRoast,
+        state,
+        method: brewMethod,
+        window,
+        peakFrom: isoDay(roastDay + window.restDays * DAY_MS),
+        peakUntil: isoDay(roastDay + (window.peakDays - 1) * DAY_MS),
+        daysUntilPeak: Math.max(0, window.restDays - daysOffRoast),
+        peakDaysLeft: state === 'peak' ? window.peakDays - daysOffRoast : 0
+    };
+}
+
+/**
+ * Group coffees by how their peak window changes in the next days
+ * @param {Array<Object>} coffees - API coffees with a freshness object
+ * @param {number} days - Look-ahead in days
+ * @returns {{ brewNow: Array, enteringPeak: Array, leavingPeak: Array }}
+ * - brewNow: in peak, the ones leaving soonest first
+ */
+export function getPeakOutlook(coffees, days) {
+    const withFreshness = coffees.filter(coffee => coffee.freshness);
+    const inPeak = withFreshness
+        .filter(coffee => coffee.freshness.state === 'peak')
+        .sort((a, b) => a.freshness.peakDaysLeft - b.freshness.peakDaysLeft);
+
+    return {
+        brewNow: inPeak,
+        enteringPeak: withFreshness
+            .filter(coffee => coffee.freshness.state === 'resting' && coffee.freshness.daysUntilPeak <= days)
+            .sort((a, b) => a.freshness.daysUntilPeak - b.freshness.daysUntilPeak),
+        leavingPeak: inPeak.filter(coffee => coffee.freshness.peakDaysLeft <= days)
+    };
+}
@@ -0,0 +1,302 @@
+// ==========================================
+// GRINDER CATALOG
+// ==========================================
+//
+// Every grinder maps its dial onto a grinder-neutral micron scale
+// (approximate particle size), so recipes and grind settings can be moved
+// between grinders. A dial position is a step from 0 (min, finest) up to
+// (max - min) / step. Built-in grinders are seeded into the grinders table;
+// users can add their own.
+// ==========================================
+
+import { stripHTML } from './sanitize.js';
+
+/**
+ * How a grinder's dial is read
+ * clicks: counted clicks ("22 clicks")
+ * numbers: printed numbers, at any step (0.5 → "3.5"); with subdivisions (2-10) unnumbered
+ *          marks between them, counted after the dot ("4", "4.1", "4.2" on the Ode)
+ * rotations: clicks counted in full turns of subdivisions clicks ("1 rotation + 12 clicks")
+ */
+export const GRINDER_SCALE_TYPES = ['clicks', 'numbers', 'rotations'];
+
+export const DEFAULT_GRINDER = 'fellow';
+
+export const MAX_CUSTOM_GRINDERS = 20;
+
+export const MAX_GRINDER_STEPS = 1000;
+
+/**
+ * Built-in grinders, seeded into the catalog on startup
+ * Micron values are approximations for the filter range.
+ */
+export const BUILTIN_GRINDERS = [
+    { key: 'fellow', name: 'Fellow Ode Gen 2', scale: 'numbers', min: 1, max: 11, step: 1 / 3, subdivisions: 3, micronsAtMin: 250, micronsPerStep: 45 },
+    { key: 'comandante', name: 'Comandante C40 MK3', scale: 'clicks', min: 0, max: 40, step: 1, subdivisions: null, micronsAtMin: 0, micronsPerStep: 30 },
+    { key: 'timemore', name: 'Timemore C2', scale: 'clicks', min: 0, max: 36, step: 1, subdivisions: null, micronsAtMin: 0, micronsPerStep: 40 },
+    { key: '1zpresso-jx-pro', name: '1Zpresso JX-Pro', scale: 'rotations', min: 0, max: 160, step: 1, subdivisions: 40, micronsAtMin: 0, micronsPerStep: 12.5 },
+    { key: 'baratza-encore', name: 'Baratza Encore', scale: 'numbers', min: 0, max: 40, step: 1, subdivisions: null, micronsAtMin: 230, micronsPerStep: 26 }
+];
+
+/**
+ * Built-in grinder by key (the default one for unknown keys)
+ */
+export function getBuiltinGrinder(key) {
+    return BUILTIN_GRINDERS.find(grinder => grinder.key === key)
+        || BUILTIN_GRINDERS.find(grinder => grinder.key === DEFAULT_GRINDER);
+}
+
+/**
+ * Number of steps from the finest to the coarsest setting
+ */
+export function getStepCount(grinder) {
+    return Math.round((grinder.max - grinder.min) / grinder.step);
+}
+
+/**
+ * Helper: Decimals needed to print multiples of a step (0.5 → 1)
+ */
+function stepDecimals(step) {
+    for (let decimals = 0; decimals < 4; decimals++) {
+        if (Math.abs(Math.round(step * 10 ** decimals) - step * 10 ** decimals) < 1e-9) return decimals;
+    }
+    return 4;
+}
+
+/**
+ * Label of a dial position, as printed on the grinder
+ */
+export function formatGrindStep(grinder, step) {
+    const value = grinder.min + step * grinder.step;
+
+    if (grinder.scale === 'rotations') {
+        const clicks = Math.round(value);
+        const rotations = Math.floor(clicks / grinder.subdivisions);
+        return `${rotations} rotation${rotations === 1 ? '' : 's'} + ${clicks % grinder.subdivisions} clicks`;
+    }
+
+    if (grinder.scale === 'numbers' && grinder.subdivisions > 1) {
+        const positions = Math.round(value * grinder.subdivisions);
+        const number = Math.floor(positions / grinder.subdivisions);
+        const mark = positions % grinder.subdivisions;
+        return mark === 0 ? String(number) : `${number}.${mark}`;
+    }
+
+    const label = value.toFixed(stepDecimals(grinder.step));
+    return grinder.scale === 'clicks' ? `${label} clicks` : label;
+}
+
+/**
+ * Particle size of a dial position
+ */
+export function stepToMicrons(grinder, step) {
+    return Math.round((grinder.micronsAtMin + step * grinder.micronsPerStep) * 10) / 10;
+}
+
+/**
+ * Nearest dial position of a grinder for a particle size
+ * @param {number} offset - Steps added after rounding (e.g. the coffee's grindOffset)
+ * @returns {{ step: number, setting: string, microns: number }} - microns of the chosen step
+ */
+export function micronsToGrindSetting(grinder, microns, offset = 0) {
+    const nearest = Math.round((microns - grinder.micronsAtMin) / grinder.micronsPerStep) + offset;
+    const step = Math.min(getStepCount(grinder), Math.max(0, nearest));
+
+    return {
+        step,
+        setting: formatGrindStep(grinder, step),
+        microns: stepToMicrons(grinder, step)
+    };
+}
+
+/**
+ * Validate a grinder definition from a request
+ * For numbers with subdivisions the step is 1 / subdivisions; rotations
+ * count single clicks and need subdivisions (clicks per rotation).
+ * @returns {{ grinder?: Object, error?: string }} - grinder without key
+ */
+export function validateGrinderDefinition(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Grinder data required' };
+    }
+
+    const name = typeof input.name === 'string' ? stripHTML(input.name).trim() : '';
+    if (!name || name.length > 50) {
+        return { error: 'name required (max 50 characters)' };
+    }
+
+    if (!GRINDER_SCALE_TYPES.includes(input.scale)) {
+        return { error: `scale must be one of: ${GRINDER_SCALE_TYPES.join(', ')}` };
+    }
+
+    const numbers = {};
+    for (const field of ['min', 'max', 'micronsAtMin', 'micronsPerStep']) {
+        const value = Number(input[field]);
+        if (input[field] === null || input[field] === '' || !Number.isFinite(value)) {
+            return { error: `${field} must be a number` };
+        }
+        numbers[field] = value;
+    }
+
+    let subdivisions = null;
+    if (input.subdivisions !== undefined && input.subdivisions !== null) {
+        subdivisions = Number(input.subdivisions);
+        const maxSubdivisions = input.scale === 'numbers' ? 10 : 200;
+        if (!Number.isInteger(subdivisions) || subdivisions < 2 || subdivisions > maxSubdivisions) {
+            return { error: `subdivisions must be a whole number between 2 and ${maxSubdivisions}` };
+        }
+    }
+    if (input.scale === 'rotations' && subdivisions === null) {
+        return { error: 'rotations need subdivisions (clicks per rotation)' };
+    }
+
+    let step;
+    if (input.scale === 'rotations') {
+        step = 1;
+    } else if (input.scale === 'numbers' && subdivisions !== null) {
+        step = 1 / subdivisions;
+    } else {
+        step = input.step === undefined ? 1 : Number(input.step);
+        if (!Number.isFinite(step) || step <= 0) {
+            return { error: 'step must be a number above 0' };
+        }
+    }
+
+    if (numbers.max <= numbers.min) {
+        return { error: 'max must be above min' };
+    }
+    const steps = (numbers.max - numbers.min) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6 || Math.round(steps) > MAX_GRINDER_STEPS) {
+        return { error: `max - min must be a whole number of steps (at most ${MAX_GRINDER_STEPS})` };
+    }
+    if (numbers.micronsAtMin < 0 || numbers.micronsAtMin > 3000) {
+        return { error: 'micronsAtMin must be between 0 and 3000' };
+    }
+    if (numbers.micronsPerStep <= 0 || numbers.micronsPerStep > 500) {
+        return { error: 'micronsPerStep must be above 0 and at most 500' };
+    }
+
+    return {
+        grinder: {
+            name,
+            scale: input.scale,
+            min: numbers.min,
+            max: numbers.max,
+            step,
+            subdivisions: input.scale === 'clicks' ? null : subdivisions,
+            micronsAtMin: numbers.micronsAtMin,
+            micronsPerStep: numbers.micronsPerStep
+        }
+    };
+}
+
+/**
+ * Hours a grind conversion of the stored coffees can be undone
+ */
+export const GRIND_CONVERSION_UNDO_HOURS = 24;
+
+/**
+ * Dial position of a setting written for a grinder
+ * Accepts the setting value or its label as printed by formatGrindStep ("4.1" on
+ * the Ode, "22 clicks", "1 rotation + 12 clicks"); values between positions snap
+ * to the nearest one.
+ * @returns {{ step?: number, error?: string }}
+ */
+export function parseGrindSetting(grinder, setting) {
+    const text = typeof setting === 'number' || typeof setting === 'string' 
+        ? String(setting).trim().toLowerCase() 
+        : '';
+    const invalid = { error: `setting is not a ${grinder.name} setting` };
+    let value;
+
+    const rotations = text.match(/^(\d+)\s*rotations?\s*\+?\s*(\d+)\s*clicks?$/);
+    const plain = text.match(/^(\d+)(?:[.,](\d+))?(?:\s*clicks?)?$/);
+
+    if (grinder.scale === 'rotations' && rotations) {
+        value = Number(rotations[1]) * grinder.subdivisions + Number(rotations[2]);
+    } else if (plain && grinder.scale === 'numbers' && grinder.subdivisions > 1) {
+        const mark = Number(plain[2] || 0);
+        if (mark >= grinder.subdivisions) return invalid;
+        value = Number(plain[1]) + mark / grinder.subdivisions;
+    } else if (plain) {
+        value = parseFloat(`${plain[1]}.${plain[2] || 0}`);
+    } else {
+        return invalid;
+    }
+
+    const step = Math.round((value - grinder.min) / grinder.step);
+    if (step < 0 || step > getStepCount(grinder)) {
+        return { error: `setting is outside the range of the ${grinder.name}` };
+    }
+    return { step };
+}
+
+/**
+ * Translate a grind setting from one grinder to another through the micron scale
+ * @returns {{ from?: Object, to?: Object, outOfRange?: boolean, error?: string }} - outOfRange
+ * if the other grinder cannot go that fine or coarse and its closest setting is used
+ */
+export function convertGrindSetting(from, to, setting) {
+    const { step, error } = parseGrindSetting(from, setting);
+    if (error) return { error };
+
+    const microns = stepToMicrons(from, step);
+    const exact = (microns - to.micronsAtMin) / to.micronsPerStep;
+    const converted = micronsToGrindSetting(to, microns);
+
+    return {
+        from: { grinder: from.key, setting: formatGrindStep(from, step), step, microns },
+        to: { grinder: to.key, ...converted },
+        outOfRange: exact < -0.5 || exact > getStepCount(to) + 0.5
+    };
+}
+
+/**
+ * Translate an offset in dial positions (e.g. grindOffset) to another grinder
+ */
+export function convertGrindOffset(from, to, offset) {
+    return Math.round(offset * from.micronsPerStep / to.micronsPerStep);
+}
+
+/**
+ * New grind fields of a stored coffee for another grinder
+ * initialGrind is a setting of the old grinder; grindOffset, also per brew method
+ * (methods.<method>.grindOffset), counts its positions.
+ * @returns {{ changes: Object, unparsed: boolean }|null} - null if the coffee has no
+ * grind fields; unparsed if initialGrind could not be read and stays as it is
+ */
+export function convertCoffeeGrind(coffee, from, to) {
+    const hasSetting = typeof coffee.initialGrind === 'string' && coffee.initialGrind.trim() !== '';
+    const hasOffset = typeof coffee.grindOffset === 'number' && coffee.grindOffset !== 0;
+    const methodOffsets = Object.entries(coffee.methods || {})
+        .filter(([, values]) => typeof values?.grindOffset === 'number' && values.grindOffset !== 0);
+    if (!hasSetting && !hasOffset && methodOffsets.length === 0) return null;
+
+    const changes = {};
+    let unparsed = false;
+
+    if (hasSetting) {
+        const converted = convertGrindSetting(from, to, coffee.initialGrind);
+        if (converted.error) {
+            unparsed = true;
+        } else if (converted.to.setting !== coffee.initialGrind) {
+            changes.initialGrind = converted.to.setting;
+        }
+    }
+
+    if (hasOffset) {
+        const offset = convertGrindOffset(from, to, coffee.grindOffset);
+        if (offset !== coffee.grindOffset) changes.grindOffset = offset;
+    }
+
+    const methods = { ...coffee.methods };
+    for (const [method, values] of methodOffsets) {
+        const offset = convertGrindOffset(from, to, values.grindOffset);
+        if (offset !== values.grindOffset) methods[method] = { ...values, grindOffset: offset };
+    }
+    if (methodOffsets.some(([method, values]) => methods[method] !== values)) {
+        changes.methods = methods;
+    }
+
+    return { changes, unparsed };
+}
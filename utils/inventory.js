@@ -0,0 +1,114 @@
+// ==========================================
+// BEAN INVENTORY
+// ==========================================
+
+import { parseTimestamp } from './compost.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Coffees below this many grams count as low on stock unless they set their own threshold
+ */
+export const DEFAULT_LOW_STOCK_GRAMS = 50;
+
+/**
+ * Days of usage the run-out projection is based on
+ */
+export const USAGE_WINDOW_DAYS = 14;
+
+export const INVENTORY_EVENT_TYPES = ['brew', 'consume', 'adjust'];
+
+export const MAX_BAG_GRAMS = 10000;
+
+/**
+ * Validate a gram amount from a request
+ * @param {Object} options - { allowNegative, allowZero }
+ * @returns {{ grams?: number, error?: string }}
+ */
+export function parseGrams(value, field, { allowNegative = false, allowZero = false } = {}) {
+    const grams = Number(value);
+    const min = allowNegative ? -MAX_BAG_GRAMS : 0;
+
+    if (value === null || value === '' || !Number.isFinite(grams) || grams < min || grams > MAX_BAG_GRAMS 
+        || (!allowZero && grams === 0)) {
+        return { error: `${field} must be a number of grams${allowNegative ? '' : ' above 0'} (max ${MAX_BAG_GRAMS})` };
+    }
+    return { grams };
+}
+
+/**
+ * Fill in inventory fields of a new coffee
+ * A bag weight without remaining grams means a full bag.
+ */
+export function applyInventoryDefaults(coffee) {
+    if (coffee.bagWeight > 0 && (coffee.remainingGrams === undefined || coffee.remainingGrams === null)) {
+        return { ...coffee, remainingGrams: coffee.bagWeight };
+    }
+    return coffee;
+}
+
+/**
+ * Whether a coffee is low on beans
+ */
+export function isLowStock(coffee) {
+    if (typeof coffee.remainingGrams !== 'number') return false;
+    const threshold = typeof coffee.lowStockThreshold === 'number' ? coffee.lowStockThreshold : DEFAULT_LOW_STOCK_GRAMS;
+    return coffee.remainingGrams <= threshold;
+}
+
+/**
+ * Project when a coffee runs out at its recent usage
+ * Usage is averaged over the window, or over the coffee's lifetime if it is newer.
+ * @param {Object} coffee - API coffee (remainingGrams, savedAt)
+ * @param {number} usedGrams - Grams used within the window
+ * @param {Date} now - Reference time
+ * @returns {{ dailyUsage: number|null, daysLeft: number|null, runOutDate: string|null }}
+ */
+export function projectRunOut(coffee, usedGrams, now = new Date()) {
+    const savedAt = parseTimestamp(coffee.savedAt);
+    const ageDays = savedAt ? (now - savedAt) / DAY_MS : USAGE_WINDOW_DAYS;
+    const days = Math.min(USAGE_WINDOW_DAYS, Math.max(1, ageDays));
+
+    if (!usedGrams || usedGrams <= 0 || typeof coffee.remainingGrams !== 'number') {
+        return { dailyUsage: null, daysLeft: null, runOutDate: null };
+    }
+
+    const dailyUsage = Math.round((usedGrams / days) * 10) / 10;
+    const daysLeft = Math.floor(coffee.remainingGrams / (usedGrams / days));
+    return {
+        dailyUsage,
+        daysLeft,
+        runOutDate: new Date(now.getTime() + daysLeft * DAY_MS).toISOString().substring(0, 10)
+    };
+}
+
+/**
+ * Inventory summary of coffees that track their beans
+ * @param {Array<Object>} coffees - API coffees
+ * @param {Map<number, number>} usage - Coffee ID → grams used in the window
+ * @returns {{ coffees: Array, totals: Object }} - runs out soonest first, coffees without usage last
+ */
+export function summarizeInventory(coffees, usage, now = new Date()) {
+    const tracked = coffees
+        .filter(coffee => typeof coffee.remainingGrams === 'number')
+        .map(coffee => ({
+            id: coffee.id,
+            name: coffee.name || null,
+            roaster: coffee.roaster || null,
+            bagWeight: coffee.bagWeight ?? null,
+            remainingGrams: coffee.remainingGrams,
+            lowStockThreshold: coffee.lowStockThreshold ?? DEFAULT_LOW_STOCK_GRAMS,
+            lowStock: isLowStock(coffee),
+            ...projectRunOut(coffee, usage.get(coffee.id), now)
+        }))
+        .sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.remainingGrams - b.remainingGrams);
+
+    return {
+        coffees: tracked,
+        totals: {
+            coffees: tracked.length,
+            remainingGrams: Math.round(tracked.reduce((sum, coffee) => sum + coffee.remainingGrams, 0) * 10) / 10,
+            lowStock: tracked.filter(coffee => coffee.lowStock).length
+        }
+    };
+}
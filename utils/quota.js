@@ -0,0 +1,99 @@
+// ==========================================
+// AI ANALYSIS QUOTA UTILITIES
+// ==========================================
+
+/**
+ * Read a limit from the environment; 0 is a valid limit, unset or
+ * non-numeric values fall back to the default
+ */
+function envLimit(value, fallback) {
+    const limit = parseInt(value ?? '', 10);
+    return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+}
+
+/**
+ * Default AI analysis limits per plan (null = unlimited)
+ * The free tier can be tuned with AI_DAILY_LIMIT / AI_MONTHLY_LIMIT
+ */
+export function getPlanLimits() {
+    return {
+        free: {
+            daily: envLimit(process.env.AI_DAILY_LIMIT, 10),
+            monthly: envLimit(process.env.AI_MONTHLY_LIMIT, 100)
+        },
+        pro: { daily: 50, monthly: 1000 },
+        unlimited: { daily: null, monthly: null }
+    };
+}
+
+export const PLANS = ['free', 'pro', 'unlimited'];
+
+/**
+ * Resolve the effective limits for a user
+ * Per-account overrides win over the plan defaults
+ * @param {Object} settings - { plan, ai_daily_limit, ai_monthly_limit }
+ * @returns {{ plan: string, daily: number|null, monthly: number|null }}
+ */
+export function resolveLimits(settings = {}) {
+    const plans = getPlanLimits();
+    const plan = plans[settings.plan] ? settings.plan : 'free';
+    const defaults = plans[plan];
+
+    const override = (value) => (value === null || value === undefined ? undefined : parseInt(value, 10));
+
+    return {
+        plan,
+        daily: override(settings.ai_daily_limit) ?? defaults.daily,
+        monthly: override(settings.ai_monthly_limit) ?? defaults.monthly
+    };
+}
+
+/**
+ * Start and reset times of the current quota periods (UTC)
+ * @param {Date} now - Reference time
+ * @returns {{ dayStart: Date, dayReset: Date, monthStart: Date, monthReset: Date }}
+ */
+export function getQuotaPeriods(now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+
+    return {
+        dayStart: new Date(Date.UTC(year, month, day)),
+        dayReset: new Date(Date.UTC(year, month, day + 1)),
+        monthStart: new Date(Date.UTC(year, month, 1)),
+        monthReset: new Date(Date.UTC(year, month + 1, 1))
+    };
+}
+
+/**
+ * Combine limits and usage into a quota status
+ * @param {Object} limits - Result of resolveLimits()
+ * @param {{ daily: number, monthly: number }} usage - Analyses used in the current periods
+ * @param {Date} now - Reference time
+ * @returns {Object} - Quota status with remaining counts and reset times
+ */
+export function buildQuotaStatus(limits, usage, now = new Date()) {
+    const periods = getQuotaPeriods(now);
+    const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+    const daily = {
+        limit: limits.daily,
+        used: usage.daily,
+        remaining: remaining(limits.daily, usage.daily),
+        resetsAt: periods.dayReset.toISOString()
+    };
+    const monthly = {
+        limit: limits.monthly,
+        used: usage.monthly,
+        remaining: remaining(limits.monthly, usage.monthly),
+        resetsAt: periods.monthReset.toISOString()
+    };
+
+    return {
+        plan: limits.plan,
+        daily,
+        monthly,
+        exceeded: daily.remaining === 0 || monthly.remaining === 0
+    };
+}
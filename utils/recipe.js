@@ -0,0 +1,268 @@
+// ==========================================
+// BREW RECIPE ENGINE
+// ==========================================
+//
+// Computes a starting recipe for a coffee and brew method. Every rule is a
+// fixed adjustment of the method's base recipe, so the same coffee and
+// settings always give the same recipe. The coffee's own overrides
+// (customAmount, customTemp, grindOffset) win over the rules.
+// ==========================================
+
+import { getProcessGroup } from './freshness.js';
+import { micronsToGrindSetting, getBuiltinGrinder, DEFAULT_GRINDER } from './grinders.js';
+import { BREW_METHODS, DEFAULT_BREW_METHOD, getCoffeeMethodValues } from './brewMethods.js';
+import { parseAltitude } from './stats.js';
+
+/**
+ * Recipe before any adjustment (one cup, V60-style)
+ * Rule adjustments are written for it and scaled to other methods' grind and ratio.
+ */
+export const BASE_RECIPE = {
+    dose: 15,
+    ratio: 16,
+    temperature: 94,
+    microns: 700,
+    bloomRatio: 2,
+    bloomSeconds: 45,
+    pourInterval: 45,
+    targetSeconds: 180
+};
+
+/**
+ * Coffee temperature overrides may lie this far below the method's range
+ */
+const OVERRIDE_TEMPERATURE_MARGIN = 15;
+
+/**
+ * Adjustments per process group
+ * Fermented coffees extract easily: cooler, coarser and a little longer ratio.
+ */
+const PROCESS_RULES = {
+    washed: {},
+    honey: { temperature: -1, microns: 15 },
+    natural: { temperature: -1, microns: 25, ratio: 0.5 },
+    anaerobic: { temperature: -2, microns: 50, ratio: 1 }
+};
+
+/**
+ * Adjustments by altitude: dense high-grown beans need more energy
+ */
+const ALTITUDE_RULES = [
+    { reason: 'high-grown (1800 m and above)', test: meters => meters >= 1800, temperature: 1, microns: -50 },
+    { reason: 'low-grown (below 1200 m)', test: meters => meters < 1200, temperature: -1, microns: 50 }
+];
+
+/**
+ * Adjustments by roast freshness (see utils/freshness.js)
+ * Resting coffee still degasses and needs a longer bloom; older coffee a finer grind.
+ */
+const FRESHNESS_RULES = {
+    resting: { temperature: -1, bloomRatio: 1, bloomSeconds: 15 },
+    fading: { temperature: 1, microns: -25 },
+    stale: { temperature: 2, microns: -50 }
+};
+
+/**
+ * Adjustments by water hardness (°dH)
+ * Hard water extracts more and gets a coarser grind; soft water a finer one.
+ */
+const WATER_RULES = [
+    { reason: 'hard water (above 14 °dH)', test: hardness => hardness > 14, microns: 30 },
+    { reason: 'soft water (below 4 °dH)', test: hardness => hardness < 4, microns: -30 }
+];
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Helper: A number from a coffee field, or null ("93 °C" → 93)
+ */
+function readNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const match = String(value ?? '').match(/-?\d+(?:[.,]\d+)?/);
+    return match ? parseFloat(match[0].replace(',', '.')) : null;
+}
+
+/**
+ * Helper: Catalog entry of a method (the default method for unknown keys)
+ */
+function getMethod(method) {
+    return BREW_METHODS[method] || BREW_METHODS[DEFAULT_BREW_METHOD];
+}
+
+/**
+ * The coffee's own overrides for a method, ignoring values out of range
+ * @returns {{ dose?: number, temperature?: number, grindOffset?: number }}
+ */
+export function readRecipeOverrides(coffee, method = DEFAULT_BREW_METHOD) {
+    const { dose: doseRange, temperature: temperatureRange } = getMethod(method);
+    const values = getCoffeeMethodValues(coffee, BREW_METHODS[method] ? method : DEFAULT_BREW_METHOD);
+    const overrides = {};
+
+    const dose = readNumber(values.customAmount);
+    if (dose !== null && dose >= doseRange.min && dose <= doseRange.max) {
+        overrides.dose = round(dose, 1);
+    }
+
+    const temperature = readNumber(values.customTemp);
+    if (temperature !== null && temperature >= Math.max(0, temperatureRange.min - OVERRIDE_TEMPERATURE_MARGIN) && temperature <= 100) {
+        overrides.temperature = round(temperature);
+    }
+
+    const grindOffset = readNumber(values.grindOffset);
+    if (grindOffset !== null && grindOffset !== 0) {
+        overrides.grindOffset = Math.round(grindOffset);
+    }
+
+    return overrides;
+}
+
+/**
+ * Helper: A rule's changes for a method
+ * Microns and ratio scale with the method's grind and ratio; bloom changes only
+ * apply to pour-over methods.
+ */
+function scaleChanges(changes, method) {
+    const scaled = {};
+    for (const [field, value] of Object.entries(changes || {})) {
+        if (field === 'microns') {
+            scaled.microns = Math.round(value * method.grind.default / BASE_RECIPE.microns);
+        } else if (field === 'ratio') {
+            scaled.ratio = round(value * method.ratio.default / BASE_RECIPE.ratio, 1);
+        } else if (method.style === 'pour-over' || !field.startsWith('bloom')) {
+            scaled[field] = value;
+        }
+    }
+    return Object.fromEntries(Object.entries(scaled).filter(([, value]) => value !== 0));
+}
+
+/**
+ * Rules that apply to a coffee, in the order they are applied
+ * @param {Object} context - { waterHardness (°dH), freshness (from getFreshness), method (catalog key) }
+ * @returns {Array<{ rule: string, reason: string, temperature?, microns?, ratio?, bloomRatio?, bloomSeconds? }>}
+ */
+export function getRecipeAdjustments(coffee, { waterHardness = null, freshness = null, method = DEFAULT_BREW_METHOD } = {}) {
+    const brewMethod = getMethod(method);
+    const adjustments = [];
+    const add = (rule, reason, changes) => {
+        const scaled = scaleChanges(changes, brewMethod);
+        if (Object.keys(scaled).length > 0) adjustments.push({ rule, reason, ...scaled });
+    };
+
+    const group = getProcessGroup(coffee.process);
+    add('process', group, PROCESS_RULES[group]);
+
+    const meters = parseAltitude(coffee.altitude);
+    const altitudeRule = meters !== null && ALTITUDE_RULES.find(rule => rule.test(meters));
+    if (altitudeRule) {
+        const { reason, test, ...changes } = altitudeRule;
+        add('altitude', reason, changes);
+    }
+
+    if (freshness?.state) {
+        add('freshness', `${freshness.state} (${freshness.daysOffRoast} days off roast)`, FRESHNESS_RULES[freshness.state]);
+    }
+
+    const waterRule = typeof waterHardness === 'number' && WATER_RULES.find(rule => rule.test(waterHardness));
+    if (waterRule) {
+        const { reason, test, ...changes } = waterRule;
+        add('water', reason, changes);
+    }
+
+    return adjustments;
+}
+
+/**
+ * Bloom and pour steps
+ * Bloom, then the rest of the water in two equal pours.
+ * @returns {Array<{ type: 'bloom'|'pour', at: number, water: number, totalWater: number }>} - at in seconds
+ */
+export function buildPourSteps(dose, water, bloomRatio, bloomSeconds, pourInterval = BASE_RECIPE.pourInterval) {
+    const bloomWater = Math.min(water, Math.round(dose * bloomRatio));
+    const firstPour = Math.round((water - bloomWater) / 2);
+
+    return [
+        { type: 'bloom', at: 0, water: bloomWater, totalWater: bloomWater },
+        { type: 'pour', at: bloomSeconds, water: firstPour, totalWater: bloomWater + firstPour },
+        { type: 'pour', at: bloomSeconds + pourInterval, water: water - bloomWater - firstPour, totalWater: water }
+    ];
+}
+
+/**
+ * Steps of immersion and espresso brews
+ * Immersion: all water at once, then press or strain at the end; espresso: one shot.
+ * @returns {Array<{ type: 'pour'|'press'|'strain'|'shot', at: number, water: number, totalWater: number }>}
+ */
+export function buildBrewSteps(method, water) {
+    if (method.style === 'espresso') {
+        return [{ type: 'shot', at: 0, water, totalWater: water }];
+    }
+    return [
+        { type: 'pour', at: 0, water, totalWater: water },
+        { type: method.finish, at: method.targetSeconds, water: 0, totalWater: water }
+    ];
+}
+
+/**
+ * Compute the starting recipe of a coffee
+ * @param {Object} coffee - API coffee (process, altitude, customAmount, customTemp, grindOffset, methods)
+ * @param {Object} context - { method (see utils/brewMethods.js), preferences (the user's dose, ratio
+ * and temperature for the method), grinder (catalog entry, see utils/grinders.js), waterHardness (°dH),
+ * freshness (from getFreshness) }
+ */
+export function computeRecipe(coffee, { 
+    method = DEFAULT_BREW_METHOD, 
+    preferences = {}, 
+    grinder = getBuiltinGrinder(DEFAULT_GRINDER), 
+    waterHardness = null, 
+    freshness = null 
+} = {}) {
+    const key = BREW_METHODS[method] ? method : DEFAULT_BREW_METHOD;
+    const brewMethod = BREW_METHODS[key];
+    const adjustments = getRecipeAdjustments(coffee, { waterHardness, freshness, method: key });
+    const overrides = readRecipeOverrides(coffee, key);
+
+    const base = {
+        ...BASE_RECIPE,
+        dose: preferences.dose ?? brewMethod.dose.default,
+        ratio: preferences.ratio ?? brewMethod.ratio.default,
+        temperature: preferences.temperature ?? brewMethod.temperature.default,
+        microns: brewMethod.grind.default
+    };
+    const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+    const sum = (field) => adjustments.reduce((total, adjustment) => total + (adjustment[field] || 0), base[field]);
+
+    const dose = overrides.dose ?? base.dose;
+    const ratio = round(clamp(sum('ratio'), brewMethod.ratio), 1);
+    const water = Math.round(dose * ratio);
+    const temperature = overrides.temperature ?? clamp(round(sum('temperature')), brewMethod.temperature);
+    const grind = micronsToGrindSetting(grinder, clamp(sum('microns'), brewMethod.grind), overrides.grindOffset || 0);
+
+    const pourOver = brewMethod.style === 'pour-over';
+    const bloomSeconds = sum('bloomSeconds');
+    const steps = pourOver 
+        ? buildPourSteps(dose, water, sum('bloomRatio'), bloomSeconds) 
+        : buildBrewSteps(brewMethod, water);
+
+    return {
+        method: key,
+        methodName: brewMethod.name,
+        style: brewMethod.style,
+        dose,
+        water,
+        ratio,
+        ratioLabel: `1:${ratio}`,
+        temperature,
+        grind: {
+            grinder: grinder.key,
+            grinderName: grinder.name,
+            setting: grind.setting,
+            step: grind.step,
+            microns: grind.microns
+        },
+        bloom: pourOver ? { water: steps[0].water, seconds: bloomSeconds } : null,
+        steps,
+        targetTime: pourOver ? brewMethod.targetSeconds + bloomSeconds - BASE_RECIPE.bloomSeconds : brewMethod.targetSeconds,
+        adjustments,
+        overrides
+    };
+}
@@ -19,6 +19,9 @@
 // acknowledging that complete XSS prevention requires multiple layers.
 // ==========================================
 
+import { sanitizeCoffeeMethods } from './brewMethods.js';
+import { parseGrams } from './inventory.js';
+
 /**
  * Strip HTML tags from a string
  * Note: This is a basic regex-based approach for defense-in-depth.
@@ -112,6 +115,22 @@ export function validateProcess(process) {
     return 'washed';
 }
 
+/**
+ * Validate an ISO date or timestamp string (YYYY-MM-DD, optionally with time)
+ * @param {*} value - Date value from the client
+ * @returns {string|null} - The value if it is a real date from 1900 on, else null
+ */
+export function validateISODate(value) {
+    if (typeof value !== 'string') return null;
+    if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) return null;
+
+    const [year, month, day] = value.substring(0, 10).split('-').map(Number);
+    const calendarDay = new Date(Date.UTC(year, month - 1, day));
+    if (year < 1900 || calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) return null;
+
+    return Number.isNaN(new Date(value).getTime()) ? null : value;
+}
+
 /**
  * Sanitize a complete coffee data object
  * @param {Object} coffeeData - Raw coffee data
@@ -153,9 +172,15 @@ export function sanitizeCoffeeData(coffeeData) {
         sanitized.altitude = cleanAltitude(coffeeData.altitude);
     }
     
+    // addedDate must be an ISO date; anything else is dropped
+    if (coffeeData.addedDate === null) {
+        sanitized.addedDate = null;
+    } else if (validateISODate(coffeeData.addedDate)) {
+        sanitized.addedDate = coffeeData.addedDate;
+    }
+    
     // Preserve fields that don't need sanitization (dates, IDs, metadata)
     const nonStringFields = [
-        'addedDate',       // ISO date string when coffee was added
         'id',              // Database ID
         'savedAt',         // Backend timestamp
         'createdAt',       // Backend timestamp
@@ -179,5 +204,26 @@ export function sanitizeCoffeeData(coffeeData) {
         }
     }
     
+    // Inventory amounts in grams; invalid amounts are dropped
+    const gramFields = {
+        bagWeight: { allowZero: false },         // Bag size
+        remainingGrams: { allowZero: true },     // Beans left in the bag
+        lowStockThreshold: { allowZero: true }   // Warn below this many grams
+    };
+    for (const [field, options] of Object.entries(gramFields)) {
+        const value = coffeeData[field];
+        if (value === null) {
+            sanitized[field] = null;
+        } else if (typeof value === 'number' || typeof value === 'string') {
+            const { grams } = parseGrams(value, field, options);
+            if (grams !== undefined) sanitized[field] = grams;
+        }
+    }
+    
+    // Per-method customTemp / customAmount / grindOffset (see utils/brewMethods.js)
+    if (coffeeData.methods !== undefined) {
+        sanitized.methods = sanitizeCoffeeMethods(coffeeData.methods, stripHTML);
+    }
+    
     return sanitized;
 }
@@ -0,0 +1,147 @@
+// ==========================================
+// LIBRARY STATISTICS
+// ==========================================
+
+import { parseTimestamp } from './compost.js';
+
+/**
+ * Altitudes outside this range (meters) are treated as typos and left out
+ */
+export const ALTITUDE_RANGE = { min: 1, max: 6000 };
+
+/**
+ * Coffees added before this year or more than a year ahead are treated as typos
+ */
+export const ADDED_MIN_YEAR = 1900;
+
+/**
+ * Most months reported by addedPerMonth (the latest ones)
+ */
+export const MAX_ADDED_MONTHS = 600;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Country of an origin ("Ethiopia, Bench Maji" → "Ethiopia")
+ */
+export function getOriginCountry(origin) {
+    if (typeof origin !== 'string') return null;
+    return origin.split(',')[0].trim() || null;
+}
+
+/**
+ * Cultivars of a coffee ("SL28, SL34" → ["SL28", "SL34"])
+ */
+export function splitCultivars(cultivar) {
+    if (typeof cultivar !== 'string') return [];
+    return cultivar
+        .split(/\s*(?:,|\/|&|\+|\band\b|\bund\b)\s*/i)
+        .map(value => value.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Altitude in meters from the cleaned altitude field
+ * A range ("1700-1900") counts as its midpoint.
+ * @returns {number|null}
+ */
+export function parseAltitude(altitude) {
+    const values = String(altitude ?? '').match(/\d+/g)?.map(Number) || [];
+    if (values.length === 0) return null;
+
+    const meters = values.length === 1 ? values[0] : (values[0] + values[1]) / 2;
+    return meters >= ALTITUDE_RANGE.min && meters <= ALTITUDE_RANGE.max ? meters : null;
+}
+
+/**
+ * Count values case-insensitively
+ * The first spelling seen is the one reported.
+ * @returns {Array<{ value: string, count: number }>} - most common first, then alphabetical
+ */
+export function countBy(values) {
+    const counts = new Map();
+    for (const value of values) {
+        if (typeof value !== 'string' || !value.trim()) continue;
+
+        const key = value.trim().toLowerCase();
+        const entry = counts.get(key) || { value: value.trim(), count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Helper: Months since year 0 of a date (UTC), or null outside the accepted range
+ */
+function monthIndex(value, now) {
+    const date = parseTimestamp(value);
+    if (!date || date.getUTCFullYear() < ADDED_MIN_YEAR) return null;
+    if (date.getTime() > now.getTime() + 365 * 24 * 60 * 60 * 1000) return null;
+    return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+/**
+ * Coffees added per month, including months without coffees
+ * Uses addedDate, or when the coffee was saved without one. Dates before 1900 or
+ * more than a year ahead are ignored; at most MAX_ADDED_MONTHS (the latest) are returned.
+ * @returns {Array<{ month: string, count: number }>} - "YYYY-MM" (UTC), oldest first
+ */
+export function countAddedPerMonth(coffees, now = new Date()) {
+    const counts = new Map();
+    for (const coffee of coffees) {
+        const index = monthIndex(coffee.addedDate, now) ?? monthIndex(coffee.savedAt, now);
+        if (index === null) continue;
+        counts.set(index, (counts.get(index) || 0) + 1);
+    }
+    if (counts.size === 0) return [];
+
+    const indexes = [...counts.keys()].sort((a, b) => a - b);
+    const last = indexes[indexes.length - 1];
+    const first = Math.max(indexes[0], last - MAX_ADDED_MONTHS + 1);
+    const result = [];
+    for (let index = first; index <= last; index++) {
+        const month = `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+        result.push({ month, count: counts.get(index) || 0 });
+    }
+    return result;
+}
+
+/**
+ * Aggregates over a user's coffees
+ * Breakdowns, favorites and altitude cover the library (composted coffees left out);
+ * coffees per month and the composting rate cover every stored coffee.
+ * @param {Array<Object>} coffees - API coffees, including composted ones
+ */
+export function computeLibraryStats(coffees) {
+    const library = coffees.filter(coffee => !coffee.deleted);
+    const composted = coffees.length - library.length;
+    const favorites = library.filter(coffee => coffee.favorite).length;
+    const altitudes = library.map(coffee => parseAltitude(coffee.altitude)).filter(value => value !== null);
+
+    return {
+        totals: {
+            coffees: coffees.length,
+            library: library.length,
+            composted
+        },
+        favorites: {
+            count: favorites,
+            share: library.length ? round(favorites / library.length, 3) : 0
+        },
+        altitude: altitudes.length === 0 
+            ? { average: null, min: null, max: null, coffees: 0 } 
+            : {
+                average: Math.round(altitudes.reduce((sum, value) => sum + value, 0) / altitudes.length),
+                min: Math.min(...altitudes),
+                max: Math.max(...altitudes),
+                coffees: altitudes.length
+            },
+        compostingRate: coffees.length ? round(composted / coffees.length, 3) : 0,
+        byCountry: countBy(library.map(coffee => getOriginCountry(coffee.origin))),
+        byProcess: countBy(library.map(coffee => coffee.process)),
+        byRoaster: countBy(library.map(coffee => coffee.roaster)),
+        byCultivar: countBy(library.flatMap(coffee => splitCultivars(coffee.cultivar))),
+        addedPerMonth: countAddedPerMonth(coffees)
+    };
+}
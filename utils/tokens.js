@@ -0,0 +1,147 @@
+// ==========================================
+// TOKEN UTILITIES
+// ==========================================
+
+import crypto from 'crypto';
+
+/**
+ * Generate a cryptographically strong random token
+ * @param {number} bytes - Number of random bytes (default 32 → 64 hex chars)
+ * @returns {string} - Hex-encoded token
+ */
+export function generateToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Access token lifetime in minutes (default 60)
+ */
+export function getAccessTokenTtlMinutes() {
+    return parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 60;
+}
+
+/**
+ * Refresh token lifetime in days (default 30)
+ */
+export function getRefreshTokenTtlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+}
+
+/**
+ * Generate a new access/refresh token pair with expiry timestamps
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {{ accessToken: string, accessExpiresAt: string, refreshToken: string, refreshExpiresAt: string }}
+ */
+export function generateTokenPair(now = new Date()) {
+    const accessExpiresAt = new Date(now.getTime() + getAccessTokenTtlMinutes() * 60 * 1000);
+    const refreshExpiresAt = new Date(now.getTime() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+
+    return {
+        accessToken: generateToken(),
+        accessExpiresAt: accessExpiresAt.toISOString(),
+        refreshToken: generateToken(),
+        refreshExpiresAt: refreshExpiresAt.toISOString()
+    };
+}
+
+/**
+ * Check whether a stored expiry timestamp lies in the past
+ * @param {string|Date} expiresAt - Expiry timestamp from the database
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {boolean} - True if expired
+ */
+export function isExpired(expiresAt, now = new Date()) {
+    if (!expiresAt) return true;
+    return new Date(expiresAt).getTime() <= now.getTime();
+}
+
+/**
+ * Prefix marking a stored token as a keyed hash
+ * Stored values without it are legacy plaintext tokens
+ */
+export const TOKEN_HASH_PREFIX = 'hmac:';
+
+/**
+ * Secret used to key token hashes (TOKEN_HASH_SECRET)
+ * The built-in fallback is only for development and tests
+ * @throws {Error} - In production when TOKEN_HASH_SECRET is not set
+ */
+export function getTokenHashSecret() {
+    if (process.env.TOKEN_HASH_SECRET) {
+        return process.env.TOKEN_HASH_SECRET;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('TOKEN_HASH_SECRET must be set in production');
+    }
+    return 'brewbuddy-development-token-secret';
+}
+
+/**
+ * Hash a token for storage and lookup (HMAC-SHA256, keyed with TOKEN_HASH_SECRET)
+ * Tokens are high-entropy random values, so a single keyed hash is sufficient;
+ * a slow password hash would make every authenticated request expensive.
+ * @param {string} token - Plaintext token
+ * @returns {string} - Prefixed hex digest
+ */
+export function hashToken(token) {
+    const digest = crypto
+        .createHmac('sha256', getTokenHashSecret())
+        .update(String(token))
+        .digest('hex');
+    return TOKEN_HASH_PREFIX + digest;
+}
+
+/**
+ * Check whether a stored token value is already hashed
+ * @param {string} stored - Value from the database
+ * @returns {boolean}
+ */
+export function isHashedToken(stored) {
+    return typeof stored === 'string' && stored.startsWith(TOKEN_HASH_PREFIX);
+}
+
+/**
+ * Compare a plaintext token against a stored value in constant time
+ * Works for both hashed and legacy plaintext stored values
+ * @param {string} token - Plaintext token from the request
+ * @param {string} stored - Value from the database
+ * @returns {boolean}
+ */
+export function tokenMatches(token, stored) {
+    if (typeof token !== 'string' || typeof stored !== 'string') return false;
+
+    const candidate = Buffer.from(isHashedToken(stored) ? hashToken(token) : token);
+    const expected = Buffer.from(stored);
+
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+/**
+ * Generate one-time recovery codes (format: xxxx-xxxx-xxxx)
+ * Uses an unambiguous alphabet without 0/o, 1/l/i
+ * @param {number} count - Number of codes (default 10)
+ * @returns {string[]} - Plaintext codes, shown to the user once
+ */
+export function generateRecoveryCodes(count = 10) {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    const codes = [];
+
+    for (let i = 0; i < count; i++) {
+        const bytes = crypto.randomBytes(12);
+        const chars = Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+        codes.push(`${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`);
+    }
+
+    return codes;
+}
+
+/**
+ * Normalize a user-entered recovery code before hashing
+ * Case, whitespace and hyphens are ignored
+ * @param {string} code - Code as typed by the user
+ * @returns {string} - Normalized code
+ */
+export function normalizeRecoveryCode(code) {
+    if (typeof code !== 'string') return '';
+    return code.toLowerCase().replace(/[\s-]/g, '');
+}
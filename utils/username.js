@@ -0,0 +1,74 @@
+// ==========================================
+// USERNAME VALIDATION
+// ==========================================
+
+/**
+ * Names that must never be handed out to a regular account because they
+ * could be used to impersonate the service or its staff.
+ * Compared case-insensitively.
+ */
+export const RESERVED_USERNAMES = [
+    'admin',
+    'administrator',
+    'root',
+    'system',
+    'support',
+    'help',
+    'staff',
+    'moderator',
+    'brewbuddy',
+    'official',
+    'api',
+    'null',
+    'undefined',
+    'anonymous',
+    'guest',
+    'test'
+];
+
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 30;
+
+/**
+ * Check whether a username is on the reserved list
+ * @param {string} username - Username to check
+ * @returns {boolean} - True if the name is reserved
+ */
+export function isReservedUsername(username) {
+    if (typeof username !== 'string') return false;
+    return RESERVED_USERNAMES.includes(username.trim().toLowerCase());
+}
+
+/**
+ * Validate a requested username
+ * Allowed: letters, digits, underscore, hyphen and dot; must start with a letter or digit
+ * @param {string} username - Raw username from the request
+ * @returns {{ valid: boolean, username?: string, error?: string }}
+ */
+export function validateUsername(username) {
+    if (typeof username !== 'string' || !username.trim()) {
+        return { valid: false, error: 'Username required' };
+    }
+
+    const trimmed = username.trim();
+
+    if (trimmed.length < USERNAME_MIN_LENGTH || trimmed.length > USERNAME_MAX_LENGTH) {
+        return {
+            valid: false,
+            error: `Username must be ${USERNAME_MIN_LENGTH}-${USERNAME_MAX_LENGTH} characters`
+        };
+    }
+
+    if (!/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(trimmed)) {
+        return {
+            valid: false,
+            error: 'Username may only contain letters, numbers, dots, hyphens and underscores'
+        };
+    }
+
+    if (isReservedUsername(trimmed)) {
+        return { valid: false, error: 'This username is reserved' };
+    }
+
+    return { valid: true, username: trimmed };
+}
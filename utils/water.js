@@ -0,0 +1,234 @@
+// ==========================================
+// WATER CHEMISTRY
+// ==========================================
+//
+// Hardness (GH) and alkalinity (KH) are stored as ppm (mg/L) as CaCO3; calcium,
+// magnesium, sodium and TDS as mg/L. Clients can send GH and KH in any of the
+// hardness units. The single water hardness (°dH) of older clients is the GH.
+// ==========================================
+
+import { stripHTML } from './sanitize.js';
+
+/**
+ * ppm as CaCO3 per unit of each hardness scale
+ * dH: German degrees, fH: French degrees, e: English (Clark) degrees
+ */
+export const HARDNESS_UNITS = {
+    ppm: 1,
+    dH: 17.848,
+    fH: 10,
+    e: 14.254
+};
+
+/**
+ * Limits of the profile values (ppm as CaCO3 for gh/kh, mg/L otherwise)
+ */
+export const WATER_VALUE_LIMITS = {
+    gh: 900,
+    kh: 900,
+    calcium: 400,
+    magnesium: 200,
+    sodium: 400,
+    tds: 2000
+};
+
+export const WATER_FIELDS = Object.keys(WATER_VALUE_LIMITS);
+
+export const MAX_WATER_PROFILES = 20;
+
+/**
+ * Named water presets (approximate published targets)
+ */
+export const WATER_PRESETS = {
+    'sca': { name: 'SCA target', gh: 68, kh: 40, calcium: 27, magnesium: null, sodium: 10, tds: 150 },
+    'third-wave-classic': { name: 'Third Wave Water Classic', gh: 150, kh: 45, calcium: null, magnesium: null, sodium: null, tds: 150 },
+    'rao-perger': { name: 'Rao/Perger', gh: 85, kh: 40, calcium: null, magnesium: null, sodium: null, tds: null },
+    'distilled': { name: 'Distilled', gh: 0, kh: 0, calcium: 0, magnesium: 0, sodium: 0, tds: 0 }
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Hardness unit from a request ('°dH', 'dh', 'ppm' ...)
+ * @returns {string|null} - key of HARDNESS_UNITS
+ */
+export function parseHardnessUnit(unit) {
+    if (unit === undefined || unit === null) return 'ppm';
+    const normalized = String(unit).replace(/[°\s]/g, '').toLowerCase();
+    return Object.keys(HARDNESS_UNITS).find(key => key.toLowerCase() === normalized) || null;
+}
+
+/**
+ * Convert a hardness value between units
+ */
+export function convertHardness(value, from, to) {
+    return value * HARDNESS_UNITS[from] / HARDNESS_UNITS[to];
+}
+
+/**
+ * A hardness (ppm as CaCO3) in every unit
+ */
+export function hardnessInUnits(ppm) {
+    if (ppm === null || ppm === undefined) return null;
+    return {
+        ppm: round(ppm, 1),
+        dH: round(convertHardness(ppm, 'ppm', 'dH'), 2),
+        fH: round(convertHardness(ppm, 'ppm', 'fH'), 2),
+        e: round(convertHardness(ppm, 'ppm', 'e'), 2)
+    };
+}
+
+/**
+ * General hardness from calcium and magnesium (mg/L → ppm as CaCO3)
+ */
+export function hardnessFromMinerals(calcium, magnesium) {
+    return (calcium || 0) * 2.497 + (magnesium || 0) * 4.118;
+}
+
+/**
+ * Validate a water profile from a request
+ * Body: { name, unit, gh, kh, calcium, magnesium, sodium, tds } - unit applies to gh
+ * and kh; without gh it is derived from calcium and magnesium.
+ * @returns {{ profile?: Object, error?: string }} - stored shape
+ */
+export function validateWaterProfile(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Water profile required' };
+    }
+
+    const unit = parseHardnessUnit(input.unit);
+    if (!unit) {
+        return { error: `unit must be one of: ${Object.keys(HARDNESS_UNITS).join(', ')}` };
+    }
+
+    let name = null;
+    if (input.name !== undefined && input.name !== null) {
+        name = typeof input.name === 'string' ? stripHTML(input.name).trim() : '';
+        if (!name || name.length > 50) {
+            return { error: 'name must be text of at most 50 characters' };
+        }
+    }
+
+    const profile = { name };
+    for (const field of WATER_FIELDS) {
+        const raw = input[field];
+        if (raw === undefined || raw === null || raw === '') {
+            profile[field] = null;
+            continue;
+        }
+
+        const number = Number(raw);
+        const value = field === 'gh' || field === 'kh' ? convertHardness(number, unit, 'ppm') : number;
+        if (!Number.isFinite(number) || value < 0 || value > WATER_VALUE_LIMITS[field]) {
+            const limit = field === 'gh' || field === 'kh' 
+                ? `${round(convertHardness(WATER_VALUE_LIMITS[field], 'ppm', unit), 1)} ${unit}` 
+                : `${WATER_VALUE_LIMITS[field]} mg/L`;
+            return { error: `${field} must be a number between 0 and ${limit}` };
+        }
+        profile[field] = round(value, 1);
+    }
+
+    if (WATER_FIELDS.every(field => profile[field] === null)) {
+        return { error: `At least one of ${WATER_FIELDS.join(', ')} required` };
+    }
+
+    if (profile.gh === null && (profile.calcium !== null || profile.magnesium !== null)) {
+        profile.gh = round(hardnessFromMinerals(profile.calcium, profile.magnesium), 1);
+    }
+
+    return { profile };
+}
+
+/**
+ * Water hardness in °dH derived from a profile (the GH)
+ * @returns {number|null}
+ */
+export function deriveWaterHardness(profile) {
+    if (!profile || profile.gh === null || profile.gh === undefined) return null;
+    return round(convertHardness(profile.gh, 'ppm', 'dH'), 1);
+}
+
+/**
+ * Shape a stored or preset profile for API responses
+ */
+export function formatWaterProfile(key, profile, preset = false) {
+    return {
+        key,
+        name: profile.name || key,
+        preset,
+        gh: hardnessInUnits(profile.gh),
+        kh: hardnessInUnits(profile.kh),
+        calcium: profile.calcium ?? null,
+        magnesium: profile.magnesium ?? null,
+        sodium: profile.sodium ?? null,
+        tds: profile.tds ?? null
+    };
+}
+
+/**
+ * The active profile of a user's water settings
+ * @param {Object|null} settings - { active, profiles: { key: profile } }
+ * @returns {{ key: string, profile: Object, preset: boolean }|null}
+ */
+export function resolveActiveWater(settings) {
+    const key = settings?.active;
+    if (!key) return null;
+    if (settings.profiles?.[key]) return { key, profile: settings.profiles[key], preset: false };
+    if (WATER_PRESETS[key]) return { key, profile: WATER_PRESETS[key], preset: true };
+    return null;
+}
+
+/**
+ * Water hardness to store after the water settings changed
+ * @returns {number|null|undefined} - GH of the new active profile in °dH (null = none),
+ *     undefined when the active profile did not change
+ */
+export function waterHardnessChange(previous, settings) {
+    const before = resolveActiveWater(previous);
+    const after = resolveActiveWater(settings);
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return undefined;
+    return after ? deriveWaterHardness(after.profile) : null;
+}
+
+/**
+ * Keys of saved profiles ('tap', 'office-filter'); preset keys are taken
+ */
+export const WATER_PROFILE_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * Key of the profile a bare water hardness (older clients) is stored in
+ */
+export const LEGACY_WATER_PROFILE = 'custom';
+
+/**
+ * Water settings as returned by the API
+ */
+export function formatWaterSettings(settings) {
+    const active = resolveActiveWater(settings);
+
+    return {
+        active: active ? formatWaterProfile(active.key, active.profile, active.preset) : null,
+        waterHardness: active ? deriveWaterHardness(active.profile) : null,
+        profiles: Object.entries(settings?.profiles || {}).map(([key, profile]) => formatWaterProfile(key, profile)),
+        presets: Object.entries(WATER_PRESETS).map(([key, profile]) => formatWaterProfile(key, profile, true))
+    };
+}
+
+/**
+ * Water settings after an older client set a bare water hardness (°dH)
+ * The GH of the 'custom' profile is replaced (other values are kept) and it becomes active.
+ */
+export function applyWaterHardness(settings, waterHardness) {
+    const profiles = settings?.profiles || {};
+    const previous = profiles[LEGACY_WATER_PROFILE] 
+        || { name: 'Custom', gh: null, kh: null, calcium: null, magnesium: null, sodium: null, tds: null };
+
+    return {
+        active: LEGACY_WATER_PROFILE,
+        profiles: {
+            ...profiles,
+            [LEGACY_WATER_PROFILE]: { ...previous, gh: round(convertHardness(waterHardness, 'dH', 'ppm'), 1) }
+        }
+    };
+}